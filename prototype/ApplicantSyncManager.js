@@ -0,0 +1,253 @@
+/**
+ * APPLICANT SYNC MANAGER
+ * Brings Buildium rental applicants into HubSpot before they have a lease.
+ *
+ * Each applicant becomes (or is matched to) a contact at a prospect lifecycle stage,
+ * each of their applications a deal in the "Rental Applications" pipeline at the
+ * stage for its Buildium status, associated with the contact and the listing of the
+ * unit applied for. Contacts are matched by buildium_applicant_id, then by email, so
+ * an applicant who is already a tenant - or becomes one later, see
+ * IntegrationPrototype.claimApplicantContact - stays a single contact.
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { PipelineManager } = require('./PipelineManager.js');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+const { APPLICATION_PIPELINE } = require('./hubspot_schema.js');
+
+const APPLICANT_SYNC_LOCK = 'applicant-sync';
+const DEFAULT_LIFECYCLE_STAGE = 'lead';
+const CONTACT_PROPERTIES = ['buildium_applicant_id', 'buildium_tenant_id', 'lifecyclestage'];
+
+// Buildium ApplicationStatus -> APPLICATION_PIPELINE stage key (Unknown falls back to received)
+const APPLICATION_STAGE_KEYS = {
+    Draft: 'received',
+    New: 'received',
+    Undecided: 'received',
+    Deferred: 'deferred',
+    Approved: 'approved',
+    // A draft lease can still be abandoned, so the deal stays open until the lease is made
+    AddedToDraftLease: 'approved',
+    AddedToLease: 'leased',
+    Rejected: 'rejected',
+    Cancelled: 'cancelled'
+};
+const CLOSED_LOST_KEYS = new Set(['rejected', 'cancelled']);
+
+function applicationStatus(application) {
+    return application.ApplicationStatus || application.Status || null;
+}
+
+/**
+ * Stage for an application; approved or pending applications close as won once the
+ * applicant's contact belongs to a Buildium tenant.
+ */
+function applicationStageKey(application, isTenant) {
+    const key = APPLICATION_STAGE_KEYS[applicationStatus(application)] || 'received';
+    return isTenant && !CLOSED_LOST_KEYS.has(key) ? 'leased' : key;
+}
+
+function unitOf(applicant, application) {
+    return {
+        unitId: application.UnitId ?? application.Unit?.Id ?? applicant.UnitId ?? applicant.Unit?.Id ?? null,
+        propertyId: application.PropertyId ?? application.Property?.Id ?? applicant.PropertyId ?? applicant.Property?.Id ?? null
+    };
+}
+
+class ApplicantSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+        this.lifecycleStage = options.lifecycleStage || process.env.APPLICANT_LIFECYCLE_STAGE || DEFAULT_LIFECYCLE_STAGE;
+    }
+
+    /**
+     * Sync applicants updated since `since` (default: last clean run; `full` ignores it).
+     */
+    async run({ dryRun = false, since = null, full = false, limit = null, propertyIds = null } = {}) {
+        const runStartedAt = new Date();
+        const log = scopedLog('applicants');
+        const stats = { applicants: 0, contactsCreated: 0, contactsUpdated: 0, contactsMatched: 0, dealsCreated: 0, dealsUpdated: 0, associations: 0, skipped: 0, errors: 0 };
+
+        const sinceDate = since ? new Date(since) : null;
+        if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+            throw new Error(`Invalid --since value "${since}"`);
+        }
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(APPLICANT_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('contacts');
+                await this.hubspotClient.ensureCustomProperties('deals');
+            }
+            const pipeline = await new PipelineManager(this.hubspotClient).ensure(APPLICATION_PIPELINE, { dryRun, log });
+
+            const lastRun = full || sinceDate ? null : await this.stateStore.get(STATE_NAMESPACES.APPLICANT_SYNC, 'lastRun');
+            const lastUpdatedFrom = sinceDate ? sinceDate.toISOString() : lastRun;
+            log('start', { dryRun, lastUpdatedFrom, limit, propertyIds });
+
+            const applicants = await this.buildiumClient.getApplicants({ lastUpdatedFrom, propertyIds, limit });
+            stats.applicants = applicants.length;
+
+            const entries = [];
+            for (const applicant of applicants) {
+                try {
+                    const applications = await this.buildiumClient.getApplicantApplications(applicant.Id);
+                    entries.push({ applicant, applications });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('applicant', applicant.Id, 'failed', `applications: ${error.message}`);
+                }
+            }
+
+            const [contactsByApplicant, dealsByApplication, listingsByUnit] = await Promise.all([
+                this.findContacts(entries),
+                this.findDeals(entries),
+                this.findListings(entries)
+            ]);
+
+            for (const entry of entries) {
+                try {
+                    await this.syncApplicant(entry, { contactsByApplicant, dealsByApplication, listingsByUnit, pipeline, dryRun, stats, log });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('applicant', entry.applicant.Id, 'failed', error.response?.data?.message || error.message);
+                }
+            }
+
+            if (!dryRun && !limit && !propertyIds && stats.errors === 0) {
+                await this.stateStore.set(STATE_NAMESPACES.APPLICANT_SYNC, 'lastRun', runStartedAt.toISOString());
+            }
+            log('complete', stats);
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(APPLICANT_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async findContacts(entries) {
+        const contacts = new Map();
+        if (entries.length === 0) {
+            return contacts;
+        }
+        const applicantIds = entries.map(entry => String(entry.applicant.Id));
+        for (let index = 0; index < applicantIds.length; index += 100) {
+            const found = await this.hubspotClient.searchObjects('contacts', [
+                { propertyName: 'buildium_applicant_id', operator: 'IN', values: applicantIds.slice(index, index + 100) }
+            ], ['email', ...CONTACT_PROPERTIES]);
+            found.forEach(contact => contacts.set(String(contact.properties.buildium_applicant_id), contact));
+        }
+        return contacts;
+    }
+
+    async findDeals(entries) {
+        const applicationIds = entries.flatMap(entry => entry.applications.map(application => application.Id));
+        if (applicationIds.length === 0) {
+            return new Map();
+        }
+        const deals = await this.hubspotClient.getObjectsByIdProperty('deals', 'buildium_application_id', applicationIds, ['dealstage']);
+        return new Map(deals.map(deal => [String(deal.properties.buildium_application_id), deal]));
+    }
+
+    async findListings(entries) {
+        const unitIds = Array.from(new Set(entries
+            .flatMap(entry => entry.applications.map(application => unitOf(entry.applicant, application).unitId))
+            .filter(Boolean)
+            .map(String)));
+        if (unitIds.length === 0) {
+            return new Map();
+        }
+        const listings = await this.hubspotClient.getListingsByUnitIds(unitIds, { properties: ['buildium_unit_id'] });
+        return new Map(listings.map(listing => [String(listing.properties?.buildium_unit_id), listing]));
+    }
+
+    /**
+     * Contact for an applicant: by applicant ID, else by email (which may be a tenant
+     * contact already), else a new one.
+     */
+    async upsertContact(applicant, latestApplication, { contactsByApplicant, dryRun, stats, log }) {
+        let contact = contactsByApplicant.get(String(applicant.Id)) || null;
+        if (!contact && applicant.Email) {
+            contact = await this.hubspotClient.searchContactByEmail(applicant.Email, CONTACT_PROPERTIES);
+            if (contact) {
+                stats.contactsMatched += 1;
+            }
+        }
+
+        if (!contact && !applicant.Email) {
+            stats.skipped += 1;
+            recordOutcome('applicant', applicant.Id, 'skipped', 'no_email');
+            return null;
+        }
+
+        const root = { applicant, application: latestApplication, lifecycleStage: this.lifecycleStage };
+        const { properties } = this.fieldMapper.map('applicantContact', root, { safeUpdate: Boolean(contact) });
+        if (dryRun) {
+            log(`would-${contact ? 'update' : 'create'}-contact`, { applicantId: applicant.Id, contactId: contact?.id || null, properties });
+            return contact || { id: null, properties: {} };
+        }
+
+        if (contact) {
+            await this.hubspotClient.updateContact(contact.id, { properties });
+            stats.contactsUpdated += 1;
+            recordOutcome('applicant', applicant.Id, 'updated', null, { contactId: contact.id });
+            return contact;
+        }
+        const created = await this.hubspotClient.createContact({ properties });
+        stats.contactsCreated += 1;
+        recordOutcome('applicant', applicant.Id, 'created', null, { contactId: created.id });
+        return { ...created, properties: { ...(created.properties || {}), ...properties } };
+    }
+
+    async syncApplicant({ applicant, applications }, { contactsByApplicant, dealsByApplication, listingsByUnit, pipeline, dryRun, stats, log }) {
+        // Applications carry no last-updated time; the latest submitted one speaks for the contact
+        const latestApplication = [...applications].sort((a, b) =>
+            new Date(b.ApplicationSubmittedDateTime || 0) - new Date(a.ApplicationSubmittedDateTime || 0) || (b.Id || 0) - (a.Id || 0))[0] || {};
+        const contact = await this.upsertContact(applicant, latestApplication, { contactsByApplicant, dryRun, stats, log });
+        if (!contact) {
+            return;
+        }
+        const isTenant = Boolean(contact.properties?.buildium_tenant_id);
+
+        for (const application of applications) {
+            const { unitId, propertyId } = unitOf(applicant, application);
+            const deal = dealsByApplication.get(String(application.Id));
+            const listing = unitId ? listingsByUnit.get(String(unitId)) : null;
+
+            // A lease signed in Buildium is final, whatever the application says later
+            if (deal && deal.properties?.dealstage && deal.properties.dealstage === pipeline.stageIds.leased) {
+                continue;
+            }
+            const stageKey = applicationStageKey(application, isTenant);
+            const root = { applicant, application, unitId, propertyId, pipelineId: pipeline.id, stageId: pipeline.stageIds[stageKey] };
+            const { properties } = this.fieldMapper.map('applicationDeal', root, { safeUpdate: Boolean(deal) });
+
+            if (dryRun) {
+                log(`would-${deal ? 'update' : 'create'}-deal`, { applicationId: application.Id, stage: stageKey, listingId: listing?.id || null, properties });
+                continue;
+            }
+
+            const saved = deal
+                ? await this.hubspotClient.updateDeal(deal.id, { properties })
+                : await this.hubspotClient.createDeal({ properties });
+            stats[deal ? 'dealsUpdated' : 'dealsCreated'] += 1;
+            const dealId = saved?.id || deal?.id;
+            recordOutcome('application', application.Id, deal ? 'updated' : 'created', null, { dealId, stage: stageKey });
+
+            await this.hubspotClient.createDefaultAssociation('deals', dealId, 'contacts', contact.id);
+            stats.associations += 1;
+            if (listing) {
+                await this.hubspotClient.createDefaultAssociation('deals', dealId, '0-420', listing.id);
+                await this.hubspotClient.createDefaultAssociation('contacts', contact.id, '0-420', listing.id);
+                stats.associations += 2;
+            }
+        }
+    }
+}
+
+module.exports = { ApplicantSyncManager, applicationStageKey, APPLICATION_STAGE_KEYS };
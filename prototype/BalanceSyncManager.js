@@ -0,0 +1,324 @@
+/**
+ * BALANCE SYNC MANAGER
+ * Copies outstanding lease balances and recent payments from Buildium onto the
+ * tenant contacts and unit listings in HubSpot, for collections lists and workflows.
+ *
+ * Per lease: balance due from /leases/outstandingbalances, last payment and days
+ * delinquent from /leases/{id}/transactions over a lookback window. Contacts and
+ * listings that still show a balance in HubSpot but no longer owe anything are reset
+ * to zero / Current - only after a run that read every lease and tenant, since a
+ * record missing because of a failed lookup is not paid up.
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+
+const BALANCE_SYNC_LOCK = 'balance-sync';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYMENT_TYPES = new Set(['Payment', 'ElectronicFundsTransfer']);
+const CHARGE_TYPES = new Set(['Charge']);
+const BALANCE_PROPERTIES = [
+    'buildium_balance_due',
+    'buildium_days_delinquent',
+    'buildium_balance_bucket',
+    'buildium_last_payment_date',
+    'buildium_last_payment_amount',
+    'buildium_balance_updated'
+];
+
+function toDay(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function daysBetween(from, to) {
+    return Math.max(0, Math.round((toDay(to) - toDay(from)) / DAY_MS));
+}
+
+function delinquencyBucket(balanceDue, daysDelinquent) {
+    if (!(balanceDue > 0)) {
+        return 'Current';
+    }
+    if (daysDelinquent <= 30) {
+        return '0-30';
+    }
+    if (daysDelinquent <= 60) {
+        return '31-60';
+    }
+    return daysDelinquent <= 90 ? '61-90' : '90+';
+}
+
+/**
+ * Lower bound on days delinquent from Buildium's aging buckets, used when the
+ * transaction window does not reach back to the oldest unpaid charge.
+ */
+function agingLowerBound(balance) {
+    if (balance.BalanceOver90Days > 0) {
+        return 91;
+    }
+    if (balance.Balance61To90Days > 0) {
+        return 61;
+    }
+    if (balance.Balance31To60Days > 0) {
+        return 31;
+    }
+    return 0;
+}
+
+/**
+ * Summarise one lease: payments are assumed to settle the oldest charges first,
+ * so the unpaid balance is made up of the newest charges and the oldest of those
+ * sets the days delinquent.
+ */
+function summarizeLease(balance, transactions, now = new Date()) {
+    const balanceDue = Number(balance?.TotalBalance) || 0;
+    const today = toDay(now);
+    const sorted = [...(transactions || [])]
+        .filter(transaction => toDay(transaction.Date) !== null && toDay(transaction.Date) <= today)
+        .sort((a, b) => toDay(b.Date) - toDay(a.Date));
+
+    const lastPayment = sorted.find(transaction => PAYMENT_TYPES.has(transaction.TransactionType));
+
+    let daysDelinquent = 0;
+    if (balanceDue > 0) {
+        let covered = 0;
+        let oldestUnpaid = null;
+        for (const transaction of sorted) {
+            if (!CHARGE_TYPES.has(transaction.TransactionType)) {
+                continue;
+            }
+            covered += Number(transaction.TotalAmount) || 0;
+            oldestUnpaid = transaction.Date;
+            if (covered >= balanceDue) {
+                break;
+            }
+        }
+        const fromCharges = oldestUnpaid ? daysBetween(oldestUnpaid, now) : 0;
+        daysDelinquent = Math.max(fromCharges, agingLowerBound(balance));
+    }
+
+    return {
+        leaseId: balance?.LeaseId ?? null,
+        unitId: balance?.UnitId ?? null,
+        balanceDue,
+        daysDelinquent,
+        bucket: delinquencyBucket(balanceDue, daysDelinquent),
+        lastPaymentDate: lastPayment ? lastPayment.Date : null,
+        lastPaymentAmount: lastPayment ? Math.abs(Number(lastPayment.TotalAmount) || 0) : null
+    };
+}
+
+/**
+ * Combine lease summaries for a contact or listing that spans several leases.
+ */
+function combineSummaries(summaries) {
+    const balanceDue = Math.round(summaries.reduce((total, summary) => total + summary.balanceDue, 0) * 100) / 100;
+    const daysDelinquent = summaries.reduce((max, summary) => Math.max(max, summary.daysDelinquent), 0);
+    const latestPayment = summaries
+        .filter(summary => summary.lastPaymentDate)
+        .sort((a, b) => toDay(b.lastPaymentDate) - toDay(a.lastPaymentDate))[0];
+
+    return {
+        balanceDue,
+        daysDelinquent,
+        bucket: delinquencyBucket(balanceDue, daysDelinquent),
+        lastPaymentDate: latestPayment?.lastPaymentDate ?? null,
+        lastPaymentAmount: latestPayment?.lastPaymentAmount ?? null
+    };
+}
+
+class BalanceSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    async run({ dryRun = false, limit = null, propertyIds = null, lookbackDays = 180, now = new Date() } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('balances');
+        const stats = { leases: 0, contactsUpdated: 0, listingsUpdated: 0, contactsCleared: 0, listingsCleared: 0, contactsMissing: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(BALANCE_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('contacts');
+                await this.hubspotClient.ensureCustomProperties('listings');
+            }
+            log('start', { dryRun, limit, propertyIds, lookbackDays });
+
+            const balances = await this.buildiumClient.getOutstandingBalances({ propertyIds, limit });
+            const from = new Date(now.getTime() - lookbackDays * DAY_MS);
+            const leases = [];
+
+            for (const balance of balances) {
+                try {
+                    const [transactions, lease] = await Promise.all([
+                        this.buildiumClient.getLeaseTransactions(balance.LeaseId, { from, to: now }),
+                        this.buildiumClient.getLeaseById(balance.LeaseId)
+                    ]);
+                    const summary = summarizeLease(balance, transactions, now);
+                    summary.tenantIds = (lease?.Tenants || []).map(tenant => String(tenant.Id));
+                    leases.push(summary);
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('lease', balance.LeaseId, 'failed', error.message);
+                }
+            }
+            stats.leases = leases.length;
+            log('leases.summarized', { leases: leases.length });
+
+            const updatedAt = now.toISOString();
+            const byTenant = this.groupBy(leases, summary => summary.tenantIds);
+            const byUnit = this.groupBy(leases, summary => (summary.unitId ? [String(summary.unitId)] : []));
+
+            const contactUpdates = await this.buildContactUpdates(byTenant, updatedAt, stats, log);
+            const listingUpdates = await this.buildListingUpdates(byUnit, updatedAt);
+
+            // Records that still show a balance but were not in this run's balances are paid up
+            if (!limit && !propertyIds && stats.errors > 0) {
+                log('clear.skipped', { reason: 'lease or tenant lookups failed', errors: stats.errors });
+            } else if (!limit && !propertyIds) {
+                contactUpdates.push(...await this.buildClearUpdates('contacts', contactUpdates, updatedAt, stats, 'contactsCleared'));
+                listingUpdates.push(...await this.buildClearUpdates('0-420', listingUpdates, updatedAt, stats, 'listingsCleared'));
+            }
+
+            for (const update of contactUpdates) {
+                await this.write(update, dryRun, stats, 'contactsUpdated', log, () => this.hubspotClient.updateContact(update.id, { properties: update.properties }));
+            }
+            for (const update of listingUpdates) {
+                await this.write(update, dryRun, stats, 'listingsUpdated', log, () => this.hubspotClient.updateListing(update.id, { properties: update.properties }));
+            }
+
+            log('complete', { ...stats, durationMs: Date.now() - startTime });
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(BALANCE_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    groupBy(leases, keysOf) {
+        const groups = new Map();
+        leases.forEach(summary => {
+            keysOf(summary).forEach(key => {
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(summary);
+            });
+        });
+        return groups;
+    }
+
+    mapBalance(summaries, updatedAt) {
+        return this.fieldMapper.map('leaseBalance', { ...combineSummaries(summaries), updatedAt }).properties;
+    }
+
+    /**
+     * Contacts are found by buildium_tenant_id, falling back to the tenant's email
+     * for contacts synced before that property existed.
+     */
+    async buildContactUpdates(byTenant, updatedAt, stats, log) {
+        const tenantIds = Array.from(byTenant.keys());
+        if (tenantIds.length === 0) {
+            return [];
+        }
+
+        const contactsByTenant = new Map();
+        const found = await this.hubspotClient.searchContactsByTenantIds(tenantIds);
+        found.forEach(contact => contactsByTenant.set(String(contact.properties.buildium_tenant_id), contact));
+
+        const failedTenants = new Set();
+        for (const tenantId of tenantIds.filter(id => !contactsByTenant.has(id))) {
+            try {
+                const tenant = await this.buildiumClient.getTenant(tenantId);
+                const contact = tenant?.Email ? await this.hubspotClient.searchContactByEmail(tenant.Email) : null;
+                if (contact) {
+                    contactsByTenant.set(tenantId, contact);
+                }
+            } catch (error) {
+                failedTenants.add(tenantId);
+                stats.errors += 1;
+                recordOutcome('tenant', tenantId, 'failed', error.message);
+                log('tenant.lookup-failed', { tenantId, message: error.message });
+            }
+        }
+
+        // A contact shared by several tenant IDs (same email) gets all of their leases
+        const summariesByContact = new Map();
+        tenantIds.forEach(tenantId => {
+            const contact = contactsByTenant.get(tenantId);
+            if (!contact && !failedTenants.has(tenantId)) {
+                stats.contactsMissing += 1;
+                recordOutcome('tenant', tenantId, 'skipped', 'no HubSpot contact for the tenant');
+            }
+            if (!contact) {
+                return;
+            }
+            const existing = summariesByContact.get(contact.id) || new Set();
+            byTenant.get(tenantId).forEach(summary => existing.add(summary));
+            summariesByContact.set(contact.id, existing);
+        });
+
+        return Array.from(summariesByContact.entries()).map(([id, summaries]) => ({
+            objectType: 'contact',
+            id,
+            properties: this.mapBalance(Array.from(summaries), updatedAt)
+        }));
+    }
+
+    async buildListingUpdates(byUnit, updatedAt) {
+        const unitIds = Array.from(byUnit.keys());
+        if (unitIds.length === 0) {
+            return [];
+        }
+        const listings = await this.hubspotClient.getListingsByUnitIds(unitIds, { properties: ['buildium_unit_id'] });
+        return listings
+            .filter(listing => byUnit.has(String(listing.properties?.buildium_unit_id)))
+            .map(listing => ({
+                objectType: 'listing',
+                id: listing.id,
+                properties: this.mapBalance(byUnit.get(String(listing.properties.buildium_unit_id)), updatedAt)
+            }));
+    }
+
+    async buildClearUpdates(objectType, updates, updatedAt, stats, counter) {
+        const updatedIds = new Set(updates.map(update => String(update.id)));
+        const stale = await this.hubspotClient.searchObjects(objectType, [
+            { propertyName: 'buildium_balance_due', operator: 'GT', value: '0' }
+        ], BALANCE_PROPERTIES);
+
+        return stale
+            .filter(record => !updatedIds.has(String(record.id)))
+            .map(record => {
+                stats[counter] += 1;
+                return {
+                    objectType: objectType === 'contacts' ? 'contact' : 'listing',
+                    id: record.id,
+                    cleared: true,
+                    properties: this.mapBalance([], updatedAt)
+                };
+            });
+    }
+
+    async write(update, dryRun, stats, counter, log, request) {
+        if (dryRun) {
+            log('would-update', { objectType: update.objectType, id: update.id, cleared: update.cleared || false, properties: update.properties });
+            return;
+        }
+        try {
+            await request();
+            stats[counter] += 1;
+            recordOutcome(update.objectType, update.id, 'updated', update.cleared ? 'balance cleared' : null);
+        } catch (error) {
+            stats.errors += 1;
+            recordOutcome(update.objectType, update.id, 'failed', error.response?.data?.message || error.message);
+        }
+    }
+}
+
+module.exports = { BalanceSyncManager, summarizeLease, combineSummaries, delinquencyBucket };
@@ -0,0 +1,349 @@
+/**
+ * CONTACT DEDUPE MANAGER
+ * Finds HubSpot contacts that stand for the same Buildium tenant or owner - left
+ * by runs from before contact lookups were consistent, and by manual imports - and
+ * merges them with HubSpot's merge API.
+ *
+ * Contacts are grouped when they share any of (the `rules`):
+ *   - buildium_id - the same buildium_tenant_id or buildium_owner_id
+ *   - email       - normalized email
+ *   - phone       - normalized phone
+ *   - name        - the same first and last name on the same listing
+ * A group never joins contacts stamped with different Buildium tenant (or owner)
+ * IDs: roommates sharing an email or phone stay apart, and the link is reported
+ * as a conflict instead.
+ *
+ * The survivor is the contact stamped with a Buildium ID, then the one with the
+ * most listing associations, then the oldest. Listing associations of every member
+ * (active, inactive and future tenant, owner) are read before merging, and any the
+ * survivor is missing afterwards are re-created. Tenant crosswalk entries that
+ * pointed at a merged-away contact move to the survivor.
+ */
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+const { normalizeEmail, normalizePhone, normalizeName } = require('./IdentityResolver.js');
+
+const DEDUPE_LOCK = 'contact-dedupe';
+const DEDUPE_RULES = ['buildium_id', 'email', 'phone', 'name'];
+const CONTACT_PROPERTIES = ['email', 'firstname', 'lastname', 'phone', 'buildium_tenant_id', 'buildium_owner_id', 'createdate'];
+// Contact -> listing association labels (see TenantLifecycleManager.ASSOCIATION_TYPES;
+// association owners get 8, see syncOwnerToHubSpot)
+const LISTING_LABELS = { 2: 'active', 6: 'inactive', 11: 'future', 4: 'owner', 8: 'associationOwner' };
+
+function resolveRules(requested = null) {
+    const rules = requested && requested.length > 0 ? requested : DEDUPE_RULES;
+    const unknown = rules.filter(rule => !DEDUPE_RULES.includes(rule));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown dedupe rule(s) ${unknown.join(', ')} (expected ${DEDUPE_RULES.join(', ')})`);
+    }
+    return rules;
+}
+
+/**
+ * Labelled listing associations of a contact, as `${listingId}:${typeId}` pairs.
+ */
+function labelledPairs(associations) {
+    return (associations || []).flatMap(association => association.associationTypeIds
+        .filter(typeId => LISTING_LABELS[typeId])
+        .map(typeId => `${association.listingId}:${typeId}`));
+}
+
+function countLabels(associations) {
+    const counts = Object.fromEntries(Object.values(LISTING_LABELS).map(label => [label, 0]));
+    labelledPairs(associations).forEach(pair => {
+        counts[LISTING_LABELS[pair.split(':')[1]]] += 1;
+    });
+    return counts;
+}
+
+/**
+ * Keys a contact is grouped by under each rule.
+ */
+function contactKeys(contact, rule, associations) {
+    const properties = contact.properties || {};
+    switch (rule) {
+        case 'buildium_id':
+            return [
+                properties.buildium_tenant_id ? `tenant:${properties.buildium_tenant_id}` : null,
+                properties.buildium_owner_id ? `owner:${properties.buildium_owner_id}` : null
+            ].filter(Boolean);
+        case 'email':
+            return [normalizeEmail(properties.email)].filter(Boolean);
+        case 'phone':
+            return [normalizePhone(properties.phone)].filter(Boolean);
+        case 'name': {
+            const firstName = normalizeName(properties.firstname);
+            const lastName = normalizeName(properties.lastname);
+            if (!firstName || !lastName) {
+                return [];
+            }
+            return Array.from(new Set((associations || []).map(association => `${firstName} ${lastName}@${association.listingId}`)));
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Survivor first: stamped with a Buildium ID, most labelled associations, oldest.
+ */
+function rankContacts(contacts, associationsById) {
+    const stamped = contact => (contact.properties?.buildium_tenant_id || contact.properties?.buildium_owner_id ? 1 : 0);
+    const associationCount = contact => labelledPairs(associationsById.get(String(contact.id))).length;
+    const created = contact => new Date(contact.properties?.createdate || contact.createdAt || 0).getTime() || 0;
+    return [...contacts].sort((a, b) =>
+        stamped(b) - stamped(a) ||
+        associationCount(b) - associationCount(a) ||
+        created(a) - created(b) ||
+        String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+}
+
+/**
+ * Group duplicate contacts (union-find over the rule keys). Resolves to
+ * { groups, conflicts }: each group lists its contacts survivor first with the
+ * rules that linked them; each conflict is a link refused because the contacts
+ * carry different Buildium IDs.
+ */
+function findDuplicateGroups(contacts, associationsById, rules = DEDUPE_RULES) {
+    const parent = new Map();
+    const stamps = new Map();
+    const reasons = new Map();
+    const conflicts = [];
+
+    contacts.forEach(contact => {
+        const id = String(contact.id);
+        parent.set(id, id);
+        stamps.set(id, {
+            tenant: contact.properties?.buildium_tenant_id ? String(contact.properties.buildium_tenant_id) : null,
+            owner: contact.properties?.buildium_owner_id ? String(contact.properties.buildium_owner_id) : null
+        });
+        reasons.set(id, new Set());
+    });
+
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const union = (a, b, rule, key) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) {
+            reasons.get(rootA).add(rule);
+            return;
+        }
+        const stampA = stamps.get(rootA);
+        const stampB = stamps.get(rootB);
+        if ((stampA.tenant && stampB.tenant && stampA.tenant !== stampB.tenant) ||
+            (stampA.owner && stampB.owner && stampA.owner !== stampB.owner)) {
+            conflicts.push({ rule, key, contactIds: [a, b], tenantIds: [stampA.tenant, stampB.tenant], ownerIds: [stampA.owner, stampB.owner] });
+            return;
+        }
+        parent.set(rootB, rootA);
+        stamps.set(rootA, { tenant: stampA.tenant || stampB.tenant, owner: stampA.owner || stampB.owner });
+        reasons.set(rootA, new Set([...reasons.get(rootA), ...reasons.get(rootB), rule]));
+    };
+
+    rules.forEach(rule => {
+        const buckets = new Map();
+        contacts.forEach(contact => {
+            contactKeys(contact, rule, associationsById.get(String(contact.id))).forEach(key => {
+                if (!buckets.has(key)) {
+                    buckets.set(key, []);
+                }
+                buckets.get(key).push(String(contact.id));
+            });
+        });
+        buckets.forEach((ids, key) => {
+            ids.slice(1).forEach(id => union(ids[0], id, rule, key));
+        });
+    });
+
+    const members = new Map();
+    contacts.forEach(contact => {
+        const root = find(String(contact.id));
+        if (!members.has(root)) {
+            members.set(root, []);
+        }
+        members.get(root).push(contact);
+    });
+
+    const groups = Array.from(members.entries())
+        .filter(([, groupContacts]) => groupContacts.length > 1)
+        .map(([root, groupContacts]) => ({
+            contacts: rankContacts(groupContacts, associationsById),
+            rules: rules.filter(rule => reasons.get(root).has(rule))
+        }));
+    return { groups, conflicts };
+}
+
+/**
+ * Report lines for one group of run()'s result: survivor first, then what merges into it.
+ */
+function formatGroup(group, index) {
+    const describe = contact => {
+        const ids = [
+            contact.buildiumTenantId ? `tenant ${contact.buildiumTenantId}` : null,
+            contact.buildiumOwnerId ? `owner ${contact.buildiumOwnerId}` : null
+        ].filter(Boolean);
+        const counts = Object.entries(contact.associations).map(([label, count]) => `${label} ${count}`).join(', ');
+        return `${contact.id} ${contact.name || '(no name)'} <${contact.email || 'no email'}> ${contact.phone || 'no phone'}${ids.length > 0 ? ` [${ids.join(', ')}]` : ''} - listings: ${counts}`;
+    };
+    const [survivor, ...duplicates] = group.contacts;
+    const lines = [`🔗 Group ${index + 1} (by ${group.rules.join(', ')})`, `   keep  ${describe(survivor)}`];
+    duplicates.forEach(contact => lines.push(`   merge ${describe(contact)}`));
+    if (group.result?.error) {
+        lines.push(`   ❌ ${group.result.error}`);
+    } else if (group.result) {
+        lines.push(`   ✅ Merged into ${group.result.survivorId}, ${group.result.associationsRestored} association(s) restored`);
+    }
+    return lines;
+}
+
+class ContactDedupeManager {
+    constructor(integration, options = {}) {
+        this.hubspotClient = integration.hubspotClient;
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    /**
+     * Find duplicate groups and, unless `dryRun`, merge each into its survivor.
+     * `limit` caps the groups handled. Resolves to { stats, groups, conflicts };
+     * each group carries its contacts (survivor first), the label counts of their
+     * listing associations and, after a live run, its merge result.
+     */
+    async run({ dryRun = false, rules = null, limit = null } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('dedupe');
+        const matchRules = resolveRules(rules);
+        const stats = { contacts: 0, groups: 0, merged: 0, associationsRestored: 0, conflicts: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(DEDUPE_LOCK);
+            }
+            log('start', { dryRun, rules: matchRules, limit });
+
+            const contacts = await this.hubspotClient.getAllContacts(CONTACT_PROPERTIES);
+            stats.contacts = contacts.length;
+            log('contacts.found', { contacts: contacts.length });
+
+            // Name matching needs every contact's listings; the other rules only the groups'
+            let associationsById = new Map();
+            if (matchRules.includes('name')) {
+                associationsById = await this.readAssociations(contacts.map(contact => contact.id));
+            }
+            let { groups, conflicts } = findDuplicateGroups(contacts, associationsById, matchRules);
+            if (!matchRules.includes('name')) {
+                associationsById = await this.readAssociations(groups.flatMap(group => group.contacts.map(contact => contact.id)));
+                groups = groups.map(group => ({ ...group, contacts: rankContacts(group.contacts, associationsById) }));
+            }
+            if (limit !== null) {
+                groups = groups.slice(0, limit);
+            }
+            stats.groups = groups.length;
+            stats.conflicts = conflicts.length;
+            conflicts.forEach(conflict => log('conflict', conflict));
+
+            const report = groups.map(group => ({
+                rules: group.rules,
+                contacts: group.contacts.map(contact => ({
+                    id: String(contact.id),
+                    name: [contact.properties?.firstname, contact.properties?.lastname].filter(Boolean).join(' ') || null,
+                    email: contact.properties?.email || null,
+                    phone: contact.properties?.phone || null,
+                    buildiumTenantId: contact.properties?.buildium_tenant_id || null,
+                    buildiumOwnerId: contact.properties?.buildium_owner_id || null,
+                    associations: countLabels(associationsById.get(String(contact.id)))
+                })),
+                result: null
+            }));
+
+            for (const [index, group] of groups.entries()) {
+                const [survivor, ...duplicates] = group.contacts;
+                const mergedIds = duplicates.map(contact => String(contact.id));
+                if (dryRun) {
+                    recordOutcome('contact', survivor.id, 'skipped', 'dry_run', { merge: mergedIds, rules: group.rules });
+                    continue;
+                }
+                try {
+                    report[index].result = await this.mergeGroup(group, associationsById);
+                    stats.merged += mergedIds.length;
+                    stats.associationsRestored += report[index].result.associationsRestored;
+                    stats.errors += report[index].result.associationErrors;
+                    recordOutcome('contact', report[index].result.survivorId, 'updated', 'merged', { merged: mergedIds, rules: group.rules, associationsRestored: report[index].result.associationsRestored });
+                } catch (error) {
+                    stats.errors += 1;
+                    report[index].result = { error: error.response?.data?.message || error.message };
+                    recordOutcome('contact', survivor.id, 'failed', report[index].result.error, { merge: mergedIds });
+                }
+            }
+
+            log('complete', { ...stats, durationMs: Date.now() - startTime });
+            return { stats, groups: report, conflicts };
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(DEDUPE_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async readAssociations(contactIds) {
+        if (contactIds.length === 0) {
+            return new Map();
+        }
+        const { associations, errors } = await this.hubspotClient.batchReadContactListingAssociations(contactIds);
+        if (errors.length > 0) {
+            // Without a contact's associations its merge could lose them unnoticed
+            throw new Error(`Could not read listing associations for ${errors.length} contact(s)`);
+        }
+        return associations;
+    }
+
+    /**
+     * Merge the duplicates into the survivor one at a time, then re-create any
+     * labelled listing association the survivor no longer has.
+     */
+    async mergeGroup(group, associationsById) {
+        const [survivor, ...duplicates] = group.contacts;
+        let survivorId = String(survivor.id);
+        for (const duplicate of duplicates) {
+            const merged = await this.hubspotClient.mergeContacts(survivorId, duplicate.id);
+            survivorId = String(merged?.id || survivorId);
+        }
+
+        const expected = new Set(group.contacts.flatMap(contact => labelledPairs(associationsById.get(String(contact.id)))));
+        const after = await this.readAssociations([survivorId]);
+        const present = new Set(labelledPairs(after.get(survivorId)));
+        const missing = Array.from(expected).filter(pair => !present.has(pair)).map(pair => {
+            const [listingId, typeId] = pair.split(':');
+            return { contactId: survivorId, listingId, associationTypeId: Number(typeId) };
+        });
+        let associationErrors = 0;
+        if (missing.length > 0) {
+            const { errors } = await this.hubspotClient.batchCreateContactListingAssociations(missing);
+            associationErrors = errors.length;
+        }
+
+        await this.moveCrosswalkEntries(group.contacts.map(contact => String(contact.id)), survivorId);
+        return { survivorId, associationsRestored: missing.length - associationErrors, associationErrors };
+    }
+
+    async moveCrosswalkEntries(contactIds, survivorId) {
+        const crosswalk = await this.stateStore.getAll(STATE_NAMESPACES.TENANT_CROSSWALK);
+        const moved = {};
+        Object.entries(crosswalk).forEach(([tenantId, entry]) => {
+            if (contactIds.includes(String(entry.contactId)) && String(entry.contactId) !== survivorId) {
+                moved[tenantId] = { ...entry, contactId: survivorId };
+            }
+        });
+        if (Object.keys(moved).length > 0) {
+            await this.stateStore.setMany(STATE_NAMESPACES.TENANT_CROSSWALK, moved);
+        }
+    }
+}
+
+module.exports = { ContactDedupeManager, findDuplicateGroups, formatGroup, DEDUPE_RULES };
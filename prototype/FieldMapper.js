@@ -0,0 +1,217 @@
+/**
+ * FIELD MAPPER
+ * Interprets field_mappings.js to turn Buildium records into HubSpot property payloads.
+ *
+ * map(objectType, record)                       -> full write (record creation)
+ * map(objectType, record, { safeUpdate: true }) -> only fields Buildium has data for,
+ *                                                  so existing HubSpot values survive
+ */
+const fs = require('fs');
+const path = require('path');
+const defaultMappings = require('./field_mappings.js');
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function toDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const TRANSFORMS = {
+    string: value => String(value),
+    integer: value => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) ? null : parsed;
+    },
+    float: value => {
+        const parsed = parseFloat(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    },
+    date: value => toDate(value)?.toISOString().split('T')[0] ?? null,
+    datetime: value => toDate(value)?.toISOString() ?? null,
+    phone: value => String(value).replace(/\s+/g, ' ').trim() || null,
+    join: (value, options = {}) => {
+        const start = options.skip || 0;
+        const items = Array.isArray(value) ? value.slice(start, options.limit ? start + options.limit : undefined) : [value];
+        return items
+            .map(item => (options.pluck && item ? item[options.pluck] : item))
+            .filter(item => !isEmpty(item))
+            .map(item => String(item))
+            .join(options.separator ?? ', ');
+    },
+    enum: (value, options = {}) => {
+        const values = options.values || {};
+        const key = String(value);
+        return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : (options.fallback ?? null);
+    },
+    usZip: (value, options = {}) => (new RegExp(options.pattern).test(String(value)) ? value : null),
+    foreignPostalCode: (value, options = {}) => (new RegExp(options.pattern).test(String(value)) ? null : value),
+    emailDomain: value => String(value).split('@')[1] || null
+};
+
+const VALUE_KEYS = ['source', 'template', 'parts', 'value'];
+
+function getPath(record, dottedPath) {
+    return dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+}
+
+function resolveSource(record, source) {
+    const paths = Array.isArray(source) ? source : [source];
+    for (const candidate of paths) {
+        const value = getPath(record, candidate);
+        if (!isEmpty(value)) {
+            return value;
+        }
+    }
+    return null;
+}
+
+function renderTemplate(template, record) {
+    const rendered = template.replace(/\{([^}]+)\}/g, (match, expression) => {
+        const value = resolveSource(record, expression.split('|'));
+        return isEmpty(value) ? '' : String(value);
+    });
+    const trimmed = rendered.trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Load the bundled mappings, letting FIELD_MAPPINGS_FILE replace whole object types.
+ */
+function loadFieldMappings(overridePath = process.env.FIELD_MAPPINGS_FILE) {
+    if (!overridePath) {
+        return defaultMappings;
+    }
+
+    const resolved = path.resolve(overridePath);
+    const overrides = resolved.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+        : require(resolved);
+    return { ...defaultMappings, ...overrides };
+}
+
+class FieldMapper {
+    constructor(mappings = loadFieldMappings()) {
+        this.mappings = mappings;
+        Object.entries(mappings).forEach(([objectType, mapping]) => this.validate(objectType, mapping));
+    }
+
+    validate(objectType, mapping) {
+        if (!mapping || !Array.isArray(mapping.fields)) {
+            throw new Error(`Invalid field mapping for ${objectType}: expected a fields array`);
+        }
+
+        const checkSpec = (spec, label) => {
+            const valueKeys = VALUE_KEYS.filter(key => Object.prototype.hasOwnProperty.call(spec, key));
+            if (valueKeys.length !== 1) {
+                throw new Error(`Invalid field mapping for ${label}: expected exactly one of ${VALUE_KEYS.join(', ')}`);
+            }
+            if (spec.transform && !TRANSFORMS[spec.transform]) {
+                throw new Error(`Invalid field mapping for ${label}: unknown transform "${spec.transform}"`);
+            }
+            if (spec.parts) {
+                spec.parts.forEach((part, index) => checkSpec(part, `${label}.parts[${index}]`));
+            }
+        };
+
+        mapping.fields.forEach(field => {
+            if (!field.target) {
+                throw new Error(`Invalid field mapping for ${objectType}: every field needs a target`);
+            }
+            if (![undefined, 'if-present', 'always', false].includes(field.safeUpdate)) {
+                throw new Error(`Invalid field mapping for ${objectType}.${field.target}: unknown safeUpdate "${field.safeUpdate}"`);
+            }
+            checkSpec(field, `${objectType}.${field.target}`);
+        });
+    }
+
+    getMapping(objectType) {
+        const mapping = this.mappings[objectType];
+        if (!mapping) {
+            throw new Error(`No field mapping defined for "${objectType}"`);
+        }
+        return mapping;
+    }
+
+    /**
+     * HubSpot properties an object type writes, optionally limited to safe updates.
+     */
+    targets(objectType, { safeUpdate = false } = {}) {
+        return this.getMapping(objectType).fields
+            .filter(field => !safeUpdate || field.safeUpdate !== false)
+            .map(field => field.target);
+    }
+
+    resolve(spec, record) {
+        if (spec.when && isEmpty(getPath(record, spec.when))) {
+            return null;
+        }
+
+        let value;
+        if (Object.prototype.hasOwnProperty.call(spec, 'value')) {
+            value = spec.value;
+        } else if (spec.template) {
+            value = renderTemplate(spec.template, record);
+        } else if (spec.parts) {
+            value = spec.parts
+                .map(part => this.resolve(part, record))
+                .filter(part => !isEmpty(part))
+                .join(spec.separator ?? ' ');
+        } else {
+            value = resolveSource(record, spec.source);
+        }
+
+        if (spec.transform && !isEmpty(value)) {
+            value = TRANSFORMS[spec.transform](value, spec.options);
+        }
+        return isEmpty(value) ? null : value;
+    }
+
+    map(objectType, record, { safeUpdate = false } = {}) {
+        const properties = {};
+
+        this.getMapping(objectType).fields.forEach(field => {
+            const value = this.resolve(field, record);
+            const mode = field.safeUpdate === undefined ? 'if-present' : field.safeUpdate;
+
+            if (safeUpdate) {
+                if (mode === false) {
+                    return;
+                }
+                // Zero counts and amounts are treated as "no data" so they never
+                // overwrite values that were entered in HubSpot.
+                if (mode === 'always') {
+                    const alwaysValue = value ?? this.emptyValue(field);
+                    if (alwaysValue !== undefined) {
+                        properties[field.target] = alwaysValue;
+                    }
+                } else if (!isEmpty(value) && value !== 0) {
+                    properties[field.target] = value;
+                }
+                return;
+            }
+
+            if (!isEmpty(value)) {
+                properties[field.target] = value;
+            } else if (Object.prototype.hasOwnProperty.call(field, 'default')) {
+                const fallback = field.default;
+                properties[field.target] = fallback && typeof fallback === 'object' && fallback.template
+                    ? renderTemplate(fallback.template, record)
+                    : fallback;
+            }
+        });
+
+        return { properties };
+    }
+
+    /**
+     * Joined lists clear to '' on safe updates; other always-sent fields stay unset.
+     */
+    emptyValue(field) {
+        return field.transform === 'join' ? '' : undefined;
+    }
+}
+
+module.exports = { FieldMapper, TRANSFORMS, loadFieldMappings };
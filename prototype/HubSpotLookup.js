@@ -0,0 +1,53 @@
+/**
+ * HUBSPOT LOOKUP
+ * Finds the HubSpot records that Buildium-keyed objects (tickets, renewal deals) get
+ * associated with: tenant contacts and unit listings.
+ */
+
+/**
+ * Contacts of Buildium tenants, by buildium_tenant_id and then by the tenant's email.
+ * Resolves to a Map of tenant ID -> contact; tenants without one are logged and, when
+ * `stats` is given, counted in `stats.contactsMissing`.
+ */
+async function findTenantContacts({ buildiumClient, hubspotClient }, tenantIds, { log = () => {}, stats = null } = {}) {
+    const uniqueIds = Array.from(new Set(tenantIds.filter(Boolean).map(String)));
+    const contacts = new Map();
+    if (uniqueIds.length === 0) {
+        return contacts;
+    }
+
+    const found = await hubspotClient.searchContactsByTenantIds(uniqueIds);
+    found.forEach(contact => contacts.set(String(contact.properties.buildium_tenant_id), contact));
+
+    for (const tenantId of uniqueIds.filter(id => !contacts.has(id))) {
+        try {
+            const tenant = await buildiumClient.getTenant(tenantId);
+            const contact = tenant?.Email ? await hubspotClient.searchContactByEmail(tenant.Email) : null;
+            if (contact) {
+                contacts.set(tenantId, contact);
+                continue;
+            }
+            log('contact.missing', { tenantId });
+        } catch (error) {
+            log('tenant.lookup-failed', { tenantId, message: error.message });
+        }
+        if (stats) {
+            stats.contactsMissing += 1;
+        }
+    }
+    return contacts;
+}
+
+/**
+ * Listings of Buildium units; resolves to a Map of unit ID -> listing.
+ */
+async function findUnitListings(hubspotClient, unitIds) {
+    const uniqueIds = Array.from(new Set(unitIds.filter(Boolean).map(String)));
+    if (uniqueIds.length === 0) {
+        return new Map();
+    }
+    const listings = await hubspotClient.getListingsByUnitIds(uniqueIds, { properties: ['buildium_unit_id'] });
+    return new Map(listings.map(listing => [String(listing.properties?.buildium_unit_id), listing]));
+}
+
+module.exports = { findTenantContacts, findUnitListings };
@@ -0,0 +1,362 @@
+/**
+ * IDENTITY RESOLVER
+ * Finds the HubSpot contact that stands for a Buildium tenant. Email alone is not
+ * enough: some tenants have none, and roommates often share one. The rules are
+ * tried in order and a tenant stops at the first rule that finds any candidate:
+ *
+ *   1. buildium_tenant_id - the ID every tenant sync stamps on its contact
+ *   2. email              - normalized (trim + lowercase)
+ *   3. phone              - digits only, a leading US country code dropped
+ *   4. name + unit        - first and last name among the contacts on the unit's listing
+ *
+ * Rules 2-4 never hand out a contact stamped with another tenant's ID, nor one
+ * already matched to another tenant in the same call; when several tenants compete
+ * for one contact (roommates sharing an email or a landline) the tenant whose name
+ * is on the contact gets it. One candidate is a match. More than one is ambiguous:
+ * the tenant goes to the identity review queue and is left alone instead of guessed
+ * at, until `identities resolve <tenantId> <contactId>` pins the right contact.
+ *
+ * Every match, and every contact created for a tenant, is recorded in the tenant
+ * crosswalk (tenant ID -> contact ID and the rule that matched). Pinned entries
+ * win over every rule.
+ */
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { getLogger } = require('./SyncLogger.js');
+
+const MATCH_PROPERTIES = ['email', 'firstname', 'lastname', 'phone', 'buildium_tenant_id'];
+const PINNED = 'manual';
+
+function normalizeEmail(email) {
+    return email ? String(email).trim().toLowerCase() || null : null;
+}
+
+/**
+ * Digits only, without a leading US/Canada country code; null when too short to be a phone number.
+ */
+function normalizePhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.slice(1);
+    }
+    return digits.length >= 7 ? digits : null;
+}
+
+function normalizeName(name) {
+    return String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ') || null;
+}
+
+/**
+ * Buildium lists tenant phones as [{ Number, Type }] (applicants use { Home, Mobile, ... }).
+ */
+function tenantPhones(tenant) {
+    const numbers = Array.isArray(tenant?.PhoneNumbers)
+        ? tenant.PhoneNumbers.map(phone => phone?.Number)
+        : Object.values(tenant?.PhoneNumbers || {});
+    return Array.from(new Set(numbers.map(normalizePhone).filter(Boolean)));
+}
+
+function contactPhones(contact) {
+    const properties = contact?.properties || {};
+    return [properties.phone, properties.hs_searchable_calculated_phone_number].map(normalizePhone).filter(Boolean);
+}
+
+function namesMatch(tenant, contact) {
+    const firstName = normalizeName(tenant?.FirstName);
+    const lastName = normalizeName(tenant?.LastName);
+    return Boolean(firstName && lastName) &&
+        normalizeName(contact?.properties?.firstname) === firstName &&
+        normalizeName(contact?.properties?.lastname) === lastName;
+}
+
+function describeContact(contact) {
+    const properties = contact.properties || {};
+    return {
+        id: String(contact.id),
+        email: properties.email || null,
+        firstname: properties.firstname || null,
+        lastname: properties.lastname || null,
+        phone: properties.phone || null,
+        buildiumTenantId: properties.buildium_tenant_id || null
+    };
+}
+
+class IdentityResolver {
+    constructor(hubspotClient, options = {}) {
+        this.hubspotClient = hubspotClient;
+        this.stateStore = options.stateStore || createStateStore();
+        // Extra contact properties callers need on the resolved contact
+        this.properties = Array.from(new Set([...MATCH_PROPERTIES, ...(options.properties || [])]));
+    }
+
+    async resolve(tenant, options = {}) {
+        const resolutions = await this.resolveMany([{ tenant, unitId: options.unitId ?? null }], options);
+        return resolutions.get(String(tenant.Id));
+    }
+
+    /**
+     * Resolve `entries` ({ tenant, unitId }) together, so each rule costs a few batch
+     * reads or IN searches for the whole set. Resolves to a Map of tenant ID ->
+     * { status: 'matched' | 'none' | 'ambiguous', contact, matchedBy, candidates,
+     * emailTaken }. `emailTaken` marks a tenant without a match whose email already
+     * belongs to another tenant's contact: a contact created for it must leave the
+     * email off, since HubSpot keeps contact emails unique. With `record` false
+     * (dry runs) neither the crosswalk nor the review queue is written.
+     */
+    async resolveMany(entries, { record = process.env.DRY_RUN !== 'true' } = {}) {
+        const tenants = new Map();
+        (entries || []).forEach(({ tenant, unitId = null }) => {
+            if (tenant && tenant.Id != null && !tenants.has(String(tenant.Id))) {
+                tenants.set(String(tenant.Id), { tenant, unitId: unitId != null ? String(unitId) : null });
+            }
+        });
+        const resolutions = new Map();
+        // contact ID -> tenant ID it went to in this call
+        const claimed = new Map();
+        if (tenants.size === 0) {
+            return resolutions;
+        }
+
+        const crosswalk = await this.stateStore.getAll(STATE_NAMESPACES.TENANT_CROSSWALK);
+        const match = (tenantId, contact, matchedBy) => {
+            resolutions.set(tenantId, { status: 'matched', contact, matchedBy, candidates: [contact], emailTaken: false });
+            claimed.set(String(contact.id), tenantId);
+        };
+        const pending = () => Array.from(tenants.keys()).filter(tenantId => !resolutions.has(tenantId));
+
+        // Pinned by an operator settling a review
+        const pinned = pending().filter(tenantId => crosswalk[tenantId]?.matchedBy === PINNED);
+        if (pinned.length > 0) {
+            const contacts = await this.hubspotClient.getObjectsByIdProperty('contacts', 'hs_object_id', pinned.map(tenantId => crosswalk[tenantId].contactId), this.properties);
+            const byId = new Map(contacts.map(contact => [String(contact.id), contact]));
+            pinned.forEach(tenantId => {
+                const contact = byId.get(String(crosswalk[tenantId].contactId));
+                if (contact) {
+                    match(tenantId, contact, PINNED);
+                }
+            });
+        }
+
+        // 1. Stamped with the tenant's own ID; several are duplicates, not a choice to make here
+        const stamped = new Map();
+        const unpinned = pending();
+        if (unpinned.length > 0) {
+            (await this.hubspotClient.searchContactsByTenantIds(unpinned, this.properties)).forEach(contact => {
+                const tenantId = String(contact.properties?.buildium_tenant_id);
+                stamped.set(tenantId, [...(stamped.get(tenantId) || []), contact]);
+            });
+        }
+        unpinned.forEach(tenantId => {
+            const candidates = stamped.get(tenantId) || [];
+            if (candidates.length === 1) {
+                match(tenantId, candidates[0], 'buildium_tenant_id');
+            } else if (candidates.length > 1) {
+                resolutions.set(tenantId, { status: 'ambiguous', contact: null, matchedBy: 'buildium_tenant_id', candidates, emailTaken: false });
+            }
+        });
+
+        // 2. Email
+        const emailContacts = await this.readContactsByEmail(pending().map(tenantId => tenants.get(tenantId).tenant.Email));
+        this.applyRule('email', pending(), tenants, resolutions, claimed, ({ tenant }) => {
+            const contact = emailContacts.get(normalizeEmail(tenant.Email));
+            return contact ? [contact] : [];
+        });
+
+        // 3. Phone
+        const phones = Array.from(new Set(pending().flatMap(tenantId => tenantPhones(tenants.get(tenantId).tenant))));
+        const phoneContacts = phones.length > 0 ? await this.hubspotClient.searchContactsByPhones(phones, this.properties) : [];
+        this.applyRule('phone', pending(), tenants, resolutions, claimed, ({ tenant }) => {
+            const numbers = new Set(tenantPhones(tenant));
+            return phoneContacts.filter(contact => contactPhones(contact).some(phone => numbers.has(phone)));
+        });
+
+        // 4. Name on the unit's listing
+        const unitContacts = await this.readUnitContacts(pending().map(tenantId => tenants.get(tenantId))
+            .filter(({ tenant, unitId }) => unitId && tenant.FirstName && tenant.LastName)
+            .map(({ unitId }) => unitId));
+        this.applyRule('name_unit', pending(), tenants, resolutions, claimed, ({ tenant, unitId }) =>
+            (unitContacts.get(unitId) || []).filter(contact => namesMatch(tenant, contact)));
+
+        pending().forEach(tenantId => {
+            const emailContact = emailContacts.get(normalizeEmail(tenants.get(tenantId).tenant.Email));
+            const emailTaken = Boolean(emailContact) && !this.isAvailable(emailContact, tenantId, claimed);
+            resolutions.set(tenantId, { status: 'none', contact: null, matchedBy: null, candidates: [], emailTaken });
+        });
+
+        if (record) {
+            await this.record(tenants, resolutions, crosswalk);
+        }
+        return resolutions;
+    }
+
+    /**
+     * Candidates a tenant may take: not stamped with another tenant's ID and not
+     * matched to another tenant earlier in this call.
+     */
+    isAvailable(contact, tenantId, claimed) {
+        const stampedId = contact.properties?.buildium_tenant_id;
+        const claimedBy = claimed.get(String(contact.id));
+        return (!stampedId || String(stampedId) === tenantId) && (!claimedBy || claimedBy === tenantId);
+    }
+
+    /**
+     * Match the `pending` tenants that have exactly one available candidate under
+     * `rule`. A contact wanted by several tenants goes to the one whose name it
+     * carries; the others move on to the next rule. Without such a tenant, or with
+     * several candidates, the tenants are ambiguous.
+     */
+    applyRule(rule, pending, tenants, resolutions, claimed, candidatesFor) {
+        const wanted = new Map();
+        const contacts = new Map();
+        pending.forEach(tenantId => {
+            const byId = new Map(candidatesFor(tenants.get(tenantId))
+                .filter(contact => this.isAvailable(contact, tenantId, claimed))
+                .map(contact => [String(contact.id), contact]));
+            const candidates = Array.from(byId.values());
+            if (candidates.length > 1) {
+                resolutions.set(tenantId, { status: 'ambiguous', contact: null, matchedBy: rule, candidates, emailTaken: false });
+            } else if (candidates.length === 1) {
+                const contactId = String(candidates[0].id);
+                contacts.set(contactId, candidates[0]);
+                wanted.set(contactId, [...(wanted.get(contactId) || []), tenantId]);
+            }
+        });
+
+        wanted.forEach((tenantIds, contactId) => {
+            const contact = contacts.get(contactId);
+            const winners = tenantIds.length === 1
+                ? tenantIds
+                : tenantIds.filter(tenantId => namesMatch(tenants.get(tenantId).tenant, contact));
+            if (winners.length === 1) {
+                resolutions.set(winners[0], { status: 'matched', contact, matchedBy: rule, candidates: [contact], emailTaken: false });
+                claimed.set(contactId, winners[0]);
+                return;
+            }
+            tenantIds.forEach(tenantId => {
+                resolutions.set(tenantId, { status: 'ambiguous', contact: null, matchedBy: rule, candidates: [contact], emailTaken: false });
+            });
+        });
+    }
+
+    /**
+     * normalized email -> contact for every email with one; emails the batch read
+     * could not answer are searched one at a time.
+     */
+    async readContactsByEmail(emails) {
+        const uniqueEmails = Array.from(new Set(emails.map(normalizeEmail).filter(Boolean)));
+        if (uniqueEmails.length === 0) {
+            return new Map();
+        }
+        const { contacts } = await this.hubspotClient.batchReadContactsByEmail(uniqueEmails, this.properties);
+        for (const email of uniqueEmails.filter(candidate => !contacts.has(candidate))) {
+            contacts.set(email, await this.hubspotClient.searchContactByEmail(email, this.properties));
+        }
+        return new Map(Array.from(contacts.entries()).filter(([, contact]) => contact));
+    }
+
+    /**
+     * unit ID -> the contacts associated with the unit's listing
+     */
+    async readUnitContacts(unitIds) {
+        const contactIdsByUnit = new Map();
+        for (const unitId of new Set(unitIds)) {
+            const listing = await this.hubspotClient.searchListingByUnitId(unitId);
+            const associations = listing ? await this.hubspotClient.getListingAssociations(listing.id) : [];
+            contactIdsByUnit.set(unitId, associations.map(association => String(association.toObjectId)));
+        }
+
+        const contactIds = Array.from(new Set(Array.from(contactIdsByUnit.values()).flat()));
+        const contacts = contactIds.length > 0
+            ? await this.hubspotClient.getObjectsByIdProperty('contacts', 'hs_object_id', contactIds, this.properties)
+            : [];
+        const byId = new Map(contacts.map(contact => [String(contact.id), contact]));
+
+        const unitContacts = new Map();
+        contactIdsByUnit.forEach((ids, unitId) => {
+            unitContacts.set(unitId, ids.map(id => byId.get(id)).filter(Boolean));
+        });
+        return unitContacts;
+    }
+
+    /**
+     * Write matches to the crosswalk and ambiguous tenants to the review queue (a
+     * match clears an earlier review entry).
+     */
+    async record(tenants, resolutions, crosswalk) {
+        const review = await this.stateStore.getAll(STATE_NAMESPACES.IDENTITY_REVIEW);
+        const now = new Date().toISOString();
+        const crosswalkEntries = {};
+        const reviewEntries = {};
+        const cleared = [];
+
+        resolutions.forEach((resolution, tenantId) => {
+            if (resolution.status === 'matched') {
+                const contactId = String(resolution.contact.id);
+                const previous = crosswalk[tenantId];
+                if (!previous || previous.contactId !== contactId || previous.matchedBy !== resolution.matchedBy) {
+                    crosswalkEntries[tenantId] = { contactId, matchedBy: resolution.matchedBy, recordedAt: now };
+                }
+                if (review[tenantId]) {
+                    cleared.push(tenantId);
+                }
+            } else if (resolution.status === 'ambiguous') {
+                const { tenant, unitId } = tenants.get(tenantId);
+                reviewEntries[tenantId] = {
+                    tenantId,
+                    name: [tenant.FirstName, tenant.LastName].filter(Boolean).join(' ') || null,
+                    email: tenant.Email || null,
+                    unitId,
+                    rule: resolution.matchedBy,
+                    candidates: resolution.candidates.map(describeContact),
+                    flaggedAt: review[tenantId]?.flaggedAt || now
+                };
+                getLogger('identity').warn('identity.ambiguous', { tenantId, rule: resolution.matchedBy, candidates: resolution.candidates.map(contact => String(contact.id)) });
+            }
+        });
+
+        if (Object.keys(crosswalkEntries).length > 0) {
+            await this.stateStore.setMany(STATE_NAMESPACES.TENANT_CROSSWALK, crosswalkEntries);
+        }
+        if (Object.keys(reviewEntries).length > 0) {
+            await this.stateStore.setMany(STATE_NAMESPACES.IDENTITY_REVIEW, reviewEntries);
+        }
+        for (const tenantId of cleared) {
+            await this.stateStore.delete(STATE_NAMESPACES.IDENTITY_REVIEW, tenantId);
+        }
+    }
+
+    /**
+     * Record a contact created for a tenant (`matchedBy` 'created').
+     */
+    async recordMatch(tenantId, contactId, matchedBy = 'created') {
+        if (process.env.DRY_RUN === 'true' || !contactId) {
+            return;
+        }
+        await this.stateStore.set(STATE_NAMESPACES.TENANT_CROSSWALK, String(tenantId), {
+            contactId: String(contactId),
+            matchedBy,
+            recordedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Settle a review: the tenant resolves to `contactId` from now on.
+     */
+    async pin(tenantId, contactId) {
+        await this.recordMatch(tenantId, contactId, PINNED);
+        await this.stateStore.delete(STATE_NAMESPACES.IDENTITY_REVIEW, String(tenantId));
+    }
+
+    async getReviewQueue() {
+        const review = await this.stateStore.getAll(STATE_NAMESPACES.IDENTITY_REVIEW);
+        return Object.values(review).sort((a, b) => String(a.flaggedAt).localeCompare(String(b.flaggedAt)));
+    }
+}
+
+module.exports = {
+    IdentityResolver,
+    normalizeEmail,
+    normalizePhone,
+    normalizeName,
+    tenantPhones,
+    namesMatch
+};
@@ -4,9 +4,21 @@
  */
 const { BuildiumClient, HubSpotClient, IntegrationPrototype } = require('./index.js');
 const TenantLifecycleManager = require('./TenantLifecycleManager.js');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { FieldMapper } = require('./FieldMapper.js');
+const { getLogger, recordOutcome } = require('./SyncLogger.js');
+
+const LEASE_SYNC_LOCK = 'lease-sync';
+// HubSpot batch endpoints accept at most 100 inputs per request.
+const LISTING_CHUNK_SIZE = 100;
+const RUN_PHASES = {
+    LISTINGS: 'listings',
+    FUTURE_TENANTS: 'futureTenants',
+    LIFECYCLE: 'lifecycle'
+};
 
 class LeaseCentricSyncManager {
-    constructor(integration = null) {
+    constructor(integration = null, options = {}) {
         if (integration) {
             this.integration = integration;
             this.buildiumClient = integration.buildiumClient;
@@ -16,21 +28,38 @@ class LeaseCentricSyncManager {
             this.hubspotClient = new HubSpotClient();
             this.integration = new IntegrationPrototype();
         }
-        this.lastSyncFile = 'last_lease_sync.json';
-        this.leaseTimestampsFile = 'lease_sync_timestamps.json';
+        // Watermarks, checkpoints and the run lock live in a pluggable store
+        // (file by default) instead of files relative to the working directory.
+        this.stateStore = options.stateStore || createStateStore();
+        this.checkpointInterval = options.checkpointInterval || 25;
+        this.fieldMapper = options.fieldMapper || this.integration?.transformer?.fieldMapper || new FieldMapper();
+        // Leases whose lifecycle work fails are queued for `retry-failed`
+        this.jobQueue = options.jobQueue || this.integration?.jobQueue || null;
     }
 
     /**
      * Main sync method - orchestrates complete workflow with automatic lifecycle management
+     *
+     * Live runs record which leases they selected and which phases (listings,
+     * future tenants, lifecycle) each lease has finished. With `options.resume`
+     * an interrupted run picks up at its first unfinished lease instead of
+     * re-selecting from Buildium. `options.scope` (a PropertyScope) limits the
+     * selected leases to part of the portfolio. `options.concurrency` sizes the
+     * worker pools for the batched lease fetch and lifecycle transitions.
      */
-    async syncLeases(dryRun = false, force = false, sinceDays = 7, batchSize = 50, limit = null, unitId = null) {
+    async syncLeases(dryRun = false, force = false, sinceDays = 7, batchSize = 50, limit = null, unitId = null, options = {}) {
+        const resume = Boolean(options.resume);
+        const concurrency = options.concurrency ?? null;
+        const scope = options.scope ? await options.scope.resolve(this.buildiumClient) : null;
         const logger = this.createRunLogger('lease-sync', {
             mode: dryRun ? 'dry-run' : 'live',
             force,
             sinceDays,
             batchSize,
             limit,
-            unitId
+            unitId,
+            resume,
+            scope: scope ? scope.describe() : null
         });
 
         const stats = {
@@ -45,140 +74,69 @@ class LeaseCentricSyncManager {
         };
 
         const startTime = Date.now();
+        let lockOwner = null;
+        const checkpoint = this.createLeaseCheckpoint(logger);
 
         try {
-            const lastSyncTimestamps = await this.getLastSyncTimestamps();
-
-            let leases = [];
-            if (unitId) {
-                logger.event('fetch.unit', { unitId });
-                leases = await this.buildiumClient.getAllLeasesForUnit(unitId);
-            } else if (sinceDays === null) {
-                logger.event('fetch.all');
-                leases = await this.buildiumClient.getAllLeases();
-            } else {
-                const sinceDate = new Date(Date.now() - (sinceDays * 24 * 60 * 60 * 1000));
-                logger.event('fetch.updated-since', { since: sinceDate.toISOString() });
-                leases = await this.buildiumClient.getLeasesUpdatedSince(sinceDate);
+            // Only live runs write state, so only they need to lock out a concurrent run.
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(LEASE_SYNC_LOCK);
+                logger.event('sync-state.locked', { backend: this.stateStore.backend });
             }
 
-            stats.leasesChecked = leases.length;
-            logger.event('fetch.complete', { leases: leases.length });
+            let run = null;
+            if (resume && dryRun) {
+                logger.warn('resume.ignored', { reason: 'dry-run' });
+            } else if (resume) {
+                run = await this.loadInterruptedRun();
+                if (!run) {
+                    logger.event('resume.none', { reason: 'no-interrupted-run' });
+                }
+            }
 
-            const unitIdsForBatch = Array.from(new Set(leases.map(lease => lease.UnitId?.toString()).filter(Boolean)));
             const hubspotListingCache = Object.create(null);
+            let leasesToProcess;
 
-            if (unitIdsForBatch.length > 0 && limit === null) {
-                logger.event('prefetch.listings.start', { units: unitIdsForBatch.length });
-                const batchListings = await this.hubspotClient.getListingsByUnitIds(unitIdsForBatch);
-                batchListings.forEach(listing => {
-                    const unitKey = listing.properties?.buildium_unit_id;
-                    if (unitKey) {
-                        hubspotListingCache[unitKey] = listing;
-                    }
-                });
-                logger.event('prefetch.listings.complete', {
-                    cached: Object.keys(hubspotListingCache).length
-                });
-            } else if (unitIdsForBatch.length > 0) {
-                logger.event('prefetch.listings.skip', { reason: 'limit-active' });
+            if (run) {
+                leasesToProcess = await this.fetchUnfinishedLeases(run, logger);
+                stats.leasesChecked = leasesToProcess.length;
+                stats.leasesSelected = leasesToProcess.length;
+                await this.prefetchListings(leasesToProcess, hubspotListingCache, logger);
             } else {
-                logger.event('prefetch.listings.skip', { reason: 'no-units' });
-            }
-
-            const filteredLeases = [];
-            let skippedCount = 0;
-
-            for (const lease of leases) {
-                const lastSync = lastSyncTimestamps[lease.Id];
-                let shouldSync = false;
-                let reason = '';
-
-                if (!lastSync) {
-                    shouldSync = true;
-                    reason = 'no-prior-sync';
-                } else if (lease.LastUpdatedDateTime && new Date(lease.LastUpdatedDateTime) > new Date(lastSync)) {
-                    shouldSync = true;
-                    reason = 'buildium-updated';
-                }
-
-                if (!shouldSync && lease.LastUpdatedDateTime) {
-                    const unitKey = lease.UnitId?.toString();
-                    let hubspotListing = null;
-                    if (unitKey) {
-                        if (Object.prototype.hasOwnProperty.call(hubspotListingCache, unitKey)) {
-                            hubspotListing = hubspotListingCache[unitKey];
-                        } else {
-                            hubspotListing = await this.hubspotClient.searchListingByUnitId(unitKey);
-                            hubspotListingCache[unitKey] = hubspotListing || null;
-                        }
-                    }
-                    const hubspotLastUpdated = hubspotListing?.properties?.buildium_lease_last_updated;
-                    if (hubspotLastUpdated == null) {
-                        shouldSync = true;
-                        reason = 'missing-hubspot-timestamp';
+                if (!dryRun && !resume) {
+                    const interrupted = await this.loadInterruptedRun();
+                    if (interrupted) {
+                        logger.warn('run.discard-interrupted', { runId: interrupted.runId, hint: 'use --resume to continue it instead' });
                     }
                 }
-
-                if (shouldSync) {
-                    filteredLeases.push(lease);
-                    logger.event('filter.schedule', { leaseId: lease.Id, unitId: lease.UnitId, reason });
-                    if (limit !== null && filteredLeases.length >= limit) {
-                        logger.event('limit.reached', { limit });
-                        break;
-                    }
-                } else {
-                    skippedCount += 1;
-                    logger.event('filter.skip', { leaseId: lease.Id, unitId: lease.UnitId, reason: 'no-change-detected' });
+                leasesToProcess = await this.selectLeases({ sinceDays, limit, unitId, scope, stats, hubspotListingCache, logger });
+                if (!dryRun && leasesToProcess.length > 0) {
+                    run = await this.startRun(leasesToProcess, { force, sinceDays, limit, unitId, scope: scope ? scope.describe() : null });
+                    logger.event('run.started', { runId: run.runId, leases: leasesToProcess.length });
                 }
             }
-
-            const selectedCount = limit !== null ? Math.min(filteredLeases.length, limit) : filteredLeases.length;
-            stats.leasesSelected = selectedCount;
-            logger.event('filter.summary', { selected: selectedCount, skipped: skippedCount });
-
-            const leasesToProcess = limit !== null ? filteredLeases.slice(0, limit) : filteredLeases;
-            if (limit !== null && filteredLeases.length > limit) {
-                logger.event('limit.apply', { limit, truncated: filteredLeases.length - limit });
-            }
+            checkpoint.run = run;
 
             if (leasesToProcess.length === 0) {
+                if (run) {
+                    await this.completeRun(run);
+                }
                 stats.durationMs = Date.now() - startTime;
                 logger.finish(stats);
                 return stats;
             }
 
-            logger.event('transform.prepare', { leases: leasesToProcess.length });
-
-            const unitDescriptorMap = new Map();
-            leasesToProcess.forEach(lease => {
-                const leaseUnitId = lease.UnitId?.toString();
-                if (!leaseUnitId) {
-                    return;
-                }
+            // A resumed run only repeats the phases each lease had not finished yet.
+            const leasesForListings = this.leasesPendingPhase(leasesToProcess, run, RUN_PHASES.LISTINGS);
+            logger.event('transform.prepare', { leases: leasesForListings.length });
 
-                if (!unitDescriptorMap.has(leaseUnitId)) {
-                    unitDescriptorMap.set(leaseUnitId, {
-                        unitId: leaseUnitId,
-                        propertyId: lease.PropertyId ?? lease.Unit?.PropertyId ?? null,
-                        unitNumber: lease.UnitNumber ?? lease.Unit?.UnitNumber ?? null
-                    });
-                } else {
-                    const descriptor = unitDescriptorMap.get(leaseUnitId);
-                    if (!descriptor.propertyId && (lease.PropertyId || lease.Unit?.PropertyId)) {
-                        descriptor.propertyId = lease.PropertyId ?? lease.Unit?.PropertyId ?? null;
-                    }
-                    if (!descriptor.unitNumber && (lease.UnitNumber || lease.Unit?.UnitNumber)) {
-                        descriptor.unitNumber = lease.UnitNumber ?? lease.Unit?.UnitNumber ?? null;
-                    }
-                }
-            });
+            const unitDescriptorMap = this.buildUnitDescriptorMap(leasesForListings);
 
-            let leasesForTransformation = leasesToProcess;
+            let leasesForTransformation = leasesForListings;
             if (unitDescriptorMap.size > 0) {
                 logger.event('buildium.expand', { units: unitDescriptorMap.size });
                 const descriptors = Array.from(unitDescriptorMap.values());
-                const batchLeases = await this.buildiumClient.getLeasesByUnitIds(descriptors);
+                const batchLeases = await this.buildiumClient.getLeasesByUnitIds(descriptors, { concurrency });
                 if (batchLeases.length > 0) {
                     const allowedUnitIds = new Set(descriptors.map(descriptor => descriptor.unitId));
                     leasesForTransformation = batchLeases.filter(lease => {
@@ -189,29 +147,29 @@ class LeaseCentricSyncManager {
                 logger.event('buildium.expand.complete', { leases: leasesForTransformation.length });
             }
 
-            const listings = this.transformLeasesToListings(leasesForTransformation);
+            const listings = leasesForTransformation.length > 0 ? this.transformLeasesToListings(leasesForTransformation) : [];
             logger.event('transform.complete', { listings: listings.length });
 
             const listingLimit = limit !== null ? Math.min(limit, listings.length) : null;
 
-            if (!dryRun) {
+            if (listings.length === 0) {
+                logger.event('hubspot.batch.skip', { reason: 'no-listings' });
+            } else if (!dryRun) {
                 logger.event('hubspot.batch.start', { listingLimit });
-                const result = await this.hubspotClient.createListingsBatch(listings, false, force, listingLimit, hubspotListingCache);
-                stats.listingsCreated = Array.isArray(result.created) ? result.created.length : 0;
-                stats.listingsUpdated = Array.isArray(result.updated) ? result.updated.length : 0;
-                stats.listingsSkipped = Array.isArray(result.skipped) ? result.skipped.length : 0;
+                await this.syncListingChunks(listings, leasesForListings, {
+                    force,
+                    listingLimit,
+                    chunkSize: Math.min(batchSize || LISTING_CHUNK_SIZE, LISTING_CHUNK_SIZE),
+                    hubspotListingCache,
+                    checkpoint,
+                    stats,
+                    logger
+                });
                 logger.event('hubspot.batch.result', {
                     created: stats.listingsCreated,
                     updated: stats.listingsUpdated,
                     skipped: stats.listingsSkipped
                 });
-
-                const newTimestamps = { ...lastSyncTimestamps };
-                leasesToProcess.forEach(lease => {
-                    newTimestamps[lease.Id] = new Date().toISOString();
-                });
-                await this.saveLastSyncTimestamps(newTimestamps);
-                logger.event('timestamps.updated', { leases: leasesToProcess.length });
             } else {
                 logger.event('hubspot.batch.skip', { reason: 'dry-run', listingLimit });
                 const result = await this.hubspotClient.createListingsBatch(listings, true, force, listingLimit, hubspotListingCache);
@@ -226,7 +184,10 @@ class LeaseCentricSyncManager {
             }
 
             if (!dryRun) {
-                const futureTenantsSynced = await this.syncFutureTenants(leasesToProcess);
+                const leasesForFutureTenants = this.leasesPendingPhase(leasesToProcess, run, RUN_PHASES.FUTURE_TENANTS);
+                const futureTenantsSynced = await this.syncFutureTenants(leasesForFutureTenants, {
+                    onLeaseProcessed: (lease, outcome) => checkpoint.markPhase(lease, RUN_PHASES.FUTURE_TENANTS, outcome)
+                });
                 stats.futureTenantsSynced = futureTenantsSynced;
                 logger.event('future-tenants.synced', { count: futureTenantsSynced });
             } else {
@@ -236,16 +197,35 @@ class LeaseCentricSyncManager {
 
             // Pass the trimmed lease batch through to lifecycle with scope verification so
             // follow-on association updates cannot escape the limited set we just synchronized.
-            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient);
-            const lifecycleStats = await lifecycleManager.updateTenantAssociationsForLeases(leasesToProcess, {
+            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient, {
+                identityResolver: this.integration?.identityResolver,
+                stateStore: this.stateStore
+            });
+            const leasesForLifecycle = this.leasesPendingPhase(leasesToProcess, run, RUN_PHASES.LIFECYCLE);
+            // Each lease's watermark is checkpointed as soon as its round of lifecycle
+            // work finishes, so a crash part way through only repeats the unfinished leases.
+            const lifecycleStats = await lifecycleManager.updateTenantAssociationsForLeases(leasesForLifecycle, {
                 dryRun,
                 listingCache: hubspotListingCache,
                 logger,
-                verifyUnitScope: true
+                verifyUnitScope: true,
+                concurrency,
+                jobQueue: this.jobQueue,
+                onLeaseProcessed: dryRun ? null : (lease, outcome) => checkpoint.record(lease, outcome)
             });
             stats.lifecycle = lifecycleStats;
             logger.event('tenant-lifecycle.result', lifecycleStats);
 
+            if (!dryRun) {
+                await checkpoint.flush();
+                logger.event('timestamps.updated', { leases: checkpoint.recorded });
+            }
+
+            if (run) {
+                await this.completeRun(run);
+                logger.event('run.completed', { runId: run.runId });
+            }
+
             await this.updateLastSyncTime();
             logger.event('sync-state.saved');
 
@@ -256,10 +236,398 @@ class LeaseCentricSyncManager {
             stats.errors += 1;
             stats.durationMs = Date.now() - startTime;
             logger.error(error, { stats });
+            if (checkpoint.run) {
+                logger.warn('run.interrupted', { runId: checkpoint.run.runId, hint: 'rerun with --resume to continue' });
+            }
             throw error;
+        } finally {
+            if (lockOwner) {
+                try {
+                    await checkpoint.flush();
+                } catch (flushError) {
+                    logger.warn('timestamps.flush-failed', { message: flushError.message });
+                }
+                await this.stateStore.releaseLock(LEASE_SYNC_LOCK, lockOwner);
+            }
         }
     }
 
+    /**
+     * Fetch leases from Buildium (within the property scope, if any) and keep the ones
+     * whose watermark says they changed.
+     */
+    async selectLeases({ sinceDays, limit, unitId, scope = null, stats, hubspotListingCache, logger }) {
+        const lastSyncTimestamps = await this.getLastSyncTimestamps();
+        const propertyIds = scope ? scope.propertyIds : null;
+
+        let leases = [];
+        if (unitId) {
+            logger.event('fetch.unit', { unitId });
+            leases = await this.buildiumClient.getAllLeasesForUnit(unitId);
+        } else if (sinceDays === null) {
+            logger.event('fetch.all', { propertyIds });
+            leases = await this.buildiumClient.getAllLeases(null, { propertyIds });
+        } else {
+            const sinceDate = new Date(Date.now() - (sinceDays * 24 * 60 * 60 * 1000));
+            logger.event('fetch.updated-since', { since: sinceDate.toISOString(), propertyIds });
+            leases = await this.buildiumClient.getLeasesUpdatedSince(sinceDate, { propertyIds });
+        }
+
+        if (scope) {
+            const inScope = leases.filter(lease => scope.includes(lease.PropertyId));
+            if (inScope.length < leases.length) {
+                logger.event('filter.scope', { outOfScope: leases.length - inScope.length });
+            }
+            leases = inScope;
+        }
+
+        stats.leasesChecked = leases.length;
+        logger.event('fetch.complete', { leases: leases.length });
+
+        if (limit === null) {
+            await this.prefetchListings(leases, hubspotListingCache, logger);
+        } else if (leases.length > 0) {
+            logger.event('prefetch.listings.skip', { reason: 'limit-active' });
+        }
+
+        const filteredLeases = [];
+        let skippedCount = 0;
+
+        for (const lease of leases) {
+            const lastSync = lastSyncTimestamps[lease.Id];
+            let shouldSync = false;
+            let reason = '';
+
+            if (!lastSync) {
+                shouldSync = true;
+                reason = 'no-prior-sync';
+            } else if (lease.LastUpdatedDateTime && new Date(lease.LastUpdatedDateTime) > new Date(lastSync)) {
+                shouldSync = true;
+                reason = 'buildium-updated';
+            }
+
+            if (!shouldSync && lease.LastUpdatedDateTime) {
+                const unitKey = lease.UnitId?.toString();
+                let hubspotListing = null;
+                if (unitKey) {
+                    if (Object.prototype.hasOwnProperty.call(hubspotListingCache, unitKey)) {
+                        hubspotListing = hubspotListingCache[unitKey];
+                    } else {
+                        hubspotListing = await this.hubspotClient.searchListingByUnitId(unitKey);
+                        hubspotListingCache[unitKey] = hubspotListing || null;
+                    }
+                }
+                const hubspotLastUpdated = hubspotListing?.properties?.buildium_lease_last_updated;
+                if (hubspotLastUpdated == null) {
+                    shouldSync = true;
+                    reason = 'missing-hubspot-timestamp';
+                }
+            }
+
+            if (shouldSync) {
+                filteredLeases.push(lease);
+                logger.event('filter.schedule', { leaseId: lease.Id, unitId: lease.UnitId, reason });
+                if (limit !== null && filteredLeases.length >= limit) {
+                    logger.event('limit.reached', { limit });
+                    break;
+                }
+            } else {
+                skippedCount += 1;
+                recordOutcome('lease', lease.Id, 'skipped', 'no-change-detected', { unitId: lease.UnitId });
+            }
+        }
+
+        const selectedCount = limit !== null ? Math.min(filteredLeases.length, limit) : filteredLeases.length;
+        stats.leasesSelected = selectedCount;
+        logger.event('filter.summary', { selected: selectedCount, skipped: skippedCount });
+
+        if (limit !== null && filteredLeases.length > limit) {
+            logger.event('limit.apply', { limit, truncated: filteredLeases.length - limit });
+        }
+        return limit !== null ? filteredLeases.slice(0, limit) : filteredLeases;
+    }
+
+    async prefetchListings(leases, hubspotListingCache, logger) {
+        const unitIdsForBatch = Array.from(new Set(leases.map(lease => lease.UnitId?.toString()).filter(Boolean)));
+        if (unitIdsForBatch.length === 0) {
+            logger.event('prefetch.listings.skip', { reason: 'no-units' });
+            return;
+        }
+
+        logger.event('prefetch.listings.start', { units: unitIdsForBatch.length });
+        const batchListings = await this.hubspotClient.getListingsByUnitIds(unitIdsForBatch);
+        batchListings.forEach(listing => {
+            const unitKey = listing.properties?.buildium_unit_id;
+            if (unitKey) {
+                hubspotListingCache[unitKey] = listing;
+            }
+        });
+        logger.event('prefetch.listings.complete', {
+            cached: Object.keys(hubspotListingCache).length
+        });
+    }
+
+    buildUnitDescriptorMap(leases) {
+        const unitDescriptorMap = new Map();
+        leases.forEach(lease => {
+            const leaseUnitId = lease.UnitId?.toString();
+            if (!leaseUnitId) {
+                return;
+            }
+
+            if (!unitDescriptorMap.has(leaseUnitId)) {
+                unitDescriptorMap.set(leaseUnitId, {
+                    unitId: leaseUnitId,
+                    propertyId: lease.PropertyId ?? lease.Unit?.PropertyId ?? null,
+                    unitNumber: lease.UnitNumber ?? lease.Unit?.UnitNumber ?? null
+                });
+            } else {
+                const descriptor = unitDescriptorMap.get(leaseUnitId);
+                if (!descriptor.propertyId && (lease.PropertyId || lease.Unit?.PropertyId)) {
+                    descriptor.propertyId = lease.PropertyId ?? lease.Unit?.PropertyId ?? null;
+                }
+                if (!descriptor.unitNumber && (lease.UnitNumber || lease.Unit?.UnitNumber)) {
+                    descriptor.unitNumber = lease.UnitNumber ?? lease.Unit?.UnitNumber ?? null;
+                }
+            }
+        });
+        return unitDescriptorMap;
+    }
+
+    /**
+     * Send listings to HubSpot one chunk at a time and checkpoint the leases whose
+     * unit came back created, updated or skipped before moving to the next chunk.
+     */
+    async syncListingChunks(listings, leases, { force, listingLimit, chunkSize, hubspotListingCache, checkpoint, stats, logger }) {
+        const leasesByUnit = new Map();
+        leases.forEach(lease => {
+            const unitKey = lease.UnitId?.toString();
+            if (!unitKey) {
+                return;
+            }
+            if (!leasesByUnit.has(unitKey)) {
+                leasesByUnit.set(unitKey, []);
+            }
+            leasesByUnit.get(unitKey).push(lease);
+        });
+
+        let remaining = listingLimit;
+        for (let index = 0; index < listings.length; index += chunkSize) {
+            if (remaining !== null && remaining <= 0) {
+                logger.event('hubspot.batch.limit-reached', { listingLimit });
+                break;
+            }
+
+            const chunk = listings.slice(index, index + chunkSize);
+            const result = await this.hubspotClient.createListingsBatch(chunk, false, force, remaining, hubspotListingCache);
+            const created = Array.isArray(result.created) ? result.created : [];
+            const updated = Array.isArray(result.updated) ? result.updated : [];
+            const skipped = Array.isArray(result.skipped) ? result.skipped : [];
+            stats.listingsCreated += created.length;
+            stats.listingsUpdated += updated.length;
+            stats.listingsSkipped += skipped.length;
+            created.forEach(entry => recordOutcome('listing', entry?.properties?.buildium_unit_id, 'created', null, { listingId: entry?.id }));
+            updated.forEach(entry => recordOutcome('listing', entry?.unitId, 'updated', entry?.reason || null, { listingId: entry?.listingId }));
+            skipped.forEach(entry => recordOutcome('listing', entry?.unitId, 'skipped', entry?.reason || null, { listingId: entry?.existingId }));
+            if (remaining !== null) {
+                remaining -= created.length + updated.length;
+            }
+
+            const completedUnits = new Set([
+                ...created.map(entry => entry?.properties?.buildium_unit_id),
+                ...updated.map(entry => entry?.unitId),
+                ...skipped.map(entry => entry?.unitId)
+            ].filter(Boolean).map(String));
+
+            for (const unitKey of completedUnits) {
+                for (const lease of leasesByUnit.get(unitKey) || []) {
+                    await checkpoint.markPhase(lease, RUN_PHASES.LISTINGS);
+                }
+            }
+            await checkpoint.flush();
+            logger.event('hubspot.batch.chunk', {
+                chunk: Math.floor(index / chunkSize) + 1,
+                listings: chunk.length,
+                completedUnits: completedUnits.size
+            });
+        }
+    }
+
+    /**
+     * Buffer per-lease watermarks and run progress, persisting them every
+     * `checkpointInterval` leases. Leases whose lifecycle step failed keep their
+     * old watermark so the next run retries them. Anything still buffered when a
+     * run throws is written by the `finally` flush in syncLeases.
+     */
+    createLeaseCheckpoint(logger) {
+        const pendingTimestamps = {};
+        const pendingProgress = {};
+        let pendingCount = 0;
+        const checkpoint = {
+            run: null,
+            recorded: 0,
+            markPhase: async (lease, phase, outcome = {}) => {
+                const run = checkpoint.run;
+                if (!run || !lease || lease.Id == null || outcome.status === 'error') {
+                    return;
+                }
+                const entry = { ...(run.progress[lease.Id] || {}), [phase]: new Date().toISOString() };
+                run.progress[lease.Id] = entry;
+                pendingProgress[lease.Id] = entry;
+                pendingCount += 1;
+                if (pendingCount >= this.checkpointInterval) {
+                    await checkpoint.flush();
+                }
+            },
+            record: async (lease, outcome = {}) => {
+                if (!lease || lease.Id == null || outcome.status === 'error') {
+                    return;
+                }
+                pendingTimestamps[lease.Id] = new Date().toISOString();
+                checkpoint.recorded += 1;
+                if (checkpoint.run) {
+                    await checkpoint.markPhase(lease, RUN_PHASES.LIFECYCLE);
+                    return;
+                }
+                pendingCount += 1;
+                if (pendingCount >= this.checkpointInterval) {
+                    await checkpoint.flush();
+                }
+            },
+            flush: async () => {
+                if (pendingCount === 0) {
+                    return;
+                }
+                const timestamps = { ...pendingTimestamps };
+                const progress = { ...pendingProgress };
+                Object.keys(pendingTimestamps).forEach(key => delete pendingTimestamps[key]);
+                Object.keys(pendingProgress).forEach(key => delete pendingProgress[key]);
+                pendingCount = 0;
+                if (Object.keys(timestamps).length > 0) {
+                    await this.saveLastSyncTimestamps(timestamps);
+                }
+                if (Object.keys(progress).length > 0) {
+                    await this.stateStore.setMany(STATE_NAMESPACES.LEASE_SYNC_PROGRESS, progress);
+                }
+                logger.event('checkpoint.saved', {
+                    leases: Object.keys(timestamps).length,
+                    progress: Object.keys(progress).length
+                });
+            }
+        };
+        return checkpoint;
+    }
+
+    /**
+     * Record the selection for a new live run and clear the previous run's progress.
+     */
+    async startRun(leases, options = {}) {
+        const run = {
+            runId: `lease-sync-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            options,
+            leases: leases.map(lease => ({
+                leaseId: lease.Id,
+                unitId: lease.UnitId?.toString() || null,
+                propertyId: lease.PropertyId ?? lease.Unit?.PropertyId ?? null,
+                unitNumber: lease.UnitNumber ?? lease.Unit?.UnitNumber ?? null
+            })),
+            progress: {}
+        };
+
+        await this.stateStore.clear(STATE_NAMESPACES.LEASE_SYNC_PROGRESS);
+        await this.stateStore.clear(STATE_NAMESPACES.LEASE_SYNC_RUN);
+        await this.stateStore.setMany(STATE_NAMESPACES.LEASE_SYNC_RUN, {
+            runId: run.runId,
+            status: run.status,
+            startedAt: run.startedAt,
+            options: run.options,
+            leases: run.leases
+        });
+        return run;
+    }
+
+    async completeRun(run) {
+        run.status = 'completed';
+        await this.stateStore.setMany(STATE_NAMESPACES.LEASE_SYNC_RUN, {
+            status: run.status,
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Return the last run if it never completed, with the progress recorded so far.
+     */
+    async loadInterruptedRun() {
+        const record = await this.stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_RUN);
+        if (!record.runId || record.status !== 'running') {
+            return null;
+        }
+        return {
+            runId: record.runId,
+            status: record.status,
+            startedAt: record.startedAt,
+            options: record.options || {},
+            leases: Array.isArray(record.leases) ? record.leases : [],
+            progress: await this.stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_PROGRESS)
+        };
+    }
+
+    isLeaseFinished(run, leaseId) {
+        const entry = run.progress[leaseId];
+        return Boolean(entry) && Object.values(RUN_PHASES).every(phase => entry[phase]);
+    }
+
+    leasesPendingPhase(leases, run, phase) {
+        if (!run) {
+            return leases;
+        }
+        return leases.filter(lease => !run.progress[lease.Id]?.[phase]);
+    }
+
+    /**
+     * Re-fetch only the leases an interrupted run had not finished, by unit, in the
+     * order the run originally selected them.
+     */
+    async fetchUnfinishedLeases(run, logger) {
+        const unfinished = run.leases.filter(entry => !this.isLeaseFinished(run, entry.leaseId));
+        logger.event('resume.start', {
+            runId: run.runId,
+            startedAt: run.startedAt,
+            finished: run.leases.length - unfinished.length,
+            remaining: unfinished.length,
+            nextLeaseId: unfinished[0]?.leaseId ?? null
+        });
+        if (unfinished.length === 0) {
+            return [];
+        }
+
+        const descriptors = new Map();
+        unfinished.forEach(entry => {
+            if (entry.unitId && !descriptors.has(entry.unitId)) {
+                descriptors.set(entry.unitId, {
+                    unitId: entry.unitId,
+                    propertyId: entry.propertyId,
+                    unitNumber: entry.unitNumber
+                });
+            }
+        });
+
+        const fetched = await this.buildiumClient.getLeasesByUnitIds(Array.from(descriptors.values()));
+        const leasesById = new Map(fetched.map(lease => [String(lease.Id), lease]));
+        const leases = [];
+        unfinished.forEach(entry => {
+            const lease = leasesById.get(String(entry.leaseId));
+            if (lease) {
+                leases.push(lease);
+            } else {
+                logger.warn('resume.lease-missing', { leaseId: entry.leaseId, unitId: entry.unitId });
+            }
+        });
+        return leases;
+    }
+
     /**
      * Transform lease data to HubSpot listing format
      * Groups leases by unit and intelligently picks current + future lease info
@@ -304,28 +672,13 @@ class LeaseCentricSyncManager {
                     || referenceLease.UnitId?.toString()
                     || 'Unit';
 
-                const listingName = `${propertyLabel} - Unit ${unitLabel}`.trim();
-
-                const listing = {
-                    properties: {
-                        buildium_unit_id: referenceLease.UnitId?.toString(),
-                        buildium_lease_id: activeLease ? activeLease.Id?.toString() : '',
-                        buildium_property_id: referenceLease.PropertyId?.toString(),
-                        hs_name: listingName,
-                        buildium_market_rent: activeLease ? this.extractRent(activeLease) : '',
-                        hs_address_1: referenceLease.UnitAddress?.AddressLine1 || '',
-                        hs_city: referenceLease.UnitAddress?.City || '',
-                        hs_state_province: referenceLease.UnitAddress?.State || '',
-                        hs_zip: referenceLease.UnitAddress?.PostalCode || '',
-                        lease_start_date: activeLease ? activeLease.LeaseFromDate : '',
-                        lease_end_date: activeLease ? activeLease.LeaseToDate : '',
-                        lease_status: activeLease ? activeLease.LeaseStatus : 'Past',
-                        primary_tenant: activeLease ? this.extractPrimaryTenant(activeLease) : '',
-                        next_lease_start: futureLease ? futureLease.LeaseFromDate : '',
-                        next_lease_id: futureLease ? futureLease.Id?.toString() : '',
-                        next_lease_tenant: futureLease ? this.extractPrimaryTenant(futureLease) : ''
-                    }
-                };
+                const listing = this.fieldMapper.map('leaseListing', {
+                    referenceLease,
+                    activeLease,
+                    futureLease,
+                    propertyLabel,
+                    unitLabel
+                });
 
                 listings.push(listing);
             }
@@ -334,14 +687,6 @@ class LeaseCentricSyncManager {
         return listings;
     }
 
-    extractRent(lease) {
-        return lease.RentAmount ||
-               lease.TotalAmount ||
-               lease.BaseRent ||
-               lease.MonthlyRent ||
-               '';
-    }
-
     mapLeaseStatusToListing(leaseStatus) {
         const statusMap = {
             Active: 'Available',
@@ -353,14 +698,6 @@ class LeaseCentricSyncManager {
         return statusMap[leaseStatus] || 'Unknown';
     }
 
-    extractPrimaryTenant(lease) {
-        if (lease.Tenants && lease.Tenants.length > 0) {
-            const primary = lease.Tenants[0];
-            return `${primary.FirstName || ''} ${primary.LastName || ''}`.trim();
-        }
-        return '';
-    }
-
     extractFutureTenants(leases) {
         const futureTenants = [];
         const today = new Date();
@@ -384,28 +721,42 @@ class LeaseCentricSyncManager {
         return futureTenants;
     }
 
-    async syncFutureTenants(leases) {
-        const futureTenants = this.extractFutureTenants(leases);
+    /**
+     * Sync future tenants lease by lease. `onLeaseProcessed(lease, outcome)` is
+     * awaited once per lease after all of its future tenants were attempted.
+     */
+    async syncFutureTenants(leases, options = {}) {
+        const { onLeaseProcessed = null } = options;
         let syncedCount = 0;
 
-        for (const futureTenant of futureTenants) {
-            try {
-                console.log(`[future-tenants] syncing tenant ${(futureTenant.tenant.FirstName || '')} ${(futureTenant.tenant.LastName || '')}`.trim() +
-                    ` (lease ${futureTenant.leaseId} starting ${futureTenant.startDate})`);
-
-                const result = await this.integration.syncFutureTenantToContact(
-                    futureTenant.tenantId,
-                    futureTenant.unitId
-                );
-
-                if (result.status === 'success') {
-                    syncedCount += 1;
-                    console.log('[future-tenants] sync completed');
-                } else {
-                    console.log(`[future-tenants] sync skipped: ${result.reason || result.error}`);
+        for (const lease of leases) {
+            const futureTenants = this.extractFutureTenants([lease]);
+            let failed = false;
+
+            for (const futureTenant of futureTenants) {
+                try {
+                    console.log(`[future-tenants] syncing tenant ${(futureTenant.tenant.FirstName || '')} ${(futureTenant.tenant.LastName || '')}`.trim() +
+                        ` (lease ${futureTenant.leaseId} starting ${futureTenant.startDate})`);
+
+                    const result = await this.integration.syncFutureTenantToContact(
+                        futureTenant.tenantId,
+                        futureTenant.unitId
+                    );
+
+                    if (result.status === 'success') {
+                        syncedCount += 1;
+                        console.log('[future-tenants] sync completed');
+                    } else {
+                        console.log(`[future-tenants] sync skipped: ${result.reason || result.error}`);
+                    }
+                } catch (error) {
+                    failed = true;
+                    console.error(`[future-tenants] sync failed for tenant ${futureTenant.tenantId}: ${error.message}`);
                 }
-            } catch (error) {
-                console.error(`[future-tenants] sync failed for tenant ${futureTenant.tenantId}: ${error.message}`);
+            }
+
+            if (onLeaseProcessed) {
+                await onLeaseProcessed(lease, { status: failed ? 'error' : 'ok' });
             }
         }
 
@@ -413,77 +764,57 @@ class LeaseCentricSyncManager {
     }
 
     async updateLastSyncTime() {
-        const fs = require('fs').promises;
-        const syncData = {
-            lastSync: new Date().toISOString(),
-            version: '1.0'
-        };
-
         try {
-            await fs.writeFile(this.lastSyncFile, JSON.stringify(syncData, null, 2));
+            await this.stateStore.setMany(STATE_NAMESPACES.LAST_LEASE_SYNC, {
+                lastSync: new Date().toISOString(),
+                version: '1.0'
+            });
         } catch (error) {
             console.warn(`[lease-sync] unable to save sync timestamp: ${error.message}`);
         }
     }
 
     async getLastSyncTime() {
-        const fs = require('fs').promises;
         try {
-            const data = await fs.readFile(this.lastSyncFile, 'utf8');
-            const syncData = JSON.parse(data);
-            return new Date(syncData.lastSync);
+            const lastSync = await this.stateStore.get(STATE_NAMESPACES.LAST_LEASE_SYNC, 'lastSync');
+            if (lastSync) {
+                return new Date(lastSync);
+            }
         } catch (error) {
-            return new Date(Date.now() - (7 * 24 * 60 * 60 * 1000));
+            console.warn(`[lease-sync] unable to read sync timestamp: ${error.message}`);
         }
+        return new Date(Date.now() - (7 * 24 * 60 * 60 * 1000));
     }
 
     async getLastSyncTimestamps() {
-        const fs = require('fs').promises;
         try {
-            const data = await fs.readFile(this.leaseTimestampsFile, 'utf8');
-            return JSON.parse(data);
+            return await this.stateStore.getAll(STATE_NAMESPACES.LEASE_TIMESTAMPS);
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                return {};
-            }
             console.error(`[lease-sync] error reading lease timestamps: ${error.message}`);
             return {};
         }
     }
 
+    /**
+     * Merge the given lease watermarks into the store. Only the supplied leases are
+     * written, so concurrent or interrupted runs no longer overwrite the whole map.
+     */
     async saveLastSyncTimestamps(timestamps) {
-        const fs = require('fs').promises;
         try {
-            await fs.writeFile(this.leaseTimestampsFile, JSON.stringify(timestamps, null, 2));
+            await this.stateStore.setMany(STATE_NAMESPACES.LEASE_TIMESTAMPS, timestamps);
         } catch (error) {
             console.error(`[lease-sync] error saving lease timestamps: ${error.message}`);
         }
     }
 
     createRunLogger(scope, initialMeta = {}) {
-        const prefix = `[${scope}]`;
+        const logger = getLogger(scope);
         const startTime = Date.now();
-        if (initialMeta && Object.keys(initialMeta).length > 0) {
-            console.log(`${prefix} start ${JSON.stringify(initialMeta)}`);
-        } else {
-            console.log(`${prefix} start`);
-        }
+        logger.info('start', initialMeta && Object.keys(initialMeta).length > 0 ? initialMeta : null);
 
         return {
-            event: (name, meta = null) => {
-                if (meta && Object.keys(meta).length > 0) {
-                    console.log(`${prefix} ${name} ${JSON.stringify(meta)}`);
-                } else {
-                    console.log(`${prefix} ${name}`);
-                }
-            },
-            warn: (name, meta = null) => {
-                if (meta && Object.keys(meta).length > 0) {
-                    console.warn(`${prefix} ${name} ${JSON.stringify(meta)}`);
-                } else {
-                    console.warn(`${prefix} ${name}`);
-                }
-            },
+            event: (name, meta = null) => logger.info(name, meta),
+            warn: (name, meta = null) => logger.warn(name, meta),
             error: (error, meta = null) => {
                 const payload = {
                     message: error instanceof Error ? error.message : String(error)
@@ -494,7 +825,7 @@ class LeaseCentricSyncManager {
                 if (meta) {
                     Object.assign(payload, meta);
                 }
-                console.error(`${prefix} error ${JSON.stringify(payload)}`);
+                logger.error('error', payload);
             },
             finish: (meta = null) => {
                 const payload = {
@@ -503,7 +834,7 @@ class LeaseCentricSyncManager {
                 if (meta) {
                     Object.assign(payload, meta);
                 }
-                console.log(`${prefix} complete ${JSON.stringify(payload)}`);
+                logger.info('complete', payload);
             }
         };
     }
@@ -0,0 +1,161 @@
+/**
+ * LISTING MARKETING SYNC MANAGER
+ * Copies Buildium's rental listings onto the HubSpot listings of the units they
+ * advertise, so vacancy marketing can run from HubSpot: available date, asking rent
+ * and deposit, unit and property amenities (multi-selects) and the listing photos.
+ *
+ * Photos come from the public media URLs on /rentals/units/listings; the per-unit
+ * image endpoint only returns file metadata and five-minute download links. Listings
+ * that were marked as listed but are no longer advertised in Buildium are flipped
+ * back to "not listed", keeping their last listing details.
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+const { UNIT_AMENITIES, PROPERTY_AMENITIES, INCLUDED_IN_RENT } = require('./hubspot_schema.js');
+
+const LISTING_MARKETING_LOCK = 'listing-marketing';
+const OPTION_SETS = {
+    unit: new Set(UNIT_AMENITIES),
+    property: new Set(PROPERTY_AMENITIES),
+    includedInRent: new Set(INCLUDED_IN_RENT)
+};
+
+/**
+ * Public image URLs of a listing, unit photos before property photos.
+ */
+function listingImageUrls(listing) {
+    const files = [...(listing.Unit?.Files || []), ...(listing.Property?.Files || [])];
+    return Array.from(new Set(files.filter(file => file.Type === 'Image' && file.Url).map(file => file.Url)));
+}
+
+class ListingMarketingSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    async run({ dryRun = false, limit = null, propertyIds = null } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('marketing');
+        const stats = { listings: 0, updated: 0, delisted: 0, missing: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(LISTING_MARKETING_LOCK);
+                await this.hubspotClient.ensureCustomProperties('listings');
+            }
+            log('start', { dryRun, limit, propertyIds });
+
+            const rentalListings = (await this.buildiumClient.getRentalListings({ propertyIds, limit }))
+                .filter(listing => listing.Unit?.Id);
+            stats.listings = rentalListings.length;
+
+            const unitIds = rentalListings.map(listing => String(listing.Unit.Id));
+            const hubspotListings = unitIds.length > 0
+                ? await this.hubspotClient.getListingsByUnitIds(unitIds, { properties: ['buildium_unit_id'] })
+                : [];
+            const listingsByUnit = new Map(hubspotListings.map(listing => [String(listing.properties?.buildium_unit_id), listing]));
+
+            const updates = [];
+            for (const rentalListing of rentalListings) {
+                const unitId = String(rentalListing.Unit.Id);
+                const hubspotListing = listingsByUnit.get(unitId);
+                if (!hubspotListing) {
+                    stats.missing += 1;
+                    recordOutcome('listing', unitId, 'skipped', 'no HubSpot listing for the unit');
+                    continue;
+                }
+                try {
+                    updates.push({ id: hubspotListing.id, unitId, properties: await this.buildProperties(rentalListing, log) });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('listing', unitId, 'failed', error.message);
+                }
+            }
+
+            // A partial run cannot tell which listings ended; a property-scoped one can within its properties
+            if (!limit) {
+                const listedUnitIds = new Set(unitIds);
+                const filters = [{ propertyName: 'buildium_is_listed', operator: 'EQ', value: 'Yes' }];
+                if (propertyIds) {
+                    filters.push({ propertyName: 'buildium_property_id', operator: 'IN', values: propertyIds.map(String) });
+                }
+                const stale = await this.hubspotClient.searchObjects('0-420', filters, ['buildium_unit_id']);
+                stale
+                    .filter(listing => !listedUnitIds.has(String(listing.properties?.buildium_unit_id)))
+                    .forEach(listing => updates.push({
+                        id: listing.id,
+                        unitId: listing.properties?.buildium_unit_id,
+                        delisted: true,
+                        properties: { buildium_is_listed: 'No' }
+                    }));
+            }
+
+            for (const update of updates) {
+                await this.write(update, dryRun, stats, log);
+            }
+
+            log('complete', { ...stats, durationMs: Date.now() - startTime });
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(LISTING_MARKETING_LOCK, lockOwner);
+            }
+        }
+    }
+
+    /**
+     * Unit amenities come with the listing; older listings without them fall back to
+     * the unit's amenities endpoint.
+     */
+    async buildProperties(rentalListing, log) {
+        const unitId = rentalListing.Unit.Id;
+        const unitFeatures = rentalListing.Unit.Features ?? await this.buildiumClient.getUnitAmenities(unitId);
+        const root = {
+            listing: rentalListing,
+            unitAmenities: this.knownOptions(unitFeatures, 'unit', unitId, log),
+            propertyAmenities: this.knownOptions(rentalListing.Property?.Features, 'property', unitId, log),
+            includedInRent: this.knownOptions(rentalListing.Property?.IncludedInRent, 'includedInRent', unitId, log),
+            imageUrls: listingImageUrls(rentalListing)
+        };
+        return this.fieldMapper.map('listingMarketing', root, { safeUpdate: true }).properties;
+    }
+
+    /**
+     * HubSpot rejects a whole update over one unknown multi-select value, so values
+     * Buildium adds after the schema was declared are dropped and logged.
+     */
+    knownOptions(values, kind, unitId, log) {
+        const known = [];
+        for (const value of values || []) {
+            if (OPTION_SETS[kind].has(value)) {
+                known.push(value);
+            } else {
+                log('amenity.unknown', { unitId, kind, value });
+            }
+        }
+        return known;
+    }
+
+    async write(update, dryRun, stats, log) {
+        const counter = update.delisted ? 'delisted' : 'updated';
+        if (dryRun) {
+            log(`would-${update.delisted ? 'delist' : 'update'}`, { id: update.id, unitId: update.unitId, properties: update.properties });
+            return;
+        }
+        try {
+            await this.hubspotClient.updateListing(update.id, { properties: update.properties });
+            stats[counter] += 1;
+            recordOutcome('listing', update.unitId, 'updated', update.delisted ? 'no longer listed in Buildium' : null, { listingId: update.id });
+        } catch (error) {
+            stats.errors += 1;
+            recordOutcome('listing', update.unitId, 'failed', error.response?.data?.message || error.message, { listingId: update.id });
+        }
+    }
+}
+
+module.exports = { ListingMarketingSyncManager, listingImageUrls };
@@ -0,0 +1,338 @@
+/**
+ * LISTING PRUNE MANAGER
+ * Cleans up HubSpot listings whose Buildium unit or property is gone, in place of
+ * `delete-listings`, which removed every listing and its association history.
+ *
+ * A listing is stale when its property
+ *   - no longer exists (404 from /v1/rentals/{id})   -> property_deleted
+ *   - is inactive (IsActive false)                    -> property_inactive
+ * or, in an active property, when its unit no longer exists (404 from getUnit)
+ *                                                      -> unit_deleted
+ * The units of active properties are listed first, so getUnit is only called for
+ * listings whose unit is not among them.
+ *
+ * Stale listings get buildium_unit_status = Inactive, or with `archive` are archived
+ * in batches (HubSpot's delete). A live run writes an undo manifest,
+ * prune-<timestamp>.json in the reports directory, before changing anything: each
+ * listing's previous status or, when archiving, its properties and contact/company
+ * associations. undo(manifestPath) puts the statuses back, or re-creates archived
+ * listings (under new IDs) with their associations.
+ */
+const fs = require('fs');
+const path = require('path');
+const { FieldMapper } = require('./FieldMapper.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+
+const PRUNE_LOCK = 'listing-prune';
+const PAGE_SIZE = 500;
+const PROPERTY_CHUNK = 50;
+const LISTING_OBJECT = '0-420';
+const INACTIVE_STATUS = 'Inactive';
+const LISTING_PROPERTIES = ['buildium_unit_id', 'buildium_property_id', 'hs_name', 'buildium_unit_status'];
+// Listing properties the syncs write, saved before archiving so undo can re-create the listing
+const SNAPSHOT_MAPPINGS = ['unitListing', 'leaseListing', 'listingMarketing', 'leaseBalance'];
+const ASSOCIATED_OBJECTS = ['contacts', 'companies'];
+
+const isNotFound = error => error?.response?.status === 404;
+const errorMessage = error => error.response?.data?.message || error.message;
+
+class ListingPruneManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    /**
+     * Find stale listings and, unless `dryRun`, mark them Inactive (or `archive` them).
+     * `limit` caps the listings pruned; `outputDir` overrides the reports directory.
+     * Resolves to { stats, listings, manifest }: each stale listing with its reason and,
+     * after a live run, its result, and the undo manifest's path.
+     */
+    async run({ dryRun = false, archive = false, propertyIds = null, limit = null, outputDir = null } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('prune');
+        const action = archive ? 'archive' : 'inactive';
+        const stats = { listings: 0, stale: 0, pruned: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(PRUNE_LOCK);
+            }
+            log('start', { dryRun, action, propertyIds, limit });
+
+            const scope = propertyIds ? new Set(propertyIds.map(String)) : null;
+            const listings = (await this.hubspotClient.getAllObjects(LISTING_OBJECT, LISTING_PROPERTIES))
+                .filter(listing => listing.properties?.buildium_unit_id
+                    && (!scope || scope.has(String(listing.properties.buildium_property_id))));
+            stats.listings = listings.length;
+
+            let stale = await this.findStale(listings, stats, log);
+            if (!archive) {
+                // Marked by an earlier run
+                stale = stale.filter(({ listing }) => listing.properties.buildium_unit_status !== INACTIVE_STATUS);
+            }
+            if (limit !== null) {
+                stale = stale.slice(0, limit);
+            }
+            stats.stale = stale.length;
+
+            const entries = stale.map(({ listing, reason }) => ({
+                listingId: String(listing.id),
+                unitId: String(listing.properties.buildium_unit_id),
+                propertyId: listing.properties.buildium_property_id ? String(listing.properties.buildium_property_id) : null,
+                name: listing.properties.hs_name || null,
+                reason,
+                action,
+                previousStatus: listing.properties.buildium_unit_status ?? null,
+                result: null
+            }));
+
+            if (dryRun || entries.length === 0) {
+                entries.forEach(entry => recordOutcome('listing', entry.listingId, 'skipped', 'dry_run', { reason: entry.reason, action }));
+                log('complete', { ...stats, durationMs: Date.now() - startTime });
+                return { stats, listings: entries, manifest: null };
+            }
+
+            if (archive) {
+                await this.snapshot(entries);
+            }
+            const manifest = { startedAt: new Date(startTime).toISOString(), action, entries };
+            const manifestPath = await this.writeManifest(manifest, outputDir);
+            log('manifest', { path: manifestPath, listings: entries.length });
+
+            const { errors } = archive
+                ? await this.hubspotClient.batchArchiveListings(entries.map(entry => entry.listingId))
+                : await this.hubspotClient.batchUpdateListings(entries.map(entry => ({
+                    id: entry.listingId,
+                    properties: { buildium_unit_status: INACTIVE_STATUS }
+                })));
+            const failures = new Map(errors.map(entry => [entry.index, entry.error]));
+            entries.forEach((entry, index) => {
+                const error = failures.get(index);
+                if (error) {
+                    stats.errors += 1;
+                    entry.result = { error: errorMessage(error) };
+                    recordOutcome('listing', entry.listingId, 'failed', entry.result.error, { reason: entry.reason, action });
+                } else {
+                    stats.pruned += 1;
+                    entry.result = { status: archive ? 'archived' : 'inactive' };
+                    recordOutcome('listing', entry.listingId, 'updated', entry.reason, { action });
+                }
+            });
+            await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+            log('complete', { ...stats, manifest: manifestPath, durationMs: Date.now() - startTime });
+            return { stats, listings: entries, manifest: manifestPath };
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(PRUNE_LOCK, lockOwner);
+            }
+        }
+    }
+
+    /**
+     * Stale listings as { listing, reason }. Listings whose property or unit could not be
+     * checked (errors other than 404) are counted as errors and left alone.
+     */
+    async findStale(listings, stats, log) {
+        const propertyIds = Array.from(new Set(listings
+            .map(listing => listing.properties.buildium_property_id)
+            .filter(Boolean)
+            .map(String)));
+        const propertyStates = new Map();
+        for (const propertyId of propertyIds) {
+            try {
+                propertyStates.set(propertyId, await this.propertyState(propertyId));
+            } catch (error) {
+                stats.errors += 1;
+                log('property.error', { propertyId, error: errorMessage(error) });
+            }
+        }
+
+        const stale = [];
+        const unitChecks = [];
+        listings.forEach(listing => {
+            const propertyId = listing.properties.buildium_property_id;
+            const state = propertyId ? propertyStates.get(String(propertyId)) : 'active';
+            if (state === 'active') {
+                unitChecks.push(listing);
+            } else if (state) {
+                stale.push({ listing, reason: state });
+            }
+        });
+
+        const activePropertyIds = propertyIds.filter(propertyId => propertyStates.get(propertyId) === 'active');
+        const knownUnitIds = new Set((await this.fetchUnits(activePropertyIds)).map(unit => String(unit.Id)));
+        for (const listing of unitChecks) {
+            const unitId = String(listing.properties.buildium_unit_id);
+            if (knownUnitIds.has(unitId)) {
+                continue;
+            }
+            try {
+                await this.buildiumClient.getUnit(unitId);
+            } catch (error) {
+                if (isNotFound(error)) {
+                    stale.push({ listing, reason: 'unit_deleted' });
+                } else {
+                    stats.errors += 1;
+                    log('unit.error', { unitId, listingId: listing.id, error: errorMessage(error) });
+                }
+            }
+        }
+        return stale;
+    }
+
+    async propertyState(propertyId) {
+        let property;
+        try {
+            property = await this.buildiumClient.getProperty(propertyId);
+        } catch (error) {
+            if (isNotFound(error)) {
+                return 'property_deleted';
+            }
+            throw error;
+        }
+        return property?.IsActive === false ? 'property_inactive' : 'active';
+    }
+
+    async fetchUnits(propertyIds) {
+        const units = [];
+        for (let index = 0; index < propertyIds.length; index += PROPERTY_CHUNK) {
+            const chunk = propertyIds.slice(index, index + PROPERTY_CHUNK);
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                const page = await this.buildiumClient.getAllUnits(PAGE_SIZE, offset, chunk);
+                units.push(...page);
+                if (page.length < PAGE_SIZE) {
+                    break;
+                }
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Save each listing's properties and associations on its manifest entry. Throws
+     * when any of them cannot be read, since archiving would then lose them for good.
+     */
+    async snapshot(entries) {
+        const listingIds = entries.map(entry => entry.listingId);
+        const properties = Array.from(new Set([
+            ...LISTING_PROPERTIES,
+            ...SNAPSHOT_MAPPINGS.flatMap(objectType => this.fieldMapper.targets(objectType))
+        ]));
+        const records = await this.hubspotClient.getObjectsByIdProperty(LISTING_OBJECT, 'hs_object_id', listingIds, properties);
+        const recordsById = new Map(records.map(record => [String(record.id), record]));
+
+        const associations = {};
+        for (const objectType of ASSOCIATED_OBJECTS) {
+            const read = await this.hubspotClient.batchReadListingAssociations(listingIds, objectType);
+            if (read.errors.length > 0) {
+                throw new Error(`Could not read ${objectType} associations for ${read.errors.length} listing(s); nothing was archived`);
+            }
+            associations[objectType] = read.associations;
+        }
+
+        entries.forEach(entry => {
+            const record = recordsById.get(entry.listingId);
+            if (!record) {
+                throw new Error(`Could not read listing ${entry.listingId}; nothing was archived`);
+            }
+            entry.properties = Object.fromEntries(properties
+                .filter(property => record.properties?.[property] !== null && record.properties?.[property] !== undefined && record.properties[property] !== '')
+                .map(property => [property, record.properties[property]]));
+            entry.associations = Object.fromEntries(ASSOCIATED_OBJECTS.map(objectType => [
+                objectType,
+                associations[objectType].get(entry.listingId) || []
+            ]));
+        });
+    }
+
+    async writeManifest(manifest, outputDir) {
+        const directory = outputDir || process.env.SYNC_REPORTS_DIR
+            || path.join(process.env.SYNC_STATE_DIR || __dirname, 'reports');
+        await fs.promises.mkdir(directory, { recursive: true });
+        const manifestPath = path.join(directory, `prune-${manifest.startedAt.replace(/[:.]/g, '-')}.json`);
+        await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+        return manifestPath;
+    }
+
+    /**
+     * Reverse a prune run from its manifest: restore the previous statuses, or re-create
+     * archived listings and their associations. A manifest can only be undone once.
+     * Resolves to { stats, listings } with the new listing IDs on re-created entries.
+     */
+    async undo(manifestPath, { dryRun = false } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('prune');
+        const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+        if (manifest.undoneAt) {
+            throw new Error(`Prune manifest ${manifestPath} was already undone at ${manifest.undoneAt}`);
+        }
+        const entries = manifest.entries.filter(entry => entry.result && !entry.result.error);
+        const stats = { listings: entries.length, restored: 0, associationsRestored: 0, errors: 0 };
+        if (dryRun) {
+            return { stats, listings: entries };
+        }
+
+        let lockOwner = null;
+        try {
+            lockOwner = await this.stateStore.acquireLock(PRUNE_LOCK);
+            log('undo.start', { manifest: manifestPath, action: manifest.action, listings: entries.length });
+
+            if (manifest.action === 'inactive') {
+                const { errors } = await this.hubspotClient.batchUpdateListings(entries.map(entry => ({
+                    id: entry.listingId,
+                    properties: { buildium_unit_status: entry.previousStatus ?? '' }
+                })));
+                stats.errors += errors.length;
+                stats.restored = entries.length - errors.length;
+            } else {
+                for (const entry of entries) {
+                    await this.restoreListing(entry, stats);
+                }
+            }
+
+            manifest.undoneAt = new Date().toISOString();
+            await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+            log('undo.complete', { ...stats, durationMs: Date.now() - startTime });
+            return { stats, listings: entries };
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(PRUNE_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async restoreListing(entry, stats) {
+        try {
+            const listing = await this.hubspotClient.createListing({ properties: entry.properties });
+            entry.restoredListingId = String(listing.id);
+            stats.restored += 1;
+            recordOutcome('listing', listing.id, 'created', 'prune_undo', { archivedListingId: entry.listingId });
+
+            for (const objectType of ASSOCIATED_OBJECTS) {
+                const associations = (entry.associations?.[objectType] || []).map(association => ({
+                    fromId: listing.id,
+                    toId: association.toObjectId,
+                    types: association.types
+                }));
+                if (associations.length === 0) {
+                    continue;
+                }
+                const { errors } = await this.hubspotClient.batchCreateAssociations(LISTING_OBJECT, objectType, associations);
+                stats.associationsRestored += associations.length - errors.length;
+                stats.errors += errors.length;
+            }
+        } catch (error) {
+            stats.errors += 1;
+            entry.undoError = errorMessage(error);
+            recordOutcome('listing', entry.listingId, 'failed', entry.undoError);
+        }
+    }
+}
+
+module.exports = { ListingPruneManager };
@@ -0,0 +1,63 @@
+/**
+ * PIPELINE MANAGER
+ * Finds or creates the HubSpot pipelines declared in hubspot_schema.js (ticket and
+ * deal pipelines) and resolves their stage IDs.
+ *
+ * Pipelines and stages are matched by label, so renaming one in HubSpot makes the
+ * next live run create a fresh copy. Existing stages are never changed or removed.
+ */
+
+class PipelineManager {
+    constructor(hubspotClient) {
+        this.hubspotClient = hubspotClient;
+    }
+
+    /**
+     * Ensure `spec` ({ objectType, label, displayOrder, stages: [{ key, label, metadata }] })
+     * exists and return { id, stageIds } with stageIds keyed by stage key. Dry runs never
+     * create anything; missing stages come back without an ID.
+     */
+    async ensure(spec, { dryRun = false, log = () => {} } = {}) {
+        const pipelines = await this.hubspotClient.getPipelines(spec.objectType);
+        let pipeline = pipelines.find(candidate => candidate.label === spec.label);
+
+        if (!pipeline) {
+            if (dryRun) {
+                log('pipeline.missing', { objectType: spec.objectType, label: spec.label });
+                return { id: null, stageIds: Object.fromEntries(spec.stages.map(stage => [stage.key, null])) };
+            }
+            pipeline = await this.hubspotClient.createPipeline(spec.objectType, {
+                label: spec.label,
+                displayOrder: spec.displayOrder,
+                stages: spec.stages.map((stage, index) => ({ label: stage.label, displayOrder: index, metadata: stage.metadata }))
+            });
+            log('pipeline.created', { objectType: spec.objectType, id: pipeline.id, label: pipeline.label });
+        }
+
+        const stages = [...(pipeline.stages || [])];
+        for (const [index, stage] of spec.stages.entries()) {
+            if (stages.some(existing => existing.label === stage.label)) {
+                continue;
+            }
+            if (dryRun) {
+                log('pipeline.stage-missing', { pipelineId: pipeline.id, label: stage.label });
+                continue;
+            }
+            stages.push(await this.hubspotClient.createPipelineStage(spec.objectType, pipeline.id, {
+                label: stage.label,
+                displayOrder: index,
+                metadata: stage.metadata
+            }));
+            log('pipeline.stage-created', { pipelineId: pipeline.id, label: stage.label });
+        }
+
+        const stageIds = {};
+        spec.stages.forEach(stage => {
+            const match = stages.find(existing => existing.label === stage.label);
+            stageIds[stage.key] = match ? match.id : null;
+        });
+        return { id: pipeline.id, stageIds };
+    }
+}
+
+module.exports = { PipelineManager };
@@ -0,0 +1,146 @@
+/**
+ * PROFILE CONFIG
+ * Named profiles let one install sync several Buildium accounts into their own
+ * HubSpot portals (`--profile <name>`, or every profile with `--all-profiles`).
+ *
+ * A profile sets the variables `.env` would: credentials, base URLs, the field
+ * mapping override and the sync state directory. It is applied to process.env
+ * before the command runs (and restored between profiles with --all-profiles), so
+ * every client, manager and state store the command builds reads the profile's values.
+ *
+ * profiles.json (SYNC_PROFILES_FILE, default prototype/profiles.json):
+ * {
+ *   "profiles": {
+ *     "acme": {
+ *       "buildium": { "clientId": "...", "clientSecret": "${ACME_BUILDIUM_SECRET}", "baseUrl": "..." },
+ *       "hubspot": { "accessToken": "${ACME_HUBSPOT_TOKEN}", "baseUrl": "..." },
+ *       "fieldMappings": "mappings/acme.json",
+ *       "stateDir": "state/acme",
+ *       "env": { "RENEWAL_WINDOWS": "90,60,30" }
+ *     }
+ *   }
+ * }
+ *
+ * "${VAR}" values are read from the environment, so secrets can stay out of the file.
+ * Relative paths are resolved against the profiles file. stateDir defaults to
+ * state/<name> next to the file, so profiles never share watermarks or locks.
+ * Anything else a profile leaves out comes from `.env`.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PROFILE_FIELDS = [
+    { key: 'buildium.clientId', envVar: 'BUILDIUM_CLIENT_ID', required: true },
+    { key: 'buildium.clientSecret', envVar: 'BUILDIUM_CLIENT_SECRET', required: true },
+    { key: 'buildium.baseUrl', envVar: 'BUILDIUM_BASE_URL' },
+    { key: 'hubspot.accessToken', envVar: 'HUBSPOT_ACCESS_TOKEN', required: true },
+    { key: 'hubspot.baseUrl', envVar: 'HUBSPOT_BASE_URL' },
+    { key: 'fieldMappings', envVar: 'FIELD_MAPPINGS_FILE', path: true },
+    { key: 'stateDir', envVar: 'SYNC_STATE_DIR', path: true }
+];
+
+function profileError(message, code = 'INVALID_PROFILE') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function readKey(profile, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), profile);
+}
+
+function expandValue(value, profileName) {
+    return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, envVar) => {
+        if (process.env[envVar] === undefined) {
+            throw profileError(`Profile "${profileName}" references ${envVar}, which is not set`);
+        }
+        return process.env[envVar];
+    });
+}
+
+/**
+ * Environment variables a profile applies, with "${VAR}" references expanded.
+ */
+function profileEnvironment(name, profile, baseDir) {
+    const environment = {};
+    for (const field of PROFILE_FIELDS) {
+        const raw = readKey(profile, field.key);
+        if (raw === undefined || raw === null || raw === '') {
+            if (field.required) {
+                throw profileError(`Profile "${name}" is missing ${field.key}`);
+            }
+            continue;
+        }
+        const value = expandValue(raw, name);
+        environment[field.envVar] = field.path ? path.resolve(baseDir, value) : value;
+    }
+
+    environment.SYNC_STATE_DIR = environment.SYNC_STATE_DIR || path.join(baseDir, 'state', name);
+    Object.entries(profile.env || {}).forEach(([envVar, value]) => {
+        environment[envVar] = expandValue(value, name);
+    });
+    // The reverse-sync audit trail is per install unless the profile says otherwise
+    if (!environment.REVERSE_SYNC_AUDIT_FILE) {
+        environment.REVERSE_SYNC_AUDIT_FILE = path.join(environment.SYNC_STATE_DIR, 'reverse_sync_audit.jsonl');
+    }
+    return environment;
+}
+
+/**
+ * Load and validate every profile, in file order.
+ */
+function loadProfiles(filePath = process.env.SYNC_PROFILES_FILE || path.join(__dirname, 'profiles.json')) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw profileError(`Profiles file ${resolved} not found (set SYNC_PROFILES_FILE or copy profiles.example.json)`, 'PROFILES_NOT_FOUND');
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    const entries = Object.entries(parsed.profiles || {});
+    if (entries.length === 0) {
+        throw profileError(`Profiles file ${resolved} has no profiles`);
+    }
+
+    return entries.map(([name, profile]) => {
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            throw profileError(`Invalid profile name "${name}" (letters, digits, - and _ only)`);
+        }
+        return { name, environment: profileEnvironment(name, profile || {}, path.dirname(resolved)) };
+    });
+}
+
+/**
+ * Apply the profile's environment; returns a function that restores the previous one.
+ */
+function applyProfile(profile) {
+    const previous = {};
+    Object.keys(profile.environment).forEach(envVar => {
+        previous[envVar] = process.env[envVar];
+        process.env[envVar] = profile.environment[envVar];
+    });
+
+    return () => {
+        Object.entries(previous).forEach(([envVar, value]) => {
+            if (value === undefined) {
+                delete process.env[envVar];
+            } else {
+                process.env[envVar] = value;
+            }
+        });
+    };
+}
+
+/**
+ * Run `fn` with the profile applied, restoring process.env afterwards.
+ */
+async function withProfile(profile, fn) {
+    const restore = applyProfile(profile);
+    try {
+        return await fn();
+    } finally {
+        restore();
+    }
+}
+
+module.exports = { loadProfiles, applyProfile, withProfile, profileEnvironment };
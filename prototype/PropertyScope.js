@@ -0,0 +1,149 @@
+/**
+ * PROPERTY SCOPE
+ * Limits a sync run to part of the portfolio: explicit property IDs, Buildium
+ * property groups (/v1/propertygroups, by name or ID) and/or properties to exclude.
+ *
+ * resolve(buildiumClient) -> expand groups once; `propertyIds` is then the include
+ *                            list to pass to Buildium filters (null = every property)
+ * includes(propertyId)    -> whether a record's property is in scope (exclusions too)
+ * listPropertyIds(client) -> explicit ID list, for callers that only take `propertyIds`
+ *
+ * Buildium list endpoints can filter by property but not exclude one, so records are
+ * always checked with includes() after fetching.
+ */
+
+const SCOPE_FLAGS = {
+    propertyIds: '--property-ids',
+    propertyGroups: '--property-groups',
+    excludePropertyIds: '--exclude-property-ids'
+};
+
+function parseIdList(value, flag) {
+    const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        const error = new Error(`Invalid ${flag} value "${value}". Please provide comma-separated numbers.`);
+        error.code = 'INVALID_PROPERTY_SCOPE';
+        throw error;
+    }
+    return ids.map(id => parseInt(id, 10));
+}
+
+class PropertyScope {
+    constructor({ propertyIds = null, propertyGroups = null, excludePropertyIds = null } = {}) {
+        this.requestedPropertyIds = propertyIds ? propertyIds.map(id => parseInt(id, 10)) : null;
+        this.propertyGroups = propertyGroups && propertyGroups.length > 0 ? propertyGroups.map(group => String(group).trim()) : null;
+        this.excluded = new Set((excludePropertyIds || []).map(String));
+        this.propertyIds = this.propertyGroups ? null : this.filterExcluded(this.requestedPropertyIds);
+        this.resolved = !this.propertyGroups;
+        this.groups = [];
+        this.assertNotEmpty();
+    }
+
+    /**
+     * Build a scope from CLI arguments, or null when none of the scope flags is given.
+     */
+    static fromArgs(args) {
+        const options = {};
+        for (const [option, flag] of Object.entries(SCOPE_FLAGS)) {
+            const index = args.indexOf(flag);
+            if (index === -1) {
+                continue;
+            }
+            const value = args[index + 1];
+            if (!value || value.startsWith('--')) {
+                const error = new Error(`${flag} needs a comma-separated value`);
+                error.code = 'INVALID_PROPERTY_SCOPE';
+                throw error;
+            }
+            options[option] = option === 'propertyGroups'
+                ? value.split(',').map(group => group.trim()).filter(Boolean)
+                : parseIdList(value, flag);
+        }
+        return Object.keys(options).length > 0 ? new PropertyScope(options) : null;
+    }
+
+    /**
+     * Expand property groups (matched by ID, or by name ignoring case) into property IDs.
+     */
+    async resolve(buildiumClient) {
+        if (this.resolved) {
+            return this;
+        }
+
+        const groups = await buildiumClient.getPropertyGroups();
+        const ids = new Set((this.requestedPropertyIds || []).map(String));
+        for (const wanted of this.propertyGroups) {
+            const group = groups.find(candidate => String(candidate.Id) === wanted
+                || (candidate.Name || '').trim().toLowerCase() === wanted.toLowerCase());
+            if (!group) {
+                const error = new Error(`Unknown Buildium property group "${wanted}"`);
+                error.code = 'UNKNOWN_PROPERTY_GROUP';
+                throw error;
+            }
+            this.groups.push({ id: group.Id, name: group.Name });
+            (group.Properties || []).forEach(property => ids.add(String(property.Id)));
+        }
+
+        this.propertyIds = this.filterExcluded(Array.from(ids).map(id => parseInt(id, 10)));
+        this.resolved = true;
+        this.assertNotEmpty();
+        return this;
+    }
+
+    includes(propertyId) {
+        if (!this.resolved) {
+            throw new Error('Property scope must be resolved before it is used');
+        }
+        if (propertyId === null || propertyId === undefined) {
+            return this.propertyIds === null;
+        }
+        const key = String(propertyId);
+        if (this.excluded.has(key)) {
+            return false;
+        }
+        return this.propertyIds === null || this.propertyIds.some(id => String(id) === key);
+    }
+
+    /**
+     * For records tied to several properties (owners): in scope when any of them is.
+     */
+    includesAny(propertyIds) {
+        return (propertyIds || []).some(propertyId => this.includes(propertyId));
+    }
+
+    /**
+     * Resolved property IDs as one explicit list. An exclusion-only scope has no include
+     * list, so it is expanded against every rental property.
+     */
+    async listPropertyIds(buildiumClient) {
+        await this.resolve(buildiumClient);
+        if (this.propertyIds !== null) {
+            return this.propertyIds;
+        }
+        const properties = await buildiumClient.getRentalProperties();
+        return this.filterExcluded(properties.map(property => property.Id));
+    }
+
+    describe() {
+        return {
+            propertyIds: this.propertyIds,
+            propertyGroups: this.groups.length > 0 ? this.groups : this.propertyGroups,
+            excludePropertyIds: this.excluded.size > 0 ? Array.from(this.excluded) : null
+        };
+    }
+
+    filterExcluded(propertyIds) {
+        return propertyIds ? propertyIds.filter(id => !this.excluded.has(String(id))) : null;
+    }
+
+    // An empty include list would read as "no filter" to the Buildium endpoints
+    assertNotEmpty() {
+        if (this.propertyIds !== null && this.propertyIds.length === 0) {
+            const error = new Error('Property scope does not match any property');
+            error.code = 'EMPTY_PROPERTY_SCOPE';
+            throw error;
+        }
+    }
+}
+
+module.exports = { PropertyScope, SCOPE_FLAGS };
@@ -0,0 +1,184 @@
+/**
+ * PROPERTY SYNC MANAGER
+ * Syncs each Buildium rental property (building) to its own HubSpot company, so
+ * portfolio reporting can roll units up to buildings. Listings stay the units.
+ *
+ * Property companies are keyed by buildium_property_id (unique on companies). Each
+ * run then links the property's unit listings (association + hubspot_property_id)
+ * and its rental owners (owner company by buildium_owner_id, owner contact by email).
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+
+const PROPERTY_SYNC_LOCK = 'property-sync';
+const SEARCH_CHUNK = 100;
+const OWNER_PAGE_SIZE = 1000;
+
+class PropertySyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    async run({ dryRun = false, limit = null, propertyIds = null } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('properties');
+        const stats = { properties: 0, created: 0, updated: 0, listingsLinked: 0, ownersLinked: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(PROPERTY_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('companies');
+                await this.hubspotClient.ensureCustomProperties('listings');
+            }
+            log('start', { dryRun, limit, propertyIds });
+
+            const properties = await this.buildiumClient.getRentalProperties({ propertyIds, limit });
+            stats.properties = properties.length;
+            if (properties.length === 0) {
+                log('complete', { ...stats, durationMs: Date.now() - startTime });
+                return stats;
+            }
+
+            const ids = properties.map(property => String(property.Id));
+            const existing = await this.hubspotClient.getObjectsByIdProperty('companies', 'buildium_property_id', ids, ['name']);
+            const companiesByProperty = new Map(existing.map(company => [String(company.properties.buildium_property_id), company.id]));
+
+            for (const property of properties) {
+                try {
+                    await this.upsertProperty(property, companiesByProperty, { dryRun, stats, log });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('property', property.Id, 'failed', error.response?.data?.message || error.message);
+                }
+            }
+
+            await this.linkListings(ids, companiesByProperty, { dryRun, stats, log });
+            await this.linkOwners(propertyIds ? ids : null, companiesByProperty, { dryRun, stats, log });
+
+            log('complete', { ...stats, durationMs: Date.now() - startTime });
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(PROPERTY_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async upsertProperty(property, companiesByProperty, { dryRun, stats, log }) {
+        const companyId = companiesByProperty.get(String(property.Id));
+        const { properties } = this.fieldMapper.map('rentalPropertyCompany', { property }, { safeUpdate: Boolean(companyId) });
+
+        if (dryRun) {
+            log(`would-${companyId ? 'update' : 'create'}`, { propertyId: property.Id, companyId: companyId || null, properties });
+            return;
+        }
+        if (companyId) {
+            await this.hubspotClient.updateCompany(companyId, { properties });
+            stats.updated += 1;
+            recordOutcome('property', property.Id, 'updated', null, { companyId });
+            return;
+        }
+        const created = await this.hubspotClient.createCompany({ properties });
+        companiesByProperty.set(String(property.Id), created.id);
+        stats.created += 1;
+        recordOutcome('property', property.Id, 'created', null, { companyId: created.id });
+    }
+
+    /**
+     * Associate unit listings with their property company. hubspot_property_id doubles
+     * as the marker that the association exists, so settled listings are skipped.
+     */
+    async linkListings(propertyIds, companiesByProperty, { dryRun, stats, log }) {
+        for (let index = 0; index < propertyIds.length; index += SEARCH_CHUNK) {
+            const listings = await this.hubspotClient.searchObjects('0-420', [
+                { propertyName: 'buildium_property_id', operator: 'IN', values: propertyIds.slice(index, index + SEARCH_CHUNK) }
+            ], ['buildium_property_id', 'hubspot_property_id']);
+
+            for (const listing of listings) {
+                const companyId = companiesByProperty.get(String(listing.properties?.buildium_property_id));
+                if (!companyId || String(listing.properties?.hubspot_property_id || '') === String(companyId)) {
+                    continue;
+                }
+                if (dryRun) {
+                    log('would-link-listing', { listingId: listing.id, companyId });
+                    continue;
+                }
+                try {
+                    await this.hubspotClient.createDefaultAssociation('0-420', listing.id, 'companies', companyId);
+                    await this.hubspotClient.updateListing(listing.id, { properties: { hubspot_property_id: String(companyId) } });
+                    stats.listingsLinked += 1;
+                } catch (error) {
+                    stats.errors += 1;
+                    log('listing.link-failed', { listingId: listing.id, companyId, message: error.response?.data?.message || error.message });
+                }
+            }
+        }
+    }
+
+    /**
+     * Associate each rental owner's HubSpot record (from `owners`) with the property
+     * companies of the properties they own. Owners not synced yet are skipped.
+     */
+    async linkOwners(propertyIds, companiesByProperty, { dryRun, stats, log }) {
+        const owners = [];
+        for (let offset = 0; ; offset += OWNER_PAGE_SIZE) {
+            const page = await this.buildiumClient.getRentalOwners({ propertyIds, limit: OWNER_PAGE_SIZE, offset });
+            owners.push(...page);
+            if (page.length < OWNER_PAGE_SIZE) {
+                break;
+            }
+        }
+
+        const companyOwnerIds = owners.filter(owner => owner.IsCompany).map(owner => String(owner.Id));
+        const ownerCompanies = new Map();
+        for (let index = 0; index < companyOwnerIds.length; index += SEARCH_CHUNK) {
+            const found = await this.hubspotClient.searchObjects('companies', [
+                { propertyName: 'buildium_owner_id', operator: 'IN', values: companyOwnerIds.slice(index, index + SEARCH_CHUNK) }
+            ], ['buildium_owner_id']);
+            found.forEach(company => ownerCompanies.set(String(company.properties.buildium_owner_id), company.id));
+        }
+
+        for (const owner of owners) {
+            const companyIds = (owner.PropertyIds || [])
+                .map(propertyId => companiesByProperty.get(String(propertyId)))
+                .filter(Boolean);
+            if (companyIds.length === 0) {
+                continue;
+            }
+
+            let record = null;
+            if (owner.IsCompany) {
+                const id = ownerCompanies.get(String(owner.Id));
+                record = id ? { objectType: 'companies', id } : null;
+            } else if (owner.Email) {
+                const contact = await this.hubspotClient.searchContactByEmail(owner.Email);
+                record = contact ? { objectType: 'contacts', id: contact.id } : null;
+            }
+            if (!record) {
+                log('owner.missing', { ownerId: owner.Id });
+                continue;
+            }
+
+            for (const companyId of companyIds) {
+                if (dryRun) {
+                    log('would-link-owner', { ownerId: owner.Id, [record.objectType]: record.id, companyId });
+                    continue;
+                }
+                try {
+                    await this.hubspotClient.createDefaultAssociation(record.objectType, record.id, 'companies', companyId);
+                    stats.ownersLinked += 1;
+                } catch (error) {
+                    stats.errors += 1;
+                    log('owner.link-failed', { ownerId: owner.Id, companyId, message: error.response?.data?.message || error.message });
+                }
+            }
+        }
+    }
+}
+
+module.exports = { PropertySyncManager };
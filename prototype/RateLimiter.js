@@ -0,0 +1,257 @@
+/**
+ * RATE LIMITER
+ * One request scheduler per API, shared by every client instance in the process, so
+ * parallel work cannot trip the provider's limits.
+ *
+ * - Token buckets: Buildium allows 10 requests/second; HubSpot allows a burst per
+ *   10 seconds (100 on private apps) and separately throttles the search endpoints.
+ * - In-flight cap per API.
+ * - 429s honour `Retry-After` and pause the whole API (every caller), not just the
+ *   request that hit it; 429 and 5xx are retried with exponential backoff.
+ *
+ * Limits come from API_LIMITS and can be tuned with BUILDIUM_RATE_LIMIT (per second),
+ * HUBSPOT_RATE_LIMIT (per 10 seconds), HUBSPOT_SEARCH_RATE_LIMIT (per second) and
+ * <API>_MAX_CONCURRENT. SYNC_CONCURRENCY sizes the worker pools (mapWithConcurrency)
+ * that run unit syncs, batched lease fetches and lifecycle transitions in parallel.
+ */
+const { recordApiCall } = require('./SyncMetrics.js');
+
+const DEFAULT_CONCURRENCY = 4;
+
+const envNumber = (name, fallback) => {
+    const value = process.env[name];
+    return value !== undefined && value !== '' ? Number(value) : fallback;
+};
+
+const API_LIMITS = {
+    buildium: () => ({
+        label: 'Buildium',
+        buckets: [{ limit: envNumber('BUILDIUM_RATE_LIMIT', 10), intervalMs: 1000 }],
+        maxConcurrent: envNumber('BUILDIUM_MAX_CONCURRENT', 10)
+    }),
+    hubspot: () => ({
+        label: 'HubSpot',
+        buckets: [{ limit: envNumber('HUBSPOT_RATE_LIMIT', 100), intervalMs: 10000 }],
+        searchBuckets: [{ limit: envNumber('HUBSPOT_SEARCH_RATE_LIMIT', 4), intervalMs: 1000 }],
+        maxConcurrent: envNumber('HUBSPOT_MAX_CONCURRENT', 6)
+    })
+};
+
+function limiterError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RATE_LIMIT';
+    return error;
+}
+
+/**
+ * `limit` tokens per `intervalMs`, refilled continuously.
+ */
+class TokenBucket {
+    constructor({ limit, intervalMs }, now) {
+        if (!(limit > 0) || !(intervalMs > 0)) {
+            throw limiterError(`Invalid rate limit ${limit} per ${intervalMs}ms`);
+        }
+        this.capacity = limit;
+        this.tokens = limit;
+        this.refillPerMs = limit / intervalMs;
+        this.now = now;
+        this.updatedAt = now();
+    }
+
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until a token is available (0 when one is available now).
+     */
+    waitMs() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'api';
+        this.label = options.label || this.name;
+        this.now = options.now || Date.now;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.buckets = (options.buckets || []).map(bucket => new TokenBucket(bucket, this.now));
+        this.searchBuckets = (options.searchBuckets || []).map(bucket => new TokenBucket(bucket, this.now));
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        if (!(this.maxConcurrent >= 1)) {
+            throw limiterError(`Invalid ${this.label} concurrency ${options.maxConcurrent}`);
+        }
+        this.active = 0;
+        this.waiting = [];
+        this.pausedUntil = 0;
+    }
+
+    async acquireSlot() {
+        if (this.active < this.maxConcurrent) {
+            this.active += 1;
+            return;
+        }
+        // release() hands its slot straight to the next waiter
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active -= 1;
+        }
+    }
+
+    /**
+     * Wait for any 429 pause and for a token in every bucket that applies, then take them.
+     */
+    async waitForTokens(search) {
+        const buckets = search ? [...this.buckets, ...this.searchBuckets] : this.buckets;
+        for (;;) {
+            const pauseMs = this.pausedUntil - this.now();
+            const waitMs = Math.max(pauseMs, ...buckets.map(bucket => bucket.waitMs()));
+            if (waitMs <= 0) {
+                buckets.forEach(bucket => bucket.take());
+                return;
+            }
+            await this.sleep(waitMs);
+        }
+    }
+
+    /**
+     * Hold every request to this API for `ms` (a 429 is account-wide, not per request).
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+    }
+
+    /**
+     * Run `requestFn` (which returns an axios promise) within the limits, retrying
+     * 429s and 5xx up to `maxRetries` times.
+     */
+    async schedule(requestFn, { search = false, maxRetries = 3, initialDelay = 200 } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            await this.acquireSlot();
+            try {
+                await this.waitForTokens(search);
+                const response = await requestFn();
+                recordApiCall(this.name, response?.status ?? null);
+                return response;
+            } catch (requestError) {
+                error = requestError;
+                recordApiCall(this.name, error.response?.status ?? null);
+            } finally {
+                this.releaseSlot();
+            }
+
+            const status = error.response?.status;
+            if (!(status === 429 || status >= 500) || attempt >= maxRetries) {
+                throw error;
+            }
+
+            let delay;
+            if (status === 429) {
+                // Exponential backoff (initialDelay, x2, x4...), or longer when the API says so
+                const retryAfter = parseRetryAfter(error.response.headers?.['retry-after'], this.now());
+                delay = Math.max(retryAfter ?? 0, initialDelay * Math.pow(2, attempt));
+                this.pause(delay);
+                console.log(`⏳ ${this.label} rate limited (429). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+            } else {
+                delay = initialDelay * Math.pow(1.5, attempt); // Slower backoff for server errors
+                console.log(`🔄 ${this.label} server error (${status}). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+            }
+            await this.sleep(delay);
+        }
+    }
+}
+
+const limiters = new Map();
+
+/**
+ * The process-wide limiter for an API in API_LIMITS ('buildium' or 'hubspot').
+ */
+function getRateLimiter(name) {
+    if (!limiters.has(name)) {
+        if (!API_LIMITS[name]) {
+            throw limiterError(`No rate limits configured for "${name}"`);
+        }
+        limiters.set(name, new RateLimiter({ name, ...API_LIMITS[name]() }));
+    }
+    return limiters.get(name);
+}
+
+/**
+ * Worker pool size: the explicit value, else SYNC_CONCURRENCY, else 4.
+ */
+function resolveConcurrency(value = null) {
+    const concurrency = Number(value ?? envNumber('SYNC_CONCURRENCY', DEFAULT_CONCURRENCY));
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw limiterError(`Invalid concurrency "${value ?? process.env.SYNC_CONCURRENCY}" (expected a positive integer)`);
+    }
+    return concurrency;
+}
+
+/**
+ * Run `worker(item, index)` over `items` with at most `concurrency` in flight and
+ * return the results in input order. `shouldStop()` is checked before each item
+ * starts, so a target ("N successful syncs") stops new work while in-flight items
+ * finish. A worker error stops new work and is rethrown once the pool drains.
+ */
+async function mapWithConcurrency(items, concurrency, worker, { shouldStop = null } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const run = async () => {
+        while (next < items.length && !failure && !(shouldStop && shouldStop())) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(resolveConcurrency(concurrency), items.length) }, run));
+    if (failure) {
+        throw failure;
+    }
+    return results;
+}
+
+module.exports = {
+    RateLimiter,
+    TokenBucket,
+    API_LIMITS,
+    getRateLimiter,
+    parseRetryAfter,
+    resolveConcurrency,
+    mapWithConcurrency
+};
@@ -0,0 +1,403 @@
+/**
+ * RECONCILIATION AUDIT MANAGER
+ * Answers "is HubSpot complete?": walks every Buildium unit, lease, tenant and owner
+ * and compares them with HubSpot listings, contacts, companies and tenant labels.
+ *
+ * Findings (one report row each):
+ *   missing     - a unit without a listing, a tenant without a contact (by
+ *                 buildium_tenant_id, then the tenant crosswalk), an owner without
+ *                 a company (by buildium_owner_id) or contact (by email)
+ *   orphan      - a listing whose buildium_unit_id is no longer a Buildium unit
+ *   mismatch    - a compared field (COMPARED_FIELDS) whose HubSpot value differs from
+ *                 what field_mappings.js makes of the Buildium record; like a safe
+ *                 update, fields Buildium has no data for are left alone
+ *   wrong_label - a tenant contact without the label its lease calls for on the
+ *                 unit's listing (Active, then Future, then Inactive when a tenant has
+ *                 several leases there), or still labelled Active/Future without one
+ *
+ * Every run writes audit-<timestamp>.json and .csv to SYNC_REPORTS_DIR (default
+ * <SYNC_STATE_DIR>/reports). With `fix`, each finding's corrective sync is queued
+ * (SyncJobQueue.enqueue) for the next units, batch or owners run; orphans are only
+ * reported, as are association owners, which the owner job cannot fetch.
+ */
+const fs = require('fs');
+const path = require('path');
+const { FieldMapper } = require('./FieldMapper.js');
+const { SyncJobQueue } = require('./SyncJobQueue.js');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog } = require('./SyncLogger.js');
+const { normalizeEmail, normalizePhone } = require('./IdentityResolver.js');
+
+const AUDIT_LOCK = 'reconciliation-audit';
+const PAGE_SIZE = 500;
+const LISTING_OBJECT = '0-420';
+// Lists, URLs and timestamps change on every sync, so only these are compared
+const COMPARED_FIELDS = {
+    unitListing: [
+        'hs_name', 'hs_address_1', 'hs_city', 'hs_state_province', 'hs_zip', 'buildium_property_id',
+        'buildium_unit_number', 'buildium_unit_type', 'hs_bedrooms', 'hs_bathrooms', 'buildium_market_rent'
+    ],
+    tenantContact: ['firstname', 'lastname', 'email', 'phone'],
+    ownerContact: ['firstname', 'lastname', 'email', 'phone'],
+    ownerCompany: ['name', 'phone']
+};
+// Lease status -> contact-listing label (see TenantLifecycleManager.ASSOCIATION_TYPES)
+const LEASE_LABELS = { Active: 2, Future: 11, Past: 6, Expired: 6, Terminated: 6 };
+const LABEL_NAMES = { 2: 'active', 11: 'future', 6: 'inactive' };
+const LABEL_PRIORITY = [2, 11, 6];
+// Buildium record type of a finding -> the sync job that corrects it
+const FIX_JOBS = { unit: 'unit', tenant: 'tenant', owner: 'owner', lease: 'lifecycle-lease' };
+const REPORT_COLUMNS = ['kind', 'buildiumType', 'buildiumId', 'hubspotType', 'hubspotId', 'field', 'expected', 'actual', 'detail', 'fixJob'];
+
+function finding(kind, buildiumType, buildiumId, hubspotType, hubspotId, extra = {}) {
+    return {
+        kind,
+        buildiumType,
+        buildiumId: String(buildiumId),
+        hubspotType,
+        hubspotId: hubspotId ? String(hubspotId) : null,
+        field: null,
+        expected: null,
+        actual: null,
+        detail: null,
+        fixJob: kind === 'orphan' ? null : `${FIX_JOBS[buildiumType]}:${buildiumId}`,
+        ...extra
+    };
+}
+
+/**
+ * Value as HubSpot would store it: emails lowercased, phones as digits, numbers
+ * without formatting ("2.0" and 2 are equal)
+ */
+function comparable(field, value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (field === 'email') {
+        return normalizeEmail(text) || '';
+    }
+    if (field === 'phone') {
+        return normalizePhone(text) || text;
+    }
+    return text !== '' && Number.isFinite(Number(text)) ? String(Number(text)) : text;
+}
+
+/**
+ * Compared fields of `record` that differ from the safe-update mapping of `source`,
+ * as { field, expected, actual }
+ */
+function compareFields(fieldMapper, objectType, source, record) {
+    const { properties } = fieldMapper.map(objectType, source, { safeUpdate: true });
+    return COMPARED_FIELDS[objectType]
+        .filter(field => Object.prototype.hasOwnProperty.call(properties, field))
+        .filter(field => comparable(field, properties[field]) !== comparable(field, record.properties?.[field]))
+        .map(field => ({ field, expected: String(properties[field]), actual: record.properties?.[field] ?? null }));
+}
+
+/**
+ * The label each tenant contact should carry on each listing, from the leases:
+ * { contactId, listingId, tenantId, leaseId, label, allowed }, where `label` comes
+ * from the strongest lease (`leaseId`) and `allowed` holds every lease's label
+ */
+function expectedLabels(leases, contactsByTenant, listingsByUnit) {
+    const pairs = new Map();
+    leases.forEach(lease => {
+        const label = LEASE_LABELS[lease.LeaseStatus];
+        const listing = listingsByUnit.get(String(lease.UnitId));
+        if (!label || !listing) {
+            return;
+        }
+        (lease.Tenants || []).forEach(reference => {
+            const contact = contactsByTenant.get(String(reference.Id));
+            if (!contact) {
+                return;
+            }
+            const key = `${contact.id}:${listing.id}`;
+            const pair = pairs.get(key) || {
+                contactId: String(contact.id),
+                listingId: String(listing.id),
+                tenantId: String(reference.Id),
+                leaseId: null,
+                label: null,
+                allowed: new Set()
+            };
+            pair.allowed.add(label);
+            if (pair.label === null || LABEL_PRIORITY.indexOf(label) < LABEL_PRIORITY.indexOf(pair.label)) {
+                pair.label = label;
+                pair.leaseId = String(lease.Id);
+            }
+            pairs.set(key, pair);
+        });
+    });
+    return Array.from(pairs.values());
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(findings) {
+    return [REPORT_COLUMNS, ...findings.map(entry => REPORT_COLUMNS.map(column => entry[column]))]
+        .map(row => row.map(csvCell).join(','))
+        .join('\n') + '\n';
+}
+
+function firstBy(records, keyOf) {
+    const byKey = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (key && !byKey.has(key)) {
+            byKey.set(key, record);
+        }
+    });
+    return byKey;
+}
+
+class ReconciliationAuditManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+        this.jobQueue = options.jobQueue || new SyncJobQueue({ stateStore: this.stateStore });
+    }
+
+    /**
+     * Audit the portfolio (or `propertyIds`) and write the reports. `outputDir`
+     * overrides the reports directory; `false` skips writing them. Resolves to
+     * { stats, findings, reports } with reports as { json, csv } paths.
+     */
+    async run({ fix = false, propertyIds = null, outputDir = null } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('audit');
+        const stats = {
+            units: 0, leases: 0, tenants: 0, owners: 0, listings: 0, contacts: 0, companies: 0,
+            missing: 0, orphans: 0, mismatches: 0, wrongLabels: 0, queued: 0, errors: 0
+        };
+
+        let lockOwner = null;
+        try {
+            if (fix) {
+                lockOwner = await this.stateStore.acquireLock(AUDIT_LOCK);
+            }
+            log('start', { fix, propertyIds });
+
+            const buildium = await this.loadBuildium(propertyIds);
+            const hubspot = await this.loadHubSpot(propertyIds);
+            Object.assign(stats, {
+                units: buildium.units.length,
+                leases: buildium.leases.length,
+                tenants: buildium.tenants.length,
+                owners: buildium.owners.length,
+                listings: hubspot.listings.length,
+                contacts: hubspot.contacts.length,
+                companies: hubspot.companies.length
+            });
+
+            const findings = [];
+            const listingsByUnit = this.auditUnits(buildium, hubspot.listings, findings);
+            const contactsByTenant = await this.auditTenants(buildium.tenants, hubspot.contacts, findings);
+            this.auditOwners(buildium.owners, hubspot, findings);
+            stats.errors += await this.auditLabels(buildium.leases, contactsByTenant, listingsByUnit, findings);
+
+            stats.missing = findings.filter(entry => entry.kind === 'missing').length;
+            stats.orphans = findings.filter(entry => entry.kind === 'orphan').length;
+            stats.mismatches = findings.filter(entry => entry.kind === 'mismatch').length;
+            stats.wrongLabels = findings.filter(entry => entry.kind === 'wrong_label').length;
+
+            if (fix) {
+                stats.queued = await this.queueFixes(findings);
+            }
+
+            const reports = outputDir === false
+                ? null
+                : await this.writeReports(findings, stats, outputDir, new Date(startTime).toISOString());
+
+            log('complete', { ...stats, reports, durationMs: Date.now() - startTime });
+            return { stats, findings, reports };
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(AUDIT_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async loadBuildium(propertyIds) {
+        const units = await this.fetchPages((limit, offset) => this.buildiumClient.getAllUnits(limit, offset, propertyIds));
+        const tenants = await this.fetchPages((limit, offset) => this.buildiumClient.getAllTenants(limit, offset, propertyIds));
+        const leases = await this.buildiumClient.getAllLeases(null, { propertyIds });
+        const owners = await this.buildiumClient.getAllOwners({ propertyIds });
+        const properties = await this.buildiumClient.getRentalProperties({ propertyIds });
+        return {
+            units,
+            tenants,
+            leases,
+            owners,
+            properties: new Map(properties.map(property => [String(property.Id), property]))
+        };
+    }
+
+    async fetchPages(fetchPage) {
+        const records = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const page = await fetchPage(PAGE_SIZE, offset);
+            records.push(...page);
+            if (page.length < PAGE_SIZE) {
+                return records;
+            }
+        }
+    }
+
+    /**
+     * Listings, contacts and companies. Listings without a buildium_unit_id were not
+     * made by the sync, and on a scoped audit only the scope's listings count.
+     */
+    async loadHubSpot(propertyIds) {
+        const scope = propertyIds ? new Set(propertyIds.map(String)) : null;
+        const listings = (await this.hubspotClient.getAllObjects(LISTING_OBJECT, ['buildium_unit_id', ...COMPARED_FIELDS.unitListing]))
+            .filter(listing => listing.properties?.buildium_unit_id
+                && (!scope || scope.has(String(listing.properties.buildium_property_id))));
+        const contactProperties = new Set(['buildium_tenant_id', ...COMPARED_FIELDS.tenantContact, ...COMPARED_FIELDS.ownerContact]);
+        const contacts = await this.hubspotClient.getAllContacts(Array.from(contactProperties));
+        const companies = (await this.hubspotClient.getAllObjects('companies', ['buildium_owner_id', ...COMPARED_FIELDS.ownerCompany]))
+            .filter(company => company.properties?.buildium_owner_id);
+        return { listings, contacts, companies };
+    }
+
+    /**
+     * Missing listings, field mismatches and orphans. Returns the listing of each unit.
+     */
+    auditUnits({ units, properties }, listings, findings) {
+        const listingsByUnit = firstBy(listings, listing => String(listing.properties.buildium_unit_id));
+        units.forEach(unit => {
+            const listing = listingsByUnit.get(String(unit.Id));
+            if (!listing) {
+                findings.push(finding('missing', 'unit', unit.Id, 'listing', null, { detail: `Unit ${unit.UnitNumber || unit.Id} (property ${unit.PropertyId})` }));
+                return;
+            }
+            const property = properties.get(String(unit.PropertyId)) || null;
+            compareFields(this.fieldMapper, 'unitListing', { unit, property }, listing)
+                .forEach(difference => findings.push(finding('mismatch', 'unit', unit.Id, 'listing', listing.id, difference)));
+        });
+
+        const unitIds = new Set(units.map(unit => String(unit.Id)));
+        listings
+            .filter(listing => !unitIds.has(String(listing.properties.buildium_unit_id)))
+            .forEach(listing => findings.push(finding('orphan', 'unit', listing.properties.buildium_unit_id, 'listing', listing.id, {
+                detail: listing.properties.hs_name || null
+            })));
+        return listingsByUnit;
+    }
+
+    /**
+     * Missing tenant contacts and field mismatches. Returns the contact of each tenant.
+     */
+    async auditTenants(tenants, contacts, findings) {
+        const contactsById = new Map(contacts.map(contact => [String(contact.id), contact]));
+        const stamped = firstBy(contacts, contact => (contact.properties?.buildium_tenant_id ? String(contact.properties.buildium_tenant_id) : null));
+        const crosswalk = await this.stateStore.getAll(STATE_NAMESPACES.TENANT_CROSSWALK);
+
+        const contactsByTenant = new Map();
+        tenants.forEach(tenant => {
+            const tenantId = String(tenant.Id);
+            const contact = stamped.get(tenantId) || contactsById.get(String(crosswalk[tenantId]?.contactId));
+            if (!contact) {
+                findings.push(finding('missing', 'tenant', tenantId, 'contact', null, {
+                    detail: [tenant.FirstName, tenant.LastName].filter(Boolean).join(' ') || null
+                }));
+                return;
+            }
+            contactsByTenant.set(tenantId, contact);
+            compareFields(this.fieldMapper, 'tenantContact', tenant, contact)
+                .forEach(difference => findings.push(finding('mismatch', 'tenant', tenantId, 'contact', contact.id, difference)));
+        });
+        return contactsByTenant;
+    }
+
+    /**
+     * Owners are found the way the owner sync finds them: companies by
+     * buildium_owner_id, individuals by email (so owners without one are skipped)
+     */
+    auditOwners(owners, { contacts, companies }, findings) {
+        const companiesByOwner = firstBy(companies, company => String(company.properties.buildium_owner_id));
+        const contactsByEmail = firstBy(contacts, contact => normalizeEmail(contact.properties?.email));
+
+        owners.forEach(owner => {
+            const isCompany = owner._isCompany || owner.IsCompany || false;
+            const email = normalizeEmail(owner.Email);
+            if (!isCompany && !email) {
+                return;
+            }
+            const hubspotType = isCompany ? 'company' : 'contact';
+            const record = isCompany ? companiesByOwner.get(String(owner.Id)) : contactsByEmail.get(email);
+            const extra = owner._ownerType === 'association' ? { fixJob: null } : {};
+            if (!record) {
+                const name = owner.CompanyName || [owner.FirstName, owner.LastName].filter(Boolean).join(' ');
+                findings.push(finding('missing', 'owner', owner.Id, hubspotType, null, { ...extra, detail: name || null }));
+                return;
+            }
+            compareFields(this.fieldMapper, isCompany ? 'ownerCompany' : 'ownerContact', owner, record)
+                .forEach(difference => findings.push(finding('mismatch', 'owner', owner.Id, hubspotType, record.id, { ...difference, ...extra })));
+        });
+    }
+
+    /**
+     * Wrong lifecycle labels. Resolves to the number of contacts whose associations
+     * could not be read (those are not judged).
+     */
+    async auditLabels(leases, contactsByTenant, listingsByUnit, findings) {
+        const pairs = expectedLabels(leases, contactsByTenant, listingsByUnit);
+        if (pairs.length === 0) {
+            return 0;
+        }
+
+        const { associations, errors } = await this.hubspotClient.batchReadContactListingAssociations(pairs.map(pair => pair.contactId));
+        pairs.forEach(pair => {
+            const entries = associations.get(pair.contactId);
+            if (!entries) {
+                return;
+            }
+            const labels = Array.from(new Set(entries
+                .filter(entry => entry.listingId === pair.listingId)
+                .flatMap(entry => entry.associationTypeIds)
+                .filter(typeId => LABEL_NAMES[typeId])));
+            const stale = labels.filter(typeId => typeId !== LEASE_LABELS.Past && !pair.allowed.has(typeId));
+            if (labels.includes(pair.label) && stale.length === 0) {
+                return;
+            }
+            findings.push(finding('wrong_label', 'lease', pair.leaseId, 'contact', pair.contactId, {
+                field: 'label',
+                expected: LABEL_NAMES[pair.label],
+                actual: labels.map(typeId => LABEL_NAMES[typeId]).join(';') || null,
+                detail: `Tenant ${pair.tenantId} on listing ${pair.listingId}`
+            }));
+        });
+        return errors.length;
+    }
+
+    /**
+     * Queue one corrective sync per job key. Resolves to the number queued.
+     */
+    async queueFixes(findings) {
+        const jobs = firstBy(findings, entry => entry.fixJob);
+        for (const entry of jobs.values()) {
+            const reason = `audit: ${entry.kind}${entry.field ? ` ${entry.field}` : ''}`;
+            await this.jobQueue.enqueue(FIX_JOBS[entry.buildiumType], entry.buildiumId, null, reason);
+        }
+        return jobs.size;
+    }
+
+    async writeReports(findings, stats, outputDir, startedAt) {
+        const directory = outputDir || process.env.SYNC_REPORTS_DIR
+            || path.join(process.env.SYNC_STATE_DIR || __dirname, 'reports');
+        await fs.promises.mkdir(directory, { recursive: true });
+        const basePath = path.join(directory, `audit-${startedAt.replace(/[:.]/g, '-')}`);
+        await fs.promises.writeFile(`${basePath}.json`, JSON.stringify({ startedAt, stats, findings }, null, 2));
+        await fs.promises.writeFile(`${basePath}.csv`, toCsv(findings));
+        return { json: `${basePath}.json`, csv: `${basePath}.csv` };
+    }
+}
+
+module.exports = { ReconciliationAuditManager, compareFields, expectedLabels, toCsv, COMPARED_FIELDS };
@@ -0,0 +1,344 @@
+/**
+ * RENEWAL SYNC MANAGER
+ * Follows up on leases that are about to end with deals in a HubSpot "Lease Renewal"
+ * pipeline.
+ *
+ * A deal is opened once a lease is inside the largest notice window (default
+ * 120/90/60/30 days), moves forward a stage as each window is reached (or to
+ * "Renewal Offered" while Buildium has a renewal in progress), and closes as
+ * "Renewed" once Buildium records a renewal, a later end date or a new lease on the
+ * unit for the same tenants, or as "Moved Out" once it records a move-out. Deals are
+ * associated with the lease's tenant contacts and the unit listing.
+ *
+ * Month-to-month leases are not followed: at-will leases have no end date, and a
+ * lease that rolls over to month-to-month drops out of the end-date query, so its
+ * open deal stays at the last window until a renewal or move-out is recorded.
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { PipelineManager } = require('./PipelineManager.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+const { renewalPipeline } = require('./hubspot_schema.js');
+const { findTenantContacts, findUnitListings } = require('./HubSpotLookup.js');
+
+const RENEWAL_SYNC_LOCK = 'renewal-sync';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOWS = [120, 90, 60, 30];
+const LEASE_ID_CHUNK = 100;
+const DEAL_PROPERTIES = ['buildium_renewal_id', 'buildium_lease_id', 'buildium_lease_end_date', 'dealstage'];
+
+function toDay(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function dateOnly(value) {
+    const day = toDay(value);
+    return day === null ? null : new Date(day).toISOString().split('T')[0];
+}
+
+function resolveWindows(windows) {
+    const parsed = (windows || []).map(days => parseInt(days, 10));
+    if (parsed.length === 0 || parsed.some(days => Number.isNaN(days) || days <= 0)) {
+        throw new Error(`Invalid renewal windows "${(windows || []).join(',')}" (expected positive day counts, e.g. 120,90,60,30)`);
+    }
+    return Array.from(new Set(parsed)).sort((a, b) => b - a);
+}
+
+/**
+ * Smallest notice window the lease is inside, or null when it ends later than all of
+ * them. Leases already past their end date sit in the smallest window.
+ */
+function renewalWindow(daysRemaining, windows) {
+    return [...windows].sort((a, b) => a - b).find(days => daysRemaining <= days) ?? null;
+}
+
+function isMovedOut(lease) {
+    return lease.LeaseStatus === 'Past' || (lease.MoveOutData || []).some(moveOut => moveOut.MoveOutDate);
+}
+
+/**
+ * Another lease on the same unit, for at least one of the lease's tenants, that runs
+ * past the tracked term: the tenants signed a new lease instead of renewing this one.
+ */
+function findSuccessorLease(lease, unitLeases, trackedEnd) {
+    const tenantIds = new Set((lease.Tenants || []).map(tenant => String(tenant.Id)));
+    return unitLeases.find(candidate => String(candidate.Id) !== String(lease.Id)
+        && String(candidate.UnitId) === String(lease.UnitId)
+        && (candidate.Tenants || []).some(tenant => tenantIds.has(String(tenant.Id)))
+        && (!candidate.LeaseToDate || toDay(candidate.LeaseToDate) > trackedEnd)) || null;
+}
+
+/**
+ * 'won' when Buildium has a renewal (or a later end date) past the tracked term,
+ * 'lost' when it has recorded a move-out and the tenants have no successor lease
+ * among `unitLeases`, otherwise null.
+ */
+function renewalOutcome(lease, renewals, endDate, unitLeases = []) {
+    const trackedEnd = toDay(endDate);
+    const renewed = toDay(lease.LeaseToDate) > trackedEnd
+        || renewals.some(renewal => toDay(renewal.LeaseToDate || renewal.EndDate) > trackedEnd);
+    if (renewed) {
+        return 'won';
+    }
+    if (!isMovedOut(lease)) {
+        return null;
+    }
+    return findSuccessorLease(lease, unitLeases, trackedEnd) ? 'won' : 'lost';
+}
+
+const OUTCOME_LABELS = { won: 'Renewed', lost: 'Moved Out' };
+
+class RenewalSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+        const envWindows = process.env.RENEWAL_WINDOWS ? process.env.RENEWAL_WINDOWS.split(',') : null;
+        this.windows = resolveWindows(options.windows || envWindows || DEFAULT_WINDOWS);
+    }
+
+    async run({ dryRun = false, limit = null, propertyIds = null, now = new Date() } = {}) {
+        const log = scopedLog('renewals');
+        const stats = { leases: 0, created: 0, advanced: 0, won: 0, lost: 0, unchanged: 0, associations: 0, errors: 0 };
+        const spec = renewalPipeline(this.windows);
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(RENEWAL_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('deals');
+            }
+            const pipeline = await new PipelineManager(this.hubspotClient).ensure(spec, { dryRun, log });
+            const stageOrder = spec.stages.map(stage => stage.key);
+            log('start', { dryRun, windows: this.windows, limit, propertyIds });
+
+            // Only leases with an end date still ahead; month-to-month leases are not followed
+            const ending = await this.buildiumClient.getLeasesEndingBetween(now, new Date(now.getTime() + this.windows[0] * DAY_MS), { propertyIds, limit });
+            const leasesById = new Map(ending.map(lease => [String(lease.Id), lease]));
+
+            // Open deals whose lease left the window (renewed, moved out) still need closing
+            const openDeals = await this.findOpenDeals(pipeline, stageOrder, propertyIds);
+            const dealsByLease = new Map(openDeals.map(deal => [String(deal.properties.buildium_lease_id), deal]));
+            for (const leaseId of dealsByLease.keys()) {
+                if (leasesById.has(leaseId)) {
+                    continue;
+                }
+                try {
+                    leasesById.set(leaseId, await this.buildiumClient.getLeaseById(leaseId));
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('lease', leaseId, 'failed', error.message);
+                }
+            }
+            stats.leases = leasesById.size;
+
+            const leaseIds = Array.from(leasesById.keys());
+            const history = await this.fetchRenewalHistory(leaseIds);
+            const pending = await this.fetchPendingRenewals(leaseIds, stats);
+            const movedOut = Array.from(leasesById.values()).filter(lease => dealsByLease.has(String(lease.Id)) && isMovedOut(lease));
+            const unitLeases = await this.fetchUnitLeases(movedOut, stats);
+
+            const plans = [];
+            for (const lease of leasesById.values()) {
+                // Without its renewals the lease could be put back at a window stage
+                if (!pending.has(String(lease.Id))) {
+                    continue;
+                }
+                // Without the unit's other leases a re-signed tenant would be marked lost
+                if (movedOut.includes(lease) && !unitLeases) {
+                    continue;
+                }
+                const plan = this.planDeal(lease, dealsByLease.get(String(lease.Id)), {
+                    history: history.get(String(lease.Id)) || [],
+                    pending: pending.get(String(lease.Id)) || [],
+                    unitLeases: unitLeases || [],
+                    pipeline,
+                    stageOrder,
+                    now
+                });
+                if (plan) {
+                    plans.push(plan);
+                } else {
+                    stats.unchanged += 1;
+                    recordOutcome('lease', lease.Id, 'skipped', 'renewal stage unchanged');
+                }
+            }
+
+            const [contacts, listings] = await Promise.all([
+                findTenantContacts(this, plans.flatMap(plan => (plan.lease.Tenants || []).map(tenant => tenant.Id)), { log }),
+                findUnitListings(this.hubspotClient, plans.map(plan => plan.lease.UnitId))
+            ]);
+
+            for (const plan of plans) {
+                try {
+                    await this.writeDeal(plan, { contacts, listings, dryRun, stats, log });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('lease', plan.lease.Id, 'failed', error.response?.data?.message || error.message);
+                }
+            }
+
+            log('complete', stats);
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(RENEWAL_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async findOpenDeals(pipeline, stageOrder, propertyIds) {
+        const openStageIds = stageOrder
+            .filter(key => !OUTCOME_LABELS[key])
+            .map(key => pipeline.stageIds[key])
+            .filter(Boolean);
+        if (!pipeline.id || openStageIds.length === 0) {
+            return [];
+        }
+        const filters = [
+            { propertyName: 'pipeline', operator: 'EQ', value: pipeline.id },
+            { propertyName: 'dealstage', operator: 'IN', values: openStageIds }
+        ];
+        if (propertyIds && propertyIds.length > 0) {
+            filters.push({ propertyName: 'buildium_property_id', operator: 'IN', values: propertyIds.map(String) });
+        }
+        return this.hubspotClient.searchObjects('deals', filters, DEAL_PROPERTIES);
+    }
+
+    /**
+     * Executed renewals grouped by lease ID, requested 100 leases at a time.
+     */
+    async fetchRenewalHistory(leaseIds) {
+        const grouped = new Map();
+        for (let index = 0; index < leaseIds.length; index += LEASE_ID_CHUNK) {
+            const records = await this.buildiumClient.getLeaseRenewalHistory({ leaseIds: leaseIds.slice(index, index + LEASE_ID_CHUNK) });
+            records.forEach(record => {
+                const leaseId = String(record.LeaseId);
+                grouped.set(leaseId, [...(grouped.get(leaseId) || []), record]);
+            });
+        }
+        return grouped;
+    }
+
+    /**
+     * Renewals in progress per lease ID, one /leases/{id}/renewals call each: the
+     * account-wide /leases/renewals list does not say which lease a renewal is for.
+     * Leases whose renewals could not be read are left out.
+     */
+    async fetchPendingRenewals(leaseIds, stats) {
+        const pending = new Map();
+        for (const leaseId of leaseIds) {
+            try {
+                pending.set(leaseId, await this.buildiumClient.getLeaseRenewals(leaseId));
+            } catch (error) {
+                stats.errors += 1;
+                recordOutcome('lease', leaseId, 'failed', error.message);
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Every lease on the units of moved-out leases, to look for a lease the same
+     * tenants signed next. Null when they could not be read.
+     */
+    async fetchUnitLeases(leases, stats) {
+        if (leases.length === 0) {
+            return [];
+        }
+        try {
+            return await this.buildiumClient.getLeasesByUnitIds(leases.map(lease => ({ unitId: lease.UnitId, propertyId: lease.PropertyId })));
+        } catch (error) {
+            stats.errors += leases.length;
+            leases.forEach(lease => recordOutcome('lease', lease.Id, 'failed', error.message));
+            return null;
+        }
+    }
+
+    /**
+     * What should happen to a lease's deal, or null when nothing changes. Deals only
+     * ever move forward through the pipeline.
+     */
+    planDeal(lease, deal, { history, pending, unitLeases = [], pipeline, stageOrder, now }) {
+        const endDate = deal?.properties?.buildium_lease_end_date
+            ? dateOnly(deal.properties.buildium_lease_end_date)
+            : dateOnly(lease.LeaseToDate);
+        if (!endDate) {
+            return null;
+        }
+
+        const outcome = renewalOutcome(lease, history, endDate, unitLeases);
+        let stageKey;
+        let window = null;
+        if (outcome) {
+            // Nothing to close when the lease never had a deal
+            if (!deal) {
+                return null;
+            }
+            stageKey = outcome;
+        } else {
+            window = renewalWindow(Math.round((toDay(endDate) - toDay(now)) / DAY_MS), this.windows);
+            if (window === null) {
+                return null;
+            }
+            stageKey = pending.length > 0 ? 'offered' : `window:${window}`;
+        }
+
+        if (deal) {
+            const currentKey = stageOrder.find(key => pipeline.stageIds[key] && pipeline.stageIds[key] === deal.properties.dealstage);
+            if (currentKey && stageOrder.indexOf(currentKey) >= stageOrder.indexOf(stageKey)) {
+                return null;
+            }
+        }
+
+        return {
+            lease,
+            deal: deal || null,
+            stageKey,
+            root: {
+                lease,
+                renewalId: `${lease.Id}:${endDate}`,
+                endDate,
+                pipelineId: pipeline.id,
+                stageId: pipeline.stageIds[stageKey],
+                window,
+                outcome: outcome ? OUTCOME_LABELS[outcome] : null,
+                closeDate: outcome ? now.toISOString() : endDate
+            }
+        };
+    }
+
+    async writeDeal(plan, { contacts, listings, dryRun, stats, log }) {
+        const { properties } = this.fieldMapper.map('leaseRenewalDeal', plan.root, { safeUpdate: Boolean(plan.deal) });
+        const counter = plan.root.outcome ? plan.stageKey : (plan.deal ? 'advanced' : 'created');
+        const contactIds = (plan.lease.Tenants || [])
+            .map(tenant => contacts.get(String(tenant.Id))?.id)
+            .filter(Boolean);
+        const listing = plan.lease.UnitId ? listings.get(String(plan.lease.UnitId)) : null;
+
+        if (dryRun) {
+            log(`would-${plan.deal ? 'update' : 'create'}`, { leaseId: plan.lease.Id, dealId: plan.deal?.id || null, stage: plan.stageKey, contactIds, listingId: listing?.id || null, properties });
+            return;
+        }
+
+        const saved = plan.deal
+            ? await this.hubspotClient.updateDeal(plan.deal.id, { properties })
+            : await this.hubspotClient.createDeal({ properties });
+        stats[counter] += 1;
+        const dealId = saved?.id || plan.deal?.id;
+        recordOutcome('lease', plan.lease.Id, plan.deal ? 'updated' : 'created', null, { dealId, stage: plan.stageKey });
+
+        for (const contactId of contactIds) {
+            await this.hubspotClient.createDefaultAssociation('deals', dealId, 'contacts', contactId);
+            stats.associations += 1;
+        }
+        if (listing) {
+            await this.hubspotClient.createDefaultAssociation('deals', dealId, '0-420', listing.id);
+            stats.associations += 1;
+        }
+    }
+}
+
+module.exports = { RenewalSyncManager, renewalWindow, renewalOutcome, resolveWindows };
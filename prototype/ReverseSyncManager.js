@@ -0,0 +1,347 @@
+/**
+ * REVERSE SYNC MANAGER
+ * Pushes allowlisted HubSpot contact edits back to the Buildium tenant.
+ *
+ * Only contacts carrying `buildium_tenant_id` and modified since the last run are
+ * read. Buildium tenants carry no last-modified time, so each tenant's values are
+ * snapshotted whenever a run reads them: a field that changed in Buildium since that
+ * snapshot is a conflict and Buildium keeps it; otherwise the HubSpot edit is written.
+ * Changes written by an integration (including this one's forward sync) are never
+ * echoed back. Every decision is appended to a JSONL audit log.
+ */
+const fs = require('fs');
+const path = require('path');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+
+const REVERSE_SYNC_LOCK = 'reverse-sync';
+const DEFAULT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FIELDS = ['firstname', 'lastname', 'email', 'phone'];
+// HubSpot history sources that mean "written by an API client", not by a person
+const INTEGRATION_SOURCES = new Set(['INTEGRATION', 'API']);
+
+// Buildium returns phone numbers as a typed list but takes them back as an object
+const PHONE_TYPE_TO_PUT_KEY = {
+    Home: 'Home',
+    Office: 'Work',
+    Work: 'Work',
+    Cell: 'Mobile',
+    Mobile: 'Mobile',
+    Fax: 'Fax'
+};
+
+function normalizeText(value) {
+    return value == null ? '' : String(value).trim();
+}
+
+function normalizeEmail(value) {
+    return normalizeText(value).toLowerCase();
+}
+
+function normalizePhone(value) {
+    return normalizeText(value).replace(/\D/g, '');
+}
+
+function addressField(field) {
+    return {
+        buildiumField: `Address.${field}`,
+        read: tenant => tenant.Address?.[field],
+        write: (message, value) => {
+            message.Address = { ...(message.Address || {}), [field]: value };
+        },
+        normalize: normalizeText
+    };
+}
+
+/**
+ * HubSpot contact property -> Buildium tenant field. Only these can be written back.
+ */
+const REVERSE_FIELDS = {
+    firstname: {
+        buildiumField: 'FirstName',
+        read: tenant => tenant.FirstName,
+        write: (message, value) => { message.FirstName = value; },
+        normalize: normalizeText
+    },
+    lastname: {
+        buildiumField: 'LastName',
+        read: tenant => tenant.LastName,
+        write: (message, value) => { message.LastName = value; },
+        normalize: normalizeText
+    },
+    email: {
+        buildiumField: 'Email',
+        read: tenant => tenant.Email,
+        write: (message, value) => { message.Email = value; },
+        normalize: normalizeEmail
+    },
+    phone: {
+        buildiumField: 'PhoneNumbers',
+        read: tenant => tenant.PhoneNumbers?.[0]?.Number,
+        write: (message, value, tenant) => {
+            const key = PHONE_TYPE_TO_PUT_KEY[tenant.PhoneNumbers?.[0]?.Type] || 'Mobile';
+            message.PhoneNumbers = { ...(message.PhoneNumbers || {}), [key]: value };
+        },
+        normalize: normalizePhone,
+        validate: value => {
+            const length = normalizeText(value).length;
+            return length >= 10 && length <= 20 ? null : 'Buildium phone numbers must be 10-20 characters';
+        }
+    },
+    city: addressField('City'),
+    state: addressField('State'),
+    zip: addressField('PostalCode')
+};
+
+function pick(source, keys) {
+    if (!source) {
+        return null;
+    }
+    return keys.reduce((result, key) => {
+        result[key] = source[key] ?? null;
+        return result;
+    }, {});
+}
+
+/**
+ * Convert a tenant from GET /leases/tenants/{id} into a complete PUT body.
+ */
+function buildTenantPutMessage(tenant) {
+    const phoneNumbers = {};
+    (tenant.PhoneNumbers || []).forEach(phone => {
+        const key = PHONE_TYPE_TO_PUT_KEY[phone.Type] || 'Mobile';
+        if (!phoneNumbers[key] && phone.Number) {
+            phoneNumbers[key] = phone.Number;
+        }
+    });
+
+    const addressKeys = ['AddressLine1', 'AddressLine2', 'AddressLine3', 'City', 'State', 'PostalCode', 'Country'];
+    return {
+        FirstName: tenant.FirstName,
+        LastName: tenant.LastName,
+        Email: tenant.Email ?? null,
+        AlternateEmail: tenant.AlternateEmail ?? null,
+        PhoneNumbers: phoneNumbers,
+        DateOfBirth: tenant.DateOfBirth ? String(tenant.DateOfBirth).split('T')[0] : null,
+        Comment: tenant.Comment ?? null,
+        TaxId: tenant.TaxId ?? null,
+        EmergencyContact: pick(tenant.EmergencyContact, ['Name', 'RelationshipDescription', 'Phone', 'Email']),
+        Address: pick(tenant.Address, addressKeys),
+        AlternateAddress: pick(tenant.AlternateAddress, addressKeys),
+        MailingPreference: tenant.MailingPreference ?? null
+    };
+}
+
+/**
+ * Normalized value of every reverse-syncable field, as stored in the tenant snapshot.
+ * All fields are kept so a later run with other --fields still has a baseline.
+ */
+function snapshotValues(tenant) {
+    return Object.entries(REVERSE_FIELDS).reduce((values, [field, definition]) => {
+        values[field] = definition.normalize(definition.read(tenant));
+        return values;
+    }, {});
+}
+
+function createFileAuditLog(filePath = process.env.REVERSE_SYNC_AUDIT_FILE || path.join(__dirname, 'reverse_sync_audit.jsonl')) {
+    return {
+        filePath,
+        record: async entry => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+        }
+    };
+}
+
+function resolveFields(fields) {
+    const requested = fields && fields.length > 0 ? fields : DEFAULT_FIELDS;
+    requested.forEach(field => {
+        if (!REVERSE_FIELDS[field]) {
+            throw new Error(`Field "${field}" cannot be synced back to Buildium (supported: ${Object.keys(REVERSE_FIELDS).join(', ')})`);
+        }
+    });
+    return requested;
+}
+
+class ReverseSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.stateStore = options.stateStore || createStateStore();
+        this.auditLog = options.auditLog || createFileAuditLog();
+        const envFields = process.env.REVERSE_SYNC_FIELDS
+            ? process.env.REVERSE_SYNC_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+            : null;
+        this.fields = resolveFields(options.fields || envFields);
+    }
+
+    /**
+     * Push HubSpot edits made since `since` (default: last successful run, or 24h).
+     */
+    async run({ since = null, dryRun = false, limit = null } = {}) {
+        const runStartedAt = new Date();
+        const runId = `reverse-sync-${runStartedAt.toISOString().replace(/[:.]/g, '-')}`;
+        const stats = { contactsChecked: 0, tenantsUpdated: 0, fieldsWritten: 0, conflicts: 0, skipped: 0, errors: 0 };
+        const log = scopedLog('reverse-sync');
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(REVERSE_SYNC_LOCK);
+            }
+
+            const lastRun = await this.stateStore.get(STATE_NAMESPACES.REVERSE_CONTACT_SYNC, 'lastRun');
+            const sinceDate = since ? new Date(since) : (lastRun ? new Date(lastRun) : new Date(runStartedAt.getTime() - DEFAULT_LOOKBACK_MS));
+            if (Number.isNaN(sinceDate.getTime())) {
+                throw new Error(`Invalid --since value "${since}"`);
+            }
+            log('start', { runId, since: sinceDate.toISOString(), fields: this.fields, dryRun, limit });
+
+            const contacts = await this.hubspotClient.searchContactsModifiedSince(sinceDate, this.fields, { limit });
+            stats.contactsChecked = contacts.length;
+            log('contacts.found', { contacts: contacts.length });
+
+            const histories = new Map();
+            if (contacts.length > 0) {
+                const withHistory = await this.hubspotClient.getContactsWithHistory(contacts.map(contact => contact.id), this.fields);
+                withHistory.forEach(contact => histories.set(String(contact.id), contact.propertiesWithHistory || {}));
+            }
+
+            for (const contact of contacts) {
+                try {
+                    await this.syncContact(contact, histories.get(String(contact.id)) || {}, { runId, dryRun, stats });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('tenant', contact.properties?.buildium_tenant_id, 'failed', error.message, { contactId: contact.id });
+                }
+            }
+
+            // The next run starts from when this one started so edits made mid-run are not missed
+            if (!dryRun && stats.errors === 0) {
+                await this.stateStore.set(STATE_NAMESPACES.REVERSE_CONTACT_SYNC, 'lastRun', runStartedAt.toISOString());
+            }
+            log('complete', stats);
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(REVERSE_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    /**
+     * When a HubSpot property last changed and which kind of source changed it.
+     */
+    latestChange(contact, history, field) {
+        const entries = Array.isArray(history[field]) ? history[field] : [];
+        const latest = entries.reduce((newest, entry) => (
+            !newest || new Date(entry.timestamp) > new Date(newest.timestamp) ? entry : newest
+        ), null);
+        return {
+            changedAt: latest?.timestamp ? new Date(latest.timestamp) : new Date(contact.properties?.lastmodifieddate || contact.updatedAt || 0),
+            sourceType: latest?.sourceType || null
+        };
+    }
+
+    async saveSnapshot(tenantId, values) {
+        await this.stateStore.set(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, String(tenantId), { values, at: new Date().toISOString() });
+    }
+
+    async syncContact(contact, history, { runId, dryRun, stats }) {
+        const tenantId = contact.properties?.buildium_tenant_id;
+        const tenant = await this.buildiumClient.getTenant(tenantId);
+        // Buildium's values as of the last run that read this tenant
+        const snapshot = await this.stateStore.get(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, String(tenantId));
+        const observed = snapshotValues(tenant);
+        const message = buildTenantPutMessage(tenant);
+        const pending = [];
+
+        for (const field of this.fields) {
+            const definition = REVERSE_FIELDS[field];
+            const hubspotValue = contact.properties?.[field];
+            const buildiumValue = definition.read(tenant);
+            if (definition.normalize(hubspotValue) === observed[field]) {
+                continue;
+            }
+            const syncedValue = snapshot?.values?.[field];
+            const buildiumChanged = syncedValue !== undefined && syncedValue !== observed[field];
+
+            const { changedAt, sourceType } = this.latestChange(contact, history, field);
+            const entry = {
+                timestamp: new Date().toISOString(),
+                runId,
+                contactId: String(contact.id),
+                tenantId: String(tenantId),
+                field,
+                buildiumField: definition.buildiumField,
+                from: buildiumValue ?? null,
+                to: hubspotValue ?? null,
+                hubspotChangedAt: changedAt.toISOString(),
+                hubspotSource: sourceType,
+                buildiumSnapshotAt: snapshot?.at || null
+            };
+
+            let skipReason = null;
+            if (normalizeText(hubspotValue) === '') {
+                skipReason = 'skipped-empty';
+            } else if (sourceType && INTEGRATION_SOURCES.has(sourceType)) {
+                skipReason = 'skipped-integration-write';
+            } else if (buildiumChanged) {
+                skipReason = 'conflict-buildium-newer';
+            } else if (definition.validate && definition.validate(hubspotValue)) {
+                skipReason = 'invalid';
+                entry.message = definition.validate(hubspotValue);
+            }
+
+            if (skipReason) {
+                if (skipReason === 'conflict-buildium-newer') {
+                    stats.conflicts += 1;
+                } else {
+                    stats.skipped += 1;
+                }
+                await this.auditLog.record({ ...entry, outcome: skipReason });
+                recordOutcome('tenant', tenantId, 'skipped', skipReason, { contactId: String(contact.id), field });
+                continue;
+            }
+
+            definition.write(message, normalizeText(hubspotValue), tenant);
+            pending.push(entry);
+        }
+
+        if (dryRun) {
+            for (const entry of pending) {
+                await this.auditLog.record({ ...entry, outcome: 'dry-run' });
+            }
+            return;
+        }
+
+        if (pending.length === 0) {
+            await this.saveSnapshot(tenantId, observed);
+            return;
+        }
+
+        try {
+            await this.buildiumClient.updateTenant(tenantId, message);
+        } catch (error) {
+            const failure = error.response?.data?.UserMessage || error.message;
+            for (const entry of pending) {
+                await this.auditLog.record({ ...entry, outcome: 'failed', message: failure });
+            }
+            throw error;
+        }
+
+        pending.forEach(entry => {
+            observed[entry.field] = REVERSE_FIELDS[entry.field].normalize(entry.to);
+        });
+        await this.saveSnapshot(tenantId, observed);
+
+        stats.tenantsUpdated += 1;
+        stats.fieldsWritten += pending.length;
+        recordOutcome('tenant', tenantId, 'updated', null, { contactId: String(contact.id), fields: pending.map(entry => entry.field) });
+        for (const entry of pending) {
+            await this.auditLog.record({ ...entry, outcome: 'written' });
+        }
+    }
+}
+
+module.exports = { ReverseSyncManager, REVERSE_FIELDS, buildTenantPutMessage, createFileAuditLog };
@@ -0,0 +1,232 @@
+/**
+ * SCHEMA MANAGER
+ * Compares the custom properties declared in hubspot_schema.js with what the
+ * portal actually has, and creates or patches them in their declared group (the
+ * `buildium` group unless the property names one).
+ *
+ * plan()  -> actions apply() would take (create group, create, patch, blocked)
+ * diff()  -> field-level drift per property (type, fieldType, group, options)
+ * apply() -> runs the plan; type changes are blocked unless allowTypeChange is set,
+ *            because HubSpot rejects or silently coerces them on populated properties
+ */
+const schema = require('./hubspot_schema.js');
+
+const COMPARED_FIELDS = ['type', 'fieldType', 'groupName'];
+
+class SchemaManager {
+    constructor(hubspotClient, options = {}) {
+        this.hubspotClient = hubspotClient;
+        this.group = options.group || schema.BUILDIUM_GROUP;
+        this.objectTypes = options.objectTypes || schema.OBJECT_TYPES;
+        this.properties = options.properties || schema.PROPERTIES;
+    }
+
+    resolveObjectTypes(objectTypes = null) {
+        const requested = objectTypes && objectTypes.length > 0 ? objectTypes : Object.keys(this.properties);
+        requested.forEach(objectType => {
+            if (!this.objectTypes[objectType] || !this.properties[objectType]) {
+                throw new Error(`Unknown schema object type "${objectType}" (expected one of: ${Object.keys(this.properties).join(', ')})`);
+            }
+        });
+        return requested;
+    }
+
+    declaredProperty(property) {
+        return { ...property, groupName: property.groupName || this.group.name };
+    }
+
+    /**
+     * Field-level differences between a declared property and the portal's copy.
+     */
+    compareProperty(declared, actual) {
+        const changes = [];
+        COMPARED_FIELDS.forEach(field => {
+            if (declared[field] !== actual[field]) {
+                changes.push({ field, expected: declared[field], actual: actual[field] ?? null });
+            }
+        });
+
+        let extraOptions = [];
+        if (Array.isArray(declared.options)) {
+            const actualOptions = Array.isArray(actual.options) ? actual.options : [];
+            const actualByValue = new Map(actualOptions.map(option => [option.value, option]));
+            const missing = declared.options.filter(option => {
+                const existing = actualByValue.get(option.value);
+                return !existing || existing.label !== option.label;
+            });
+            if (missing.length > 0) {
+                changes.push({
+                    field: 'options',
+                    expected: declared.options.map(option => option.value),
+                    actual: actualOptions.map(option => option.value)
+                });
+            }
+            const declaredValues = new Set(declared.options.map(option => option.value));
+            extraOptions = actualOptions.filter(option => !declaredValues.has(option.value)).map(option => option.value);
+        }
+
+        return { changes, extraOptions };
+    }
+
+    /**
+     * Build the migration plan for the given object types (all by default).
+     */
+    async plan({ objectTypes = null } = {}) {
+        const plan = { objectTypes: {}, totals: { create: 0, patch: 0, blocked: 0, ok: 0 } };
+
+        for (const objectType of this.resolveObjectTypes(objectTypes)) {
+            const objectTypeId = this.objectTypes[objectType];
+            const [groups, portalProperties] = await Promise.all([
+                this.hubspotClient.getPropertyGroups(objectTypeId),
+                this.hubspotClient.getProperties(objectTypeId)
+            ]);
+            const portalByName = new Map(portalProperties.map(property => [property.name, property]));
+
+            const entry = {
+                objectTypeId,
+                // Only needed when something is declared in it
+                createGroup: this.properties[objectType].some(property => !property.groupName)
+                    && !groups.some(group => group.name === this.group.name),
+                create: [],
+                patch: [],
+                blocked: [],
+                ok: []
+            };
+
+            this.properties[objectType].forEach(property => {
+                const declared = this.declaredProperty(property);
+                const actual = portalByName.get(declared.name);
+                if (!actual) {
+                    entry.create.push({ name: declared.name, property: declared });
+                    return;
+                }
+
+                const { changes, extraOptions } = this.compareProperty(declared, actual);
+                const item = { name: declared.name, changes, extraOptions, property: declared };
+                if (changes.length === 0) {
+                    entry.ok.push(item);
+                } else if (actual.hubspotDefined || changes.some(change => change.field === 'type')) {
+                    item.reason = actual.hubspotDefined ? 'hubspot-defined' : 'type-change';
+                    entry.blocked.push(item);
+                } else {
+                    entry.patch.push(item);
+                }
+            });
+
+            plan.totals.create += entry.create.length;
+            plan.totals.patch += entry.patch.length;
+            plan.totals.blocked += entry.blocked.length;
+            plan.totals.ok += entry.ok.length;
+            plan.objectTypes[objectType] = entry;
+        }
+
+        plan.drift = plan.totals.create + plan.totals.patch + plan.totals.blocked;
+        return plan;
+    }
+
+    /**
+     * Field-level drift rows: one per differing field, plus missing properties.
+     */
+    async diff({ objectTypes = null } = {}) {
+        const plan = await this.plan({ objectTypes });
+        const rows = [];
+        Object.entries(plan.objectTypes).forEach(([objectType, entry]) => {
+            entry.create.forEach(item => {
+                rows.push({ objectType, name: item.name, field: 'property', expected: item.property.type, actual: null });
+            });
+            [...entry.patch, ...entry.blocked].forEach(item => {
+                item.changes.forEach(change => rows.push({ objectType, name: item.name, ...change }));
+            });
+        });
+        return { plan, rows };
+    }
+
+    /**
+     * Apply the plan. `createOnly` skips patches (used by the sync commands so a
+     * routine run never rewrites property definitions) and only reports drift.
+     */
+    async apply({ objectTypes = null, allowTypeChange = false, createOnly = false, dryRun = false, logger = null } = {}) {
+        const log = logger || console;
+        const plan = await this.plan({ objectTypes });
+        const result = { created: [], patched: [], skipped: [], failed: [], plan };
+
+        for (const [objectType, entry] of Object.entries(plan.objectTypes)) {
+            const { objectTypeId } = entry;
+
+            if (entry.createGroup && (entry.create.length > 0 || !createOnly)) {
+                if (dryRun) {
+                    log.log(`[schema] would create group ${this.group.name} on ${objectType}`);
+                } else {
+                    await this.hubspotClient.createPropertyGroup(objectTypeId, this.group);
+                    log.log(`[schema] created group ${this.group.name} on ${objectType}`);
+                }
+            }
+
+            for (const item of entry.create) {
+                await this.runStep(result.created, result.failed, objectType, item, dryRun, log, 'create',
+                    () => this.hubspotClient.createProperty(objectTypeId, item.property));
+            }
+
+            const patchable = [...entry.patch];
+            entry.blocked.forEach(item => {
+                if (allowTypeChange && item.reason === 'type-change' && !createOnly) {
+                    patchable.push(item);
+                } else {
+                    result.skipped.push({ objectType, name: item.name, reason: item.reason, changes: item.changes });
+                    log.warn(`[schema] drift ${objectType}.${item.name} not patched (${item.reason}) ${JSON.stringify(item.changes)}`);
+                }
+            });
+
+            for (const item of patchable) {
+                if (createOnly) {
+                    result.skipped.push({ objectType, name: item.name, reason: 'create-only', changes: item.changes });
+                    log.warn(`[schema] drift ${objectType}.${item.name} ${JSON.stringify(item.changes)} - run "schema apply" to fix`);
+                    continue;
+                }
+                const update = { groupName: item.property.groupName };
+                item.changes.forEach(change => {
+                    if (change.field === 'options') {
+                        update.options = this.mergeOptions(item.property.options, item.extraOptions);
+                    } else if (change.field !== 'groupName') {
+                        update[change.field] = item.property[change.field];
+                    }
+                });
+                await this.runStep(result.patched, result.failed, objectType, item, dryRun, log, 'patch',
+                    () => this.hubspotClient.updateProperty(objectTypeId, item.name, update));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Options HubSpot still has but we no longer declare are kept, since removing
+     * an option that records still use is rejected by the API.
+     */
+    mergeOptions(declaredOptions, extraValues = []) {
+        const merged = declaredOptions.map(option => ({ ...option }));
+        extraValues.forEach(value => {
+            merged.push({ label: value, value, displayOrder: merged.length });
+        });
+        return merged;
+    }
+
+    async runStep(succeeded, failed, objectType, item, dryRun, log, action, request) {
+        if (dryRun) {
+            log.log(`[schema] would ${action} ${objectType}.${item.name}`);
+            succeeded.push({ objectType, name: item.name, dryRun: true });
+            return;
+        }
+        try {
+            await request();
+            succeeded.push({ objectType, name: item.name });
+            log.log(`[schema] ${action === 'create' ? 'created' : 'patched'} ${objectType}.${item.name}`);
+        } catch (error) {
+            const message = error.response?.data?.message || error.message;
+            failed.push({ objectType, name: item.name, action, message });
+            log.error(`[schema] failed to ${action} ${objectType}.${item.name}: ${message}`);
+        }
+    }
+}
+
+module.exports = { SchemaManager };
@@ -0,0 +1,217 @@
+/**
+ * SYNC JOB QUEUE
+ * Persistent record of entity syncs that failed, so they are retried instead of lost.
+ *
+ * recordFailure(type, entityId, payload, error) -> schedule a retry with backoff, or
+ *                                                  dead-letter after maxAttempts
+ * enqueue(type, entityId, payload, reason)       -> schedule a sync that is due straight away
+ *                                                  (`audit --fix`), without counting an attempt
+ * recordSuccess(type, entityId)                 -> forget the entity (queue and dead letters)
+ * retryDue(handlers)                            -> run jobs whose backoff has elapsed
+ * replayDeadLetters(handlers)                   -> `retry-failed`: run dead-lettered jobs again
+ *
+ * Client errors (4xx other than 408/429) are dead-lettered straight away, since
+ * retrying the same payload cannot succeed.
+ */
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 10 * 60 * 1000;
+const MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+function categorize(status, code) {
+    if (status === 429) {
+        return 'rate-limit';
+    }
+    if (status === 408 || code === 'ECONNABORTED' || code === 'ETIMEDOUT') {
+        return 'timeout';
+    }
+    if (status >= 500) {
+        return 'server';
+    }
+    if (status >= 400) {
+        return 'client';
+    }
+    if (code && NETWORK_ERROR_CODES.has(code)) {
+        return 'network';
+    }
+    return 'unknown';
+}
+
+/**
+ * Normalise a thrown error or a `{ status: 'error', error }` sync result.
+ */
+function describeError(error) {
+    const status = error?.response?.status ?? error?.httpStatus ?? null;
+    const code = error?.code || null;
+    return {
+        name: error?.errorName || error?.name || 'Error',
+        message: error?.message || error?.error || String(error),
+        status,
+        code,
+        category: categorize(status, code)
+    };
+}
+
+function jobKey(type, entityId) {
+    return `${type}:${entityId}`;
+}
+
+class SyncJobQueue {
+    constructor(options = {}) {
+        this.stateStore = options.stateStore || createStateStore();
+        this.maxAttempts = options.maxAttempts ?? parseInt(process.env.SYNC_JOB_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS, 10);
+        this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    }
+
+    backoff(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), MAX_DELAY_MS);
+    }
+
+    /**
+     * `deadLetter: true` skips the retry schedule, for callers that already retried
+     * (`previousAttempts` carries their count over).
+     */
+    async recordFailure(type, entityId, payload, error, { now = Date.now(), deadLetter = false, previousAttempts = 0 } = {}) {
+        const key = jobKey(type, entityId);
+        const existing = await this.stateStore.get(STATE_NAMESPACES.SYNC_JOBS, key)
+            || await this.stateStore.get(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key);
+        const failure = describeError(error);
+        const attempts = Math.max(existing?.attempts || 0, previousAttempts) + 1;
+        const job = {
+            key,
+            type,
+            entityId: String(entityId),
+            payload: payload ?? existing?.payload ?? null,
+            attempts,
+            firstFailedAt: existing?.firstFailedAt || new Date(now).toISOString(),
+            lastFailedAt: new Date(now).toISOString(),
+            lastError: failure
+        };
+
+        if (deadLetter || attempts >= this.maxAttempts || failure.category === 'client') {
+            job.deadLetteredAt = new Date(now).toISOString();
+            await this.stateStore.delete(STATE_NAMESPACES.SYNC_JOBS, key);
+            await this.stateStore.set(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key, job);
+            console.warn(`☠️  ${key} moved to dead letters after ${attempts} attempt(s): ${failure.message}`);
+            return { ...job, deadLettered: true };
+        }
+
+        job.nextAttemptAt = new Date(now + this.backoff(attempts)).toISOString();
+        await this.stateStore.delete(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key);
+        await this.stateStore.set(STATE_NAMESPACES.SYNC_JOBS, key, job);
+        console.warn(`🔁 ${key} queued for retry (attempt ${attempts}/${this.maxAttempts}) at ${job.nextAttemptAt}: ${failure.message}`);
+        return { ...job, deadLettered: false };
+    }
+
+    /**
+     * Queue a sync that did not fail but is known to be needed. It is due at `now`;
+     * a job already queued for the entity keeps its attempts and is brought forward.
+     */
+    async enqueue(type, entityId, payload, reason, { now = Date.now() } = {}) {
+        const key = jobKey(type, entityId);
+        const existing = await this.stateStore.get(STATE_NAMESPACES.SYNC_JOBS, key)
+            || await this.stateStore.get(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key);
+        const job = {
+            key,
+            type,
+            entityId: String(entityId),
+            payload: payload ?? existing?.payload ?? null,
+            attempts: existing?.attempts || 0,
+            ...(existing?.firstFailedAt ? { firstFailedAt: existing.firstFailedAt, lastFailedAt: existing.lastFailedAt, lastError: existing.lastError } : {}),
+            queuedAt: new Date(now).toISOString(),
+            reason,
+            nextAttemptAt: new Date(now).toISOString()
+        };
+        await this.stateStore.delete(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key);
+        await this.stateStore.set(STATE_NAMESPACES.SYNC_JOBS, key, job);
+        return job;
+    }
+
+    async recordSuccess(type, entityId) {
+        const key = jobKey(type, entityId);
+        await this.stateStore.delete(STATE_NAMESPACES.SYNC_JOBS, key);
+        await this.stateStore.delete(STATE_NAMESPACES.SYNC_DEAD_LETTERS, key);
+    }
+
+    async getJobs({ types = null } = {}) {
+        const jobs = Object.values(await this.stateStore.getAll(STATE_NAMESPACES.SYNC_JOBS));
+        return jobs.filter(job => !types || types.includes(job.type));
+    }
+
+    async getDueJobs({ types = null, now = Date.now() } = {}) {
+        const jobs = await this.getJobs({ types });
+        return jobs
+            .filter(job => new Date(job.nextAttemptAt).getTime() <= now)
+            .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    }
+
+    async getDeadLetters({ types = null, keys = null } = {}) {
+        const jobs = Object.values(await this.stateStore.getAll(STATE_NAMESPACES.SYNC_DEAD_LETTERS));
+        return jobs.filter(job => (!types || types.includes(job.type)) && (!keys || keys.includes(job.key)));
+    }
+
+    /**
+     * Run one job through its handler. Handlers throw (or return a sync result with
+     * status 'error') on failure; anything else counts as success.
+     */
+    async runJob(job, handlers, { now = Date.now(), deadLetter = false } = {}) {
+        const handler = handlers[job.type];
+        if (!handler) {
+            throw new Error(`No retry handler for sync job type "${job.type}"`);
+        }
+        try {
+            const result = await handler(job);
+            if (result?.status === 'error') {
+                await this.recordFailure(job.type, job.entityId, job.payload, result, { now, deadLetter });
+                return false;
+            }
+            await this.recordSuccess(job.type, job.entityId);
+            return true;
+        } catch (error) {
+            await this.recordFailure(job.type, job.entityId, job.payload, error, { now, deadLetter });
+            return false;
+        }
+    }
+
+    async retryDue(handlers, { types = null, now = Date.now() } = {}) {
+        const jobs = await this.getDueJobs({ types, now });
+        const stats = { retried: jobs.length, succeeded: 0, failed: 0 };
+        if (jobs.length > 0) {
+            console.log(`🔁 Retrying ${jobs.length} previously failed sync job(s)...`);
+        }
+        for (const job of jobs) {
+            if (await this.runJob(job, handlers, { now })) {
+                stats.succeeded++;
+            } else {
+                stats.failed++;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Replay dead letters. A job that fails again stays dead-lettered with its
+     * attempt count and last error updated.
+     */
+    async replayDeadLetters(handlers, { types = null, keys = null, dryRun = false, now = Date.now() } = {}) {
+        const jobs = await this.getDeadLetters({ types, keys });
+        const stats = { replayed: 0, succeeded: 0, failed: 0, jobs };
+        if (dryRun) {
+            return stats;
+        }
+
+        for (const job of jobs) {
+            stats.replayed++;
+            if (await this.runJob(job, handlers, { now, deadLetter: true })) {
+                stats.succeeded++;
+            } else {
+                stats.failed++;
+            }
+        }
+        return stats;
+    }
+}
+
+module.exports = { SyncJobQueue, describeError };
@@ -0,0 +1,365 @@
+/**
+ * SYNC LOGGER
+ * One logger for every command: structured records carrying the run ID, command,
+ * scope (manager), entity IDs and, for API calls, HTTP method, status and duration.
+ *
+ * LOG_LEVEL   debug | info (default) | warn | error; successful HTTP calls are debug
+ * LOG_FORMAT  text (default: `[scope] event {meta}` lines) | json (one JSON record per line)
+ * LOG_FILE    also append every record as a JSON line to this file
+ *
+ * startRun(command) gives the command a run ID and a RunReport; managers log through
+ * scopedLog(scope) and report each entity with recordOutcome(). finishRun() writes the
+ * report to SYNC_REPORTS_DIR (default <SYNC_STATE_DIR>/reports) as <runId>.json, so
+ * "why wasn't unit X updated?" is answered by the report instead of scrollback.
+ *
+ * With LOG_FORMAT=json or LOG_FILE set, the remaining free-text console output of a run
+ * is captured as `message` records, so stdout (or the file) stays machine-readable.
+ */
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const OUTCOMES = ['created', 'updated', 'skipped', 'failed'];
+// Entities listed per report; `serve` never finishes its run, so its report must not grow forever
+const MAX_REPORT_ENTITIES = 50000;
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+function assertOutcome(outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+        throw new Error(`Unknown run outcome "${outcome}" (expected ${OUTCOMES.join(', ')})`);
+    }
+}
+
+function createRunId(command) {
+    return `${command || 'run'}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+/**
+ * Created/updated/skipped/failed per entity type, with the reason for every skip or failure.
+ * Totals count every entity; only the first `maxEntities` are listed individually.
+ */
+class RunReport {
+    constructor({ runId, command, args = [], maxEntities = MAX_REPORT_ENTITIES } = {}) {
+        this.runId = runId;
+        this.command = command;
+        this.args = args;
+        this.startedAt = new Date().toISOString();
+        this.totals = {};
+        this.entities = [];
+        this.maxEntities = maxEntities;
+        this.entitiesDropped = 0;
+    }
+
+    record(entityType, entityId, outcome, reason = null, meta = null) {
+        assertOutcome(outcome);
+        if (!this.totals[entityType]) {
+            this.totals[entityType] = { created: 0, updated: 0, skipped: 0, failed: 0 };
+        }
+        this.totals[entityType][outcome] += 1;
+        if (this.entities.length >= this.maxEntities) {
+            this.entitiesDropped += 1;
+            return;
+        }
+        this.entities.push({
+            type: entityType,
+            id: entityId == null ? null : String(entityId),
+            outcome,
+            ...(reason ? { reason } : {}),
+            ...(meta || {})
+        });
+    }
+
+    toJSON(extra = {}) {
+        return {
+            runId: this.runId,
+            command: this.command,
+            args: this.args,
+            startedAt: this.startedAt,
+            ...extra,
+            totals: this.totals,
+            entities: this.entities,
+            ...(this.entitiesDropped > 0 ? { entitiesDropped: this.entitiesDropped } : {})
+        };
+    }
+
+    async write(directory, extra = {}) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const filePath = path.join(directory, `${this.runId}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify(this.toJSON(extra), null, 2));
+        return filePath;
+    }
+}
+
+class SyncLogger {
+    constructor(options = {}) {
+        this.runId = options.runId || null;
+        this.command = options.command || null;
+        this.scope = options.scope || null;
+        this.level = (options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+        this.format = (options.format || process.env.LOG_FORMAT || 'text').toLowerCase();
+        this.filePath = options.filePath !== undefined ? options.filePath : (process.env.LOG_FILE || null);
+        this.report = options.report || null;
+        // Shared with children so the console capture can tell logger output from free text
+        this.sink = options.sink || { writing: false, fileReady: false };
+
+        if (!LEVELS[this.level]) {
+            throw new Error(`Unknown LOG_LEVEL "${this.level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        if (!['text', 'json'].includes(this.format)) {
+            throw new Error(`Unknown LOG_FORMAT "${this.format}" (expected text or json)`);
+        }
+    }
+
+    child(scope) {
+        return new SyncLogger({
+            runId: this.runId,
+            command: this.command,
+            scope,
+            level: this.level,
+            format: this.format,
+            filePath: this.filePath,
+            report: this.report,
+            sink: this.sink
+        });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, event, meta = null) {
+        if (!this.enabled(level)) {
+            return;
+        }
+        const record = {
+            ts: new Date().toISOString(),
+            level,
+            ...(this.runId ? { runId: this.runId } : {}),
+            ...(this.command ? { command: this.command } : {}),
+            ...(this.scope ? { scope: this.scope } : {}),
+            event,
+            ...(meta || {})
+        };
+        this.writeFile(record);
+        this.writeStdout(level, event, meta, record);
+    }
+
+    debug(event, meta = null) {
+        this.log('debug', event, meta);
+    }
+
+    info(event, meta = null) {
+        this.log('info', event, meta);
+    }
+
+    event(event, meta = null) {
+        this.log('info', event, meta);
+    }
+
+    warn(event, meta = null) {
+        this.log('warn', event, meta);
+    }
+
+    error(event, meta = null) {
+        this.log('error', event, meta);
+    }
+
+    /**
+     * One API call; failures are warnings so they show at the default level.
+     */
+    http({ method, url, status = null, durationMs, error = null }) {
+        const failed = error || status === null || status >= 400;
+        this.log(failed ? 'warn' : 'debug', 'http', {
+            method: method ? method.toUpperCase() : null,
+            url,
+            status,
+            durationMs,
+            ...(error ? { error } : {})
+        });
+    }
+
+    /**
+     * Log an entity's outcome and add it to the run report.
+     */
+    outcome(entityType, entityId, outcome, reason = null, meta = null) {
+        assertOutcome(outcome);
+        if (this.report) {
+            this.report.record(entityType, entityId, outcome, reason, meta);
+        }
+        this.log(outcome === 'failed' ? 'warn' : 'info', `${entityType}.${outcome}`, {
+            id: entityId == null ? null : String(entityId),
+            ...(reason ? { reason } : {}),
+            ...(meta || {})
+        });
+    }
+
+    writeFile(record) {
+        if (!this.filePath) {
+            return;
+        }
+        if (!this.sink.fileReady) {
+            fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+            this.sink.fileReady = true;
+        }
+        fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    writeStdout(level, event, meta, record) {
+        if (this.format === 'json') {
+            process.stdout.write(`${JSON.stringify(record)}\n`);
+            return;
+        }
+        const prefix = this.scope ? `[${this.scope}] ` : '';
+        const line = `${prefix}${event}${meta && Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : ''}`;
+        const method = level === 'error' ? 'error' : (level === 'warn' ? 'warn' : 'log');
+        this.sink.writing = true;
+        try {
+            console[method](line);
+        } finally {
+            this.sink.writing = false;
+        }
+    }
+}
+
+let currentLogger = null;
+let restoreConsole = null;
+
+/**
+ * The active run's logger (or a process-wide one outside a run), optionally for a scope.
+ */
+function getLogger(scope = null) {
+    if (!currentLogger) {
+        currentLogger = new SyncLogger();
+    }
+    return scope ? currentLogger.child(scope) : currentLogger;
+}
+
+/**
+ * `log(event, meta)` for a manager, bound to the logger of the run it started in.
+ */
+function scopedLog(scope) {
+    const logger = getLogger(scope);
+    return (event, meta = null) => logger.info(event, meta);
+}
+
+/**
+ * Report an entity's outcome on the active run.
+ */
+function recordOutcome(entityType, entityId, outcome, reason = null, meta = null) {
+    getLogger('report').outcome(entityType, entityId, outcome, reason, meta);
+}
+
+function captureConsole(logger) {
+    const originals = {};
+    Object.entries(CONSOLE_LEVELS).forEach(([method, level]) => {
+        originals[method] = console[method];
+        console[method] = (...args) => {
+            if (logger.sink.writing) {
+                originals[method].apply(console, args);
+                return;
+            }
+            const record = { ts: new Date().toISOString(), level, runId: logger.runId, command: logger.command, event: 'message', message: util.format(...args) };
+            if (logger.enabled(level)) {
+                logger.writeFile(record);
+            }
+            if (logger.format === 'text') {
+                originals[method].apply(console, args);
+            } else if (logger.enabled(level)) {
+                process.stdout.write(`${JSON.stringify(record)}\n`);
+            }
+        };
+    });
+    return () => Object.assign(console, originals);
+}
+
+/**
+ * Begin a command run: new run ID, run report and (for JSON or file logging) console capture.
+ */
+function startRun(command, args = []) {
+    const runId = createRunId(command);
+    const logger = new SyncLogger({ runId, command, report: new RunReport({ runId, command, args }) });
+    currentLogger = logger;
+    if (logger.format === 'json' || logger.filePath) {
+        restoreConsole = captureConsole(logger);
+    }
+    logger.info('run.start', { args });
+    return logger;
+}
+
+/**
+ * End the run: write its report (when `writeReport`) and return the report path.
+ */
+async function finishRun(logger, { status = 'ok', error = null, writeReport = true } = {}) {
+    const finishedAt = new Date();
+    const extra = {
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - new Date(logger.report.startedAt).getTime(),
+        status,
+        ...(error ? { error: error.message || String(error) } : {})
+    };
+
+    let reportPath = null;
+    try {
+        if (writeReport) {
+            const directory = process.env.SYNC_REPORTS_DIR
+                || path.join(process.env.SYNC_STATE_DIR || __dirname, 'reports');
+            reportPath = await logger.report.write(directory, extra);
+        }
+        logger.info('run.complete', { status, durationMs: extra.durationMs, totals: logger.report.totals, report: reportPath });
+    } finally {
+        if (restoreConsole) {
+            restoreConsole();
+            restoreConsole = null;
+        }
+        currentLogger = null;
+    }
+    return reportPath;
+}
+
+/**
+ * Log every axios call (method, URL without query string, status, duration) on the
+ * active run. Installed once per process by the CLI.
+ */
+function installHttpLogging(axios) {
+    if (axios.__syncLoggerInstalled) {
+        return;
+    }
+    axios.__syncLoggerInstalled = true;
+
+    const finish = (config, status, error = null) => {
+        if (!config) {
+            return;
+        }
+        getLogger('http').http({
+            method: config.method,
+            url: String(config.url || '').split('?')[0],
+            status,
+            durationMs: config.syncLoggerStart ? Date.now() - config.syncLoggerStart : null,
+            error
+        });
+    };
+
+    axios.interceptors.request.use(config => {
+        config.syncLoggerStart = Date.now();
+        return config;
+    });
+    axios.interceptors.response.use(response => {
+        finish(response.config, response.status);
+        return response;
+    }, error => {
+        finish(error.config, error.response?.status ?? null, error.code || error.message);
+        return Promise.reject(error);
+    });
+}
+
+module.exports = {
+    SyncLogger,
+    RunReport,
+    getLogger,
+    scopedLog,
+    recordOutcome,
+    startRun,
+    finishRun,
+    installHttpLogging
+};
@@ -0,0 +1,223 @@
+/**
+ * SYNC METRICS
+ * Prometheus metrics for sync health: API calls, 429s and 5xx per client, entities
+ * synced and failed per command, tenant lifecycle transitions and run durations.
+ *
+ * Counters live in a process-wide registry. After each sync command the CLI folds
+ * them into the totals kept in the sync state store (so counters keep growing across
+ * cron runs) and, when SYNC_METRICS_FILE is set, writes the result in the Prometheus
+ * text format for node_exporter's textfile collector. `serve` also answers
+ * GET /metrics with the stored totals plus its own live counters.
+ *
+ * Alert examples:
+ *   time() - buildium_sync_last_success_timestamp_seconds{command="leases"} > 86400
+ *   rate(buildium_sync_api_server_errors_total[15m]) / rate(buildium_sync_api_requests_total[15m]) > 0.05
+ */
+const fs = require('fs');
+const path = require('path');
+const { STATE_NAMESPACES } = require('./SyncStateStore.js');
+
+// Held while the stored totals are read, merged and written back; runs that finish
+// together wait their turn instead of overwriting each other's counters
+const METRICS_LOCK = 'sync-metrics';
+const METRICS_LOCK_TTL_MS = 60 * 1000;
+const METRICS_LOCK_ATTEMPTS = 20;
+const METRICS_LOCK_RETRY_MS = 250;
+
+const METRICS = {
+    apiRequests: { name: 'buildium_sync_api_requests_total', type: 'counter', help: 'API requests sent, retries included' },
+    apiRateLimited: { name: 'buildium_sync_api_rate_limited_total', type: 'counter', help: 'API responses with status 429' },
+    apiServerErrors: { name: 'buildium_sync_api_server_errors_total', type: 'counter', help: 'API responses with a 5xx status' },
+    entities: { name: 'buildium_sync_entities_total', type: 'counter', help: 'Entities processed by sync commands, by outcome' },
+    lifecycleTransitions: { name: 'buildium_sync_lifecycle_transitions_total', type: 'counter', help: 'Tenant lifecycle association transitions' },
+    lifecycleErrors: { name: 'buildium_sync_lifecycle_errors_total', type: 'counter', help: 'Leases whose lifecycle transition failed' },
+    runs: { name: 'buildium_sync_runs_total', type: 'counter', help: 'Sync command runs, by final status' },
+    runDuration: { name: 'buildium_sync_run_duration_seconds', type: 'gauge', help: 'Duration of the last run of a sync command' },
+    lastRun: { name: 'buildium_sync_last_run_timestamp_seconds', type: 'gauge', help: 'When a sync command last finished' },
+    lastSuccess: { name: 'buildium_sync_last_success_timestamp_seconds', type: 'gauge', help: 'When a sync command last finished without errors' }
+};
+const METRICS_BY_NAME = new Map(Object.values(METRICS).map(metric => [metric.name, metric]));
+const LIFECYCLE_TRANSITIONS = ['futureToActive', 'activeToInactive', 'futureToInactive'];
+const METRICS_STATE_KEY = 'series';
+
+function seriesKey(name, labels) {
+    return `${name}${JSON.stringify(Object.keys(labels).sort().map(label => [label, String(labels[label])]))}`;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+class MetricsRegistry {
+    constructor(series = []) {
+        this.series = new Map();
+        series.forEach(entry => this.series.set(seriesKey(entry.name, entry.labels), { ...entry, labels: { ...entry.labels } }));
+    }
+
+    add(metric, labels = {}, value = 1) {
+        const key = seriesKey(metric.name, labels);
+        const current = this.series.get(key);
+        this.series.set(key, { name: metric.name, labels, value: (current ? current.value : 0) + value });
+    }
+
+    set(metric, labels = {}, value) {
+        this.series.set(seriesKey(metric.name, labels), { name: metric.name, labels, value });
+    }
+
+    /**
+     * These series on top of `previous`: counters add up, gauges take the newer value.
+     */
+    mergedOnto(previous = []) {
+        const merged = new MetricsRegistry(previous);
+        this.series.forEach(entry => {
+            const metric = METRICS_BY_NAME.get(entry.name);
+            if (metric && metric.type === 'counter') {
+                merged.add(metric, entry.labels, entry.value);
+            } else {
+                merged.series.set(seriesKey(entry.name, entry.labels), { ...entry });
+            }
+        });
+        return merged;
+    }
+
+    toJSON() {
+        return Array.from(this.series.values());
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Prometheus text exposition format.
+     */
+    render() {
+        const lines = [];
+        Object.values(METRICS).forEach(metric => {
+            const entries = Array.from(this.series.values())
+                .filter(entry => entry.name === metric.name)
+                .sort((a, b) => seriesKey(a.name, a.labels).localeCompare(seriesKey(b.name, b.labels)));
+            if (entries.length === 0) {
+                return;
+            }
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+            entries.forEach(entry => {
+                const labels = Object.entries(entry.labels).map(([label, value]) => `${label}="${escapeLabel(value)}"`).join(',');
+                lines.push(`${metric.name}${labels ? `{${labels}}` : ''} ${entry.value}`);
+            });
+        });
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+}
+
+const registry = new MetricsRegistry();
+
+/**
+ * One API attempt by `client` ('buildium' or 'hubspot'); status is null when no response came back.
+ */
+function recordApiCall(client, status = null) {
+    registry.add(METRICS.apiRequests, { client });
+    if (status === 429) {
+        registry.add(METRICS.apiRateLimited, { client });
+    } else if (status >= 500) {
+        registry.add(METRICS.apiServerErrors, { client });
+    }
+}
+
+/**
+ * Lifecycle stats as returned by TenantLifecycleManager.
+ */
+function recordLifecycle(stats) {
+    LIFECYCLE_TRANSITIONS.forEach(transition => {
+        if (stats?.[transition]) {
+            registry.add(METRICS.lifecycleTransitions, { transition }, stats[transition]);
+        }
+    });
+    if (stats?.errors) {
+        registry.add(METRICS.lifecycleErrors, {}, stats.errors);
+    }
+}
+
+/**
+ * A finished sync command: its status ('ok', 'partial', 'failed'), duration and
+ * the per-entity totals of its run report.
+ */
+function recordRun({ command, status, durationMs, totals = {}, finishedAt = new Date() }) {
+    registry.add(METRICS.runs, { command, status });
+    Object.entries(totals).forEach(([entity, outcomes]) => {
+        Object.entries(outcomes).forEach(([outcome, count]) => {
+            if (count > 0) {
+                registry.add(METRICS.entities, { command, entity, outcome }, count);
+            }
+        });
+    });
+    const finishedSeconds = Math.floor(finishedAt.getTime() / 1000);
+    registry.set(METRICS.runDuration, { command }, durationMs / 1000);
+    registry.set(METRICS.lastRun, { command }, finishedSeconds);
+    if (status === 'ok') {
+        registry.set(METRICS.lastSuccess, { command }, finishedSeconds);
+    }
+}
+
+/**
+ * Stored totals plus this process's counters, in the Prometheus text format.
+ */
+async function renderMetrics(stateStore) {
+    const stored = await stateStore.get(STATE_NAMESPACES.SYNC_METRICS, METRICS_STATE_KEY);
+    return registry.mergedOnto(stored || []).render();
+}
+
+/**
+ * Fold this process's counters into the stored totals and write the textfile (when
+ * `filePath` is set). Counters are reset afterwards so they are never added twice.
+ */
+async function persistMetrics(stateStore, { filePath = process.env.SYNC_METRICS_FILE || null, lockRetryMs = METRICS_LOCK_RETRY_MS } = {}) {
+    const lockOwner = await acquireMetricsLock(stateStore, lockRetryMs);
+    try {
+        const stored = await stateStore.get(STATE_NAMESPACES.SYNC_METRICS, METRICS_STATE_KEY);
+        const merged = registry.mergedOnto(stored || []);
+        await stateStore.set(STATE_NAMESPACES.SYNC_METRICS, METRICS_STATE_KEY, merged.toJSON());
+        registry.reset();
+
+        if (!filePath) {
+            return null;
+        }
+        // The collector may read at any moment, so never let it see a half-written file
+        const resolved = path.resolve(filePath);
+        await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+        const tmpPath = `${resolved}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, merged.render());
+        await fs.promises.rename(tmpPath, resolved);
+        return resolved;
+    } finally {
+        await stateStore.releaseLock(METRICS_LOCK, lockOwner);
+    }
+}
+
+/**
+ * The metrics lock is only held for a read and a write, so wait for it rather than
+ * failing the run like the sync locks do.
+ */
+async function acquireMetricsLock(stateStore, retryMs) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await stateStore.acquireLock(METRICS_LOCK, { ttlMs: METRICS_LOCK_TTL_MS });
+        } catch (error) {
+            if (error.code !== 'SYNC_LOCKED' || attempt >= METRICS_LOCK_ATTEMPTS) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, retryMs));
+        }
+    }
+}
+
+module.exports = {
+    METRICS,
+    MetricsRegistry,
+    registry,
+    recordApiCall,
+    recordLifecycle,
+    recordRun,
+    renderMetrics,
+    persistMetrics
+};
@@ -0,0 +1,443 @@
+/**
+ * SYNC STATE STORE
+ * Pluggable persistence for sync watermarks, checkpoints and run locks.
+ *
+ * Every backend exposes the same namespaced key/value surface:
+ *   get(namespace, key) / getAll(namespace)
+ *   set(namespace, key, value) / setMany(namespace, entries)
+ *   delete(namespace, key) / clear(namespace)
+ *   acquireLock(name, options) / releaseLock(name, owner)
+ *
+ * Backends:
+ * - memory: process-local, used by tests and dry runs
+ * - file:   one JSON document per namespace, written atomically (tmp + rename)
+ * - sqlite: embedded database (node:sqlite on Node 22+, better-sqlite3 otherwise)
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const STATE_NAMESPACES = {
+    LEASE_TIMESTAMPS: 'lease_sync_timestamps',
+    LAST_LEASE_SYNC: 'last_lease_sync',
+    LEASE_SYNC_RUN: 'lease_sync_run',
+    LEASE_SYNC_PROGRESS: 'lease_sync_progress',
+    REVERSE_CONTACT_SYNC: 'reverse_contact_sync',
+    REVERSE_TENANT_SNAPSHOTS: 'reverse_tenant_snapshots',
+    WEBHOOK_QUEUE: 'webhook_queue',
+    SYNC_JOBS: 'sync_jobs',
+    SYNC_DEAD_LETTERS: 'sync_dead_letters',
+    TICKET_SYNC: 'ticket_sync',
+    APPLICANT_SYNC: 'applicant_sync',
+    SYNC_METRICS: 'sync_metrics',
+    TENANT_CROSSWALK: 'tenant_crosswalk',
+    IDENTITY_REVIEW: 'identity_review'
+};
+
+const DEFAULT_LOCK_TTL_MS = 6 * 60 * 60 * 1000;
+
+function createLockOwner() {
+    return `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function createLockError(name, holder) {
+    const error = new Error(`Sync lock '${name}' is held by ${holder?.owner || 'another run'} since ${holder?.acquiredAt || 'unknown'}`);
+    error.code = 'SYNC_LOCKED';
+    error.lock = holder || null;
+    return error;
+}
+
+/**
+ * A lock is stale once its TTL has elapsed or, for locks taken on this host,
+ * once the owning process is gone (crashed runs never reach releaseLock).
+ */
+function isLockStale(holder, now = Date.now()) {
+    if (!holder) {
+        return true;
+    }
+    if (holder.expiresAt && new Date(holder.expiresAt).getTime() <= now) {
+        return true;
+    }
+    if (holder.host === os.hostname() && holder.pid) {
+        try {
+            process.kill(holder.pid, 0);
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+    return false;
+}
+
+function buildLockRecord(owner, ttlMs) {
+    const now = Date.now();
+    return {
+        owner,
+        host: os.hostname(),
+        pid: process.pid,
+        acquiredAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+    };
+}
+
+class MemoryStateStore {
+    constructor() {
+        this.backend = 'memory';
+        this.namespaces = new Map();
+        this.locks = new Map();
+    }
+
+    getNamespace(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, {});
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async get(namespace, key) {
+        const data = this.getNamespace(namespace);
+        return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    }
+
+    async getAll(namespace) {
+        return { ...this.getNamespace(namespace) };
+    }
+
+    async set(namespace, key, value) {
+        this.getNamespace(namespace)[key] = value;
+    }
+
+    async setMany(namespace, entries) {
+        Object.assign(this.getNamespace(namespace), entries || {});
+    }
+
+    async delete(namespace, key) {
+        delete this.getNamespace(namespace)[key];
+    }
+
+    async clear(namespace) {
+        this.namespaces.set(namespace, {});
+    }
+
+    async acquireLock(name, options = {}) {
+        const { owner = createLockOwner(), ttlMs = DEFAULT_LOCK_TTL_MS } = options;
+        const holder = this.locks.get(name);
+        if (holder && !isLockStale(holder)) {
+            throw createLockError(name, holder);
+        }
+        this.locks.set(name, buildLockRecord(owner, ttlMs));
+        return owner;
+    }
+
+    async releaseLock(name, owner) {
+        const holder = this.locks.get(name);
+        if (holder && (!owner || holder.owner === owner)) {
+            this.locks.delete(name);
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * File backend. Each namespace lives in `<directory>/<namespace>.json`, so the
+ * default namespaces map onto the historical `lease_sync_timestamps.json` and
+ * `last_lease_sync.json` files. Writes go to a temp file that is renamed into
+ * place, and every mutation re-reads the document so two runs merge instead of
+ * clobbering each other's keys. Within a process, mutations of a namespace run one
+ * at a time so parallel workers cannot drop each other's keys either.
+ */
+class FileStateStore {
+    constructor(options = {}) {
+        this.backend = 'file';
+        this.directory = path.resolve(options.directory || __dirname);
+        this.mutations = new Map();
+    }
+
+    filePath(namespace) {
+        return path.join(this.directory, `${namespace}.json`);
+    }
+
+    lockPath(name) {
+        return path.join(this.directory, `${name}.lock`);
+    }
+
+    async readNamespace(namespace) {
+        try {
+            const raw = await fs.promises.readFile(this.filePath(namespace), 'utf8');
+            const parsed = JSON.parse(raw);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            if (error instanceof SyntaxError) {
+                console.warn(`[state-store] ignoring unreadable ${this.filePath(namespace)}: ${error.message}`);
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async writeNamespace(namespace, data) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const target = this.filePath(namespace);
+        const tempFile = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempFile, target);
+    }
+
+    async get(namespace, key) {
+        const data = await this.readNamespace(namespace);
+        return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    }
+
+    async getAll(namespace) {
+        return this.readNamespace(namespace);
+    }
+
+    async set(namespace, key, value) {
+        await this.setMany(namespace, { [key]: value });
+    }
+
+    /**
+     * Read-modify-write a namespace after any mutation of it already in flight;
+     * `change` returns false when there is nothing to write.
+     */
+    mutate(namespace, change) {
+        const previous = this.mutations.get(namespace) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const data = await this.readNamespace(namespace);
+            if (change(data) !== false) {
+                await this.writeNamespace(namespace, data);
+            }
+        });
+        this.mutations.set(namespace, next);
+        return next;
+    }
+
+    async setMany(namespace, entries) {
+        await this.mutate(namespace, data => {
+            Object.assign(data, entries || {});
+        });
+    }
+
+    async delete(namespace, key) {
+        await this.mutate(namespace, data => {
+            if (!Object.prototype.hasOwnProperty.call(data, key)) {
+                return false;
+            }
+            delete data[key];
+            return true;
+        });
+    }
+
+    async clear(namespace) {
+        await this.mutate(namespace, data => {
+            Object.keys(data).forEach(key => delete data[key]);
+        });
+    }
+
+    async acquireLock(name, options = {}) {
+        const { owner = createLockOwner(), ttlMs = DEFAULT_LOCK_TTL_MS } = options;
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const lockFile = this.lockPath(name);
+        const record = JSON.stringify(buildLockRecord(owner, ttlMs), null, 2);
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.promises.writeFile(lockFile, record, { flag: 'wx' });
+                return owner;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                let holder = null;
+                try {
+                    holder = JSON.parse(await fs.promises.readFile(lockFile, 'utf8'));
+                } catch (readError) {
+                    holder = null;
+                }
+                if (attempt === 0 && isLockStale(holder)) {
+                    console.warn(`[state-store] removing stale lock ${lockFile}`);
+                    await fs.promises.rm(lockFile, { force: true });
+                    continue;
+                }
+                throw createLockError(name, holder);
+            }
+        }
+        throw createLockError(name, null);
+    }
+
+    async releaseLock(name, owner) {
+        const lockFile = this.lockPath(name);
+        try {
+            const holder = JSON.parse(await fs.promises.readFile(lockFile, 'utf8'));
+            if (owner && holder.owner !== owner) {
+                return;
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+        }
+        await fs.promises.rm(lockFile, { force: true });
+    }
+
+    async close() {}
+}
+
+/**
+ * Resolve an embedded SQLite driver. node:sqlite ships with Node 22.5+; on Node 20
+ * the optional better-sqlite3 dependency, which exposes the same synchronous API,
+ * stands in (npm skips it where it cannot be built).
+ */
+function openSqliteDatabase(filename) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(filename);
+    } catch (nodeError) {
+        try {
+            const Database = require('better-sqlite3');
+            return new Database(filename);
+        } catch (driverError) {
+            throw new Error('SQLite state backend requires Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+        }
+    }
+}
+
+class SqliteStateStore {
+    constructor(options = {}) {
+        this.backend = 'sqlite';
+        const directory = path.resolve(options.directory || __dirname);
+        this.filename = options.filename || path.join(directory, 'sync_state.sqlite');
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+        this.db = openSqliteDatabase(this.filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sync_state (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (namespace, key)
+            );
+            CREATE TABLE IF NOT EXISTS sync_locks (
+                name TEXT PRIMARY KEY,
+                record TEXT NOT NULL
+            );
+        `);
+    }
+
+    transaction(fn) {
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async get(namespace, key) {
+        const row = this.db.prepare('SELECT value FROM sync_state WHERE namespace = ? AND key = ?').get(namespace, String(key));
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async getAll(namespace) {
+        const rows = this.db.prepare('SELECT key, value FROM sync_state WHERE namespace = ?').all(namespace);
+        const result = {};
+        rows.forEach(row => {
+            result[row.key] = JSON.parse(row.value);
+        });
+        return result;
+    }
+
+    async set(namespace, key, value) {
+        await this.setMany(namespace, { [key]: value });
+    }
+
+    async setMany(namespace, entries) {
+        const statement = this.db.prepare(`
+            INSERT INTO sync_state (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `);
+        const now = new Date().toISOString();
+        this.transaction(() => {
+            Object.entries(entries || {}).forEach(([key, value]) => {
+                statement.run(namespace, String(key), JSON.stringify(value === undefined ? null : value), now);
+            });
+        });
+    }
+
+    async delete(namespace, key) {
+        this.db.prepare('DELETE FROM sync_state WHERE namespace = ? AND key = ?').run(namespace, String(key));
+    }
+
+    async clear(namespace) {
+        this.db.prepare('DELETE FROM sync_state WHERE namespace = ?').run(namespace);
+    }
+
+    async acquireLock(name, options = {}) {
+        const { owner = createLockOwner(), ttlMs = DEFAULT_LOCK_TTL_MS } = options;
+        return this.transaction(() => {
+            const row = this.db.prepare('SELECT record FROM sync_locks WHERE name = ?').get(name);
+            const holder = row ? JSON.parse(row.record) : null;
+            if (holder && !isLockStale(holder)) {
+                throw createLockError(name, holder);
+            }
+            this.db.prepare('INSERT OR REPLACE INTO sync_locks (name, record) VALUES (?, ?)')
+                .run(name, JSON.stringify(buildLockRecord(owner, ttlMs)));
+            return owner;
+        });
+    }
+
+    async releaseLock(name, owner) {
+        this.transaction(() => {
+            const row = this.db.prepare('SELECT record FROM sync_locks WHERE name = ?').get(name);
+            if (!row) {
+                return;
+            }
+            const holder = JSON.parse(row.record);
+            if (!owner || holder.owner === owner) {
+                this.db.prepare('DELETE FROM sync_locks WHERE name = ?').run(name);
+            }
+        });
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Build the configured state store.
+ * SYNC_STATE_BACKEND selects file (default), sqlite or memory; SYNC_STATE_DIR
+ * pins the directory so cron jobs no longer depend on the working directory.
+ */
+function createStateStore(options = {}) {
+    const backend = (options.backend || process.env.SYNC_STATE_BACKEND || 'file').toLowerCase();
+    const directory = options.directory || process.env.SYNC_STATE_DIR || __dirname;
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryStateStore();
+        case 'sqlite':
+            return new SqliteStateStore({ directory, filename: options.filename });
+        case 'file':
+            return new FileStateStore({ directory });
+        default:
+            throw new Error(`Unknown sync state backend '${backend}' (expected file, sqlite or memory)`);
+    }
+}
+
+module.exports = {
+    STATE_NAMESPACES,
+    MemoryStateStore,
+    FileStateStore,
+    SqliteStateStore,
+    createStateStore
+};
@@ -5,11 +5,20 @@
 
 const { BuildiumClient, HubSpotClient } = require('./index.js');
 const { performance } = require('node:perf_hooks');
+const { getLogger } = require('./SyncLogger.js');
+const { recordLifecycle } = require('./SyncMetrics.js');
+const { mapWithConcurrency, resolveConcurrency } = require('./RateLimiter.js');
+const { IdentityResolver } = require('./IdentityResolver.js');
 
 class TenantLifecycleManager {
-    constructor(hubspotClient = null, buildiumClient = null) {
+    /**
+     * `options.identityResolver` (or `options.stateStore` for a new one) matches
+     * tenants to their HubSpot contacts.
+     */
+    constructor(hubspotClient = null, buildiumClient = null, options = {}) {
         this.hubspotClient = hubspotClient || new HubSpotClient();
         this.buildiumClient = buildiumClient || new BuildiumClient();
+        this.identityResolver = options.identityResolver || new IdentityResolver(this.hubspotClient, { stateStore: options.stateStore });
 
         this.ASSOCIATION_TYPES = {
             FUTURE_TENANT: 11,
@@ -32,6 +41,7 @@ class TenantLifecycleManager {
      * Update tenant associations for either a specific unit or a filtered time window.
      * When verifyUnitScope is enabled we assert that lifecycle work only touches the
      * unit IDs supplied by the caller (typically the limited lease batch).
+     * `options.scope` (a PropertyScope) keeps the fetched leases to part of the portfolio.
      */
     async updateTenantAssociations(
         dryRun = false,
@@ -44,6 +54,7 @@ class TenantLifecycleManager {
         const listingCache = options.listingCache || Object.create(null);
         const logger = options.logger || null;
         const verifyUnitScope = options.verifyUnitScope !== false;
+        const scope = options.scope ? await options.scope.resolve(this.buildiumClient) : null;
 
         let leases = [];
         if (unitId) {
@@ -53,18 +64,30 @@ class TenantLifecycleManager {
             const defaultSinceDate = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000));
             const queryDate = sinceDate || defaultSinceDate;
             emitLifecycleEvent(logger, 'fetch.updated-since', { since: queryDate.toISOString() });
-            leases = await this.getAllLeasesWithPagination(queryDate, maxLeases, logger);
+            leases = await this.getAllLeasesWithPagination(queryDate, maxLeases, logger, scope ? scope.propertyIds : null);
+        }
+
+        if (scope) {
+            const inScope = leases.filter(lease => scope.includes(lease.PropertyId));
+            emitLifecycleEvent(logger, 'filter.scope', { outOfScope: leases.length - inScope.length });
+            leases = inScope;
         }
 
         emitLifecycleEvent(logger, 'fetch.complete', { leases: leases.length });
-        return this.updateTenantAssociationsForLeases(leases, { dryRun, limit, listingCache, logger, verifyUnitScope });
+        return this.updateTenantAssociationsForLeases(leases, { dryRun, limit, listingCache, logger, verifyUnitScope, jobQueue: options.jobQueue || null, concurrency: options.concurrency ?? null });
     }
 
     /**
      * Run lifecycle transitions for an explicit lease list.
      * We track the allowed unit IDs so downstream processing cannot wander past
      * the leases selected by the sync orchestrator, and cache Buildium/HubSpot lookups
-     * so repeated tenants on the same run avoid extra API calls.
+     * so repeated tenants on the same run avoid extra API calls. Units are processed
+     * in parallel (`options.concurrency`, default SYNC_CONCURRENCY); the leases of one
+     * unit run in order, since they share the unit's listing associations.
+     *
+     * Leases go in rounds of LIFECYCLE_ROUND_SIZE: the round's contacts are read in
+     * one batch, its new associations are created in one batch, and only then are
+     * its leases reported done (onLeaseProcessed, job queue).
      */
     async updateTenantAssociationsForLeases(leases, options = {}) {
         const stats = this.createEmptyStats();
@@ -73,8 +96,11 @@ class TenantLifecycleManager {
             return stats;
         }
 
-        const { dryRun = false, limit = null, listingCache = null, logger = null, verifyUnitScope = true } = options;
+        const { dryRun = false, limit = null, listingCache = null, logger = null, verifyUnitScope = true, onLeaseProcessed = null, jobQueue = null, concurrency = null } = options;
+        // Failed leases go to the persistent job queue so a later run retries them
+        const trackJobs = jobQueue && !dryRun;
         const leasesToProcess = limit !== null ? leases.slice(0, limit) : leases;
+        const poolSize = resolveConcurrency(concurrency);
 
         if (limit !== null && leases.length > limit) {
             emitLifecycleEvent(logger, 'limit.apply', { limit, truncated: leases.length - limit });
@@ -92,27 +118,105 @@ class TenantLifecycleManager {
         const contactCache = new Map();
         const associationCache = new Map();
 
-        // Cache Buildium tenant and HubSpot contact lookups so repeated tenants on
-        // the same run do not trigger duplicate API calls.
-        for (const lease of leasesToProcess) {
-            const leaseStart = performance.now();
-            try {
-                await this.processLeaseLifecycle(lease, dryRun, stats, { listingCache, logger, allowedUnitIds, verifyUnitScope, tenantCache, contactCache, associationCache });
-                emitLifecycleEvent(logger, 'lease.processed', {
-                    leaseId: lease?.Id || null,
-                    unitId: lease?.UnitId || null,
-                    durationMs: Math.round(performance.now() - leaseStart)
-                });
-            } catch (error) {
+        const leasesByUnit = new Map();
+        leasesToProcess.forEach(lease => {
+            const unitKey = lease?.UnitId != null ? lease.UnitId.toString() : `lease:${lease?.Id}`;
+            leasesByUnit.set(unitKey, [...(leasesByUnit.get(unitKey) || []), lease]);
+        });
+
+        for (const round of chunkUnitGroups(Array.from(leasesByUnit.values()), LIFECYCLE_ROUND_SIZE)) {
+            const roundLeases = round.flat();
+            const transitions = [];
+            const leaseErrors = new Map();
+
+            // Cache Buildium tenant and HubSpot contact lookups so repeated tenants on
+            // the same run do not trigger duplicate API calls.
+            await this.prefetchContacts(roundLeases, { tenantCache, contactCache, concurrency: poolSize, dryRun });
+
+            await mapWithConcurrency(round, poolSize, async unitLeases => {
+                for (const lease of unitLeases) {
+                    const leaseStart = performance.now();
+                    try {
+                        await this.processLeaseLifecycle(lease, dryRun, stats, { listingCache, logger, allowedUnitIds, verifyUnitScope, tenantCache, contactCache, associationCache, transitions });
+                        emitLifecycleEvent(logger, 'lease.processed', {
+                            leaseId: lease?.Id || null,
+                            unitId: lease?.UnitId || null,
+                            durationMs: Math.round(performance.now() - leaseStart)
+                        });
+                    } catch (error) {
+                        leaseErrors.set(lease, error);
+                    }
+                }
+            });
+
+            const transitionErrors = await this.applyTransitions(transitions, { stats, logger, associationCache });
+            transitionErrors.forEach((error, transition) => {
+                if (!leaseErrors.has(transition.lease)) {
+                    leaseErrors.set(transition.lease, error);
+                }
+            });
+
+            for (const lease of roundLeases) {
+                const error = leaseErrors.get(lease);
+                if (!error) {
+                    if (onLeaseProcessed) {
+                        await onLeaseProcessed(lease, { status: 'ok' });
+                    }
+                    if (trackJobs && lease?.Id) {
+                        await jobQueue.recordSuccess('lifecycle-lease', lease.Id);
+                    }
+                    continue;
+                }
                 stats.errors += 1;
                 emitLifecycleError(logger, error, { leaseId: lease?.Id || null });
+                if (onLeaseProcessed) {
+                    await onLeaseProcessed(lease, { status: 'error', error });
+                }
+                if (trackJobs && lease?.Id) {
+                    await jobQueue.recordFailure('lifecycle-lease', lease.Id, { leaseId: lease.Id, unitId: lease.UnitId || null }, error);
+                }
             }
         }
 
+        if (!dryRun) {
+            recordLifecycle(stats);
+        }
         return stats;
     }
 
-    async getAllLeasesWithPagination(sinceDate, maxLeases = null, logger = null) {
+    /**
+     * Fetch the Buildium tenants of `leases` and resolve their HubSpot contacts in one
+     * go (IdentityResolver.resolveMany) into the run caches; contactCache holds each
+     * tenant ID's resolution. Lookups that fail here are simply repeated, and
+     * reported, when their lease is processed.
+     */
+    async prefetchContacts(leases, { tenantCache, contactCache, concurrency, dryRun = false }) {
+        const tenantIds = Array.from(new Set(leases.flatMap(lease => (lease?.Tenants || []).map(tenant => tenant.Id))))
+            .filter(tenantId => !tenantCache.has(tenantId));
+        await mapWithConcurrency(tenantIds, concurrency, async tenantId => {
+            try {
+                tenantCache.set(tenantId, await this.buildiumClient.getTenant(tenantId));
+            } catch (error) {
+                // Fetched again (and reported against the lease) during processing
+            }
+        });
+
+        const entries = leases.flatMap(lease => (lease?.Tenants || []).map(tenantReference => ({
+            tenant: tenantCache.get(tenantReference.Id),
+            unitId: lease.UnitId ?? null
+        }))).filter(entry => entry.tenant && !contactCache.has(String(entry.tenant.Id)));
+        if (entries.length === 0) {
+            return;
+        }
+        try {
+            const resolutions = await this.identityResolver.resolveMany(entries, { record: !dryRun });
+            resolutions.forEach((resolution, tenantId) => contactCache.set(tenantId, resolution));
+        } catch (error) {
+            // Resolved again (and reported against the lease) during processing
+        }
+    }
+
+    async getAllLeasesWithPagination(sinceDate, maxLeases = null, logger = null, propertyIds = null) {
         const allLeases = [];
         let offset = 0;
         const batchSize = 500;
@@ -123,7 +227,7 @@ class TenantLifecycleManager {
 
             const batch = await this.buildiumClient.getLeasesUpdatedSince(
                 sinceDate,
-                { limit: batchSize, offset }
+                { limit: batchSize, offset, propertyIds }
             );
 
             allLeases.push(...batch);
@@ -150,7 +254,7 @@ class TenantLifecycleManager {
     }
 
     async processLeaseLifecycle(lease, dryRun, stats, options = {}) {
-        const { listingCache = null, logger = null, allowedUnitIds = null, verifyUnitScope = false, tenantCache = null, contactCache = null, associationCache = null } = options;
+        const { listingCache = null, logger = null, allowedUnitIds = null, verifyUnitScope = false, tenantCache = null, contactCache = null, associationCache = null, transitions = null } = options;
 
         const leaseUnitId = lease?.UnitId != null ? lease.UnitId.toString() : null;
         // Guard against accidental drift: a limited sync should only touch the units
@@ -200,17 +304,20 @@ class TenantLifecycleManager {
                 logger,
                 tenantCache,
                 contactCache,
-                associationCache
+                associationCache,
+                transitions
             });
         }
     }
 
     /**
      * Update a single tenant association, reusing Buildium tenant and HubSpot contact
-     * data cached earlier in the run to avoid redundant API calls.
+     * data cached earlier in the run to avoid redundant API calls. With
+     * `options.transitions` the change is queued there for applyTransitions instead
+     * of being made right away.
      */
     async updateTenantAssociation(tenantReference, lease, targetAssociationType, transitionType, options = {}) {
-        const { dryRun = false, stats = null, listingCache = null, logger = null, tenantCache = null, contactCache = null, associationCache = null } = options;
+        const { dryRun = false, stats = null, listingCache = null, logger = null, tenantCache = null, contactCache = null, associationCache = null, transitions = null } = options;
 
         try {
             let tenant = tenantCache && tenantCache.has(tenantReference.Id)
@@ -227,17 +334,26 @@ class TenantLifecycleManager {
                 return;
             }
 
-            let contact = null;
-            const email = tenant.Email ? String(tenant.Email).trim().toLowerCase() : null;
-            if (email && contactCache && contactCache.has(email)) {
-                contact = contactCache.get(email);
-            } else if (tenant.Email) {
-                contact = await this.hubspotClient.searchContactByEmail(tenant.Email);
+            const tenantKey = String(tenant.Id);
+            let resolution = contactCache && contactCache.has(tenantKey) ? contactCache.get(tenantKey) : null;
+            if (!resolution) {
+                resolution = await this.identityResolver.resolve(tenant, { unitId: lease.UnitId ?? null, record: !dryRun });
                 if (contactCache) {
-                    contactCache.set(email, contact || null);
+                    contactCache.set(tenantKey, resolution);
                 }
             }
 
+            if (resolution.status === 'ambiguous') {
+                // Flagged for review by the resolver; guessing could move the wrong person
+                emitLifecycleWarn(logger, 'contact.ambiguous', {
+                    tenantId: tenantReference.Id,
+                    rule: resolution.matchedBy,
+                    candidates: resolution.candidates.map(candidate => candidate.id)
+                });
+                return;
+            }
+
+            const contact = resolution.contact;
             if (!contact) {
                 emitLifecycleWarn(logger, 'contact.missing', {
                     tenantId: tenantReference.Id,
@@ -287,24 +403,25 @@ class TenantLifecycleManager {
                     transition: transitionType
                 });
             } else {
-                await this.performAssociationTransition(
-                    contact.id,
-                    listing.id,
+                const transition = {
+                    contactId: contact.id,
+                    listingId: listing.id,
                     currentAssociations,
                     targetAssociationType,
                     transitionType,
                     tenant,
-                    lease,
-                    logger
-                );
-                if (associationCache) {
-                    associationCache.delete(contact.id);
+                    lease
+                };
+                // applyTransitions makes the change and counts it in stats
+                if (transitions) {
+                    transitions.push(transition);
+                    return;
                 }
-                emitLifecycleEvent(logger, 'association.updated', {
-                    contactId: contact.id,
-                    listingId: listing.id,
-                    transition: transitionType
-                });
+                const failures = await this.applyTransitions([transition], { stats, logger, associationCache });
+                if (failures.size > 0) {
+                    throw failures.get(transition);
+                }
+                return;
             }
 
             if (stats && Object.prototype.hasOwnProperty.call(stats, transitionType)) {
@@ -321,12 +438,14 @@ class TenantLifecycleManager {
 
     async getCurrentAssociations(contactId, listingId, associationCache = null) {
         try {
-            if (associationCache && associationCache.has(contactId)) {
-                return associationCache.get(contactId) || [];
+            // Keyed by the pair: the same contact can be a tenant of several listings
+            const cacheKey = `${contactId}:${listingId}`;
+            if (associationCache && associationCache.has(cacheKey)) {
+                return associationCache.get(cacheKey) || [];
             }
             const associations = await this.hubspotClient.getContactListingAssociations(contactId, listingId);
             if (associationCache) {
-                associationCache.set(contactId, associations || []);
+                associationCache.set(cacheKey, associations || []);
             }
             return associations || [];
         } catch (error) {
@@ -367,44 +486,64 @@ class TenantLifecycleManager {
         }
     }
 
-    async performAssociationTransition(
-        contactId,
-        listingId,
-        currentAssociations,
-        targetAssociationType,
-        transitionType,
-        tenant,
-        lease,
-        logger = null
-    ) {
-        try {
-            for (const assoc of currentAssociations) {
-                if (this.shouldRemoveAssociation(assoc.associationTypeId, transitionType)) {
-                    await this.removeAssociation(contactId, listingId, assoc.associationTypeId);
-                    emitLifecycleEvent(logger, 'association.removed', {
-                        contactId,
-                        listingId,
-                        type: this.getAssociationName(assoc.associationTypeId)
-                    });
-                }
-            }
+    /**
+     * Make queued transitions: create all their target associations in batches (100
+     * per request), then remove the associations each one replaces, so a contact is
+     * never left without one. Resolves to a Map of failed transition -> error.
+     */
+    async applyTransitions(transitions, { stats = null, logger = null, associationCache = null } = {}) {
+        const failures = new Map();
+        if (transitions.length === 0) {
+            return failures;
+        }
+
+        const { errors } = await this.hubspotClient.batchCreateContactListingAssociations(transitions.map(transition => ({
+            contactId: transition.contactId,
+            listingId: transition.listingId,
+            associationTypeId: transition.targetAssociationType
+        })));
+        errors.forEach(({ index, error }) => failures.set(transitions[index], error));
 
-            await this.hubspotClient.createContactListingAssociation(contactId, listingId, targetAssociationType);
+        for (const transition of transitions) {
+            const { contactId, listingId, transitionType, tenant, lease } = transition;
+            if (associationCache) {
+                associationCache.delete(`${contactId}:${listingId}`);
+            }
+            if (failures.has(transition)) {
+                emitLifecycleError(logger, failures.get(transition), { contactId, listingId, transition: transitionType });
+                continue;
+            }
             emitLifecycleEvent(logger, 'association.created', {
                 contactId,
                 listingId,
-                type: this.getAssociationName(targetAssociationType),
+                type: this.getAssociationName(transition.targetAssociationType),
                 tenant: `${tenant.FirstName || ''} ${tenant.LastName || ''}`.trim(),
                 unitId: lease.UnitId
             });
-        } catch (error) {
-            emitLifecycleError(logger, error, {
-                contactId,
-                listingId,
-                transition: transitionType
-            });
-            throw error;
+
+            try {
+                for (const assoc of transition.currentAssociations) {
+                    if (this.shouldRemoveAssociation(assoc.associationTypeId, transitionType)) {
+                        await this.removeAssociation(contactId, listingId, assoc.associationTypeId);
+                        emitLifecycleEvent(logger, 'association.removed', {
+                            contactId,
+                            listingId,
+                            type: this.getAssociationName(assoc.associationTypeId)
+                        });
+                    }
+                }
+            } catch (error) {
+                emitLifecycleError(logger, error, { contactId, listingId, transition: transitionType });
+                failures.set(transition, error);
+                continue;
+            }
+
+            emitLifecycleEvent(logger, 'association.updated', { contactId, listingId, transition: transitionType });
+            if (stats && Object.prototype.hasOwnProperty.call(stats, transitionType)) {
+                stats[transitionType] += 1;
+            }
         }
+        return failures;
     }
 
     shouldRemoveAssociation(currentAssociationTypeId, transitionType) {
@@ -422,19 +561,15 @@ class TenantLifecycleManager {
 
     async removeAssociation(contactId, listingId, associationTypeId) {
         try {
-            const requestBody = {
-                inputs: [{
-                    from: { id: contactId },
-                    to: { id: listingId },
-                    associationTypeId
-                }]
-            };
-
-            return await this.hubspotClient.makeRequest(
-                'DELETE',
-                '/crm/v4/associations/contacts/0-420/batch/delete',
-                requestBody
-            );
+            const { results, errors } = await this.hubspotClient.removeAssociationLabels('contacts', '0-420', [{
+                fromId: contactId,
+                toId: listingId,
+                types: [{ category: 'USER_DEFINED', typeId: associationTypeId }]
+            }]);
+            if (errors.length > 0) {
+                throw errors[0].error;
+            }
+            return results[0];
         } catch (error) {
             console.error(`[tenant-lifecycle] failed to remove association: ${error.message}`);
             throw error;
@@ -452,15 +587,37 @@ class TenantLifecycleManager {
     }
 }
 
+// Leases per round: one contact batch read and one association batch create each
+const LIFECYCLE_ROUND_SIZE = 100;
+
+/**
+ * Split per-unit lease groups into rounds of about `size` leases; a unit's leases
+ * always stay in one round.
+ */
+function chunkUnitGroups(groups, size) {
+    const rounds = [];
+    let current = [];
+    let count = 0;
+    groups.forEach(group => {
+        if (count > 0 && count + group.length > size) {
+            rounds.push(current);
+            current = [];
+            count = 0;
+        }
+        current.push(group);
+        count += group.length;
+    });
+    if (current.length > 0) {
+        rounds.push(current);
+    }
+    return rounds;
+}
+
 function emitLifecycleEvent(logger, event, meta = null) {
     if (logger && typeof logger.event === 'function') {
         logger.event(`tenant-lifecycle.${event}`, meta || undefined);
     } else {
-        if (meta && Object.keys(meta).length > 0) {
-            console.log(`[tenant-lifecycle] ${event} ${JSON.stringify(meta)}`);
-        } else {
-            console.log(`[tenant-lifecycle] ${event}`);
-        }
+        getLogger('tenant-lifecycle').info(event, meta);
     }
 }
 
@@ -468,11 +625,7 @@ function emitLifecycleWarn(logger, event, meta = null) {
     if (logger && typeof logger.warn === 'function') {
         logger.warn(`tenant-lifecycle.${event}`, meta || undefined);
     } else {
-        if (meta && Object.keys(meta).length > 0) {
-            console.warn(`[tenant-lifecycle] ${event} ${JSON.stringify(meta)}`);
-        } else {
-            console.warn(`[tenant-lifecycle] ${event}`);
-        }
+        getLogger('tenant-lifecycle').warn(event, meta);
     }
 }
 
@@ -482,11 +635,7 @@ function emitLifecycleError(logger, error, meta = null) {
         const payload = meta ? { scope: 'tenant-lifecycle', ...meta } : { scope: 'tenant-lifecycle' };
         logger.error(err, payload);
     } else {
-        const payload = { message: err.message };
-        if (meta && Object.keys(meta).length > 0) {
-            Object.assign(payload, meta);
-        }
-        console.error(`[tenant-lifecycle] error ${JSON.stringify(payload)}`);
+        getLogger('tenant-lifecycle').error('error', { message: err.message, ...(meta || {}) });
     }
 }
 
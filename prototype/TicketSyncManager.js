@@ -0,0 +1,215 @@
+/**
+ * TICKET SYNC MANAGER
+ * Copies Buildium resident requests and work orders into HubSpot tickets, so a
+ * tenant's service history sits next to their contact and unit listing.
+ *
+ * Tickets are keyed by `buildium_ticket_id` (`resident-request:<id>` / `work-order:<id>`),
+ * filed into the Buildium Maintenance pipeline at the stage matching the Buildium
+ * task status, and associated with the requesting tenant's contact and the unit's
+ * listing. Runs are incremental: each source is fetched with `lastupdatedfrom` set
+ * to the start of its last clean run, and tickets whose mapped properties hash the
+ * same as last time (`buildium_sync_hash`) are left alone.
+ */
+const crypto = require('crypto');
+const { FieldMapper } = require('./FieldMapper.js');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+const { PipelineManager } = require('./PipelineManager.js');
+const { TICKET_PIPELINE } = require('./hubspot_schema.js');
+const { findTenantContacts, findUnitListings } = require('./HubSpotLookup.js');
+
+const TICKET_SYNC_LOCK = 'ticket-sync';
+
+/**
+ * Buildium task kinds synced as tickets. Work orders keep status and unit on their
+ * parent task and name no requester; the resident request behind one carries it.
+ */
+const TICKET_SOURCES = {
+    'resident-request': {
+        fetch: 'getResidentRequests',
+        mapping: 'residentRequestTicket',
+        status: task => task.TaskStatus,
+        unitId: task => task.UnitId,
+        requester: task => task.RequestedByUserEntity
+    },
+    'work-order': {
+        fetch: 'getWorkOrders',
+        mapping: 'workOrderTicket',
+        status: task => task.Task?.Status || task.Status,
+        unitId: task => task.Task?.UnitId,
+        requester: () => null
+    }
+};
+
+function resolveSources(sources) {
+    const requested = sources && sources.length > 0 ? sources : Object.keys(TICKET_SOURCES);
+    requested.forEach(source => {
+        if (!TICKET_SOURCES[source]) {
+            throw new Error(`Unknown ticket source "${source}" (expected one of: ${Object.keys(TICKET_SOURCES).join(', ')})`);
+        }
+    });
+    return requested;
+}
+
+/**
+ * Buildium tenant ID of whoever requested the task, when that was a tenant.
+ */
+function requestingTenantId(requester) {
+    return requester && /Tenant$/.test(requester.Type || '') && requester.Id ? String(requester.Id) : null;
+}
+
+/**
+ * Hash of a ticket's mapped properties. Work orders have no last-updated time, so this
+ * is what tells a changed task from one `lastupdatedfrom` merely returned again.
+ */
+function ticketFingerprint(properties) {
+    return crypto.createHash('sha1').update(JSON.stringify(properties)).digest('hex');
+}
+
+class TicketSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+        this.pipeline = options.pipeline || TICKET_PIPELINE;
+    }
+
+    /**
+     * Sync tasks updated since `since` (default: each source's last clean run; `full` ignores it).
+     */
+    async run({ dryRun = false, since = null, full = false, limit = null, sources = null, propertyIds = null, force = false } = {}) {
+        const runStartedAt = new Date();
+        const log = scopedLog('tickets');
+        const stats = { tasks: 0, created: 0, updated: 0, unchanged: 0, associations: 0, contactsMissing: 0, listingsMissing: 0, errors: 0 };
+        const selectedSources = resolveSources(sources);
+
+        const sinceDate = since ? new Date(since) : null;
+        if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+            throw new Error(`Invalid --since value "${since}"`);
+        }
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(TICKET_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('tickets');
+            }
+            const pipeline = await new PipelineManager(this.hubspotClient).ensure(this.pipeline, { dryRun, log });
+            log('start', { dryRun, since: sinceDate ? sinceDate.toISOString() : null, full, limit, sources: selectedSources, propertyIds });
+
+            const tasks = [];
+            const failedSources = new Set();
+            for (const source of selectedSources) {
+                const lastRun = full || sinceDate ? null : await this.stateStore.get(STATE_NAMESPACES.TICKET_SYNC, source);
+                const lastUpdatedFrom = sinceDate ? sinceDate.toISOString() : lastRun;
+                try {
+                    const records = await this.buildiumClient[TICKET_SOURCES[source].fetch]({ lastUpdatedFrom, propertyIds, limit });
+                    records.forEach(task => tasks.push({ source, task, ticketId: `${source}:${task.Id}` }));
+                    log('tasks.fetched', { source, lastUpdatedFrom, tasks: records.length });
+                } catch (error) {
+                    stats.errors += 1;
+                    failedSources.add(source);
+                    log('tasks.failed', { source, message: error.message });
+                }
+            }
+            stats.tasks = tasks.length;
+
+            if (tasks.length > 0) {
+                const [existing, contacts, listings] = await Promise.all([
+                    this.findTickets(tasks),
+                    findTenantContacts(this, tasks.map(entry => requestingTenantId(TICKET_SOURCES[entry.source].requester(entry.task))), { log, stats }),
+                    findUnitListings(this.hubspotClient, tasks.map(entry => TICKET_SOURCES[entry.source].unitId(entry.task)))
+                ]);
+
+                for (const entry of tasks) {
+                    try {
+                        await this.syncTask(entry, { pipeline, existing, contacts, listings, dryRun, force, stats, log });
+                    } catch (error) {
+                        stats.errors += 1;
+                        failedSources.add(entry.source);
+                        recordOutcome('ticket', entry.ticketId, 'failed', error.response?.data?.message || error.message);
+                    }
+                }
+            }
+
+            // Limited and property-scoped runs skip tasks, so only complete runs move the watermark
+            if (!dryRun && !limit && !propertyIds) {
+                const watermarks = selectedSources
+                    .filter(source => !failedSources.has(source))
+                    .map(source => [source, runStartedAt.toISOString()]);
+                if (watermarks.length > 0) {
+                    await this.stateStore.setMany(STATE_NAMESPACES.TICKET_SYNC, Object.fromEntries(watermarks));
+                }
+            }
+
+            log('complete', stats);
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(TICKET_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    async findTickets(tasks) {
+        const tickets = await this.hubspotClient.getObjectsByIdProperty('tickets', 'buildium_ticket_id', tasks.map(entry => entry.ticketId), ['buildium_sync_hash', 'hs_pipeline', 'hs_pipeline_stage']);
+        return new Map(tickets.map(ticket => [String(ticket.properties.buildium_ticket_id), ticket]));
+    }
+
+    async syncTask(entry, { pipeline, existing, contacts, listings, dryRun, force, stats, log }) {
+        const source = TICKET_SOURCES[entry.source];
+        const tenantId = requestingTenantId(source.requester(entry.task));
+        const unitId = source.unitId(entry.task);
+        const status = source.status(entry.task);
+        const root = {
+            task: entry.task,
+            ticketId: entry.ticketId,
+            tenantId,
+            pipelineId: pipeline.id,
+            // Statuses without a stage of their own start at the first one
+            stageId: pipeline.stageIds[status] ?? pipeline.stageIds[this.pipeline.stages[0].key] ?? null
+        };
+
+        const ticket = existing.get(entry.ticketId);
+        const contact = tenantId ? contacts.get(tenantId) : null;
+        const listing = unitId ? listings.get(String(unitId)) : null;
+        if (unitId && !listing) {
+            stats.listingsMissing += 1;
+        }
+
+        // Hashed from the full mapping so creates and safe updates agree on it
+        const fingerprint = ticketFingerprint(this.fieldMapper.map(source.mapping, root).properties);
+        const { properties } = this.fieldMapper.map(source.mapping, root, { safeUpdate: Boolean(ticket) });
+        properties.buildium_sync_hash = fingerprint;
+        if (ticket && !force && ticket.properties?.buildium_sync_hash === fingerprint) {
+            stats.unchanged += 1;
+            recordOutcome('ticket', entry.ticketId, 'skipped', 'unchanged since last sync');
+            return;
+        }
+
+        const action = ticket ? 'update' : 'create';
+        if (dryRun) {
+            log(`would-${action}`, { ticketId: entry.ticketId, hubspotId: ticket?.id || null, contactId: contact?.id || null, listingId: listing?.id || null, properties });
+            return;
+        }
+
+        const saved = ticket
+            ? await this.hubspotClient.updateTicket(ticket.id, { properties })
+            : await this.hubspotClient.createTicket({ properties });
+        stats[ticket ? 'updated' : 'created'] += 1;
+        const ticketHubspotId = saved?.id || ticket?.id;
+        recordOutcome('ticket', entry.ticketId, ticket ? 'updated' : 'created', null, { hubspotId: ticketHubspotId });
+
+        if (contact) {
+            await this.hubspotClient.createDefaultAssociation('tickets', ticketHubspotId, 'contacts', contact.id);
+            stats.associations += 1;
+        }
+        if (listing) {
+            await this.hubspotClient.createDefaultAssociation('tickets', ticketHubspotId, '0-420', listing.id);
+            stats.associations += 1;
+        }
+    }
+}
+
+module.exports = { TicketSyncManager, TICKET_SOURCES, requestingTenantId, ticketFingerprint };
@@ -0,0 +1,234 @@
+/**
+ * UNDO MANIFEST
+ * Journal of what a live run changed in HubSpot, kept so `rollback <runId>` can put it back.
+ *
+ * The HubSpotClient write methods record into the run's manifest as they go:
+ *   create       an object the run created (rollback archives it)
+ *   update       the properties the run overwrote, with their previous values (null when empty)
+ *   associate    association labels the run added; `types: null` when the two records
+ *                were not associated at all before, so rollback removes the association
+ *   unassociate  association labels the run removed (rollback re-creates them)
+ *   archive, merge  recorded for the audit trail; HubSpot cannot reverse them through the
+ *                API (prune keeps its own manifest to re-create archived listings)
+ *
+ * Entries are appended as JSON lines to <runId>.undo.jsonl next to the run report
+ * (SYNC_REPORTS_DIR, default <SYNC_STATE_DIR>/reports) the moment each write succeeds, so a
+ * run that dies half-way still leaves a usable manifest. The file only appears once the
+ * run writes something. Rollback replays the entries newest first and appends a
+ * `rollback` entry; running it again only retries the entries that failed.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const IRREVERSIBLE = new Set(['archive', 'merge']);
+
+function reportsDirectory() {
+    return process.env.SYNC_REPORTS_DIR
+        || path.join(process.env.SYNC_STATE_DIR || __dirname, 'reports');
+}
+
+function manifestPath(runId, directory = null) {
+    return path.join(directory || reportsDirectory(), `${runId}.undo.jsonl`);
+}
+
+// Values compare as strings: HubSpot returns numbers and booleans as text
+const asText = value => (value === null || value === undefined ? '' : String(value));
+
+class UndoManifest {
+    constructor(runId, { command = null, directory = null } = {}) {
+        this.runId = runId;
+        this.command = command;
+        this.path = manifestPath(runId, directory);
+        this.entries = 0;
+    }
+
+    record(entry) {
+        if (this.entries === 0) {
+            fs.mkdirSync(path.dirname(this.path), { recursive: true });
+            this.append({ op: 'run', runId: this.runId, command: this.command });
+        }
+        this.append(entry);
+        this.entries += 1;
+    }
+
+    append(entry) {
+        fs.appendFileSync(this.path, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+    }
+
+    recordCreate(objectType, id) {
+        this.record({ op: 'create', objectType, id: String(id) });
+    }
+
+    /**
+     * `before` holds the record's values read ahead of the write; only the properties
+     * the write actually changed are kept, and nothing is recorded when none did.
+     */
+    recordUpdate(objectType, id, before, properties) {
+        const previous = {};
+        Object.keys(properties || {}).forEach(name => {
+            const value = before?.[name] ?? null;
+            if (asText(value) !== asText(properties[name])) {
+                previous[name] = value;
+            }
+        });
+        if (Object.keys(previous).length > 0) {
+            this.record({ op: 'update', objectType, id: String(id), previous });
+        }
+    }
+
+    recordAssociation(op, fromObjectType, fromId, toObjectType, toId, types) {
+        this.record({ op, fromObjectType, fromId: String(fromId), toObjectType, toId: String(toId), types });
+    }
+
+    recordArchive(objectType, id) {
+        this.record({ op: 'archive', objectType, id: String(id) });
+    }
+
+    recordMerge(objectType, id, mergedId) {
+        this.record({ op: 'merge', objectType, id: String(id), mergedId: String(mergedId) });
+    }
+}
+
+// Manifest of the command being run; null outside the CLI and for dry runs
+let activeManifest = null;
+
+function startUndoManifest(runId, options = {}) {
+    activeManifest = new UndoManifest(runId, options);
+    return activeManifest;
+}
+
+function getUndoManifest() {
+    return activeManifest;
+}
+
+/**
+ * Stop recording; resolves to the manifest path when the run wrote anything.
+ */
+function finishUndoManifest() {
+    const manifest = activeManifest;
+    activeManifest = null;
+    return manifest && manifest.entries > 0 ? manifest.path : null;
+}
+
+/**
+ * Entries of a run's manifest, by run ID or path
+ */
+function readUndoManifest(runIdOrPath, { directory = null } = {}) {
+    const file = runIdOrPath.endsWith('.jsonl') ? runIdOrPath : manifestPath(runIdOrPath, directory);
+    if (!fs.existsSync(file)) {
+        const error = new Error(`No undo manifest for run ${runIdOrPath} (looked for ${file})`);
+        error.code = 'UNDO_MANIFEST_NOT_FOUND';
+        throw error;
+    }
+    const entries = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    return { path: file, entries };
+}
+
+const isNotFound = error => error.response?.status === 404;
+
+/**
+ * Reverse one entry through the HubSpot client
+ */
+async function revertEntry(entry, hubspotClient) {
+    switch (entry.op) {
+        case 'create':
+            try {
+                await hubspotClient.archiveObject(entry.objectType, entry.id);
+            } catch (error) {
+                // Already gone is what rollback wanted
+                if (!isNotFound(error)) {
+                    throw error;
+                }
+            }
+            return;
+        case 'update': {
+            const properties = {};
+            Object.entries(entry.previous).forEach(([name, value]) => {
+                properties[name] = value ?? '';
+            });
+            await hubspotClient.updateObject(entry.objectType, entry.id, { properties });
+            return;
+        }
+        case 'associate': {
+            const association = { fromId: entry.fromId, toId: entry.toId, types: entry.types };
+            const { errors } = entry.types
+                ? await hubspotClient.removeAssociationLabels(entry.fromObjectType, entry.toObjectType, [association])
+                : await hubspotClient.removeAssociations(entry.fromObjectType, entry.toObjectType, [association]);
+            if (errors.length > 0) {
+                throw errors[0].error;
+            }
+            return;
+        }
+        case 'unassociate': {
+            const { errors } = await hubspotClient.batchCreateAssociations(entry.fromObjectType, entry.toObjectType, [
+                { fromId: entry.fromId, toId: entry.toId, types: entry.types }
+            ]);
+            if (errors.length > 0) {
+                throw errors[0].error;
+            }
+            return;
+        }
+        default:
+            throw new Error(`Unknown undo manifest entry "${entry.op}"`);
+    }
+}
+
+const describeEntry = entry => (entry.objectType
+    ? `${entry.op} ${entry.objectType} ${entry.id}`
+    : `${entry.op} ${entry.fromObjectType} ${entry.fromId} → ${entry.toObjectType} ${entry.toId}`);
+
+/**
+ * Replay a run's manifest in reverse. Entries that fail are reported and skipped, the
+ * rest still run. Resolves to { path, stats: { entries, reverted, irreversible, errors },
+ * failures: [{ entry, error }], irreversible: [entry] }; with `dryRun` nothing is sent.
+ */
+async function rollbackRun(runIdOrPath, hubspotClient, { dryRun = false, directory = null } = {}) {
+    const { path: file, entries } = readUndoManifest(runIdOrPath, { directory });
+    const previous = entries.filter(entry => entry.op === 'rollback').pop();
+    if (previous && previous.stats.errors === 0) {
+        throw new Error(`Run ${runIdOrPath} was already rolled back at ${previous.at}`);
+    }
+
+    // A rollback that had failures is finished by retrying just those entries
+    const changes = previous
+        ? previous.failed.map(({ error, ...entry }) => entry)
+        : entries.filter(entry => entry.op !== 'run').reverse();
+    const irreversible = changes.filter(entry => IRREVERSIBLE.has(entry.op));
+    const stats = { entries: changes.length, reverted: 0, irreversible: irreversible.length, errors: 0 };
+    const failures = [];
+    if (dryRun) {
+        return { path: file, stats, failures, irreversible };
+    }
+
+    for (const entry of changes) {
+        if (IRREVERSIBLE.has(entry.op)) {
+            continue;
+        }
+        try {
+            await revertEntry(entry, hubspotClient);
+            stats.reverted += 1;
+        } catch (error) {
+            stats.errors += 1;
+            failures.push({ entry, error });
+            console.error(`❌ Could not roll back ${describeEntry(entry)}:`, error.response?.data?.message || error.message);
+        }
+    }
+
+    fs.appendFileSync(file, `${JSON.stringify({
+        op: 'rollback',
+        at: new Date().toISOString(),
+        stats,
+        failed: failures.map(({ entry, error }) => ({ ...entry, error: error.message }))
+    })}\n`);
+    return { path: file, stats, failures, irreversible };
+}
+
+module.exports = {
+    UndoManifest,
+    startUndoManifest,
+    getUndoManifest,
+    finishUndoManifest,
+    readUndoManifest,
+    rollbackRun,
+    describeEntry
+};
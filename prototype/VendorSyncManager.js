@@ -0,0 +1,160 @@
+/**
+ * VENDOR SYNC MANAGER
+ * Brings the Buildium vendor directory into HubSpot companies (type Vendor), with
+ * category, status and insurance expiration, so operations can manage vendors in
+ * the CRM.
+ *
+ * Companies are matched by buildium_vendor_id (findCompanyByBuildiumId, as owners
+ * are by buildium_owner_id). Each vendor is associated with the listings of the
+ * properties that list it as a preferred vendor (/rentals/{id}/vendors) and with
+ * the work-order tickets assigned to it.
+ */
+const { FieldMapper } = require('./FieldMapper.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { scopedLog, recordOutcome } = require('./SyncLogger.js');
+
+const VENDOR_SYNC_LOCK = 'vendor-sync';
+const SEARCH_CHUNK = 100;
+
+function vendorDisplayName(vendor) {
+    return vendor.CompanyName || [vendor.FirstName, vendor.LastName].filter(Boolean).join(' ') || null;
+}
+
+class VendorSyncManager {
+    constructor(integration, options = {}) {
+        this.buildiumClient = integration.buildiumClient;
+        this.hubspotClient = integration.hubspotClient;
+        this.fieldMapper = options.fieldMapper || integration.transformer?.fieldMapper || new FieldMapper();
+        this.stateStore = options.stateStore || createStateStore();
+    }
+
+    /**
+     * Sync active vendors (all with `includeInactive`). `propertyIds` limits the run to
+     * the vendors those properties prefer.
+     */
+    async run({ dryRun = false, limit = null, propertyIds = null, includeInactive = false } = {}) {
+        const startTime = Date.now();
+        const log = scopedLog('vendors');
+        const stats = { vendors: 0, created: 0, updated: 0, associations: 0, errors: 0 };
+
+        let lockOwner = null;
+        try {
+            if (!dryRun) {
+                lockOwner = await this.stateStore.acquireLock(VENDOR_SYNC_LOCK);
+                await this.hubspotClient.ensureCustomProperties('companies');
+            }
+            log('start', { dryRun, limit, propertyIds, includeInactive });
+
+            const categories = new Map((await this.buildiumClient.getVendorCategories())
+                .map(category => [String(category.Id), category.Name]));
+            const propertiesByVendor = await this.findPreferredVendors(propertyIds, stats, log);
+
+            let vendors = await this.buildiumClient.getVendors({ status: includeInactive ? null : 'Active', limit: propertyIds ? null : limit });
+            if (propertyIds) {
+                vendors = vendors.filter(vendor => propertiesByVendor.has(String(vendor.Id)));
+            }
+            if (limit) {
+                vendors = vendors.slice(0, limit);
+            }
+            stats.vendors = vendors.length;
+
+            const servedPropertyIds = Array.from(new Set(vendors.flatMap(vendor => propertiesByVendor.get(String(vendor.Id)) || [])));
+            const [listingsByProperty, ticketsByVendor] = await Promise.all([
+                this.groupSearch('0-420', 'buildium_property_id', servedPropertyIds),
+                this.groupSearch('tickets', 'buildium_vendor_id', vendors.map(vendor => String(vendor.Id)))
+            ]);
+
+            for (const vendor of vendors) {
+                try {
+                    await this.syncVendor(vendor, { categories, propertiesByVendor, listingsByProperty, ticketsByVendor, dryRun, stats, log });
+                } catch (error) {
+                    stats.errors += 1;
+                    recordOutcome('vendor', vendor.Id, 'failed', error.response?.data?.message || error.message);
+                }
+            }
+
+            log('complete', { ...stats, durationMs: Date.now() - startTime });
+            return stats;
+        } finally {
+            if (lockOwner) {
+                await this.stateStore.releaseLock(VENDOR_SYNC_LOCK, lockOwner);
+            }
+        }
+    }
+
+    /**
+     * Vendor ID -> IDs of the properties that list the vendor as preferred.
+     */
+    async findPreferredVendors(propertyIds, stats, log) {
+        const ids = propertyIds || (await this.buildiumClient.getRentalProperties()).map(property => property.Id);
+        const propertiesByVendor = new Map();
+        for (const propertyId of ids) {
+            try {
+                const preferred = await this.buildiumClient.getPreferredVendors(propertyId);
+                preferred.forEach(vendor => {
+                    const key = String(vendor.Id);
+                    propertiesByVendor.set(key, [...(propertiesByVendor.get(key) || []), String(propertyId)]);
+                });
+            } catch (error) {
+                stats.errors += 1;
+                recordOutcome('property', propertyId, 'failed', `preferred vendors: ${error.message}`);
+            }
+        }
+        return propertiesByVendor;
+    }
+
+    /**
+     * Records of `objectType` whose `propertyName` is one of `values`, grouped by that value.
+     */
+    async groupSearch(objectType, propertyName, values) {
+        const groups = new Map();
+        for (let index = 0; index < values.length; index += SEARCH_CHUNK) {
+            const found = await this.hubspotClient.searchObjects(objectType, [
+                { propertyName, operator: 'IN', values: values.slice(index, index + SEARCH_CHUNK) }
+            ], [propertyName]);
+            found.forEach(record => {
+                const key = String(record.properties?.[propertyName]);
+                groups.set(key, [...(groups.get(key) || []), record.id]);
+            });
+        }
+        return groups;
+    }
+
+    async syncVendor(vendor, { categories, propertiesByVendor, listingsByProperty, ticketsByVendor, dryRun, stats, log }) {
+        const propertyIds = propertiesByVendor.get(String(vendor.Id)) || [];
+        const root = {
+            vendor,
+            displayName: vendorDisplayName(vendor),
+            categoryName: vendor.Category?.Id ? categories.get(String(vendor.Category.Id)) : null,
+            propertyIds
+        };
+        const existing = await this.hubspotClient.findCompanyByBuildiumId(vendor.Id, 'buildium_vendor_id');
+        const { properties } = this.fieldMapper.map('vendorCompany', root, { safeUpdate: Boolean(existing) });
+
+        const listingIds = propertyIds.flatMap(propertyId => listingsByProperty.get(propertyId) || []);
+        const ticketIds = ticketsByVendor.get(String(vendor.Id)) || [];
+
+        if (dryRun) {
+            log(`would-${existing ? 'update' : 'create'}`, { vendorId: vendor.Id, companyId: existing?.id || null, listings: listingIds.length, tickets: ticketIds.length, properties });
+            return;
+        }
+
+        const company = existing
+            ? await this.hubspotClient.updateCompany(existing.id, { properties })
+            : await this.hubspotClient.createCompany({ properties });
+        stats[existing ? 'updated' : 'created'] += 1;
+        const companyId = company?.id || existing?.id;
+        recordOutcome('vendor', vendor.Id, existing ? 'updated' : 'created', null, { companyId });
+
+        for (const listingId of listingIds) {
+            await this.hubspotClient.createDefaultAssociation('companies', companyId, '0-420', listingId);
+            stats.associations += 1;
+        }
+        for (const ticketId of ticketIds) {
+            await this.hubspotClient.createDefaultAssociation('companies', companyId, 'tickets', ticketId);
+            stats.associations += 1;
+        }
+    }
+}
+
+module.exports = { VendorSyncManager, vendorDisplayName };
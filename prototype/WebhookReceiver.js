@@ -0,0 +1,341 @@
+/**
+ * WEBHOOK RECEIVER
+ * HTTP endpoint for Buildium webhooks, used by `npm start serve`.
+ *
+ * POST /webhooks/buildium -> verify signature, persist to the webhook queue, 202
+ * GET  /health            -> queue depth
+ * GET  /metrics           -> Prometheus metrics (stored sync totals plus this server's API calls)
+ *
+ * Events are keyed per entity (unit, lease, tenant) in the sync state store, so a
+ * burst of changes to one lease becomes a single sync once it has been quiet for
+ * `debounceMs` (or `maxWaitMs` after the first event at the latest). The queue
+ * survives restarts; pending entities are dispatched when the server comes back.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { STATE_NAMESPACES, createStateStore } = require('./SyncStateStore.js');
+const { scopedLog } = require('./SyncLogger.js');
+const { renderMetrics } = require('./SyncMetrics.js');
+
+const WEBHOOK_LOCK = 'webhook-server';
+const WEBHOOK_PATH = '/webhooks/buildium';
+const SIGNATURE_HEADER = 'buildium-webhook-signature';
+const TIMESTAMP_HEADER = 'buildium-webhook-timestamp';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_ATTEMPTS = 5;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Buildium's EventName is `<Entity>.<Operation>`; each event carries only its entity's ID
+// (Lease.* - including Lease.MoveOut.Created - has just LeaseId). Rental owners send no events.
+const EVENT_ROUTES = [
+    { prefix: 'RentalUnit', entityType: 'unit', idField: 'UnitId' },
+    { prefix: 'Lease', entityType: 'lease', idField: 'LeaseId' },
+    { prefix: 'LeaseTenant', entityType: 'tenant', idField: 'TenantId' },
+    { prefix: 'Tenant', entityType: 'tenant', idField: 'TenantId' }
+];
+
+/**
+ * Buildium signs `${timestamp}.${rawBody}` with HMAC-SHA256 (base64). Requests
+ * older than `toleranceMs` are rejected so captured payloads cannot be replayed.
+ */
+function verifySignature(rawBody, headers, secret, { toleranceMs = 5 * 60 * 1000, now = Date.now() } = {}) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    if (!secret || !signature || !timestamp) {
+        return false;
+    }
+
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds) || Math.abs(now - seconds * 1000) > toleranceMs) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('base64');
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Entities a webhook event should re-sync. A lease is resolved to its unit only when
+ * the job runs, since the event does not say which unit it is on.
+ */
+function routeEvent(event) {
+    const eventName = String(event?.EventName || '');
+    const route = EVENT_ROUTES.find(candidate => eventName.startsWith(`${candidate.prefix}.`));
+    const entityId = route ? event[route.idField] : null;
+    if (entityId === undefined || entityId === null || entityId === '') {
+        return [];
+    }
+    return [{ entityType: route.entityType, entityId: String(entityId), key: `${route.entityType}:${entityId}` }];
+}
+
+function parseEvents(rawBody) {
+    const body = JSON.parse(rawBody);
+    if (Array.isArray(body)) {
+        return body;
+    }
+    return Array.isArray(body?.Events) ? body.Events : [body];
+}
+
+class WebhookReceiver {
+    constructor(integration, options = {}) {
+        this.integration = integration;
+        this.buildiumClient = integration.buildiumClient;
+        this.stateStore = options.stateStore || createStateStore();
+        this.secret = options.secret ?? process.env.BUILDIUM_WEBHOOK_SECRET;
+        this.debounceMs = options.debounceMs ?? parseInt(process.env.WEBHOOK_DEBOUNCE_MS || '15000', 10);
+        this.maxWaitMs = options.maxWaitMs ?? parseInt(process.env.WEBHOOK_MAX_WAIT_MS || '45000', 10);
+        this.retryDelayMs = options.retryDelayMs ?? 30000;
+        this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+        this.log = options.logger || scopedLog('webhook');
+        this.server = null;
+        this.timer = null;
+        this.lockOwner = null;
+        this.draining = null;
+    }
+
+    /**
+     * Queue the entities behind each event, pushing their debounce deadline out.
+     */
+    async enqueue(events, now = Date.now()) {
+        const result = { accepted: 0, ignored: 0 };
+        const updates = {};
+
+        for (const event of events) {
+            const entities = routeEvent(event);
+            if (entities.length === 0) {
+                result.ignored += 1;
+                this.log('event.ignored', { eventName: event?.EventName || null });
+                continue;
+            }
+            result.accepted += 1;
+
+            for (const entity of entities) {
+                const existing = updates[entity.key] || await this.stateStore.get(STATE_NAMESPACES.WEBHOOK_QUEUE, entity.key);
+                const firstReceivedAt = existing?.firstReceivedAt || new Date(now).toISOString();
+                updates[entity.key] = {
+                    entityType: entity.entityType,
+                    entityId: entity.entityId,
+                    eventNames: [...new Set([...(existing?.eventNames || []), event.EventName])],
+                    eventCount: (existing?.eventCount || 0) + 1,
+                    firstReceivedAt,
+                    lastReceivedAt: new Date(now).toISOString(),
+                    dueAt: new Date(Math.min(now + this.debounceMs, new Date(firstReceivedAt).getTime() + this.maxWaitMs)).toISOString(),
+                    attempts: existing?.attempts || 0,
+                    lastError: existing?.lastError || null
+                };
+            }
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await this.stateStore.setMany(STATE_NAMESPACES.WEBHOOK_QUEUE, updates);
+            this.log('event.queued', { entities: Object.keys(updates) });
+        }
+        return result;
+    }
+
+    /**
+     * Dispatch every queued entity whose debounce deadline has passed, one at a time.
+     */
+    async processDue(now = Date.now()) {
+        const queue = await this.stateStore.getAll(STATE_NAMESPACES.WEBHOOK_QUEUE);
+        const due = Object.entries(queue)
+            .filter(([, job]) => new Date(job.dueAt).getTime() <= now)
+            .sort(([, a], [, b]) => new Date(a.dueAt) - new Date(b.dueAt));
+        const stats = { dispatched: 0, failed: 0 };
+
+        for (const [key, job] of due) {
+            const startedAt = Date.now();
+            // Webhooks report changes to records that usually exist already; scoped to the
+            // job so the cron syncs sharing this integration keep their own mode
+            const previousForceUpdate = this.integration.forceUpdate;
+            this.integration.forceUpdate = true;
+            try {
+                const result = await this.dispatch(job);
+                if (result?.status === 'error') {
+                    throw new Error(result.error || `Sync failed for ${key}`);
+                }
+                stats.dispatched += 1;
+                this.log('job.synced', { key, events: job.eventCount, status: result?.status || 'ok', durationMs: Date.now() - startedAt });
+                await this.settle(key, job);
+            } catch (error) {
+                stats.failed += 1;
+                await this.reschedule(key, job, error, now);
+            } finally {
+                this.integration.forceUpdate = previousForceUpdate;
+            }
+        }
+        return stats;
+    }
+
+    async dispatch(job) {
+        switch (job.entityType) {
+            case 'unit': {
+                const unit = await this.buildiumClient.getUnit(job.entityId);
+                return this.integration.syncUnitToListing(unit);
+            }
+            case 'lease': {
+                const lease = await this.buildiumClient.getLeaseById(job.entityId);
+                const unit = await this.buildiumClient.getUnit(lease.UnitId);
+                return this.integration.syncUnitToListing(unit);
+            }
+            case 'tenant':
+                return this.integration.syncTenantToContact(job.entityId);
+            default:
+                throw new Error(`Unknown webhook entity type "${job.entityType}"`);
+        }
+    }
+
+    /**
+     * Drop a synced job unless more events for the entity arrived while it ran.
+     */
+    async settle(key, job) {
+        const current = await this.stateStore.get(STATE_NAMESPACES.WEBHOOK_QUEUE, key);
+        if (current && current.lastReceivedAt !== job.lastReceivedAt) {
+            await this.stateStore.set(STATE_NAMESPACES.WEBHOOK_QUEUE, key, {
+                ...current,
+                eventCount: current.eventCount - job.eventCount,
+                firstReceivedAt: job.lastReceivedAt,
+                attempts: 0,
+                lastError: null
+            });
+            return;
+        }
+        await this.stateStore.delete(STATE_NAMESPACES.WEBHOOK_QUEUE, key);
+    }
+
+    async reschedule(key, job, error, now) {
+        const attempts = (job.attempts || 0) + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+            await this.stateStore.delete(STATE_NAMESPACES.WEBHOOK_QUEUE, key);
+            // Hand over to the sync job queue's dead letters so `retry-failed` can replay it
+            if (this.integration.jobQueue) {
+                await this.integration.jobQueue.recordFailure(job.entityType, job.entityId, { eventNames: job.eventNames }, error, { deadLetter: true, previousAttempts: attempts - 1 });
+            }
+            this.log('job.dead-lettered', { key, attempts, message: error.message });
+            return;
+        }
+
+        const delay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        const current = await this.stateStore.get(STATE_NAMESPACES.WEBHOOK_QUEUE, key) || job;
+        await this.stateStore.set(STATE_NAMESPACES.WEBHOOK_QUEUE, key, {
+            ...current,
+            attempts,
+            lastError: error.message,
+            dueAt: new Date(Math.max(now + delay, new Date(current.dueAt).getTime())).toISOString()
+        });
+        this.log('job.retry', { key, attempts, retryInMs: delay, message: error.message });
+    }
+
+    async handleRequest(req, res) {
+        const respond = (statusCode, body) => {
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/health') {
+            const queue = await this.stateStore.getAll(STATE_NAMESPACES.WEBHOOK_QUEUE);
+            respond(200, { status: 'ok', pending: Object.keys(queue).length });
+            return;
+        }
+        if (req.method === 'GET' && req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(await renderMetrics(this.stateStore));
+            return;
+        }
+        if (req.method !== 'POST' || req.url.split('?')[0] !== WEBHOOK_PATH) {
+            respond(404, { error: 'Not found' });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                respond(413, { error: 'Payload too large' });
+                return;
+            }
+            chunks.push(chunk);
+        }
+        const rawBody = Buffer.concat(chunks).toString('utf8');
+
+        if (!verifySignature(rawBody, req.headers, this.secret)) {
+            this.log('request.rejected', { reason: 'invalid-signature' });
+            respond(401, { error: 'Invalid signature' });
+            return;
+        }
+
+        let events;
+        try {
+            events = parseEvents(rawBody);
+        } catch (error) {
+            respond(400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        // Only acknowledge once the events are persisted, so Buildium retries anything we lose
+        const result = await this.enqueue(events);
+        respond(202, result);
+    }
+
+    async start({ port = parseInt(process.env.WEBHOOK_PORT || '3000', 10), host = '0.0.0.0' } = {}) {
+        if (!this.secret) {
+            throw new Error('BUILDIUM_WEBHOOK_SECRET is required to verify webhook signatures');
+        }
+
+        // The server runs indefinitely; a crashed one is detected by its pid, not the TTL
+        this.lockOwner = await this.stateStore.acquireLock(WEBHOOK_LOCK, { ttlMs: 365 * 24 * 60 * 60 * 1000 });
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                this.log('request.failed', { message: error.message });
+                if (!res.headersSent) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                }
+                res.end(JSON.stringify({ error: 'Internal error' }));
+            });
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        const pending = await this.stateStore.getAll(STATE_NAMESPACES.WEBHOOK_QUEUE);
+        this.log('listening', { port: this.server.address().port, path: WEBHOOK_PATH, pending: Object.keys(pending).length });
+
+        const tick = async () => {
+            this.draining = this.processDue().catch(error => this.log('dispatch.failed', { message: error.message }));
+            await this.draining;
+            this.draining = null;
+            if (this.server) {
+                this.timer = setTimeout(tick, this.pollIntervalMs);
+            }
+        };
+        this.timer = setTimeout(tick, this.pollIntervalMs);
+        return this.server.address();
+    }
+
+    /**
+     * Stop accepting requests and wait for the in-flight dispatch; queued jobs stay persisted.
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        const server = this.server;
+        this.server = null;
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        if (this.draining) {
+            await this.draining;
+        }
+        if (this.lockOwner) {
+            await this.stateStore.releaseLock(WEBHOOK_LOCK, this.lockOwner);
+            this.lockOwner = null;
+        }
+        this.log('stopped');
+    }
+}
+
+module.exports = { WebhookReceiver, verifySignature, routeEvent, SIGNATURE_HEADER, TIMESTAMP_HEADER };
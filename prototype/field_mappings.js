@@ -0,0 +1,356 @@
+/**
+ * FIELD MAPPINGS
+ * Declarative Buildium -> HubSpot property mappings, interpreted by FieldMapper.
+ *
+ * Each object type lists its HubSpot target properties in output order. A field
+ * takes its value from exactly one of:
+ *   source   - dotted path into the Buildium record (array = first non-empty path)
+ *   template - string with {path} placeholders ({a|b} falls back from a to b)
+ *   parts    - list of sub-fields joined with `separator` (empty parts dropped)
+ *   value    - constant
+ *
+ * Optional keys:
+ *   transform  - string | integer | float | date | datetime | phone | join | enum |
+ *                usZip | foreignPostalCode | emailDomain (see FieldMapper.TRANSFORMS)
+ *   options    - transform options (join: pluck/skip/limit/separator, enum: values)
+ *   when       - path that must be non-empty for the field to be produced
+ *   default    - value for full writes when the field comes out empty (literal or
+ *                { template }); empty fields without a default are left out.
+ *                Safe updates never use it
+ *   safeUpdate - 'if-present' (default): only sent on safe updates when Buildium has data
+ *                'always': sent on safe updates even when empty (clears stale values)
+ *                false: only sent when the record is first created
+ *
+ * Set FIELD_MAPPINGS_FILE to a JSON or JS file with the same shape to override
+ * individual object types without editing this file.
+ */
+
+const US_ZIP_PATTERN = '^\\d{5}(-\\d{4})?$';
+
+// Buildium task priority -> HubSpot hs_ticket_priority
+const TICKET_PRIORITIES = { Low: 'LOW', Normal: 'MEDIUM', High: 'HIGH' };
+
+module.exports = {
+    tenantContact: {
+        fields: [
+            // Lets reverse sync find the Buildium tenant behind a contact
+            { target: 'buildium_tenant_id', source: 'Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'firstname', source: 'FirstName' },
+            { target: 'lastname', source: 'LastName' },
+            { target: 'email', source: 'Email' },
+            { target: 'phone', source: 'PhoneNumbers.0.Number', transform: 'phone' },
+            { target: 'mobilephone', source: 'PhoneNumbers', transform: 'join', options: { pluck: 'Number', skip: 1, separator: ', ' } },
+            { target: 'address', parts: [{ source: 'Address.AddressLine1' }, { source: 'Address.AddressLine2' }], separator: ' ' },
+            { target: 'city', source: 'Address.City' },
+            { target: 'state', source: 'Address.State' },
+            { target: 'zip', source: 'Address.PostalCode' },
+            { target: 'country', source: 'Address.Country' },
+            { target: 'company', source: 'CompanyName', default: 'Buildium Tenant' },
+            { target: 'jobtitle', source: 'ContactType', default: 'Tenant' },
+            { target: 'hs_additional_emails', source: 'AlternateEmail' },
+            { target: 'fax', source: 'FaxNumber' },
+            { target: 'website', source: 'Website' },
+            { target: 'date_of_birth', source: 'DateOfBirth', transform: 'date' },
+            {
+                target: 'hs_content_membership_notes',
+                separator: '\n',
+                parts: [
+                    { template: 'Buildium Tenant ID: {Id}' },
+                    { template: 'Notes: {Comment}', when: 'Comment' },
+                    { template: 'Emergency Contact: {EmergencyContact.FirstName} {EmergencyContact.LastName} - {EmergencyContact.PhoneNumber}', when: 'EmergencyContact' },
+                    { template: 'Driver License: {DriverLicenseNumber} ({DriverLicenseState})', when: 'DriverLicenseNumber' },
+                    { template: 'Tax ID: {TaxId}', when: 'TaxId' }
+                ]
+            },
+            { target: 'lastmodifieddate', source: 'LastModifiedDateTime', transform: 'datetime' },
+            { target: 'hs_lead_status', value: 'NEW', safeUpdate: false },
+            { target: 'lifecyclestage', value: 'customer', safeUpdate: false },
+            // Marketing contact prevention - avoid billing charges
+            { target: 'hs_marketable_status', value: 'NON_MARKETABLE', safeUpdate: 'always' }
+        ]
+    },
+
+    ownerContact: {
+        fields: [
+            { target: 'firstname', source: 'FirstName', default: '' },
+            { target: 'lastname', source: 'LastName', default: { template: 'Owner {Id}' } },
+            { target: 'email', source: 'Email' },
+            { target: 'phone', source: 'PhoneNumbers.0.Number', transform: 'phone' },
+            {
+                target: 'address',
+                parts: [
+                    { source: ['Address.AddressLine1', 'PrimaryAddress.AddressLine1'] },
+                    { source: ['Address.AddressLine2', 'PrimaryAddress.AddressLine2'] }
+                ],
+                separator: ' '
+            },
+            { target: 'city', source: ['Address.City', 'PrimaryAddress.City'] },
+            { target: 'state', source: ['Address.State', 'PrimaryAddress.State'] },
+            { target: 'zip', source: ['Address.PostalCode', 'PrimaryAddress.PostalCode'] },
+            { target: 'country', source: ['Address.Country', 'PrimaryAddress.Country'] },
+            { target: 'company', source: 'CompanyName' },
+            { target: 'lifecyclestage', value: 'customer', safeUpdate: false },
+            { target: 'hs_marketable_status', value: 'NON_MARKETABLE', safeUpdate: 'always' }
+        ]
+    },
+
+    ownerCompany: {
+        fields: [
+            { target: 'name', source: 'CompanyName', default: { template: 'Owner {Id}' } },
+            { target: 'domain', source: 'Email', transform: 'emailDomain' },
+            { target: 'phone', source: 'PhoneNumbers.0.Number', transform: 'phone' },
+            {
+                target: 'address',
+                parts: [
+                    { source: ['Address.AddressLine1', 'PrimaryAddress.AddressLine1'] },
+                    { source: ['Address.AddressLine2', 'PrimaryAddress.AddressLine2'] }
+                ],
+                separator: ' '
+            },
+            { target: 'city', source: ['Address.City', 'PrimaryAddress.City'] },
+            { target: 'state', source: ['Address.State', 'PrimaryAddress.State'] },
+            { target: 'zip', source: ['Address.PostalCode', 'PrimaryAddress.PostalCode'] },
+            { target: 'country', source: ['Address.Country', 'PrimaryAddress.Country'] },
+            { target: 'industry', value: 'REAL_ESTATE', safeUpdate: false },
+            { target: 'description', source: 'Comment' }
+        ]
+    },
+
+    // Source root: { property } - a Buildium rental property (/rentals)
+    rentalPropertyCompany: {
+        fields: [
+            { target: 'name', source: 'property.Name', default: { template: 'Property {property.Id}' } },
+            { target: 'address', parts: [{ source: 'property.Address.AddressLine1' }, { source: 'property.Address.AddressLine2' }], separator: ' ' },
+            { target: 'city', source: 'property.Address.City' },
+            { target: 'state', source: 'property.Address.State' },
+            { target: 'zip', source: 'property.Address.PostalCode' },
+            { target: 'country', source: 'property.Address.Country' },
+            { target: 'description', source: 'property.StructureDescription' },
+            { target: 'buildium_property_id', source: 'property.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_rental_type', source: 'property.RentalType' },
+            { target: 'buildium_rental_sub_type', source: 'property.RentalSubType' },
+            { target: 'buildium_unit_count', source: 'property.NumberUnits', transform: 'integer' },
+            { target: 'buildium_year_built', source: 'property.YearBuilt', transform: 'integer' },
+            { target: 'buildium_property_status', source: 'property.IsActive', transform: 'enum', options: { values: { true: 'Active', false: 'Inactive' } }, safeUpdate: 'always' },
+            { target: 'buildium_property_manager', template: '{property.RentalManager.FirstName} {property.RentalManager.LastName}' }
+        ]
+    },
+
+    // Source root: { vendor, displayName, categoryName, propertyIds } - displayName covers individual vendors
+    vendorCompany: {
+        fields: [
+            { target: 'name', source: 'displayName', default: { template: 'Vendor {vendor.Id}' } },
+            { target: 'phone', source: 'vendor.PhoneNumbers.0.Number', transform: 'phone' },
+            { target: 'website', source: 'vendor.Website' },
+            { target: 'address', parts: [{ source: 'vendor.Address.AddressLine1' }, { source: 'vendor.Address.AddressLine2' }], separator: ' ' },
+            { target: 'city', source: 'vendor.Address.City' },
+            { target: 'state', source: 'vendor.Address.State' },
+            { target: 'zip', source: 'vendor.Address.PostalCode' },
+            { target: 'country', source: 'vendor.Address.Country' },
+            { target: 'description', source: 'vendor.Comments' },
+            { target: 'type', value: 'VENDOR', safeUpdate: false },
+            { target: 'buildium_vendor_id', source: 'vendor.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_vendor_category', source: ['categoryName', 'vendor.Category.Name'] },
+            { target: 'buildium_vendor_status', source: 'vendor.IsActive', transform: 'enum', options: { values: { true: 'Active', false: 'Inactive' } }, safeUpdate: 'always' },
+            { target: 'buildium_insurance_provider', source: 'vendor.VendorInsurance.Provider' },
+            { target: 'buildium_insurance_policy_number', source: 'vendor.VendorInsurance.PolicyNumber' },
+            { target: 'buildium_insurance_expiration', source: 'vendor.VendorInsurance.ExpirationDate', transform: 'date' },
+            { target: 'buildium_vendor_property_ids', source: 'propertyIds', transform: 'join', options: { separator: ',' }, safeUpdate: 'always' }
+        ]
+    },
+
+    // Source root: { unit, property, buildiumUnitUrl, currentTenantContactIds, previousTenantContactIds }
+    unitListing: {
+        fields: [
+            { target: 'hs_name', template: '{property.Name} - Unit {unit.UnitNumber|unit.Id}', when: 'property.Name' },
+            { target: 'hs_price', source: 'unit.MarketRent', default: 0 },
+            { target: 'hs_address_1', source: 'property.Address.AddressLine1' },
+            {
+                // Non-US postal codes do not fit hs_zip, so they ride along in address line 2
+                target: 'hs_address_2',
+                parts: [
+                    { source: 'property.Address.AddressLine2' },
+                    { source: 'property.Address.PostalCode', transform: 'foreignPostalCode', options: { pattern: US_ZIP_PATTERN } }
+                ],
+                separator: ' '
+            },
+            { target: 'hs_city', source: 'property.Address.City' },
+            { target: 'hs_state_province', source: 'property.Address.State' },
+            { target: 'hs_zip', source: 'property.Address.PostalCode', transform: 'usZip', options: { pattern: US_ZIP_PATTERN } },
+            { target: 'buildium_unit_id', source: 'unit.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_property_id', source: 'unit.PropertyId', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_unit_url', source: 'buildiumUnitUrl', safeUpdate: 'always' },
+            { target: 'buildium_unit_number', source: 'unit.UnitNumber' },
+            { target: 'buildium_unit_type', source: 'unit.UnitType' },
+            { target: 'buildium_is_occupied', source: 'unit.IsOccupied', transform: 'enum', options: { values: { true: 'Yes', false: 'No' } }, default: 'No' },
+            { target: 'current_tenant_contact_id', source: 'currentTenantContactIds', transform: 'join', options: { separator: ',' }, safeUpdate: 'always' },
+            { target: 'previous_tenant_contact_ids', source: 'previousTenantContactIds', transform: 'join', options: { separator: ',' }, safeUpdate: 'always' },
+            { target: 'hs_bedrooms', source: 'unit.BedCount', default: 0 },
+            { target: 'hs_bathrooms', source: 'unit.BathCount', default: 0 },
+            { target: 'hs_square_footage', source: 'unit.SquareFeet', default: 0 },
+            { target: 'buildium_floor_number', source: 'unit.FloorNumber' },
+            { target: 'buildium_description', source: 'unit.Description' },
+            { target: 'hs_listing_type', value: 'apartments', safeUpdate: false },
+            { target: 'hs_year_built', source: 'property.YearBuilt' },
+            { target: 'hs_property_type', source: 'property.PropertyType' },
+            { target: 'buildium_market_rent', source: 'unit.MarketRent', default: 0 },
+            { target: 'buildium_property_reserve_account', source: 'property.ReserveAccount' },
+            { target: 'buildium_unit_status', source: 'unit.IsOccupied', transform: 'enum', options: { values: { true: 'Occupied', false: 'Vacant' } }, default: 'Vacant' },
+            { target: 'buildium_created_date', source: 'unit.CreatedDateTime', transform: 'datetime' },
+            { target: 'buildium_last_modified', source: 'unit.LastModifiedDateTime', transform: 'datetime' },
+            { target: 'buildium_lease_last_updated', source: 'unit.LastUpdatedDateTime', transform: 'datetime' }
+        ]
+    },
+
+    // Source root: { listing, unitAmenities, propertyAmenities, includedInRent, imageUrls } - listing is a Buildium
+    // rental listing; amenity lists are pre-filtered to the declared multi-select options
+    listingMarketing: {
+        fields: [
+            { target: 'buildium_is_listed', value: 'Yes', safeUpdate: 'always' },
+            { target: 'buildium_listing_date', source: 'listing.ListingDate', transform: 'date' },
+            { target: 'buildium_available_date', source: 'listing.AvailableDate', transform: 'date', safeUpdate: 'always' },
+            { target: 'buildium_advertised_rent', source: 'listing.Rent', transform: 'float', safeUpdate: 'always' },
+            { target: 'buildium_deposit', source: 'listing.Deposit', transform: 'float' },
+            { target: 'buildium_lease_terms', source: 'listing.LeaseTerms' },
+            { target: 'buildium_rental_application_url', source: 'listing.RentalApplicationUrl' },
+            { target: 'buildium_unit_amenities', source: 'unitAmenities', transform: 'join', options: { separator: ';' }, safeUpdate: 'always' },
+            { target: 'buildium_property_amenities', source: 'propertyAmenities', transform: 'join', options: { separator: ';' }, safeUpdate: 'always' },
+            { target: 'buildium_included_in_rent', source: 'includedInRent', transform: 'join', options: { separator: ';' }, safeUpdate: 'always' },
+            { target: 'buildium_primary_image_url', source: 'imageUrls', transform: 'join', options: { limit: 1 }, safeUpdate: 'always' },
+            { target: 'buildium_image_urls', source: 'imageUrls', transform: 'join', options: { separator: '\n', limit: 10 }, safeUpdate: 'always' }
+        ]
+    },
+
+    // Source root: { referenceLease, activeLease, futureLease, propertyLabel, unitLabel }
+    leaseListing: {
+        fields: [
+            { target: 'buildium_unit_id', source: 'referenceLease.UnitId', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_lease_id', source: 'activeLease.Id', transform: 'string', default: '' },
+            { target: 'buildium_property_id', source: 'referenceLease.PropertyId', transform: 'string', safeUpdate: 'always' },
+            { target: 'hs_name', template: '{propertyLabel} - Unit {unitLabel}' },
+            {
+                target: 'buildium_market_rent',
+                source: ['activeLease.RentAmount', 'activeLease.TotalAmount', 'activeLease.BaseRent', 'activeLease.MonthlyRent'],
+                default: ''
+            },
+            { target: 'hs_address_1', source: 'referenceLease.UnitAddress.AddressLine1', default: '' },
+            { target: 'hs_city', source: 'referenceLease.UnitAddress.City', default: '' },
+            { target: 'hs_state_province', source: 'referenceLease.UnitAddress.State', default: '' },
+            { target: 'hs_zip', source: 'referenceLease.UnitAddress.PostalCode', default: '' },
+            { target: 'lease_start_date', source: 'activeLease.LeaseFromDate', default: '' },
+            { target: 'lease_end_date', source: 'activeLease.LeaseToDate', default: '' },
+            { target: 'lease_status', source: 'activeLease.LeaseStatus', default: 'Past' },
+            { target: 'primary_tenant', template: '{activeLease.Tenants.0.FirstName} {activeLease.Tenants.0.LastName}', default: '' },
+            { target: 'next_lease_start', source: 'futureLease.LeaseFromDate', default: '' },
+            { target: 'next_lease_id', source: 'futureLease.Id', transform: 'string', default: '' },
+            { target: 'next_lease_tenant', template: '{futureLease.Tenants.0.FirstName} {futureLease.Tenants.0.LastName}', default: '' }
+        ]
+    },
+
+    // Source root: { balanceDue, daysDelinquent, bucket, lastPaymentDate, lastPaymentAmount, updatedAt }
+    // Shared by tenant contacts and unit listings; a missing payment keeps the last known one
+    leaseBalance: {
+        fields: [
+            { target: 'buildium_balance_due', source: 'balanceDue', transform: 'float', default: 0 },
+            { target: 'buildium_days_delinquent', source: 'daysDelinquent', transform: 'integer', default: 0 },
+            { target: 'buildium_balance_bucket', source: 'bucket', default: 'Current' },
+            { target: 'buildium_last_payment_date', source: 'lastPaymentDate', transform: 'date' },
+            { target: 'buildium_last_payment_amount', source: 'lastPaymentAmount', transform: 'float' },
+            { target: 'buildium_balance_updated', source: 'updatedAt', transform: 'datetime' }
+        ]
+    },
+
+    // Source root: { applicant, application, lifecycleStage } - applicant is a Buildium rental applicant
+    applicantContact: {
+        fields: [
+            { target: 'buildium_applicant_id', source: 'applicant.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'firstname', source: 'applicant.FirstName' },
+            { target: 'lastname', source: 'applicant.LastName' },
+            { target: 'email', source: 'applicant.Email' },
+            {
+                target: 'phone',
+                source: ['applicant.PhoneNumbers.Mobile', 'applicant.PhoneNumbers.Home', 'applicant.PhoneNumbers.Work', 'applicant.PhoneNumbers.0.Number'],
+                transform: 'phone'
+            },
+            { target: 'buildium_application_status', source: ['application.ApplicationStatus', 'application.Status'] },
+            { target: 'lifecyclestage', source: 'lifecycleStage', safeUpdate: false },
+            // Marketing contact prevention - avoid billing charges
+            { target: 'hs_marketable_status', value: 'NON_MARKETABLE', safeUpdate: 'always' }
+        ]
+    },
+
+    // Source root: { applicant, application, unitId, propertyId, pipelineId, stageId }
+    applicationDeal: {
+        fields: [
+            { target: 'dealname', template: 'Application - {applicant.FirstName} {applicant.LastName}', default: { template: 'Application {application.Id}' }, safeUpdate: false },
+            { target: 'pipeline', source: 'pipelineId', safeUpdate: 'always' },
+            { target: 'dealstage', source: 'stageId', safeUpdate: 'always' },
+            { target: 'createdate', source: 'application.ApplicationSubmittedDateTime', transform: 'datetime', safeUpdate: false },
+            { target: 'buildium_application_id', source: 'application.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_applicant_id', source: 'applicant.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_application_status', source: ['application.ApplicationStatus', 'application.Status'] },
+            { target: 'buildium_unit_id', source: 'unitId', transform: 'string' },
+            { target: 'buildium_property_id', source: 'propertyId', transform: 'string' }
+        ]
+    },
+
+    // Source root: { lease, renewalId, endDate, pipelineId, stageId, window, outcome, closeDate }
+    // endDate is the lease term the deal follows, which stays put when Buildium extends the lease
+    leaseRenewalDeal: {
+        fields: [
+            { target: 'dealname', template: 'Lease renewal - Unit {lease.UnitNumber|lease.UnitId} - {endDate}', safeUpdate: false },
+            { target: 'pipeline', source: 'pipelineId', safeUpdate: 'always' },
+            { target: 'dealstage', source: 'stageId', safeUpdate: 'always' },
+            { target: 'amount', source: ['lease.AccountDetails.Rent', 'lease.RentAmount', 'lease.TotalAmount'], transform: 'float' },
+            { target: 'closedate', source: 'closeDate', transform: 'datetime', safeUpdate: 'always' },
+            { target: 'buildium_renewal_id', source: 'renewalId', safeUpdate: 'always' },
+            { target: 'buildium_lease_id', source: 'lease.Id', transform: 'string', safeUpdate: 'always' },
+            { target: 'buildium_unit_id', source: 'lease.UnitId', transform: 'string' },
+            { target: 'buildium_property_id', source: 'lease.PropertyId', transform: 'string' },
+            { target: 'buildium_lease_end_date', source: 'endDate', transform: 'date', safeUpdate: false },
+            { target: 'buildium_renewal_window', source: 'window', transform: 'integer' },
+            { target: 'buildium_renewal_outcome', source: 'outcome' }
+        ]
+    },
+
+    // Source root: { task, ticketId, tenantId, pipelineId, stageId } - task is a Buildium resident request
+    residentRequestTicket: {
+        fields: [
+            { target: 'subject', source: 'task.Title', default: { template: 'Resident request {task.Id}' } },
+            { target: 'content', source: 'task.Description' },
+            { target: 'hs_pipeline', source: 'pipelineId', safeUpdate: 'always' },
+            { target: 'hs_pipeline_stage', source: 'stageId', safeUpdate: 'always' },
+            { target: 'hs_ticket_priority', source: 'task.Priority', transform: 'enum', options: { values: TICKET_PRIORITIES } },
+            { target: 'createdate', source: 'task.CreatedDateTime', transform: 'datetime', safeUpdate: false },
+            { target: 'buildium_ticket_id', source: 'ticketId', safeUpdate: 'always' },
+            { target: 'buildium_ticket_source', value: 'Resident Request', safeUpdate: false },
+            { target: 'buildium_task_status', source: 'task.TaskStatus' },
+            { target: 'buildium_task_category', parts: [{ source: 'task.Category.Name' }, { source: 'task.Category.SubCategory.Name' }], separator: ' / ' },
+            { target: 'buildium_unit_id', source: 'task.UnitId', transform: 'string' },
+            { target: 'buildium_property_id', source: 'task.Property.Id', transform: 'string' },
+            { target: 'buildium_tenant_id', source: 'tenantId', transform: 'string' },
+            { target: 'buildium_due_date', source: 'task.DueDate', transform: 'date' },
+            { target: 'buildium_last_updated', source: 'task.LastUpdatedDateTime', transform: 'datetime', safeUpdate: 'always' }
+        ]
+    },
+
+    // Source root: { task, ticketId, tenantId, pipelineId, stageId } - task is a Buildium work order,
+    // whose status and unit live on its parent task. Work orders report no property, requester,
+    // created or last-updated time.
+    workOrderTicket: {
+        fields: [
+            { target: 'subject', source: ['task.Title', 'task.Task.Title'], default: { template: 'Work order {task.Id}' } },
+            { target: 'content', source: 'task.WorkDetails' },
+            { target: 'hs_pipeline', source: 'pipelineId', safeUpdate: 'always' },
+            { target: 'hs_pipeline_stage', source: 'stageId', safeUpdate: 'always' },
+            // The work order's own priority can be Unknown; its task's cannot
+            { target: 'hs_ticket_priority', source: ['task.Task.Priority', 'task.Priority'], transform: 'enum', options: { values: TICKET_PRIORITIES } },
+            { target: 'buildium_ticket_id', source: 'ticketId', safeUpdate: 'always' },
+            { target: 'buildium_ticket_source', value: 'Work Order', safeUpdate: false },
+            { target: 'buildium_task_status', source: ['task.Task.Status', 'task.Status'] },
+            { target: 'buildium_unit_id', source: 'task.Task.UnitId', transform: 'string' },
+            { target: 'buildium_vendor_id', source: 'task.VendorId', transform: 'string' },
+            { target: 'buildium_due_date', source: ['task.DueDate', 'task.Task.DueDate'], transform: 'date' }
+        ]
+    }
+};
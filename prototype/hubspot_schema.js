@@ -0,0 +1,294 @@
+/**
+ * HUBSPOT SCHEMA
+ * Custom properties the sync writes, declared once for `schema plan|diff|apply`
+ * and for the create-if-missing checks the sync commands run on start-up.
+ *
+ * New properties live in the `buildium` group of their object type; the ones the sync
+ * wrote before this schema existed are declared in the HubSpot groups portals already
+ * keep them in (see `existing`). `type`, `fieldType`, `groupName` and enumeration
+ * `options` are compared against the portal; label and description are only used
+ * when a property is created.
+ */
+
+const BUILDIUM_GROUP = {
+    name: 'buildium',
+    label: 'Buildium',
+    displayOrder: -1
+};
+
+const OBJECT_TYPES = {
+    listings: '0-420',
+    contacts: '0-1',
+    companies: '0-2',
+    deals: '0-3',
+    tickets: '0-5'
+};
+
+function text(name, label, description, extra = {}) {
+    return { name, label, type: 'string', fieldType: 'text', description, ...extra };
+}
+
+function number(name, label, description) {
+    return { name, label, type: 'number', fieldType: 'number', description };
+}
+
+function date(name, label, description) {
+    return { name, label, type: 'date', fieldType: 'date', description };
+}
+
+function datetime(name, label, description) {
+    return { name, label, type: 'datetime', fieldType: 'date', description };
+}
+
+function select(name, label, description, values) {
+    return {
+        name,
+        label,
+        type: 'enumeration',
+        fieldType: 'select',
+        description,
+        options: values.map((value, index) => ({ label: value, value, displayOrder: index }))
+    };
+}
+
+function multiSelect(name, label, description, values) {
+    return {
+        name,
+        label,
+        type: 'enumeration',
+        fieldType: 'checkbox',
+        description,
+        options: values.map((value, index) => ({ label: optionLabel(value), value, displayOrder: index }))
+    };
+}
+
+/**
+ * Pin properties to the HubSpot group they were first created in, so `schema apply`
+ * leaves them where portal users already find them.
+ */
+function existing(groupName, properties) {
+    return properties.map(property => ({ ...property, groupName }));
+}
+
+// "BalconyOrDeckOrPatio" -> "Balcony Or Deck Or Patio", "WD_Hookup" -> "WD Hookup"
+function optionLabel(value) {
+    return value
+        .replace(/_/g, ' ')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2');
+}
+
+// Buildium's amenity enums (ListingUnitMessage / ListingPropertyMessage), written by `marketing`
+const UNIT_AMENITIES = [
+    'CableReady', 'Microwave', 'HardwoodFloors', 'HighSpeedInternet', 'AirConditioning', 'Refrigerator', 'Dishwasher',
+    'WalkinClosets', 'BalconyOrDeckOrPatio', 'GarageParking', 'Carport', 'FencedYard', 'LaundryRoomOrHookups', 'Fireplace',
+    'CableReadyCommercial', 'HighSpeedInternetCommercial', 'AirConditioningCommercial', 'Heating', 'OvenOrRange',
+    'HeatElectric', 'HeatGas', 'HeatOil', 'PetsAllowed', 'Balcony', 'PrivateBalcony', 'PrivatePatio', 'Dryer', 'Heat',
+    'WD_Hookup', 'Washer', 'AdditionalStorage', 'Alarm', 'Carpet', 'CeilingFan', 'ControlledAccess', 'Courtyard',
+    'Disposal', 'DoubleSinkVanity', 'FramedMirrors', 'Furnished', 'Handrails', 'IndividualClimateControl', 'IslandKitchen',
+    'LinenCloset', 'Pantry', 'Satellite', 'Skylight', 'TileFlooring', 'VaultedCeiling', 'View', 'VinylFlooring',
+    'WheelChair', 'WindowCoverings', 'DogFriendly', 'CatFriendly'
+];
+const PROPERTY_AMENITIES = [
+    'LaundryRoom', 'WheelchairAccess', 'DoorAttendant', 'Elevator', 'Parking', 'StorageUnits', 'Pool', 'FitnessCenter',
+    'TennisCourt', 'ClubHouse', 'Power', 'ParkingCommercial', 'SprinklerSystem', 'DockHighDoorsOrLoadingAvailable',
+    'Availability24Hours', 'AccentWalls', 'BasketballCourt', 'Bilingual', 'BoatDocks', 'BusinessCenter', 'CarWashArea',
+    'ChildCare', 'ClubDiscount', 'ConferenceRoom', 'Concierge', 'FreeWeights', 'FurnishedAvailable', 'GamingStations',
+    'Garage', 'Gate', 'GroceryService', 'GroupExercise', 'GuestRoom', 'Housekeeping', 'HouseSitting', 'JoggingWalkingTrails',
+    'LakeFront', 'LakeAccess', 'Library', 'MealService', 'MediaRoom', 'MultiUseRoom', 'NightPatrol', 'OnSiteMaintenance',
+    'OnSiteManagement', 'PackageReceiving', 'PerDiemAccepted', 'PlayGround', 'Racquetball', 'RecRoom', 'Recycling', 'Sauna',
+    'ShortTermLease', 'SmokeFree', 'Spa', 'Sundeck', 'Transportation', 'TVLounge', 'ValetTrash', 'Vintage', 'VolleyballCourt',
+    'WirelessInternet', 'HighSpeedInternet'
+];
+const INCLUDED_IN_RENT = ['Gas', 'Electric', 'Trash', 'Water', 'HotWater', 'Telephone', 'Heat', 'Cable', 'AirCon', 'Satellite', 'Sewer', 'BroadbandInternet'];
+
+// Written by the `balances` command onto both tenant contacts and unit listings
+function balanceProperties() {
+    return [
+        number('buildium_balance_due', 'Buildium Balance Due', 'Outstanding lease balance in Buildium'),
+        number('buildium_days_delinquent', 'Buildium Days Delinquent', 'Days since the oldest unpaid charge (0 when paid up)'),
+        select('buildium_balance_bucket', 'Buildium Balance Aging', 'Aging bucket of the outstanding balance', ['Current', '0-30', '31-60', '61-90', '90+']),
+        date('buildium_last_payment_date', 'Buildium Last Payment Date', 'Date of the most recent lease payment'),
+        number('buildium_last_payment_amount', 'Buildium Last Payment Amount', 'Amount of the most recent lease payment'),
+        datetime('buildium_balance_updated', 'Buildium Balance Updated', 'When the balance fields were last synced from Buildium')
+    ];
+}
+
+const PROPERTIES = {
+    listings: [
+        ...existing('listing_information', [
+            // Identifiers are strings so HubSpot does not comma-format them
+            text('buildium_unit_id', 'Buildium Unit ID', 'Unique identifier for the unit from Buildium API', { hasUniqueValue: true }),
+            text('buildium_property_id', 'Buildium Property ID', 'The Buildium Property ID this unit belongs to'),
+            text('buildium_unit_url', 'Buildium Unit URL', 'Direct link to manage this unit in Buildium (clickable URL)'),
+            text('buildium_lease_url', 'Buildium Lease URL', 'Direct link to view this lease in Buildium (clickable URL)'),
+            text('buildium_unit_number', 'Buildium Unit Number', 'The unit number as defined in Buildium'),
+            text('buildium_unit_type', 'Buildium Unit Type', 'The type of unit (e.g., Apartment, House, etc.)'),
+            text('buildium_is_occupied', 'Is Unit Occupied', 'Whether the unit is currently occupied (Yes/No)'),
+            text('buildium_floor_number', 'Floor Number', 'The floor number where this unit is located'),
+            number('buildium_market_rent', 'Market Rent', 'The market rent for this unit'),
+            text('buildium_unit_status', 'Unit Status', 'Current status of the unit (Occupied/Vacant)'),
+            text('buildium_description', 'Buildium Description', 'Description of the unit from Buildium'),
+            text('buildium_property_reserve_account', 'Property Reserve Account', 'Reserve account of the Buildium property'),
+            datetime('buildium_created_date', 'Buildium Created Date', 'When this unit was created in Buildium'),
+            datetime('buildium_last_modified', 'Buildium Last Modified', 'When this unit was last modified in Buildium'),
+            datetime('buildium_lease_last_updated', 'Buildium Lease Last Updated', 'Stores the last updated date/time from Buildium for this lease'),
+            text('hubspot_property_id', 'HubSpot Property ID', 'HubSpot company ID of the Buildium property this unit belongs to'),
+            text('hubspot_unit_id', 'HubSpot Unit ID', 'HubSpot Contact/Company ID representing this specific unit'),
+            text('current_tenant_contact_id', 'Current Tenant Contact ID', 'HubSpot Contact ID of the current active tenant'),
+            text('previous_tenant_contact_ids', 'Previous Tenant Contact IDs', 'Comma-separated list of HubSpot Contact IDs for previous tenants'),
+            text('buildium_lease_id', 'Buildium Lease ID', 'Buildium ID of the current active lease'),
+            date('lease_start_date', 'Lease Start Date', 'Start date of current active lease'),
+            date('lease_end_date', 'Lease End Date', 'End date of current active lease'),
+            select('lease_status', 'Lease Status', 'Status of the current lease in Buildium', ['Active', 'Future', 'Past', 'Terminated', 'No Current Lease']),
+            text('primary_tenant', 'Primary Tenant', 'Primary tenant name on the current active lease'),
+            date('next_lease_start', 'Next Lease Start Date', 'Start date of the next upcoming lease for this unit'),
+            text('next_lease_id', 'Next Lease ID', 'Buildium ID of the next upcoming lease'),
+            text('next_lease_tenant', 'Next Lease Tenant', 'Primary tenant name for the next upcoming lease')
+        ]),
+        ...balanceProperties(),
+        // Vacancy marketing, from Buildium's rental listings
+        select('buildium_is_listed', 'Listed for Rent', 'Whether the unit has an active rental listing in Buildium', ['Yes', 'No']),
+        date('buildium_listing_date', 'Buildium Listing Date', 'When the rental listing was created in Buildium'),
+        date('buildium_available_date', 'Available Date', 'Date the unit is available to move in'),
+        number('buildium_advertised_rent', 'Advertised Rent', 'Asking rent on the rental listing'),
+        number('buildium_deposit', 'Advertised Deposit', 'Deposit on the rental listing'),
+        text('buildium_lease_terms', 'Lease Terms', 'Summary of the lease terms on the rental listing'),
+        text('buildium_rental_application_url', 'Rental Application URL', 'Online rental application hosted by Buildium'),
+        multiSelect('buildium_unit_amenities', 'Unit Amenities', 'Amenities of the unit in Buildium', UNIT_AMENITIES),
+        multiSelect('buildium_property_amenities', 'Property Amenities', 'Amenities of the rental property in Buildium', PROPERTY_AMENITIES),
+        multiSelect('buildium_included_in_rent', 'Included in Rent', 'Utilities and services included in the rent', INCLUDED_IN_RENT),
+        text('buildium_primary_image_url', 'Primary Image URL', 'First listing photo of the unit'),
+        text('buildium_image_urls', 'Listing Image URLs', 'Listing photos of the unit, one URL per line', { fieldType: 'textarea' })
+    ],
+    contacts: [
+        // Created without a group, so HubSpot filed them under Contact information
+        ...existing('contactinformation', [
+            text('buildium_tenant_id', 'Buildium Tenant ID', 'The unique tenant ID from Buildium'),
+            text('buildium_notes', 'Buildium Notes', 'Notes and additional information from Buildium including emergency contacts, driver license, tax ID, etc.')
+        ]),
+        text('buildium_applicant_id', 'Buildium Applicant ID', 'The Buildium rental applicant this contact was first synced from'),
+        text('buildium_application_status', 'Buildium Application Status', 'Status of the latest rental application in Buildium'),
+        ...balanceProperties()
+    ],
+    companies: [
+        ...existing('companyinformation', [
+            text('buildium_owner_id', 'Buildium Owner ID', 'The unique owner ID from Buildium'),
+            text('buildium_owner_type', 'Buildium Owner Type', 'The type of owner (rental, association, etc.) from Buildium'),
+            text('buildium_property_ids', 'Buildium Property IDs', 'Comma-separated list of property IDs owned in Buildium')
+        ]),
+        // Property companies (`properties`): one per Buildium rental property
+        text('buildium_property_id', 'Buildium Property ID', 'The Buildium rental property this company represents', { hasUniqueValue: true }),
+        select('buildium_rental_type', 'Buildium Rental Type', 'Type of the rental property in Buildium', ['Residential', 'Commercial', 'None']),
+        select('buildium_rental_sub_type', 'Buildium Rental Sub Type', 'Sub type of the rental property in Buildium', [
+            'CondoTownhome', 'MultiFamily', 'SingleFamily', 'Industrial', 'Office', 'Retail', 'ShoppingCenter', 'Storage', 'ParkingSpace'
+        ]),
+        number('buildium_unit_count', 'Buildium Unit Count', 'Number of units in the rental property'),
+        number('buildium_year_built', 'Buildium Year Built', 'Year the rental property was built'),
+        select('buildium_property_status', 'Buildium Property Status', 'Whether the rental property is active in Buildium', ['Active', 'Inactive']),
+        text('buildium_property_manager', 'Buildium Property Manager', 'Property manager of the rental property in Buildium'),
+        text('buildium_vendor_id', 'Buildium Vendor ID', 'The unique vendor ID from Buildium', { hasUniqueValue: true }),
+        text('buildium_vendor_category', 'Buildium Vendor Category', 'Vendor category in Buildium (e.g. Plumbing, HVAC)'),
+        select('buildium_vendor_status', 'Buildium Vendor Status', 'Whether the vendor is active in Buildium', ['Active', 'Inactive']),
+        text('buildium_insurance_provider', 'Vendor Insurance Provider', 'Insurance provider on the vendor record'),
+        text('buildium_insurance_policy_number', 'Vendor Insurance Policy Number', 'Insurance policy number on the vendor record'),
+        date('buildium_insurance_expiration', 'Vendor Insurance Expiration', 'Expiration date of the vendor insurance policy'),
+        text('buildium_vendor_property_ids', 'Buildium Served Property IDs', 'Comma-separated list of properties that list this vendor as preferred')
+    ],
+    deals: [
+        // `<lease id>:<lease end date>`; a renewed lease gets a new deal for its next term
+        text('buildium_renewal_id', 'Buildium Renewal ID', 'Lease term this renewal deal follows up on', { hasUniqueValue: true }),
+        text('buildium_lease_id', 'Buildium Lease ID', 'The Buildium lease up for renewal'),
+        text('buildium_unit_id', 'Buildium Unit ID', 'The Buildium Unit ID of the lease'),
+        text('buildium_property_id', 'Buildium Property ID', 'The Buildium Property ID of the lease'),
+        date('buildium_lease_end_date', 'Buildium Lease End Date', 'End date of the lease term up for renewal'),
+        number('buildium_renewal_window', 'Buildium Renewal Window', 'Notice window (days before the lease end) the deal is in'),
+        select('buildium_renewal_outcome', 'Buildium Renewal Outcome', 'What Buildium recorded for the lease', ['Renewed', 'Moved Out']),
+        text('buildium_application_id', 'Buildium Application ID', 'Rental application this deal tracks', { hasUniqueValue: true }),
+        text('buildium_applicant_id', 'Buildium Applicant ID', 'The Buildium applicant who submitted the application'),
+        text('buildium_application_status', 'Buildium Application Status', 'Status of the rental application in Buildium')
+    ],
+    tickets: [
+        // `resident-request:<id>` or `work-order:<id>`; the two share no ID space in Buildium
+        text('buildium_ticket_id', 'Buildium Ticket ID', 'Buildium task this ticket was synced from', { hasUniqueValue: true }),
+        select('buildium_ticket_source', 'Buildium Ticket Source', 'Kind of Buildium task behind this ticket', ['Resident Request', 'Work Order']),
+        text('buildium_task_status', 'Buildium Task Status', 'Task status in Buildium (New, InProgress, Deferred, Completed, Closed)'),
+        text('buildium_task_category', 'Buildium Task Category', 'Category of the resident request in Buildium'),
+        text('buildium_unit_id', 'Buildium Unit ID', 'The Buildium Unit ID the task is for'),
+        text('buildium_property_id', 'Buildium Property ID', 'The Buildium Property ID the task is for'),
+        text('buildium_tenant_id', 'Buildium Tenant ID', 'The Buildium tenant who requested the work'),
+        text('buildium_vendor_id', 'Buildium Vendor ID', 'The Buildium vendor assigned to the work order'),
+        date('buildium_due_date', 'Buildium Due Date', 'Due date of the task in Buildium'),
+        datetime('buildium_last_updated', 'Buildium Last Updated', 'When the resident request was last updated in Buildium'),
+        text('buildium_sync_hash', 'Buildium Sync Hash', 'Hash of the synced task fields; the ticket sync skips tasks whose hash is unchanged')
+    ]
+};
+
+/**
+ * Pipelines are matched by label and created (with any missing stages) on first use,
+ * see PipelineManager. Stage keys are what the sync code refers to.
+ */
+
+// `tickets`: one stage per Buildium task status
+const TICKET_PIPELINE = {
+    objectType: 'tickets',
+    label: 'Buildium Maintenance',
+    displayOrder: 99,
+    stages: [
+        { key: 'New', label: 'New', metadata: { ticketState: 'OPEN' } },
+        { key: 'InProgress', label: 'In Progress', metadata: { ticketState: 'OPEN' } },
+        { key: 'Deferred', label: 'Deferred', metadata: { ticketState: 'OPEN' } },
+        { key: 'Completed', label: 'Completed', metadata: { ticketState: 'CLOSED' } },
+        { key: 'Closed', label: 'Closed', metadata: { ticketState: 'CLOSED' } }
+    ]
+};
+
+// `applicants`: one stage per Buildium application status, won once the applicant is on a lease
+const APPLICATION_PIPELINE = {
+    objectType: 'deals',
+    label: 'Rental Applications',
+    displayOrder: 98,
+    stages: [
+        { key: 'received', label: 'Application Received', metadata: { probability: '0.2' } },
+        { key: 'deferred', label: 'Deferred', metadata: { probability: '0.3' } },
+        { key: 'approved', label: 'Approved', metadata: { probability: '0.8' } },
+        { key: 'leased', label: 'Lease Signed', metadata: { isClosed: 'true', probability: '1.0' } },
+        { key: 'rejected', label: 'Rejected', metadata: { isClosed: 'true', probability: '0.0' } },
+        { key: 'cancelled', label: 'Cancelled', metadata: { isClosed: 'true', probability: '0.0' } }
+    ]
+};
+
+/**
+ * `renewals`: one stage per notice window (largest first), then an offered stage and
+ * the two outcomes. Windows are configurable, so the pipeline is built from them.
+ */
+function renewalPipeline(windows) {
+    const sorted = [...windows].sort((a, b) => b - a);
+    return {
+        objectType: 'deals',
+        label: 'Lease Renewal',
+        displayOrder: 99,
+        stages: [
+            ...sorted.map((days, index) => ({
+                key: `window:${days}`,
+                label: `${days} Days Out`,
+                metadata: { probability: String(Math.round((0.2 + 0.4 * index / Math.max(sorted.length - 1, 1)) * 10) / 10) }
+            })),
+            { key: 'offered', label: 'Renewal Offered', metadata: { probability: '0.8' } },
+            { key: 'won', label: 'Renewed', metadata: { isClosed: 'true', probability: '1.0' } },
+            { key: 'lost', label: 'Moved Out', metadata: { isClosed: 'true', probability: '0.0' } }
+        ]
+    };
+}
+
+module.exports = {
+    BUILDIUM_GROUP,
+    OBJECT_TYPES,
+    PROPERTIES,
+    UNIT_AMENITIES,
+    PROPERTY_AMENITIES,
+    INCLUDED_IN_RENT,
+    TICKET_PIPELINE,
+    APPLICATION_PIPELINE,
+    renewalPipeline
+};
@@ -1,5 +1,40 @@
 const axios = require('axios');
 require('dotenv').config();
+const { FieldMapper } = require('./FieldMapper.js');
+const { SchemaManager } = require('./SchemaManager.js');
+const { SyncJobQueue } = require('./SyncJobQueue.js');
+const { PropertyScope } = require('./PropertyScope.js');
+const { loadProfiles, applyProfile, withProfile } = require('./ProfileConfig.js');
+const { startRun, finishRun, installHttpLogging, recordOutcome } = require('./SyncLogger.js');
+const { recordRun, persistMetrics } = require('./SyncMetrics.js');
+const { getRateLimiter, mapWithConcurrency, resolveConcurrency } = require('./RateLimiter.js');
+const { createStateStore } = require('./SyncStateStore.js');
+const { IdentityResolver } = require('./IdentityResolver.js');
+const { startUndoManifest, getUndoManifest, finishUndoManifest, rollbackRun, describeEntry } = require('./UndoManifest.js');
+
+// Read with email matches so tenant syncs can claim contacts created for applicants
+const APPLICANT_MATCH_PROPERTIES = ['buildium_applicant_id', 'buildium_tenant_id', 'lifecyclestage'];
+// Most HubSpot batch endpoints (read, upsert, association create) take up to 100 inputs
+const HUBSPOT_BATCH_SIZE = 100;
+
+// Contacts are matched on email case-insensitively
+function normalizeEmail(email) {
+    return email ? String(email).trim().toLowerCase() : null;
+}
+
+/**
+ * HubSpot answers a partly failed batch with 207 and an `errors` list; treat that as a
+ * failed batch so the caller can retry the items one at a time.
+ */
+function assertBatchSucceeded(response, label) {
+    const errors = response.data?.errors || [];
+    if (errors.length > 0) {
+        const error = new Error(`HubSpot rejected ${label}: ${errors.map(entry => entry.message).join('; ')}`);
+        error.code = 'HUBSPOT_BATCH_ERRORS';
+        error.batchErrors = errors;
+        throw error;
+    }
+}
 
 /**
  * Simple Buildium to HubSpot Integration Prototype
@@ -10,13 +45,12 @@ require('dotenv').config();
  * 3. Create a contact in HubSpot
  * 
  * Rate Limiting & Error Handling:
- * - Implements exponential backoff for 429 (Too Many Requests) errors
- * - Buildium API limit: 10 concurrent requests per second (~100ms between requests)
- * - HubSpot API limits: 9 req/sec standard (111ms), 1.8 req/sec search (550ms)
+ * - Both clients send requests through one shared limiter per API (RateLimiter.js)
+ * - Buildium API limit: 10 requests per second
+ * - HubSpot API limits: 100 requests per 10 seconds, plus a separate search limit
+ * - 429s honour Retry-After and pause every caller of that API
  * - Retry strategy: 200ms→400ms→800ms for standard ops, 550ms→1100ms→2200ms for search
  * - Also handles 5xx server errors with slower backoff (1.5x multiplier)
- * - Both Buildium and HubSpot clients use retry mechanisms
- * - Pagination operations properly handle rate limiting across multiple requests
  */
 
 class BuildiumClient {
@@ -46,35 +80,11 @@ class BuildiumClient {
     }
 
     /**
-     * Make API request with exponential backoff for rate limiting
-     * Implements Buildium's recommended retry strategy for 429 errors
+     * Make API request through the shared Buildium rate limiter (see RateLimiter.js),
+     * which retries 429s (honouring Retry-After) and 5xx with exponential backoff
      */
     async makeRequestWithRetry(requestFn, maxRetries = 3, initialDelay = 200) {
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                return await requestFn();
-            } catch (error) {
-                // Check if this is a rate limit error (429)
-                if (error.response?.status === 429 && attempt < maxRetries) {
-                    // Exponential backoff: 200ms, 400ms, 800ms, 1600ms
-                    const delay = initialDelay * Math.pow(2, attempt);
-                    console.log(`⏳ Rate limited (429). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                
-                // Check for other server errors that might benefit from retry
-                if (error.response?.status >= 500 && attempt < maxRetries) {
-                    const delay = initialDelay * Math.pow(1.5, attempt); // Slower backoff for server errors
-                    console.log(`🔄 Server error (${error.response.status}). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                
-                // If not a retryable error or max retries exceeded, throw the error
-                throw error;
-            }
-        }
+        return getRateLimiter('buildium').schedule(requestFn, { maxRetries, initialDelay });
     }
 
     /**
@@ -102,6 +112,32 @@ class BuildiumClient {
         }
     }
 
+    /**
+     * Update a rental tenant. Buildium blanks any field missing from the body, so
+     * callers must send the full tenant (GET first, then change what they need).
+     */
+    async updateTenant(tenantId, tenantPutMessage) {
+        try {
+            console.log(`✏️  Updating tenant ${tenantId} in Buildium...`);
+
+            const response = await this.makeRequestWithRetry(() =>
+                axios.put(`${this.baseURL}/leases/tenants/${tenantId}`, tenantPutMessage, {
+                    headers: {
+                        'x-buildium-client-id': this.clientId,
+                        'x-buildium-client-secret': this.clientSecret,
+                        'Content-Type': 'application/json'
+                    }
+                })
+            );
+
+            console.log('✅ Successfully updated tenant in Buildium');
+            return response.data;
+        } catch (error) {
+            console.error('❌ Error updating tenant in Buildium:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     /**
      * Test API connectivity with different endpoints
      */
@@ -148,7 +184,7 @@ class BuildiumClient {
     /**
      * Get all tenants (for testing/selection purposes)
      */
-    async getAllTenants(limit = 10, offset = 0) {
+    async getAllTenants(limit = 10, offset = 0, propertyIds = null) {
         try {
             console.log(`🔍 Fetching ${limit} tenants from Buildium (offset: ${offset})...`);
             
@@ -160,6 +196,9 @@ class BuildiumClient {
                 'Content-Type': 'application/json'
             };
             const params = { limit: limit, offset: offset };
+            if (propertyIds && propertyIds.length > 0) {
+                params.propertyids = propertyIds;
+            }
             
             console.log('🔧 Debug Info:');
             console.log(`   URL: ${url}`);
@@ -169,7 +208,8 @@ class BuildiumClient {
             const response = await this.makeRequestWithRetry(() =>
                 axios.get(url, {
                     headers: headers,
-                    params: params
+                    params: params,
+                    paramsSerializer: this.buildParamsSerializer
                 })
             );
 
@@ -515,8 +555,9 @@ class BuildiumClient {
     /**
      * Get all leases from Buildium with pagination support
      */
-    async getAllLeases(limit = null) {
+    async getAllLeases(limit = null, options = {}) {
         try {
+            const { propertyIds = null } = options;
             console.log(`🔍 Fetching ${limit ? `up to ${limit}` : 'ALL'} leases from Buildium...`);
             
             const allLeases = [];
@@ -531,6 +572,9 @@ class BuildiumClient {
                     limit: batchSize,
                     offset: offset
                 };
+                if (propertyIds && propertyIds.length > 0) {
+                    params.propertyids = propertyIds;
+                }
                 
                 const response = await this.makeRequestWithRetry(() =>
                     axios.get(`${this.baseURL}/leases`, {
@@ -540,6 +584,7 @@ class BuildiumClient {
                             'Content-Type': 'application/json'
                         },
                         params: params,
+                        paramsSerializer: this.buildParamsSerializer,
                         timeout: 30000 // 30 second timeout
                     })
                 );
@@ -579,6 +624,7 @@ class BuildiumClient {
 
     /**
      * Batch fetch leases for multiple units by grouping requests per property.
+     * Property chunks are fetched in parallel (`options.concurrency`, default SYNC_CONCURRENCY).
      */
     async getLeasesByUnitIds(unitIdentifiers, options = {}) {
         try {
@@ -637,7 +683,8 @@ class BuildiumClient {
             const {
                 propertyChunkSize = 5,
                 limitPerRequest = 200,
-                maxOffset = 50000
+                maxOffset = 50000,
+                concurrency = null
             } = options;
 
             const propertyToUnits = new Map();
@@ -669,7 +716,8 @@ class BuildiumClient {
                 return chunks;
             };
 
-            for (const propertyChunk of chunk(propertyIds, propertyChunkSize)) {
+            // Property chunks are fetched in parallel; each chunk pages through its leases in order
+            await mapWithConcurrency(chunk(propertyIds, propertyChunkSize), resolveConcurrency(concurrency), async propertyChunk => {
                 console.log(`Fetching leases for property chunk (${propertyChunk.join(', ')})...`);
                 let offset = 0;
                 let hasMore = true;
@@ -708,16 +756,16 @@ class BuildiumClient {
                         break;
                     }
                 }
-            }
+            });
 
             if (unitsMissingProperty.length > 0) {
                 console.log(`Fetching leases individually for ${unitsMissingProperty.length} unit(s) lacking property metadata...`);
-                for (const info of unitsMissingProperty) {
+                await mapWithConcurrency(unitsMissingProperty, resolveConcurrency(concurrency), async info => {
                     const fallbackLeases = await this.getAllLeasesForUnit(info.unitId);
                     fallbackLeases.forEach(lease => {
                         leasesById.set(lease.Id ?? `${info.unitId}-${lease.LeaseFromDate ?? leasesById.size}`, lease);
                     });
-                }
+                });
             }
 
             const leases = Array.from(leasesById.values()).filter(lease => seenUnitIds.has(lease?.UnitId?.toString?.()));
@@ -736,7 +784,7 @@ class BuildiumClient {
      */
     async getLeasesUpdatedSince(lastUpdated, options = {}) {
         try {
-            const { limit = 100, offset = 0 } = options;
+            const { limit = 100, offset = 0, propertyIds = null } = options;
             
             // Format date for Buildium API (expects ISO string)
             const formattedDate = lastUpdated instanceof Date ? lastUpdated.toISOString() : lastUpdated;
@@ -748,6 +796,9 @@ class BuildiumClient {
                 offset,
                 lastupdatedfrom: formattedDate
             };
+            if (propertyIds && propertyIds.length > 0) {
+                params.propertyids = propertyIds;
+            }
             
             const response = await this.makeRequestWithRetry(() =>
                 axios.get(`${this.baseURL}/leases`, {
@@ -757,6 +808,7 @@ class BuildiumClient {
                         'Content-Type': 'application/json'
                     },
                     params,
+                    paramsSerializer: this.buildParamsSerializer,
                     timeout: 30000 // 30 second timeout
                 })
             );
@@ -770,110 +822,564 @@ class BuildiumClient {
     }
 
     /**
-     * Get rental owners from Buildium
-     * Supports filtering by property IDs and status
+     * Get outstanding lease balances (aging buckets per lease), paging until exhausted
      */
-    async getRentalOwners(options = {}) {
+    async getOutstandingBalances(options = {}) {
         try {
-            const { propertyIds, status, limit = 100, offset = 0 } = options;
-            console.log(`🔍 Fetching rental owners from Buildium...`);
-            
-            const params = { limit, offset };
-            
-            if (propertyIds && propertyIds.length > 0) {
-                // Keep as array - we'll use custom paramsSerializer to handle it properly
-                params.propertyids = propertyIds;
+            const { propertyIds, leaseIds, leaseStatuses, limit = null, pageSize = 1000 } = options;
+            console.log('🔍 Fetching outstanding lease balances from Buildium...');
+
+            const balances = [];
+            let offset = 0;
+            let hasMore = true;
+
+            while (hasMore) {
+                const params = { limit: pageSize, offset };
+                if (propertyIds && propertyIds.length === 1) {
+                    params.entitytype = 'Rental';
+                    params.entityid = propertyIds[0];
+                }
+                if (leaseIds && leaseIds.length > 0) {
+                    params.leaseids = leaseIds;
+                }
+                if (leaseStatuses && leaseStatuses.length > 0) {
+                    params.leasestatuses = leaseStatuses;
+                }
+
+                const response = await this.makeRequestWithRetry(() =>
+                    axios.get(`${this.baseURL}/leases/outstandingbalances`, {
+                        headers: {
+                            'x-buildium-client-id': this.clientId,
+                            'x-buildium-client-secret': this.clientSecret,
+                            'Content-Type': 'application/json'
+                        },
+                        params,
+                        paramsSerializer: this.buildParamsSerializer,
+                        timeout: 30000
+                    })
+                );
+
+                const page = response.data || [];
+                balances.push(...page);
+                offset += page.length;
+                hasMore = page.length === pageSize && (limit === null || balances.length < limit);
             }
-            
-            if (status) {
-                params.status = status; // 'Active' or 'Inactive'
+
+            // The API filters by a single entity; narrow multi-property requests here
+            const filtered = propertyIds && propertyIds.length > 1
+                ? balances.filter(balance => propertyIds.map(String).includes(String(balance.PropertyId)))
+                : balances;
+            const result = limit === null ? filtered : filtered.slice(0, limit);
+            console.log(`✅ Retrieved ${result.length} outstanding lease balance(s)`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error fetching outstanding balances:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get ledger transactions for a lease, optionally within a date window
+     */
+    async getLeaseTransactions(leaseId, options = {}) {
+        try {
+            const { from = null, to = null, transactionTypes = null, pageSize = 1000 } = options;
+            const transactions = [];
+            let offset = 0;
+            let hasMore = true;
+
+            while (hasMore) {
+                const params = { limit: pageSize, offset };
+                if (from) {
+                    params.transactiondatefrom = new Date(from).toISOString().split('T')[0];
+                }
+                if (to) {
+                    params.transactiondateto = new Date(to).toISOString().split('T')[0];
+                }
+                if (transactionTypes && transactionTypes.length > 0) {
+                    params.transactiontypes = transactionTypes;
+                }
+
+                const response = await this.makeRequestWithRetry(() =>
+                    axios.get(`${this.baseURL}/leases/${leaseId}/transactions`, {
+                        headers: {
+                            'x-buildium-client-id': this.clientId,
+                            'x-buildium-client-secret': this.clientSecret,
+                            'Content-Type': 'application/json'
+                        },
+                        params,
+                        paramsSerializer: this.buildParamsSerializer,
+                        timeout: 30000
+                    })
+                );
+
+                const page = response.data || [];
+                transactions.push(...page);
+                offset += page.length;
+                hasMore = page.length === pageSize;
             }
-            
+
+            return transactions;
+        } catch (error) {
+            console.error(`❌ Error fetching transactions for lease ${leaseId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Page through a Buildium list endpoint until a short page (or `limit` records)
+     */
+    async getAllPages(path, params = {}, options = {}) {
+        const { limit = null, pageSize = 1000 } = options;
+        const records = [];
+        let offset = 0;
+        let hasMore = true;
+
+        while (hasMore) {
             const response = await this.makeRequestWithRetry(() =>
-                axios.get(`${this.baseURL}/rentals/owners`, {
+                axios.get(`${this.baseURL}${path}`, {
                     headers: {
                         'x-buildium-client-id': this.clientId,
                         'x-buildium-client-secret': this.clientSecret,
                         'Content-Type': 'application/json'
                     },
-                    params,
-                    // Custom parameter serializer to handle array parameters per OpenAPI spec
+                    params: { ...params, limit: pageSize, offset },
                     paramsSerializer: this.buildParamsSerializer,
                     timeout: 30000
                 })
             );
 
-            console.log(`✅ Retrieved ${response.data.length} rental owners`);
-            return response.data;
+            const page = response.data || [];
+            records.push(...page);
+            offset += page.length;
+            hasMore = page.length === pageSize && (limit === null || records.length < limit);
+        }
+
+        return limit === null ? records : records.slice(0, limit);
+    }
+
+    /**
+     * getAllPages for endpoints that filter by a single entity: runs scoped to `propertyIds`
+     * fetch each rental property in turn (`entitytype=Rental&entityid=<id>`)
+     */
+    async getAllPagesPerProperty(path, params = {}, options = {}) {
+        const { propertyIds = null, limit = null } = options;
+        if (!propertyIds || propertyIds.length === 0) {
+            return this.getAllPages(path, params, options);
+        }
+
+        const records = [];
+        for (const propertyId of propertyIds) {
+            if (limit !== null && records.length >= limit) {
+                break;
+            }
+            records.push(...await this.getAllPages(path, { ...params, entitytype: 'Rental', entityid: propertyId }, options));
+        }
+        return limit === null ? records : records.slice(0, limit);
+    }
+
+    /**
+     * Get leases whose end date falls between two dates. Buildium's `leasedateto` caps
+     * the end date, but `leasedatefrom` is a floor on the *start* date, so the lower
+     * bound is applied here instead.
+     */
+    async getLeasesEndingBetween(from, to, options = {}) {
+        try {
+            const { propertyIds = null, leaseStatuses = ['Active'], limit = null } = options;
+            const fromDay = new Date(from).toISOString().split('T')[0];
+            const params = {
+                leasedateto: new Date(to).toISOString().split('T')[0]
+            };
+            if (propertyIds && propertyIds.length > 0) {
+                params.propertyids = propertyIds;
+            }
+            if (leaseStatuses && leaseStatuses.length > 0) {
+                params.leasestatuses = leaseStatuses;
+            }
+
+            console.log(`🔍 Fetching leases ending between ${fromDay} and ${params.leasedateto}...`);
+            const leases = (await this.getAllPages('/leases', params))
+                .filter(lease => lease.LeaseToDate && String(lease.LeaseToDate).split('T')[0] >= fromDay);
+            console.log(`✅ Retrieved ${leases.length} lease(s) ending in that range`);
+            return limit === null ? leases : leases.slice(0, limit);
         } catch (error) {
-            console.error('❌ Error fetching rental owners:', error.response?.data || error.message);
+            console.error('❌ Error fetching leases by end date:', error.response?.data || error.message);
             throw error;
         }
     }
 
     /**
-     * Get association owners from Buildium
-     * Supports filtering by association IDs
+     * Get a lease's renewals that are in progress (offered, not yet executed)
      */
-    async getAssociationOwners(options = {}) {
+    async getLeaseRenewals(leaseId) {
         try {
-            const { associationIds, limit = 100, offset = 0 } = options;
-            console.log(`🔍 Fetching association owners from Buildium...`);
-            
-            const params = { limit, offset };
-            
-            if (associationIds && associationIds.length > 0) {
-                // Keep as array - we'll use custom paramsSerializer to handle it properly
-                params.associationids = associationIds;
+            return await this.getAllPages(`/leases/${leaseId}/renewals`);
+        } catch (error) {
+            console.error(`❌ Error fetching renewals of lease ${leaseId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get executed lease renewals (each with the renewed term's dates)
+     */
+    async getLeaseRenewalHistory(options = {}) {
+        try {
+            const { leaseIds = null, propertyIds = null } = options;
+            const params = {};
+            if (leaseIds && leaseIds.length > 0) {
+                params.leaseids = leaseIds;
             }
-            
+            if (propertyIds && propertyIds.length > 0) {
+                params.propertyids = propertyIds;
+            }
+            return await this.getAllPages('/leases/renewalhistory', params);
+        } catch (error) {
+            console.error('❌ Error fetching lease renewal history:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get rental applicants, optionally only those updated since a date
+     */
+    async getApplicants(options = {}) {
+        try {
+            const { lastUpdatedFrom = null, unitIds = null, applicationStatuses = null } = options;
+            const params = {};
+            if (lastUpdatedFrom) {
+                params.lastupdatedfrom = lastUpdatedFrom instanceof Date ? lastUpdatedFrom.toISOString() : lastUpdatedFrom;
+            }
+            if (unitIds && unitIds.length > 0) {
+                params.unitids = unitIds;
+            }
+            if (applicationStatuses && applicationStatuses.length > 0) {
+                params.applicationstatuses = applicationStatuses;
+            }
+
+            console.log(`🔍 Fetching applicants from Buildium${lastUpdatedFrom ? ` updated since ${params.lastupdatedfrom}` : ''}...`);
+            const applicants = await this.getAllPagesPerProperty('/applicants', params, options);
+            console.log(`✅ Retrieved ${applicants.length} applicant(s)`);
+            return applicants;
+        } catch (error) {
+            console.error('❌ Error fetching applicants:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rental applications an applicant has submitted
+     */
+    async getApplicantApplications(applicantId) {
+        try {
+            return await this.getAllPages(`/applicants/${applicantId}/applications`);
+        } catch (error) {
+            console.error(`❌ Error fetching applications for applicant ${applicantId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the advertised rental listings (asking rent, available date, unit and property
+     * features, public media URLs)
+     */
+    async getRentalListings(options = {}) {
+        try {
+            const { propertyIds = null, limit = null } = options;
+            console.log('🔍 Fetching rental listings from Buildium...');
+
+            // The API filters by a single entity, so scoped runs fetch each property in turn
+            const listings = [];
+            if (propertyIds && propertyIds.length > 0) {
+                for (const propertyId of propertyIds) {
+                    listings.push(...await this.getAllPages('/rentals/units/listings', { entitytype: 'Property', entityid: propertyId }, options));
+                }
+            } else {
+                listings.push(...await this.getAllPages('/rentals/units/listings', {}, options));
+            }
+
+            const result = limit === null ? listings : listings.slice(0, limit);
+            console.log(`✅ Retrieved ${result.length} rental listing(s)`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error fetching rental listings:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the amenities (Features) recorded on a rental unit
+     */
+    async getUnitAmenities(unitId) {
+        try {
             const response = await this.makeRequestWithRetry(() =>
-                axios.get(`${this.baseURL}/associations/owners`, {
+                axios.get(`${this.baseURL}/rentals/units/${unitId}/amenities`, {
                     headers: {
                         'x-buildium-client-id': this.clientId,
                         'x-buildium-client-secret': this.clientSecret,
                         'Content-Type': 'application/json'
-                    },
-                    params,
-                    // Custom parameter serializer to handle array parameters per OpenAPI spec
-                    paramsSerializer: this.buildParamsSerializer,
-                    timeout: 30000
+                    }
                 })
             );
+            return response.data?.Features || [];
+        } catch (error) {
+            console.error(`❌ Error fetching amenities for unit ${unitId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
 
-            console.log(`✅ Retrieved ${response.data.length} association owners`);
-            return response.data;
+    /**
+     * Filters shared by the task endpoints (resident requests, work orders)
+     */
+    buildTaskParams(options = {}) {
+        const { lastUpdatedFrom = null, statuses = null } = options;
+        const params = {};
+        if (lastUpdatedFrom) {
+            params.lastupdatedfrom = lastUpdatedFrom instanceof Date ? lastUpdatedFrom.toISOString() : lastUpdatedFrom;
+        }
+        if (statuses && statuses.length > 0) {
+            params.statuses = statuses;
+        }
+        return params;
+    }
+
+    /**
+     * Get resident requests (tenant-submitted maintenance tasks), optionally only those updated since a date
+     */
+    async getResidentRequests(options = {}) {
+        try {
+            console.log(`🔍 Fetching resident requests from Buildium${options.lastUpdatedFrom ? ` updated since ${options.lastUpdatedFrom}` : ''}...`);
+            const requests = await this.getAllPagesPerProperty('/tasks/residentrequests', this.buildTaskParams(options), options);
+            console.log(`✅ Retrieved ${requests.length} resident request(s)`);
+            return requests;
         } catch (error) {
-            console.error('❌ Error fetching association owners:', error.response?.data || error.message);
+            console.error('❌ Error fetching resident requests:', error.response?.data || error.message);
             throw error;
         }
     }
 
     /**
-     * Get all owners (both rental and association) with unified interface
+     * Get work orders, optionally only those updated since a date
      */
-    async getAllOwners(options = {}) {
+    async getWorkOrders(options = {}) {
         try {
-            const { propertyIds, status, ownerType = 'both', limit } = options;
-            const allOwners = [];
-            
-            console.log(`🔍 Fetching all owners (type: ${ownerType})...`);
-            
-            // Fetch rental owners if requested
-            if (ownerType === 'rental' || ownerType === 'both') {
-                try {
-                    console.log('🔍 Fetching rental owners from Buildium...');
-                    let offset = 0;
-                    let hasMore = true;
-                    let totalRentalOwners = 0;
-                    
-                    while (hasMore) {
-                        const rentalOwners = await this.getRentalOwners({ 
-                            propertyIds, 
-                            status, 
-                            limit: 100, // Fetch in batches of 100
-                            offset 
-                        });
+            console.log(`🔍 Fetching work orders from Buildium${options.lastUpdatedFrom ? ` updated since ${options.lastUpdatedFrom}` : ''}...`);
+            const workOrders = await this.getAllPagesPerProperty('/workorders', this.buildTaskParams(options), options);
+            console.log(`✅ Retrieved ${workOrders.length} work order(s)`);
+            return workOrders;
+        } catch (error) {
+            console.error('❌ Error fetching work orders:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get vendors, optionally only active ones or those updated since a date
+     */
+    async getVendors(options = {}) {
+        try {
+            const { status = null, lastUpdatedFrom = null } = options;
+            const params = {};
+            if (status) {
+                params.status = status; // 'Active' or 'Inactive'
+            }
+            if (lastUpdatedFrom) {
+                params.lastupdatedfrom = lastUpdatedFrom instanceof Date ? lastUpdatedFrom.toISOString() : lastUpdatedFrom;
+            }
+
+            console.log(`🔍 Fetching ${status ? `${status.toLowerCase()} ` : ''}vendors from Buildium...`);
+            const vendors = await this.getAllPages('/vendors', params, options);
+            console.log(`✅ Retrieved ${vendors.length} vendor(s)`);
+            return vendors;
+        } catch (error) {
+            console.error('❌ Error fetching vendors:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the vendor categories defined in Buildium
+     */
+    async getVendorCategories() {
+        try {
+            return await this.getAllPages('/vendors/categories');
+        } catch (error) {
+            console.error('❌ Error fetching vendor categories:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get rental properties, optionally limited to specific IDs
+     */
+    async getRentalProperties(options = {}) {
+        try {
+            const { propertyIds = null, status = null } = options;
+            const params = {};
+            if (propertyIds && propertyIds.length > 0) {
+                params.propertyids = propertyIds;
+            }
+            if (status) {
+                params.status = status;
+            }
+            return await this.getAllPages('/rentals', params, options);
+        } catch (error) {
+            console.error('❌ Error fetching rental properties:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get property groups with the properties assigned to each
+     */
+    async getPropertyGroups(options = {}) {
+        try {
+            return await this.getAllPages('/propertygroups', {}, options);
+        } catch (error) {
+            console.error('❌ Error fetching property groups:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the preferred vendors of a rental property
+     */
+    async getPreferredVendors(propertyId) {
+        try {
+            return await this.getAllPages(`/rentals/${propertyId}/vendors`);
+        } catch (error) {
+            console.error(`❌ Error fetching preferred vendors for property ${propertyId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get rental owners from Buildium
+     * Supports filtering by property IDs and status
+     */
+    async getRentalOwners(options = {}) {
+        try {
+            const { propertyIds, status, limit = 100, offset = 0 } = options;
+            console.log(`🔍 Fetching rental owners from Buildium...`);
+            
+            const params = { limit, offset };
+            
+            if (propertyIds && propertyIds.length > 0) {
+                // Keep as array - we'll use custom paramsSerializer to handle it properly
+                params.propertyids = propertyIds;
+            }
+            
+            if (status) {
+                params.status = status; // 'Active' or 'Inactive'
+            }
+            
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(`${this.baseURL}/rentals/owners`, {
+                    headers: {
+                        'x-buildium-client-id': this.clientId,
+                        'x-buildium-client-secret': this.clientSecret,
+                        'Content-Type': 'application/json'
+                    },
+                    params,
+                    // Custom parameter serializer to handle array parameters per OpenAPI spec
+                    paramsSerializer: this.buildParamsSerializer,
+                    timeout: 30000
+                })
+            );
+
+            console.log(`✅ Retrieved ${response.data.length} rental owners`);
+            return response.data;
+        } catch (error) {
+            console.error('❌ Error fetching rental owners:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single rental owner by ID from Buildium
+     */
+    async getRentalOwner(ownerId) {
+        try {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(`${this.baseURL}/rentals/owners/${ownerId}`, {
+                    headers: {
+                        'x-buildium-client-id': this.clientId,
+                        'x-buildium-client-secret': this.clientSecret,
+                        'Content-Type': 'application/json'
+                    }
+                })
+            );
+
+            return response.data;
+        } catch (error) {
+            console.error(`❌ Error fetching rental owner ${ownerId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get association owners from Buildium
+     * Supports filtering by association IDs
+     */
+    async getAssociationOwners(options = {}) {
+        try {
+            const { associationIds, limit = 100, offset = 0 } = options;
+            console.log(`🔍 Fetching association owners from Buildium...`);
+            
+            const params = { limit, offset };
+            
+            if (associationIds && associationIds.length > 0) {
+                // Keep as array - we'll use custom paramsSerializer to handle it properly
+                params.associationids = associationIds;
+            }
+            
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(`${this.baseURL}/associations/owners`, {
+                    headers: {
+                        'x-buildium-client-id': this.clientId,
+                        'x-buildium-client-secret': this.clientSecret,
+                        'Content-Type': 'application/json'
+                    },
+                    params,
+                    // Custom parameter serializer to handle array parameters per OpenAPI spec
+                    paramsSerializer: this.buildParamsSerializer,
+                    timeout: 30000
+                })
+            );
+
+            console.log(`✅ Retrieved ${response.data.length} association owners`);
+            return response.data;
+        } catch (error) {
+            console.error('❌ Error fetching association owners:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all owners (both rental and association) with unified interface
+     */
+    async getAllOwners(options = {}) {
+        try {
+            const { propertyIds, status, ownerType = 'both', limit } = options;
+            const allOwners = [];
+            
+            console.log(`🔍 Fetching all owners (type: ${ownerType})...`);
+            
+            // Fetch rental owners if requested
+            if (ownerType === 'rental' || ownerType === 'both') {
+                try {
+                    console.log('🔍 Fetching rental owners from Buildium...');
+                    let offset = 0;
+                    let hasMore = true;
+                    let totalRentalOwners = 0;
+                    
+                    while (hasMore) {
+                        const rentalOwners = await this.getRentalOwners({ 
+                            propertyIds, 
+                            status, 
+                            limit: 100, // Fetch in batches of 100
+                            offset 
+                        });
                         
                         if (rentalOwners.length === 0) {
                             hasMore = false;
@@ -963,40 +1469,19 @@ class HubSpotClient {
     }
 
     /**
-     * Make API request with exponential backoff for rate limiting
+     * Make API request through the shared HubSpot rate limiter (see RateLimiter.js)
      * HubSpot has different rate limits:
-     * - Standard API: 9 req/sec (111ms between requests)
-     * - Search API: ~1.8 req/sec (550ms between requests)
+     * - Standard API: 100 requests per 10 seconds
+     * - Search API: a separate, lower per-second limit
      * - Max concurrent: 6 requests
      */
     async makeRequestWithRetry(requestFn, maxRetries = 3, initialDelay = 200, isSearchOperation = false) {
         // Use longer delays for search operations (550ms vs 200ms)
-        const baseDelay = isSearchOperation ? 550 : initialDelay;
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                return await requestFn();
-            } catch (error) {
-                // Check if this is a rate limit error (429)
-                if (error.response?.status === 429 && attempt < maxRetries) {
-                    // Exponential backoff: baseDelay, baseDelay*2, baseDelay*4
-                    const delay = baseDelay * Math.pow(2, attempt);
-                    console.log(`⏳ HubSpot rate limited (429). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                
-                // Check for other server errors that might benefit from retry
-                if (error.response?.status >= 500 && attempt < maxRetries) {
-                    const delay = baseDelay * Math.pow(1.5, attempt); // Slower backoff for server errors
-                    console.log(`🔄 HubSpot server error (${error.response.status}). Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                
-                // If not a retryable error or max retries exceeded, throw the error
-                throw error;
-            }
-        }
+        return getRateLimiter('hubspot').schedule(requestFn, {
+            search: isSearchOperation,
+            maxRetries,
+            initialDelay: isSearchOperation ? 550 : initialDelay
+        });
     }
 
     /**
@@ -1040,12 +1525,14 @@ class HubSpotClient {
                 return { id: contactId, properties: contactData.properties };
             }
 
-            const response = await axios.patch(`${this.baseURL}/crm/v3/objects/contacts/${contactId}`, contactData, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const response = await this.makeRequestWithRetry(() =>
+                axios.patch(`${this.baseURL}/crm/v3/objects/contacts/${contactId}`, contactData, {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                })
+            );
 
             console.log('✅ Successfully updated contact in HubSpot');
             return response.data;
@@ -1059,267 +1546,111 @@ class HubSpotClient {
      * Create required custom properties for listings if they don't exist
      */
     async createListingCustomProperties() {
-        try {
-            console.log('🔧 Creating custom properties for listings...');
-            
-            const properties = [
-                {
-                    name: 'buildium_property_id',
-                    label: 'Buildium Property ID',
-                    type: 'string',  // Changed from number to string
-                    description: 'The Buildium Property ID this unit belongs to'
-                },
-                {
-                    name: 'buildium_unit_url',
-                    label: 'Buildium Unit URL',
-                    type: 'string',
-                    fieldType: 'text',
-                    description: 'Direct link to manage this unit in Buildium (clickable URL)'
-                },
-                {
-                    name: 'buildium_unit_number',
-                    label: 'Buildium Unit Number',
-                    type: 'string',
-                    description: 'The unit number as defined in Buildium'
-                },
-                {
-                    name: 'buildium_unit_type',
-                    label: 'Buildium Unit Type',
-                    type: 'string',
-                    description: 'The type of unit (e.g., Apartment, House, etc.)'
-                },
-                {
-                    name: 'buildium_is_occupied',
-                    label: 'Is Unit Occupied',
-                    type: 'string',
-                    description: 'Whether the unit is currently occupied (Yes/No)'
-                },
-                {
-                    name: 'buildium_floor_number',
-                    label: 'Floor Number',
-                    type: 'string',
-                    description: 'The floor number where this unit is located'
-                },
-                {
-                    name: 'buildium_market_rent',
-                    label: 'Market Rent',
-                    type: 'number',
-                    description: 'The market rent for this unit'
-                },
-                {
-                    name: 'buildium_unit_status',
-                    label: 'Unit Status',
-                    type: 'string',
-                    description: 'Current status of the unit (Occupied/Vacant)'
-                },
-                {
-                    name: 'buildium_description',
-                    label: 'Buildium Description',
-                    type: 'string',
-                    description: 'Description of the unit from Buildium'
-                },
-                {
-                    name: 'buildium_created_date',
-                    label: 'Buildium Created Date',
-                    type: 'datetime',
-                    description: 'When this unit was created in Buildium'
-                },
-                {
-                    name: 'buildium_last_modified',
-                    label: 'Buildium Last Modified',
-                    type: 'datetime',
-                    description: 'When this unit was last modified in Buildium'
-                },
-                {
-                    name: 'hubspot_property_id',
-                    label: 'HubSpot Property ID',
-                    type: 'string',
-                    description: 'HubSpot Contact/Company ID representing the property'
-                },
-                {
-                    name: 'hubspot_unit_id',
-                    label: 'HubSpot Unit ID',
-                    type: 'string',
-                    description: 'HubSpot Contact/Company ID representing this specific unit'
-                },
-                {
-                    name: 'current_tenant_contact_id',
-                    label: 'Current Tenant Contact ID',
-                    type: 'string', 
-                    description: 'HubSpot Contact ID of the current active tenant'
-                },
-                {
-                    name: 'previous_tenant_contact_ids',
-                    label: 'Previous Tenant Contact IDs',
-                    type: 'string',
-                    description: 'Comma-separated list of HubSpot Contact IDs for previous tenants'
-                }
-            ];
-
-            for (const property of properties) {
-                try {
-                    // Check if property already exists
-                    const existingResponse = await axios.get(`${this.baseURL}/crm/v3/properties/0-420/${property.name}`, {
-                        headers: this.getHeaders()
-                    });
-                    
-                    console.log(`✅ Property '${property.name}' already exists`);
-                } catch (error) {
-                    if (error.response?.status === 404) {
-                        // Property doesn't exist, create it
-                        console.log(`🔧 Creating property '${property.name}'...`);
-                        
-                        const createResponse = await axios.post(`${this.baseURL}/crm/v3/properties/0-420`, {
-                            name: property.name,
-                            label: property.label,
-                            type: property.type,
-                            fieldType: property.fieldType || (property.type === 'number' ? 'number' : 'text'),
-                            groupName: 'listing_information',
-                            description: property.description
-                        }, {
-                            headers: this.getHeaders()
-                        });
-                        
-                        console.log(`✅ Created property '${property.name}'`);
-                    } else {
-                        console.error(`❌ Error checking property '${property.name}':`, error.message);
-                    }
-                }
-            }
-            
-            console.log('✅ All custom properties ready');
-            return true;
-        } catch (error) {
-            console.error('❌ Failed to create custom properties:', error.message);
-            return false;
-        }
+        console.log('🔧 Creating custom properties for listings...');
+        return this.ensureCustomProperties('listings');
     }
 
     /**
      * Create required custom properties for contacts if they don't exist
      */
     async createContactCustomProperties() {
-        try {
-            console.log('🔧 Creating custom properties for contacts...');
-            
-            const properties = [
-                {
-                    name: 'buildium_tenant_id',
-                    label: 'Buildium Tenant ID',
-                    type: 'string',
-                    description: 'The unique tenant ID from Buildium'
-                },
-                {
-                    name: 'buildium_notes',
-                    label: 'Buildium Notes',
-                    type: 'string',
-                    description: 'Notes and additional information from Buildium including emergency contacts, driver license, tax ID, etc.'
-                }
-            ];
-
-            for (const property of properties) {
-                try {
-                    // Check if property already exists
-                    const existingResponse = await axios.get(`${this.baseURL}/crm/v3/properties/0-1/${property.name}`, {
-                        headers: this.getHeaders()
-                    });
-                    console.log(`✅ Contact property '${property.name}' already exists`);
-                } catch (error) {
-                    if (error.response && error.response.status === 404) {
-                        // Property doesn't exist, create it
-                        console.log(`🔨 Creating contact property: ${property.name}`);
-                        
-                        const response = await axios.post(`${this.baseURL}/crm/v3/properties/0-1`, {
-                            name: property.name,
-                            label: property.label,
-                            type: property.type,
-                            fieldType: property.type === 'number' ? 'number' : 'text',
-                            description: property.description
-                        }, {
-                            headers: this.getHeaders()
-                        });
-                        
-                        console.log(`✅ Successfully created contact property: ${property.name}`);
-                    } else {
-                        console.error(`❌ Error checking/creating contact property ${property.name}:`, error.response?.data || error.message);
-                    }
-                }
-            }
-            
-            console.log('✅ Contact custom properties setup complete');
-            return true;
-        } catch (error) {
-            console.error('❌ Failed to create contact custom properties:', error.message);
-            return false;
-        }
+        console.log('🔧 Creating custom properties for contacts...');
+        return this.ensureCustomProperties('contacts');
     }
 
     /**
      * Create required custom properties for companies if they don't exist
      */
     async createCompanyCustomProperties() {
-        try {
-            console.log('🔧 Creating custom properties for companies...');
-            
-            const properties = [
-                {
-                    name: 'buildium_owner_id',
-                    label: 'Buildium Owner ID',
-                    type: 'string',
-                    description: 'The unique owner ID from Buildium'
-                },
-                {
-                    name: 'buildium_owner_type',
-                    label: 'Buildium Owner Type',
-                    type: 'string',
-                    description: 'The type of owner (rental, association, etc.) from Buildium'
-                },
-                {
-                    name: 'buildium_property_ids',
-                    label: 'Buildium Property IDs',
-                    type: 'string',
-                    description: 'Comma-separated list of property IDs owned in Buildium'
-                }
-            ];
+        console.log('🔧 Creating custom properties for companies...');
+        // Don't fail the sync process even if custom properties fail
+        await this.ensureCustomProperties('companies');
+        return true;
+    }
 
-            for (const property of properties) {
-                try {
-                    // Check if property already exists
-                    const existingResponse = await axios.get(`${this.baseURL}/crm/v3/properties/0-2/${property.name}`, {
-                        headers: this.getHeaders()
-                    });
-                    console.log(`✅ Company property '${property.name}' already exists`);
-                } catch (error) {
-                    if (error.response && error.response.status === 404) {
-                        // Property doesn't exist, create it
-                        console.log(`🔨 Creating company property: ${property.name}`);
-                        
-                        const response = await axios.post(`${this.baseURL}/crm/v3/properties/0-2`, {
-                            name: property.name,
-                            label: property.label,
-                            type: property.type,
-                            fieldType: property.type === 'number' ? 'number' : 'text',
-                            groupName: 'companyinformation',
-                            description: property.description
-                        }, {
-                            headers: this.getHeaders()
-                        });
-                        
-                        console.log(`✅ Successfully created company property: ${property.name}`);
-                    } else {
-                        console.error(`❌ Error checking/creating company property ${property.name}:`, error.response?.data || error.message);
-                        // Don't fail the entire process for individual property errors
-                    }
-                }
+    /**
+     * Create any declared property (see hubspot_schema.js) missing from the portal.
+     * Existing properties are never rewritten here; drift is only reported so it can
+     * be reviewed and fixed with `schema apply`.
+     */
+    async ensureCustomProperties(objectType) {
+        try {
+            const result = await new SchemaManager(this).apply({ objectTypes: [objectType], createOnly: true });
+            if (result.failed.length > 0) {
+                console.error(`❌ ${result.failed.length} ${objectType} propert${result.failed.length === 1 ? 'y' : 'ies'} could not be created`);
+                return false;
             }
-            
-            console.log('✅ Company custom properties setup complete');
+            if (result.skipped.length > 0) {
+                console.warn(`⚠️  ${result.skipped.length} ${objectType} propert${result.skipped.length === 1 ? 'y differs' : 'ies differ'} from the declared schema - run "schema diff"`);
+            }
+            console.log(`✅ ${objectType} custom properties ready (${result.created.length} created)`);
             return true;
         } catch (error) {
-            console.error('❌ Failed to create company custom properties:', error.response?.data || error.message);
-            // Don't fail the sync process even if custom properties fail
-            return true;
+            console.error(`❌ Failed to create ${objectType} custom properties:`, error.response?.data || error.message);
+            return false;
+        }
+    }
+
+    /**
+     * ensureCustomProperties once per process, for write paths that depend on them
+     */
+    ensureCustomPropertiesOnce(objectType) {
+        this.customPropertiesReady = this.customPropertiesReady || {};
+        if (!this.customPropertiesReady[objectType]) {
+            this.customPropertiesReady[objectType] = this.ensureCustomProperties(objectType);
         }
+        return this.customPropertiesReady[objectType];
+    }
+
+    /**
+     * List all properties defined for an object type
+     */
+    async getProperties(objectTypeId) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.get(`${this.baseURL}/crm/v3/properties/${objectTypeId}`, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data.results || [];
+    }
+
+    /**
+     * List the property groups defined for an object type
+     */
+    async getPropertyGroups(objectTypeId) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.get(`${this.baseURL}/crm/v3/properties/${objectTypeId}/groups`, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data.results || [];
+    }
+
+    async createPropertyGroup(objectTypeId, group) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/properties/${objectTypeId}/groups`, group, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data;
+    }
+
+    async createProperty(objectTypeId, property) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/properties/${objectTypeId}`, property, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data;
+    }
+
+    async updateProperty(objectTypeId, propertyName, changes) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.patch(`${this.baseURL}/crm/v3/properties/${objectTypeId}/${propertyName}`, changes, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data;
     }
 
     /**
@@ -1332,10 +1663,83 @@ class HubSpotClient {
         };
     }
 
+    /**
+     * Values of the properties a write is about to overwrite, read only while the run
+     * keeps an undo manifest (see UndoManifest.js). Map of record ID -> properties, or null.
+     */
+    async readBeforeWrite(objectType, ids, properties) {
+        if (!getUndoManifest() || ids.length === 0) {
+            return null;
+        }
+        const records = await this.getObjectsByIdProperty(objectType, 'hs_object_id', ids, properties);
+        return new Map(records.map(record => [String(record.id), record.properties || {}]));
+    }
+
+    /**
+     * Record the previous values of successful updates ({ id, properties }) read by readBeforeWrite()
+     */
+    recordUpdatesForUndo(objectType, before, updates) {
+        const manifest = getUndoManifest();
+        if (!manifest || !before) {
+            return;
+        }
+        updates.forEach(update => manifest.recordUpdate(objectType, update.id, before.get(String(update.id)), update.properties));
+    }
+
+    /**
+     * Association labels already between `fromIds` and their `toObjectType` records, read
+     * only while the run keeps an undo manifest. Map of `fromId:toId` -> type IDs, or null.
+     */
+    async readAssociationsBeforeWrite(fromObjectType, toObjectType, fromIds) {
+        const uniqueIds = Array.from(new Set(fromIds.map(id => String(id))));
+        if (!getUndoManifest() || uniqueIds.length === 0) {
+            return null;
+        }
+        const { results, errors } = await this.runBatched(uniqueIds, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/read`, {
+                    inputs: chunk.map(id => ({ id }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            // Records without associations come back as errors, which are not failures
+            const byRecord = new Map((response.data?.results || []).map(result => [String(result.from?.id), result.to || []]));
+            return chunk.map(id => byRecord.get(id) || []);
+        }, { label: `${toObjectType} association reads` });
+        if (errors.length > 0) {
+            throw errors[0].error;
+        }
+
+        const labels = new Map();
+        uniqueIds.forEach((id, index) => results[index].forEach(target => {
+            labels.set(`${id}:${target.toObjectId}`, (target.associationTypes || []).map(type => type.typeId));
+        }));
+        return labels;
+    }
+
+    /**
+     * Record the labels successful association creates ({ fromId, toId, types }) added;
+     * a pair that had no association at all before is recorded with `types: null`.
+     */
+    recordAssociationsForUndo(fromObjectType, toObjectType, before, associations) {
+        const manifest = getUndoManifest();
+        if (!manifest || !before) {
+            return;
+        }
+        associations.forEach(association => {
+            const existing = before.get(`${association.fromId}:${association.toId}`);
+            const added = existing ? association.types.filter(type => !existing.includes(type.typeId)) : null;
+            if (!existing || added.length > 0) {
+                manifest.recordAssociation('associate', fromObjectType, association.fromId, toObjectType, association.toId, added);
+            }
+        });
+    }
+
     /**
      * Search for existing contact by email
      */
-    async searchContactByEmail(email) {
+    async searchContactByEmail(email, properties = null) {
         try {
             console.log(`🔍 Searching for existing contact with email: ${email}`);
             
@@ -1348,7 +1752,9 @@ class HubSpotClient {
                             operator: 'EQ',
                             value: email
                         }]
-                    }]
+                    }],
+                    // HubSpot's default property set unless specific ones are asked for
+                    ...(properties ? { properties: ['email', 'firstname', 'lastname', ...properties] } : {})
                 }, {
                     headers: {
                         'Authorization': `Bearer ${this.accessToken}`,
@@ -1370,6 +1776,116 @@ class HubSpotClient {
         }
     }
 
+    /**
+     * Find contacts modified since the given date that carry a Buildium tenant ID
+     */
+    async searchContactsModifiedSince(since, properties = [], { limit = null } = {}) {
+        const contacts = [];
+        let after;
+
+        do {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/contacts/search`, {
+                    filterGroups: [{
+                        filters: [
+                            { propertyName: 'lastmodifieddate', operator: 'GTE', value: String(new Date(since).getTime()) },
+                            { propertyName: 'buildium_tenant_id', operator: 'HAS_PROPERTY' }
+                        ]
+                    }],
+                    sorts: [{ propertyName: 'lastmodifieddate', direction: 'ASCENDING' }],
+                    properties: Array.from(new Set(['buildium_tenant_id', 'lastmodifieddate', ...properties])),
+                    limit: 100,
+                    ...(after ? { after } : {})
+                }, {
+                    headers: this.getHeaders()
+                }), 3, 200, true // isSearchOperation = true
+            );
+
+            contacts.push(...(response.data.results || []));
+            after = response.data.paging?.next?.after;
+        } while (after && (limit === null || contacts.length < limit));
+
+        return limit === null ? contacts : contacts.slice(0, limit);
+    }
+
+    /**
+     * Batch read contacts with per-property change history (newest entry first)
+     */
+    async getContactsWithHistory(contactIds, properties) {
+        const results = [];
+        for (let index = 0; index < contactIds.length; index += 50) {
+            const chunk = contactIds.slice(index, index + 50);
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/contacts/batch/read`, {
+                    inputs: chunk.map(id => ({ id: String(id) })),
+                    properties,
+                    propertiesWithHistory: properties
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            results.push(...(response.data.results || []));
+        }
+        return results;
+    }
+
+    /**
+     * Find contacts carrying any of the given Buildium tenant IDs (IN filter, 100 per search)
+     */
+    async searchContactsByTenantIds(tenantIds, properties = []) {
+        const uniqueIds = Array.from(new Set((tenantIds || []).map(id => String(id))));
+        const contacts = [];
+        for (let index = 0; index < uniqueIds.length; index += 100) {
+            const chunk = uniqueIds.slice(index, index + 100);
+            contacts.push(...await this.searchObjects('contacts', [
+                { propertyName: 'buildium_tenant_id', operator: 'IN', values: chunk }
+            ], ['buildium_tenant_id', 'email', ...properties]));
+        }
+        return contacts;
+    }
+
+    /**
+     * Find contacts by phone number (IN filter on HubSpot's digits-only searchable
+     * phone, 100 per search). `phones` must already be normalized to digits.
+     */
+    async searchContactsByPhones(phones, properties = []) {
+        const uniquePhones = Array.from(new Set((phones || []).map(phone => String(phone))));
+        const contacts = [];
+        for (let index = 0; index < uniquePhones.length; index += HUBSPOT_BATCH_SIZE) {
+            const chunk = uniquePhones.slice(index, index + HUBSPOT_BATCH_SIZE);
+            contacts.push(...await this.searchObjects('contacts', [
+                { propertyName: 'hs_searchable_calculated_phone_number', operator: 'IN', values: chunk }
+            ], Array.from(new Set(['phone', 'hs_searchable_calculated_phone_number', ...properties]))));
+        }
+        return contacts;
+    }
+
+    /**
+     * Run a CRM search with a single filter group and return every page of results
+     */
+    async searchObjects(objectType, filters, properties = []) {
+        const results = [];
+        let after;
+
+        do {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/${objectType}/search`, {
+                    filterGroups: [{ filters }],
+                    properties,
+                    limit: 100,
+                    ...(after ? { after } : {})
+                }, {
+                    headers: this.getHeaders()
+                }), 3, 200, true // isSearchOperation = true
+            );
+
+            results.push(...(response.data.results || []));
+            after = response.data.paging?.next?.after;
+        } while (after);
+
+        return results;
+    }
+
     /**
      * Create a listing in HubSpot using the native Listings object (0-420)
      */
@@ -1390,6 +1906,7 @@ class HubSpotClient {
                     }
                 })
             );
+            getUndoManifest()?.recordCreate('0-420', response.data.id);
 
             console.log('✅ Successfully created listing in HubSpot');
             return response.data;
@@ -1411,12 +1928,16 @@ class HubSpotClient {
                 return { id: listingId, properties: listingData.properties };
             }
 
-            const response = await axios.patch(`${this.baseURL}/crm/v3/objects/0-420/${listingId}`, listingData, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const before = await this.readBeforeWrite('0-420', [listingId], Object.keys(listingData.properties || {}));
+            const response = await this.makeRequestWithRetry(() =>
+                axios.patch(`${this.baseURL}/crm/v3/objects/0-420/${listingId}`, listingData, {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                })
+            );
+            this.recordUpdatesForUndo('0-420', before, [{ id: listingId, properties: listingData.properties }]);
 
             console.log('✅ Successfully updated listing in HubSpot');
             return response.data;
@@ -1606,6 +2127,7 @@ class HubSpotClient {
 
                 const createdBatchResults = response.data.results || [];
                 createdResults.push(...createdBatchResults);
+                createdBatchResults.forEach(created => getUndoManifest()?.recordCreate('0-420', created.id));
 
                 if (existingListingsByUnitId) {
                     createdBatchResults.forEach(created => {
@@ -1679,18 +2201,660 @@ class HubSpotClient {
         }
     }
 
+    /**
+     * Batch-read records of any object type by a unique property (100 per request);
+     * values with no matching record are left out
+     */
+    async getObjectsByIdProperty(objectType, idProperty, values, properties = []) {
+        const uniqueValues = Array.from(new Set((values || []).map(value => String(value))));
+        const records = [];
+        for (let index = 0; index < uniqueValues.length; index += 100) {
+            const chunk = uniqueValues.slice(index, index + 100);
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/${objectType}/batch/read`, {
+                    idProperty,
+                    properties: [idProperty, ...properties],
+                    inputs: chunk.map(id => ({ id }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            records.push(...(response.data?.results || []));
+        }
+        return records;
+    }
+
+    /**
+     * Send `items` to a HubSpot batch endpoint HUBSPOT_BATCH_SIZE at a time.
+     * `requestFn(chunk)` resolves to one result per item (null when a read finds
+     * nothing) and throws when the batch fails; the items of a failed batch are then
+     * sent one at a time, so one bad record cannot sink the rest and every failure is
+     * reported against its own item. Resolves to { results, errors }: `results` in
+     * input order (null for failed items), `errors` as { index, item, error }.
+     */
+    async runBatched(items, requestFn, { label = 'records', chunkSize = HUBSPOT_BATCH_SIZE } = {}) {
+        const results = new Array(items.length).fill(null);
+        const errors = [];
+
+        for (let start = 0; start < items.length; start += chunkSize) {
+            const chunk = items.slice(start, start + chunkSize);
+            try {
+                const chunkResults = await requestFn(chunk);
+                chunk.forEach((_, offset) => {
+                    results[start + offset] = chunkResults[offset] ?? null;
+                });
+                continue;
+            } catch (error) {
+                if (chunk.length === 1) {
+                    errors.push({ index: start, item: chunk[0], error });
+                    continue;
+                }
+                console.warn(`⚠️ Batch of ${chunk.length} ${label} failed (${error.response?.status || error.message}), retrying one at a time...`);
+            }
+
+            for (let offset = 0; offset < chunk.length; offset++) {
+                try {
+                    const [result] = await requestFn([chunk[offset]]);
+                    results[start + offset] = result ?? null;
+                } catch (error) {
+                    errors.push({ index: start + offset, item: chunk[offset], error });
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            console.error(`❌ ${errors.length} of ${items.length} ${label} failed`);
+        }
+        return { results, errors };
+    }
+
+    /**
+     * Batch-read contacts by email. Resolves to { contacts, errors }: `contacts` maps
+     * each normalized email that was read to its contact (null when there is none);
+     * emails whose read failed are only in `errors`, so callers can fall back to
+     * searchContactByEmail for them.
+     */
+    async batchReadContactsByEmail(emails, properties = []) {
+        const uniqueEmails = Array.from(new Set((emails || []).map(normalizeEmail).filter(Boolean)));
+        const { results, errors } = await this.runBatched(uniqueEmails, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/contacts/batch/read`, {
+                    idProperty: 'email',
+                    properties: Array.from(new Set(['email', 'firstname', 'lastname', ...(properties || [])])),
+                    inputs: chunk.map(email => ({ id: email }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            // Emails with no contact come back as OBJECT_NOT_FOUND errors, which are not failures
+            const byEmail = new Map((response.data?.results || []).map(contact => [normalizeEmail(contact.properties?.email), contact]));
+            return chunk.map(email => byEmail.get(email) || null);
+        }, { label: 'contact reads' });
+
+        const failed = new Set(errors.map(entry => entry.index));
+        const contacts = new Map();
+        uniqueEmails.forEach((email, index) => {
+            if (!failed.has(index)) {
+                contacts.set(email, results[index]);
+            }
+        });
+        return { contacts, errors };
+    }
+
+    /**
+     * Create or update contacts by email in batches (every contact needs an email,
+     * the upsert key). Resolves to runBatched's { results, errors }; each result
+     * carries HubSpot's `new` flag (true when the contact was created).
+     */
+    async batchUpsertContacts(contacts) {
+        if (contacts.some(contact => !contact.properties?.email)) {
+            throw new Error('batchUpsertContacts needs an email on every contact');
+        }
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would upsert ${contacts.length} contact(s)`);
+            return { results: contacts.map(contact => ({ id: 'dry-run-id', properties: contact.properties })), errors: [] };
+        }
+        if (contacts.some(contact => contact.properties.buildium_tenant_id)) {
+            await this.ensureCustomPropertiesOnce('contacts');
+        }
+        const manifest = getUndoManifest();
+        let before = null;
+        if (manifest) {
+            const propertyNames = Array.from(new Set(contacts.flatMap(contact => Object.keys(contact.properties))));
+            const read = await this.batchReadContactsByEmail(contacts.map(contact => contact.properties.email), propertyNames);
+            if (read.errors.length > 0) {
+                throw read.errors[0].error;
+            }
+            before = read.contacts;
+        }
+
+        const upserted = await this.runBatched(contacts, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/contacts/batch/upsert`, {
+                    inputs: chunk.map(contact => ({
+                        idProperty: 'email',
+                        id: contact.properties.email,
+                        properties: contact.properties
+                    }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'contact upsert');
+            const byEmail = new Map((response.data?.results || []).map(contact => [normalizeEmail(contact.properties?.email), contact]));
+            return chunk.map(contact => byEmail.get(normalizeEmail(contact.properties.email)) || null);
+        }, { label: 'contact upserts' });
+
+        if (manifest) {
+            upserted.results.forEach((result, index) => {
+                if (!result) {
+                    return;
+                }
+                if (result.new) {
+                    manifest.recordCreate('contacts', result.id);
+                } else {
+                    const existing = before.get(normalizeEmail(contacts[index].properties.email));
+                    manifest.recordUpdate('contacts', result.id, existing?.properties, contacts[index].properties);
+                }
+            });
+        }
+        return upserted;
+    }
+
+    /**
+     * Update contacts ({ id, properties }) by ID in batches. Resolves to runBatched's
+     * { results, errors }.
+     */
+    async batchUpdateContacts(updates) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would update ${updates.length} contact(s)`);
+            return { results: updates.map(update => ({ id: update.id, properties: update.properties })), errors: [] };
+        }
+        if (updates.some(update => update.properties?.buildium_tenant_id)) {
+            await this.ensureCustomPropertiesOnce('contacts');
+        }
+
+        const before = await this.readBeforeWrite('contacts', updates.map(update => String(update.id)),
+            Array.from(new Set(updates.flatMap(update => Object.keys(update.properties || {})))));
+
+        const updated = await this.runBatched(updates, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/contacts/batch/update`, {
+                    inputs: chunk.map(update => ({ id: String(update.id), properties: update.properties }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'contact update');
+            const byId = new Map((response.data?.results || []).map(contact => [String(contact.id), contact]));
+            return chunk.map(update => byId.get(String(update.id)) || null);
+        }, { label: 'contact updates' });
+        this.recordUpdatesForUndo('contacts', before, updates.filter((update, index) => updated.results[index]));
+        return updated;
+    }
+
+    /**
+     * Update listings ({ id, properties }) by ID in batches. Resolves to runBatched's
+     * { results, errors }.
+     */
+    async batchUpdateListings(updates) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would update ${updates.length} listing(s)`);
+            return { results: updates.map(update => ({ id: update.id, properties: update.properties })), errors: [] };
+        }
+
+        const before = await this.readBeforeWrite('0-420', updates.map(update => String(update.id)),
+            Array.from(new Set(updates.flatMap(update => Object.keys(update.properties || {})))));
+
+        const updated = await this.runBatched(updates, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/0-420/batch/update`, {
+                    inputs: chunk.map(update => ({ id: String(update.id), properties: update.properties }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'listing update');
+            const byId = new Map((response.data?.results || []).map(listing => [String(listing.id), listing]));
+            return chunk.map(update => byId.get(String(update.id)) || null);
+        }, { label: 'listing updates' });
+        this.recordUpdatesForUndo('0-420', before, updates.filter((update, index) => updated.results[index]));
+        return updated;
+    }
+
+    /**
+     * Archive listings by ID in batches (HubSpot's delete: they go to the recycle bin).
+     * Resolves to runBatched's { results, errors }.
+     */
+    async batchArchiveListings(listingIds) {
+        const ids = (listingIds || []).map(id => String(id));
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would archive ${ids.length} listing(s)`);
+            return { results: ids.map(id => ({ id })), errors: [] };
+        }
+
+        const archived = await this.runBatched(ids, async chunk => {
+            await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/0-420/batch/archive`, {
+                    inputs: chunk.map(id => ({ id }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            return chunk.map(id => ({ id }));
+        }, { label: 'listing archives' });
+        archived.results.filter(Boolean).forEach(result => getUndoManifest()?.recordArchive('0-420', result.id));
+        return archived;
+    }
+
+    /**
+     * Batch-read the associations of listings to `toObjectType` (contacts, companies).
+     * Resolves to { associations, errors }: `associations` maps each listing ID that
+     * was read to its { toObjectId, types: [{ category, typeId }] } entries.
+     */
+    async batchReadListingAssociations(listingIds, toObjectType = 'contacts') {
+        const uniqueIds = Array.from(new Set((listingIds || []).map(id => String(id))));
+        const { results, errors } = await this.runBatched(uniqueIds, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/0-420/${toObjectType}/batch/read`, {
+                    inputs: chunk.map(id => ({ id }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            // Listings without associations come back as errors, which are not failures
+            const byListing = new Map((response.data?.results || []).map(result => [String(result.from?.id), result.to || []]));
+            return chunk.map(id => (byListing.get(id) || []).map(target => ({
+                toObjectId: String(target.toObjectId),
+                types: (target.associationTypes || []).map(type => ({ category: type.category, typeId: type.typeId }))
+            })));
+        }, { label: `${toObjectType} association reads` });
+
+        const failed = new Set(errors.map(entry => entry.index));
+        const associations = new Map();
+        uniqueIds.forEach((id, index) => {
+            if (!failed.has(index)) {
+                associations.set(id, results[index] || []);
+            }
+        });
+        return { associations, errors };
+    }
+
+    /**
+     * Create labelled associations ({ fromId, toId, types: [{ category, typeId }] })
+     * between two object types in batches. Resolves to runBatched's { results, errors }.
+     */
+    async batchCreateAssociations(fromObjectType, toObjectType, associations) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would create ${associations.length} ${fromObjectType} → ${toObjectType} association(s)`);
+            return { results: associations.map(() => ({ success: true })), errors: [] };
+        }
+
+        const before = await this.readAssociationsBeforeWrite(fromObjectType, toObjectType, associations.map(association => association.fromId));
+
+        const created = await this.runBatched(associations, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/create`, {
+                    inputs: chunk.map(association => ({
+                        from: { id: String(association.fromId) },
+                        to: { id: String(association.toId) },
+                        types: association.types.map(type => ({
+                            associationCategory: type.category,
+                            associationTypeId: type.typeId
+                        }))
+                    }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'association create');
+            return chunk.map(() => ({ success: true }));
+        }, { label: 'associations' });
+        this.recordAssociationsForUndo(fromObjectType, toObjectType, before, associations.filter((association, index) => created.results[index]));
+        return created;
+    }
+
+    /**
+     * Remove association labels ({ fromId, toId, types: [{ category, typeId }] }) in
+     * batches; the records stay associated by any other labels. Resolves to runBatched's
+     * { results, errors }.
+     */
+    async removeAssociationLabels(fromObjectType, toObjectType, associations) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would remove ${associations.length} ${fromObjectType} → ${toObjectType} association label(s)`);
+            return { results: associations.map(() => ({ success: true })), errors: [] };
+        }
+
+        const removed = await this.runBatched(associations, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/labels/archive`, {
+                    inputs: chunk.map(association => ({
+                        from: { id: String(association.fromId) },
+                        to: { id: String(association.toId) },
+                        types: association.types.map(type => ({
+                            associationCategory: type.category,
+                            associationTypeId: type.typeId
+                        }))
+                    }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'association label removal');
+            return chunk.map(() => ({ success: true }));
+        }, { label: 'association label removals' });
+        associations.filter((association, index) => removed.results[index]).forEach(association => {
+            getUndoManifest()?.recordAssociation('unassociate', fromObjectType, association.fromId, toObjectType, association.toId, association.types);
+        });
+        return removed;
+    }
+
+    /**
+     * Remove every association between record pairs ({ fromId, toId }) in batches.
+     * Rollback uses it for pairs a run newly associated; nothing is recorded, as the
+     * labels removed are not known. Resolves to runBatched's { results, errors }.
+     */
+    async removeAssociations(fromObjectType, toObjectType, associations) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would remove ${associations.length} ${fromObjectType} → ${toObjectType} association(s)`);
+            return { results: associations.map(() => ({ success: true })), errors: [] };
+        }
+
+        return this.runBatched(associations, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/archive`, {
+                    inputs: chunk.map(association => ({
+                        from: { id: String(association.fromId) },
+                        to: [{ id: String(association.toId) }]
+                    }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'association removal');
+            return chunk.map(() => ({ success: true }));
+        }, { label: 'association removals' });
+    }
+
+    /**
+     * Update any CRM record's properties by object type and ID
+     */
+    async updateObject(objectType, objectId, objectData) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would update ${objectType} ${objectId}`);
+            return { id: String(objectId), properties: objectData.properties };
+        }
+
+        const before = await this.readBeforeWrite(objectType, [objectId], Object.keys(objectData.properties || {}));
+        const response = await this.makeRequestWithRetry(() =>
+            axios.patch(`${this.baseURL}/crm/v3/objects/${objectType}/${objectId}`, objectData, {
+                headers: this.getHeaders()
+            })
+        );
+        this.recordUpdatesForUndo(objectType, before, [{ id: objectId, properties: objectData.properties }]);
+        return response.data;
+    }
+
+    /**
+     * Archive any CRM record by object type and ID (it goes to HubSpot's recycle bin)
+     */
+    async archiveObject(objectType, objectId) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would archive ${objectType} ${objectId}`);
+            return;
+        }
+
+        await this.makeRequestWithRetry(() =>
+            axios.delete(`${this.baseURL}/crm/v3/objects/${objectType}/${objectId}`, {
+                headers: this.getHeaders()
+            })
+        );
+        getUndoManifest()?.recordArchive(objectType, objectId);
+    }
+
+    /**
+     * Every record of an object type in the portal, 100 per page
+     */
+    async getAllObjects(objectType, properties = []) {
+        const records = [];
+        let after;
+
+        do {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(`${this.baseURL}/crm/v3/objects/${objectType}`, {
+                    headers: this.getHeaders(),
+                    params: {
+                        limit: 100,
+                        properties: properties.join(','),
+                        ...(after ? { after } : {})
+                    }
+                })
+            );
+
+            records.push(...(response.data.results || []));
+            after = response.data.paging?.next?.after;
+        } while (after);
+
+        return records;
+    }
+
+    /**
+     * Every contact in the portal, 100 per page
+     */
+    async getAllContacts(properties = []) {
+        return this.getAllObjects('contacts', properties);
+    }
+
+    /**
+     * Batch-read the listing associations of contacts. Resolves to { associations,
+     * errors }: `associations` maps each contact ID that was read to its
+     * { listingId, associationTypeIds } entries.
+     */
+    async batchReadContactListingAssociations(contactIds) {
+        const uniqueIds = Array.from(new Set((contactIds || []).map(id => String(id))));
+        const { results, errors } = await this.runBatched(uniqueIds, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/contacts/0-420/batch/read`, {
+                    inputs: chunk.map(id => ({ id }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            // Contacts without associations come back as errors, which are not failures
+            const byContact = new Map((response.data?.results || []).map(result => [String(result.from?.id), result.to || []]));
+            return chunk.map(id => (byContact.get(id) || []).map(target => ({
+                listingId: String(target.toObjectId),
+                associationTypeIds: (target.associationTypes || []).map(type => type.typeId)
+            })));
+        }, { label: 'association reads' });
+
+        const failed = new Set(errors.map(entry => entry.index));
+        const associations = new Map();
+        uniqueIds.forEach((id, index) => {
+            if (!failed.has(index)) {
+                associations.set(id, results[index] || []);
+            }
+        });
+        return { associations, errors };
+    }
+
+    /**
+     * Merge contact `mergeId` into `primaryId`; resolves to the merged contact
+     */
+    async mergeContacts(primaryId, mergeId) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would merge contact ${mergeId} into ${primaryId}`);
+            return { id: String(primaryId) };
+        }
+
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/objects/contacts/merge`, {
+                primaryObjectId: String(primaryId),
+                objectIdToMerge: String(mergeId)
+            }, {
+                headers: this.getHeaders()
+            })
+        );
+        getUndoManifest()?.recordMerge('contacts', primaryId, mergeId);
+        return response.data;
+    }
+
+    /**
+     * Find companies carrying any of the given Buildium IDs (IN filter, 100 per search)
+     */
+    async searchCompaniesByBuildiumIds(buildiumIds, idProperty = 'buildium_owner_id', properties = []) {
+        const uniqueIds = Array.from(new Set((buildiumIds || []).map(id => String(id))));
+        const companies = [];
+        for (let index = 0; index < uniqueIds.length; index += HUBSPOT_BATCH_SIZE) {
+            const chunk = uniqueIds.slice(index, index + HUBSPOT_BATCH_SIZE);
+            companies.push(...await this.searchObjects('companies', [
+                { propertyName: idProperty, operator: 'IN', values: chunk }
+            ], [idProperty, 'name', ...properties]));
+        }
+        return companies;
+    }
+
+    /**
+     * Create contact-listing associations ({ contactId, listingId, associationTypeId })
+     * in batches. Resolves to runBatched's { results, errors }.
+     */
+    async batchCreateContactListingAssociations(associations) {
+        if (process.env.DRY_RUN === 'true') {
+            console.log(`🔄 DRY RUN MODE - Would create ${associations.length} association(s)`);
+            return { results: associations.map(() => ({ success: true })), errors: [] };
+        }
+
+        const before = await this.readAssociationsBeforeWrite('contacts', '0-420', associations.map(association => association.contactId));
+
+        const created = await this.runBatched(associations, async chunk => {
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v4/associations/contacts/0-420/batch/create`, {
+                    inputs: chunk.map(association => ({
+                        from: { id: String(association.contactId) },
+                        to: { id: String(association.listingId) },
+                        types: [{
+                            associationCategory: 'USER_DEFINED',
+                            associationTypeId: association.associationTypeId
+                        }]
+                    }))
+                }, {
+                    headers: this.getHeaders()
+                })
+            );
+            assertBatchSucceeded(response, 'association create');
+            const byPair = new Map((response.data?.results || []).map(result => [`${result.fromObjectId}:${result.toObjectId}`, result]));
+            return chunk.map(association => byPair.get(`${association.contactId}:${association.listingId}`) || { success: true });
+        }, { label: 'associations' });
+        this.recordAssociationsForUndo('contacts', '0-420', before, associations
+            .filter((association, index) => created.results[index])
+            .map(association => ({
+                fromId: association.contactId,
+                toId: association.listingId,
+                types: [{ category: 'USER_DEFINED', typeId: association.associationTypeId }]
+            })));
+        return created;
+    }
+
+    async createTicket(ticketData) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/objects/tickets`, ticketData, {
+                headers: this.getHeaders()
+            })
+        );
+        getUndoManifest()?.recordCreate('tickets', response.data.id);
+        return response.data;
+    }
+
+    async updateTicket(ticketId, ticketData) {
+        const before = await this.readBeforeWrite('tickets', [ticketId], Object.keys(ticketData.properties || {}));
+        const response = await this.makeRequestWithRetry(() =>
+            axios.patch(`${this.baseURL}/crm/v3/objects/tickets/${ticketId}`, ticketData, {
+                headers: this.getHeaders()
+            })
+        );
+        this.recordUpdatesForUndo('tickets', before, [{ id: ticketId, properties: ticketData.properties }]);
+        return response.data;
+    }
+
+    async createDeal(dealData) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/objects/deals`, dealData, {
+                headers: this.getHeaders()
+            })
+        );
+        getUndoManifest()?.recordCreate('deals', response.data.id);
+        return response.data;
+    }
+
+    async updateDeal(dealId, dealData) {
+        const before = await this.readBeforeWrite('deals', [dealId], Object.keys(dealData.properties || {}));
+        const response = await this.makeRequestWithRetry(() =>
+            axios.patch(`${this.baseURL}/crm/v3/objects/deals/${dealId}`, dealData, {
+                headers: this.getHeaders()
+            })
+        );
+        this.recordUpdatesForUndo('deals', before, [{ id: dealId, properties: dealData.properties }]);
+        return response.data;
+    }
+
+    /**
+     * Create the portal's default (unlabeled) association between two records; safe to repeat
+     */
+    async createDefaultAssociation(fromObjectType, fromId, toObjectType, toId) {
+        const before = await this.readAssociationsBeforeWrite(fromObjectType, toObjectType, [fromId]);
+        const response = await this.makeRequestWithRetry(() =>
+            axios.put(`${this.baseURL}/crm/v4/objects/${fromObjectType}/${fromId}/associations/default/${toObjectType}/${toId}`, null, {
+                headers: this.getHeaders()
+            })
+        );
+        this.recordAssociationsForUndo(fromObjectType, toObjectType, before, [{ fromId, toId, types: [] }]);
+        return response.data;
+    }
+
+    /**
+     * Pipelines (with their stages) of an object type that has them, e.g. tickets or deals
+     */
+    async getPipelines(objectType) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.get(`${this.baseURL}/crm/v3/pipelines/${objectType}`, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data.results || [];
+    }
+
+    async createPipeline(objectType, pipeline) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/pipelines/${objectType}`, pipeline, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data;
+    }
+
+    async createPipelineStage(objectType, pipelineId, stage) {
+        const response = await this.makeRequestWithRetry(() =>
+            axios.post(`${this.baseURL}/crm/v3/pipelines/${objectType}/${pipelineId}/stages`, stage, {
+                headers: this.getHeaders()
+            })
+        );
+        return response.data;
+    }
+
     /**
      * Get all listings from HubSpot
      */
     async getAllListings() {
         try {
-            const response = await axios.get(`${this.baseURL}/crm/v3/objects/0-420`, {
-                headers: this.getHeaders(),
-                params: {
-                    limit: 100,
-                    properties: 'buildium_unit_id,hs_listing_price,hs_city,hs_state_region'
-                }
-            });
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(`${this.baseURL}/crm/v3/objects/0-420`, {
+                    headers: this.getHeaders(),
+                    params: {
+                        limit: 100,
+                        properties: 'buildium_unit_id,hs_listing_price,hs_city,hs_state_region'
+                    }
+                })
+            );
             
             return response.data.results || [];
         } catch (error) {
@@ -1704,9 +2868,11 @@ class HubSpotClient {
      */
     async deleteListing(listingId) {
         try {
-            const response = await axios.delete(`${this.baseURL}/crm/v3/objects/0-420/${listingId}`, {
-                headers: this.getHeaders()
-            });
+            const response = await this.makeRequestWithRetry(() =>
+                axios.delete(`${this.baseURL}/crm/v3/objects/0-420/${listingId}`, {
+                    headers: this.getHeaders()
+                })
+            );
             
             return response.data;
         } catch (error) {
@@ -1771,22 +2937,24 @@ class HubSpotClient {
         try {
             console.log(`🔍 Searching for listings with Buildium Property ID: ${propertyId}`);
             
-            const response = await axios.post(`${this.baseURL}/crm/v3/objects/0-420/search`, {
-                filterGroups: [{
-                    filters: [{
-                        propertyName: 'buildium_property_id',
-                        operator: 'EQ',
-                        value: propertyId
-                    }]
-                }],
-                properties: ['hs_name', 'hs_address_1', 'hs_city', 'buildium_unit_id', 'buildium_property_id'],
-                limit: 100 // Get up to 100 listings for this property
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(`${this.baseURL}/crm/v3/objects/0-420/search`, {
+                    filterGroups: [{
+                        filters: [{
+                            propertyName: 'buildium_property_id',
+                            operator: 'EQ',
+                            value: propertyId
+                        }]
+                    }],
+                    properties: ['hs_name', 'hs_address_1', 'hs_city', 'buildium_unit_id', 'buildium_property_id'],
+                    limit: 100 // Get up to 100 listings for this property
+                }, {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }), 3, 200, true // isSearchOperation = true
+            );
 
             console.log(`✅ Found ${response.data.results.length} listing(s) for property ${propertyId}`);
             return response.data.results;
@@ -1821,16 +2989,22 @@ class HubSpotClient {
                 }]
             };
 
-            const response = await axios.post(
-                `${this.baseURL}/crm/v4/associations/contacts/0-420/batch/create`,
-                associationData,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            const before = await this.readAssociationsBeforeWrite('contacts', '0-420', [contactId]);
+            const response = await this.makeRequestWithRetry(() =>
+                axios.post(
+                    `${this.baseURL}/crm/v4/associations/contacts/0-420/batch/create`,
+                    associationData,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
+            this.recordAssociationsForUndo('contacts', '0-420', before, [
+                { fromId: contactId, toId: listingId, types: [{ category: 'USER_DEFINED', typeId: associationTypeId }] }
+            ]);
 
             console.log('✅ Successfully created contact-listing association');
             return response.data;
@@ -1898,27 +3072,29 @@ class HubSpotClient {
                     console.log(`   Found ${listings.length} listing(s) for property ${propertyId}`);
                     results.listingsFound += listings.length;
                     
-                    // Step 3: Associate owner with all found listings
-                    for (const listing of listings) {
-                        try {
-                            await this.createContactListingAssociation(
-                                hubspotRecordId, 
-                                listing.id, 
-                                associationTypeId
-                            );
-                            results.associationsCreated++;
+                    // Step 3: Associate owner with all found listings (batched, 100 per request)
+                    const { errors: associationErrors } = await this.batchCreateContactListingAssociations(listings.map(listing => ({
+                        contactId: hubspotRecordId,
+                        listingId: listing.id,
+                        associationTypeId
+                    })));
+                    const failedIndexes = new Set(associationErrors.map(entry => entry.index));
+                    listings.forEach((listing, index) => {
+                        if (!failedIndexes.has(index)) {
                             console.log(`   ✅ Associated with listing ${listing.id} (Unit: ${listing.properties?.buildium_unit_id || 'N/A'})`);
-                        } catch (error) {
-                            console.error(`   ❌ Failed to associate with listing ${listing.id}:`, error.message);
-                            results.errors++;
                         }
-                    }
+                    });
+                    associationErrors.forEach(({ item, error }) => {
+                        console.error(`   ❌ Failed to associate with listing ${item.listingId}:`, error.response?.data?.message || error.message);
+                    });
+                    results.associationsCreated += listings.length - associationErrors.length;
+                    results.errors += associationErrors.length;
                     
                     results.details.push({
                         propertyId,
-                        status: 'success',
+                        status: associationErrors.length > 0 ? 'partial' : 'success',
                         listingsFound: listings.length,
-                        associationsCreated: listings.length
+                        associationsCreated: listings.length - associationErrors.length
                     });
                     
                 } catch (error) {
@@ -1954,14 +3130,16 @@ class HubSpotClient {
         try {
             console.log(`🔗 Getting associations for listing ${listingId}...`);
             
-            const response = await axios.get(
-                `${this.baseURL}/crm/v4/objects/0-420/${listingId}/associations/contacts`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(
+                    `${this.baseURL}/crm/v4/objects/0-420/${listingId}/associations/contacts`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
 
             console.log(`✅ Found ${response.data.results?.length || 0} associations`);
@@ -1979,14 +3157,16 @@ class HubSpotClient {
         try {
             console.log(`🔗 Getting associations for contact ${contactId}...`);
             
-            const response = await axios.get(
-                `${this.baseURL}/crm/v4/objects/contacts/${contactId}/associations/0-420`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(
+                    `${this.baseURL}/crm/v4/objects/contacts/${contactId}/associations/0-420`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
 
             console.log(`✅ Found ${response.data.results?.length || 0} associations`);
@@ -2024,14 +3204,16 @@ class HubSpotClient {
         try {
             console.log(`🔍 Getting association types from ${fromObjectType} to ${toObjectType}...`);
             
-            const response = await axios.get(
-                `${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/labels`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            const response = await this.makeRequestWithRetry(() =>
+                axios.get(
+                    `${this.baseURL}/crm/v4/associations/${fromObjectType}/${toObjectType}/labels`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
 
             console.log(`✅ Found ${response.data.results?.length || 0} association types`);
@@ -2049,16 +3231,19 @@ class HubSpotClient {
         try {
             console.log(`🗑️ Deleting contact ${contactId}...`);
             
-            await axios.delete(
-                `${this.baseURL}/crm/v3/objects/contacts/${contactId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            await this.makeRequestWithRetry(() =>
+                axios.delete(
+                    `${this.baseURL}/crm/v3/objects/contacts/${contactId}`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
 
+            getUndoManifest()?.recordArchive('contacts', contactId);
             console.log('✅ Successfully deleted contact');
         } catch (error) {
             console.error('❌ Error deleting contact:', error.response?.data || error.message);
@@ -2073,16 +3258,19 @@ class HubSpotClient {
         try {
             console.log(`🗑️ Deleting listing ${listingId}...`);
             
-            await axios.delete(
-                `${this.baseURL}/crm/v3/objects/0-420/${listingId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
+            await this.makeRequestWithRetry(() =>
+                axios.delete(
+                    `${this.baseURL}/crm/v3/objects/0-420/${listingId}`,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${this.accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
                     }
-                }
+                )
             );
 
+            getUndoManifest()?.recordArchive('0-420', listingId);
             console.log('✅ Successfully deleted listing');
         } catch (error) {
             console.error('❌ Error deleting listing:', error.response?.data || error.message);
@@ -2091,13 +3279,15 @@ class HubSpotClient {
     }
 
     /**
-     * Create or update a contact (for individual owners)
+     * Create or update a contact (for individual owners). Pass `existingContact`
+     * (null for none) when it was already looked up, to skip the search.
      */
-    async createOrUpdateContact(contactData, buildiumOwnerId) {
+    async createOrUpdateContact(contactData, buildiumOwnerId, existingContact = undefined) {
         try {
-            // First, try to find existing contact by email
-            const email = contactData.properties.email;
-            const existingContact = await this.findContactByEmail(email);
+            // First, try to find existing contact by email (unless the caller already looked it up)
+            if (existingContact === undefined) {
+                existingContact = await this.findContactByEmail(contactData.properties.email);
+            }
             
             if (existingContact) {
                 console.log(`📝 Updating existing contact ${existingContact.id} for owner ${buildiumOwnerId}`);
@@ -2117,6 +3307,9 @@ class HubSpotClient {
      */
     async createContact(contactData) {
         try {
+            if (contactData.properties?.buildium_tenant_id) {
+                await this.ensureCustomPropertiesOnce('contacts');
+            }
             const response = await this.makeRequestWithRetry(() =>
                 axios.post(
                     `${this.baseURL}/crm/v3/objects/contacts`,
@@ -2130,6 +3323,7 @@ class HubSpotClient {
                 )
             );
 
+            getUndoManifest()?.recordCreate('contacts', response.data.id);
             return response.data;
         } catch (error) {
             console.error('❌ Error creating contact:', error.response?.data || error.message);
@@ -2142,6 +3336,10 @@ class HubSpotClient {
      */
     async updateContact(contactId, contactData) {
         try {
+            if (contactData.properties?.buildium_tenant_id) {
+                await this.ensureCustomPropertiesOnce('contacts');
+            }
+            const before = await this.readBeforeWrite('contacts', [contactId], Object.keys(contactData.properties || {}));
             const response = await this.makeRequestWithRetry(() =>
                 axios.patch(
                     `${this.baseURL}/crm/v3/objects/contacts/${contactId}`,
@@ -2155,6 +3353,7 @@ class HubSpotClient {
                 )
             );
 
+            this.recordUpdatesForUndo('contacts', before, [{ id: contactId, properties: contactData.properties }]);
             return response.data;
         } catch (error) {
             console.error('❌ Error updating contact:', error.response?.data || error.message);
@@ -2163,12 +3362,15 @@ class HubSpotClient {
     }
 
     /**
-     * Create or update a company (for company owners)
+     * Create or update a company (for company owners). Pass `existingCompany`
+     * (null for none) when it was already looked up, to skip the search.
      */
-    async createOrUpdateCompany(companyData, buildiumOwnerId) {
+    async createOrUpdateCompany(companyData, buildiumOwnerId, existingCompany = undefined) {
         try {
-            // First, try to find existing company by Buildium Owner ID
-            const existingCompany = await this.findCompanyByBuildiumId(buildiumOwnerId);
+            // First, try to find existing company by Buildium Owner ID (unless the caller already looked it up)
+            if (existingCompany === undefined) {
+                existingCompany = await this.findCompanyByBuildiumId(buildiumOwnerId);
+            }
             
             if (existingCompany) {
                 console.log(`📝 Updating existing company ${existingCompany.id} for owner ${buildiumOwnerId}`);
@@ -2201,6 +3403,7 @@ class HubSpotClient {
                 )
             );
 
+            getUndoManifest()?.recordCreate('companies', response.data.id);
             return response.data;
         } catch (error) {
             console.error('❌ Error creating company:', error.response?.data || error.message);
@@ -2213,6 +3416,7 @@ class HubSpotClient {
      */
     async updateCompany(companyId, companyData) {
         try {
+            const before = await this.readBeforeWrite('companies', [companyId], Object.keys(companyData.properties || {}));
             const response = await this.makeRequestWithRetry(() =>
                 axios.patch(
                     `${this.baseURL}/crm/v3/objects/companies/${companyId}`,
@@ -2226,6 +3430,7 @@ class HubSpotClient {
                 )
             );
 
+            this.recordUpdatesForUndo('companies', before, [{ id: companyId, properties: companyData.properties }]);
             return response.data;
         } catch (error) {
             console.error('❌ Error updating company:', error.response?.data || error.message);
@@ -2263,7 +3468,7 @@ class HubSpotClient {
                             'Content-Type': 'application/json'
                         }
                     }
-                ), true // isSearchOperation = true for proper rate limiting
+                ), 3, 200, true // isSearchOperation = true for proper rate limiting
             );
 
             const existingContact = response.data.results.length > 0 ? response.data.results[0] : null;
@@ -2280,9 +3485,9 @@ class HubSpotClient {
     }
 
     /**
-     * Find company by Buildium Owner ID
+     * Find company by Buildium ID (owner ID by default, or e.g. buildium_vendor_id)
      */
-    async findCompanyByBuildiumId(buildiumOwnerId) {
+    async findCompanyByBuildiumId(buildiumId, idProperty = 'buildium_owner_id') {
         try {
             const response = await this.makeRequestWithRetry(() =>
                 axios.post(
@@ -2290,9 +3495,9 @@ class HubSpotClient {
                     {
                         filterGroups: [{
                             filters: [{
-                                propertyName: 'buildium_owner_id',
+                                propertyName: idProperty,
                                 operator: 'EQ',
-                                value: buildiumOwnerId.toString()
+                                value: buildiumId.toString()
                             }]
                         }],
                         limit: 1
@@ -2303,7 +3508,7 @@ class HubSpotClient {
                             'Content-Type': 'application/json'
                         }
                     }
-                ), true // isSearchOperation = true for proper rate limiting
+                ), 3, 200, true // isSearchOperation = true for proper rate limiting
             );
 
             return response.data.results.length > 0 ? response.data.results[0] : null;
@@ -2315,87 +3520,21 @@ class HubSpotClient {
 }
 
 class DataTransformer {
+    constructor(fieldMapper = new FieldMapper()) {
+        // Field-level mappings live in field_mappings.js; these methods only add logging.
+        this.fieldMapper = fieldMapper;
+    }
+
     /**
      * Transform Buildium tenant data to HubSpot contact format
      */
     transformTenantToContact(tenant) {
         console.log('🔄 Transforming tenant data to HubSpot format...');
         
-        // Extract primary phone number
-        const primaryPhone = tenant.PhoneNumbers && tenant.PhoneNumbers.length > 0 
-            ? tenant.PhoneNumbers[0].Number 
-            : null;
-        
-        // Extract alternative phone numbers
-        const alternatePhones = tenant.PhoneNumbers && tenant.PhoneNumbers.length > 1
-            ? tenant.PhoneNumbers.slice(1).map(p => p.Number).join(', ')
-            : null;
-
-        // Build address string
-        const address = tenant.Address 
-            ? `${tenant.Address.AddressLine1 || ''} ${tenant.Address.AddressLine2 || ''}`.trim()
-            : null;
-
-        // Format creation and modification dates
-        const createdDate = tenant.CreatedDateTime ? new Date(tenant.CreatedDateTime).toISOString() : null;
-        const lastModifiedDate = tenant.LastModifiedDateTime ? new Date(tenant.LastModifiedDateTime).toISOString() : null;
-
-        const hubspotContact = {
-            properties: {
-                // Required fields
-                firstname: tenant.FirstName || '',
-                lastname: tenant.LastName || '',
-                email: tenant.Email || '',
-                
-                // Contact information
-                phone: primaryPhone,
-                mobilephone: alternatePhones,
-                address: address,
-                city: tenant.Address?.City,
-                state: tenant.Address?.State,
-                zip: tenant.Address?.PostalCode,
-                country: tenant.Address?.Country,
-                
-                // Business/Company info
-                company: tenant.CompanyName || 'Buildium Tenant',
-                jobtitle: tenant.ContactType || 'Tenant',
-                
-                // Additional contact fields
-                hs_additional_emails: tenant.AlternateEmail,
-                fax: tenant.FaxNumber,
-                website: tenant.Website,
-                
-                // Tenant-specific information
-                date_of_birth: tenant.DateOfBirth ? new Date(tenant.DateOfBirth).toISOString().split('T')[0] : null,
-                
-                // Buildium metadata - store in description field for now
-                hs_content_membership_notes: [
-                    `Buildium Tenant ID: ${tenant.Id}`,
-                    tenant.Comment ? `Notes: ${tenant.Comment}` : null,
-                    tenant.EmergencyContact ? `Emergency Contact: ${tenant.EmergencyContact.FirstName} ${tenant.EmergencyContact.LastName} - ${tenant.EmergencyContact.PhoneNumber}` : null,
-                    tenant.DriverLicenseNumber ? `Driver License: ${tenant.DriverLicenseNumber} (${tenant.DriverLicenseState})` : null,
-                    tenant.TaxId ? `Tax ID: ${tenant.TaxId}` : null
-                ].filter(Boolean).join('\n'),
-                
-                // HubSpot metadata
-                lastmodifieddate: lastModifiedDate,
-                hs_lead_status: 'NEW', // Valid options: NEW, OPEN, IN_PROGRESS, OPEN_DEAL, UNQUALIFIED, ATTEMPTED_TO_CONTACT, CONNECTED, BAD_TIMING
-                lifecyclestage: 'customer', // Since they're already tenants
-                
-                // Marketing contact prevention - avoid billing charges
-                hs_marketable_status: 'NON_MARKETABLE'
-            }
-        };
+        const hubspotContact = this.fieldMapper.map('tenantContact', tenant);
 
         // Log marketing status decision for audit trail
         console.log(`📊 MARKETING STATUS AUDIT: Tenant ${tenant.Id} (${tenant.Email}) set to NON_MARKETABLE to prevent billing charges`);
-        
-        // Remove empty/null properties
-        Object.keys(hubspotContact.properties).forEach(key => {
-            if (hubspotContact.properties[key] === null || hubspotContact.properties[key] === undefined || hubspotContact.properties[key] === '') {
-                delete hubspotContact.properties[key];
-            }
-        });
 
         console.log('✅ Successfully transformed tenant data');
         return hubspotContact;
@@ -2408,225 +3547,23 @@ class DataTransformer {
     transformTenantToContactSafeUpdate(tenant) {
         console.log('🔄 Transforming tenant data for SAFE UPDATE (non-empty fields only)...');
         
-        // Extract primary phone number
-        const primaryPhone = tenant.PhoneNumbers && tenant.PhoneNumbers.length > 0 
-            ? tenant.PhoneNumbers[0].Number 
-            : null;
-        
-        // Extract alternative phone numbers
-        const alternatePhones = tenant.PhoneNumbers && tenant.PhoneNumbers.length > 1
-            ? tenant.PhoneNumbers.slice(1).map(p => p.Number).join(', ')
-            : null;
-
-        // Build address string
-        const address = tenant.Address 
-            ? `${tenant.Address.AddressLine1 || ''} ${tenant.Address.AddressLine2 || ''}`.trim()
-            : null;
-
-        // Format creation and modification dates
-        const lastModifiedDate = tenant.LastModifiedDateTime ? new Date(tenant.LastModifiedDateTime).toISOString() : null;
-
-        const safeUpdateFields = {};
-
-        // Only add fields that have actual data from Buildium
-        if (tenant.FirstName) safeUpdateFields.firstname = tenant.FirstName;
-        if (tenant.LastName) safeUpdateFields.lastname = tenant.LastName;
-        if (tenant.Email) safeUpdateFields.email = tenant.Email;
-        
-        // Contact information - only if we have data
-        if (primaryPhone) safeUpdateFields.phone = primaryPhone;
-        if (alternatePhones) safeUpdateFields.mobilephone = alternatePhones;
-        if (address && address.length > 0) safeUpdateFields.address = address;
-        if (tenant.Address?.City) safeUpdateFields.city = tenant.Address.City;
-        if (tenant.Address?.State) safeUpdateFields.state = tenant.Address.State;
-        if (tenant.Address?.PostalCode) safeUpdateFields.zip = tenant.Address.PostalCode;
-        if (tenant.Address?.Country) safeUpdateFields.country = tenant.Address.Country;
-        
-        // Business/Company info - only if we have data
-        if (tenant.CompanyName) safeUpdateFields.company = tenant.CompanyName;
-        if (tenant.ContactType) safeUpdateFields.jobtitle = tenant.ContactType;
-        
-        // Additional contact fields - only if we have data
-        if (tenant.AlternateEmail) safeUpdateFields.hs_additional_emails = tenant.AlternateEmail;
-        if (tenant.FaxNumber) safeUpdateFields.fax = tenant.FaxNumber;
-        if (tenant.Website) safeUpdateFields.website = tenant.Website;
-        if (tenant.DateOfBirth) safeUpdateFields.date_of_birth = new Date(tenant.DateOfBirth).toISOString().split('T')[0];
-        
-        // Buildium metadata - always include this since it's our tracking info
-        const buildiumNotes = [
-            `Buildium Tenant ID: ${tenant.Id}`,
-            tenant.Comment ? `Notes: ${tenant.Comment}` : null,
-            tenant.EmergencyContact ? `Emergency Contact: ${tenant.EmergencyContact.FirstName} ${tenant.EmergencyContact.LastName} - ${tenant.EmergencyContact.PhoneNumber}` : null,
-            tenant.DriverLicenseNumber ? `Driver License: ${tenant.DriverLicenseNumber} (${tenant.DriverLicenseState})` : null,
-            tenant.TaxId ? `Tax ID: ${tenant.TaxId}` : null
-        ].filter(Boolean).join('\n');
-        
-        if (buildiumNotes) safeUpdateFields.hs_content_membership_notes = buildiumNotes;
-        if (lastModifiedDate) safeUpdateFields.lastmodifieddate = lastModifiedDate;
-        
-        // Marketing contact prevention - avoid billing charges
-        safeUpdateFields.hs_marketable_status = 'NON_MARKETABLE';
+        const hubspotContact = this.fieldMapper.map('tenantContact', tenant, { safeUpdate: true });
 
         // Log marketing status decision for audit trail
         console.log(`📊 MARKETING STATUS AUDIT: Tenant ${tenant.Id} (${tenant.Email}) safe update - set to NON_MARKETABLE to prevent billing charges`);
 
-        const hubspotContact = {
-            properties: safeUpdateFields
-        };
-
-        console.log(`✅ Safe update transformation complete - ${Object.keys(safeUpdateFields).length} fields with data`);
+        console.log(`✅ Safe update transformation complete - ${Object.keys(hubspotContact.properties).length} fields with data`);
         return hubspotContact;
     }
 
-    /**
-     * Transform Buildium property data to HubSpot native Listings object format
-     */
-    transformPropertyToListing(property, unitId = null) {
-        console.log('🔄 Transforming property data to HubSpot Listings format...');
-        
-        // Build full address string
-        const fullAddress = property.Address 
-            ? `${property.Address.AddressLine1 || ''} ${property.Address.AddressLine2 || ''}, ${property.Address.City || ''}, ${property.Address.State || ''} ${property.Address.PostalCode || ''}`.trim()
-            : '';
-
-        // Format dates
-        const createdDate = property.CreatedDateTime ? new Date(property.CreatedDateTime).toISOString() : null;
-        const lastModifiedDate = property.LastModifiedDateTime ? new Date(property.LastModifiedDateTime).toISOString() : null;
-
-        const hubspotListing = {
-            properties: {
-                // Core listing fields (using actual HubSpot Listings properties)
-                hs_name: property.Name || `Property ${property.Id}`,
-                hs_address_1: property.Address?.AddressLine1 || '',
-                hs_address_2: property.Address?.AddressLine2 || '',
-                hs_city: property.Address?.City || '',
-                hs_state_region: property.Address?.State || '',
-                hs_country_region: property.Address?.Country || '',
-                
-                // Handle postal codes properly - only US ZIP codes go in hs_zip (numbers only)
-                ...(property.Address?.PostalCode && /^\d{5}(-\d{4})?$/.test(property.Address.PostalCode) ? 
-                    { hs_zip: property.Address.PostalCode } :  // US ZIP codes only
-                    {}), // Canadian postal codes will be in the description or address line 2
-                
-                // Property details - include more comprehensive information
-                ...(property.NumberOfBedrooms && {
-                    hs_bedrooms: parseInt(property.NumberOfBedrooms)
-                }),
-                ...(property.NumberOfBathrooms && {
-                    hs_bathrooms: parseInt(property.NumberOfBathrooms)
-                }),
-                ...(property.SquareFeet && {
-                    hs_square_footage: parseInt(property.SquareFeet)
-                }),
-                ...(property.MarketRent && {
-                    hs_price: parseFloat(property.MarketRent)
-                }),
-                ...(property.LotSize && {
-                    hs_lot_size: parseFloat(property.LotSize)
-                }),
-                
-                // Property type and classification
-                hs_listing_type: 'apartments',  // Default to apartments for rental properties
-                hs_property_type: property.PropertyType || 'Rental',
-                
-                // Property description and features
-                hs_description: [
-                    property.Description,
-                    property.Address?.PostalCode && !/^\d{5}(-\d{4})?$/.test(property.Address.PostalCode) ? `Postal Code: ${property.Address.PostalCode}` : null,
-                    property.PropertyManagerNotes ? `Manager Notes: ${property.PropertyManagerNotes}` : null,
-                    property.RentalOwnerNotes ? `Owner Notes: ${property.RentalOwnerNotes}` : null
-                ].filter(Boolean).join('\n\n'),
-                
-                // Financial information
-                hs_year_built: property.YearBuilt ? parseInt(property.YearBuilt) : null,
-                
-                // Buildium-specific identifiers (as strings to avoid HubSpot comma formatting)
-                buildium_unit_id: String(unitId || property.Id),  // Keep as string
-                buildium_property_id: String(property.Id),        // Keep as string
-                buildium_property_type: property.PropertyType,
-                buildium_rental_sub_type: property.RentalSubType,
-                
-                // Property management info
-                buildium_is_active: property.IsActive ? 'Yes' : 'No',
-                buildium_reserve_account: property.ReserveAccount || '',
-                
-                // Timestamps - removed createdate as it's read-only
-                hs_lastmodifieddate: lastModifiedDate,
-                
-                // Contact information
-                hs_listing_agent_name: property.PropertyManagerName || '',
-                hs_listing_agent_email: property.PropertyManagerEmail || '',
-                hs_listing_agent_phone: property.PropertyManagerPhone || ''
-            }
-        };
-
-        // Remove empty/null properties
-        Object.keys(hubspotListing.properties).forEach(key => {
-            if (hubspotListing.properties[key] === null || 
-                hubspotListing.properties[key] === undefined || 
-                hubspotListing.properties[key] === '') {
-                delete hubspotListing.properties[key];
-            }
-        });
-
-        console.log('✅ Successfully transformed property data to listing');
-        return hubspotListing;
-    }
-
     /**
      * Transform Buildium owner data to HubSpot contact format (for individual owners)
      */
     transformOwnerToContact(owner) {
         console.log(`🔄 Transforming owner ${owner.Id} to HubSpot contact format...`);
         
-        // Extract primary phone number
-        const primaryPhone = owner.PhoneNumbers && owner.PhoneNumbers.length > 0 
-            ? owner.PhoneNumbers[0].Number 
-            : null;
-
-        // Build primary address string
-        const primaryAddress = owner.Address || owner.PrimaryAddress;
-        const address = primaryAddress 
-            ? `${primaryAddress.AddressLine1 || ''} ${primaryAddress.AddressLine2 || ''}`.trim()
-            : null;
-
-        // Use ONLY standard HubSpot contact fields to avoid validation errors
-        const hubspotContact = {
-            properties: {
-                // Standard HubSpot contact fields (guaranteed to work)
-                firstname: owner.FirstName || '',
-                lastname: owner.LastName || `Owner ${owner.Id}`,
-                email: owner.Email || null,
-                phone: primaryPhone,
-                
-                // Standard address fields
-                address: address,
-                city: primaryAddress?.City,
-                state: primaryAddress?.State,
-                zip: primaryAddress?.PostalCode,
-                country: primaryAddress?.Country,
-                
-                // Standard business fields
-                company: owner.CompanyName || null,
-                
-                // Standard HubSpot lifecycle
-                lifecyclestage: 'customer',
-                
-                // Explicitly set as non-marketing contact to avoid marketing contact charges
-                hs_marketable_status: 'NON_MARKETABLE'
-                
-                // NOTE: All Buildium custom fields removed to avoid validation errors
-                // We can create these custom properties in HubSpot later if needed:
-                // buildium_owner_id, buildium_property_ids, buildium_management_dates, etc.
-            }
-        };
-
-        // Clean up null/undefined values
-        Object.keys(hubspotContact.properties).forEach(key => {
-            if (hubspotContact.properties[key] === null || hubspotContact.properties[key] === undefined) {
-                delete hubspotContact.properties[key];
-            }
-        });
+        // Only standard HubSpot contact fields are mapped to avoid validation errors
+        const hubspotContact = this.fieldMapper.map('ownerContact', owner);
 
         // Log marketing status decision for audit trail
         console.log(`📊 MARKETING STATUS AUDIT: Owner ${owner.Id} (${owner.Email || 'no email'}) set to NON_MARKETABLE to prevent billing charges`);
@@ -2640,51 +3577,8 @@ class DataTransformer {
     transformOwnerToCompany(owner) {
         console.log(`🔄 Transforming company owner ${owner.Id} to HubSpot company format...`);
         
-        // Extract primary phone number
-        const primaryPhone = owner.PhoneNumbers && owner.PhoneNumbers.length > 0 
-            ? owner.PhoneNumbers[0].Number 
-            : null;
-
-        // Build address string
-        const primaryAddress = owner.Address || owner.PrimaryAddress;
-        const address = primaryAddress 
-            ? `${primaryAddress.AddressLine1 || ''} ${primaryAddress.AddressLine2 || ''}`.trim()
-            : null;
-
-        // Try to extract domain from email
-        const domain = owner.Email ? owner.Email.split('@')[1] : null;
-
-        // Use ONLY standard HubSpot company fields to avoid validation errors
-        const hubspotCompany = {
-            properties: {
-                // Standard HubSpot company fields (guaranteed to work)
-                name: owner.CompanyName || `Owner ${owner.Id}`,
-                domain: domain,
-                phone: primaryPhone,
-                
-                // Standard address fields
-                address: address,
-                city: primaryAddress?.City,
-                state: primaryAddress?.State,
-                zip: primaryAddress?.PostalCode,
-                country: primaryAddress?.Country,
-                
-                // Standard business fields
-                industry: 'REAL_ESTATE',  // Using valid HubSpot industry code
-                description: owner.Comment || null
-                
-                // NOTE: All Buildium custom fields removed to avoid validation errors
-                // We can create these custom properties in HubSpot later if needed:
-                // buildium_owner_id, buildium_property_ids, buildium_management_dates, etc.
-            }
-        };
-
-        // Clean up null/undefined values
-        Object.keys(hubspotCompany.properties).forEach(key => {
-            if (hubspotCompany.properties[key] === null || hubspotCompany.properties[key] === undefined) {
-                delete hubspotCompany.properties[key];
-            }
-        });
+        // Only standard HubSpot company fields are mapped to avoid validation errors
+        const hubspotCompany = this.fieldMapper.map('ownerCompany', owner);
 
         console.log(`✅ Transformed company: ${owner.CompanyName || `Owner ${owner.Id}`}`);
         return hubspotCompany;
@@ -2696,6 +3590,13 @@ class IntegrationPrototype {
         this.buildiumClient = new BuildiumClient();
         this.hubspotClient = new HubSpotClient();
         this.transformer = new DataTransformer();
+        // Failed entity syncs are retried on later runs instead of being dropped
+        this.jobQueue = new SyncJobQueue();
+        // Matches tenants to contacts; its crosswalk and review queue share the job queue's store
+        this.identityResolver = new IdentityResolver(this.hubspotClient, {
+            stateStore: this.jobQueue.stateStore,
+            properties: APPLICANT_MATCH_PROPERTIES
+        });
         
         // Set integration reference on HubSpot client for force sync capability
         this.hubspotClient.integration = this;
@@ -2703,8 +3604,12 @@ class IntegrationPrototype {
 
     /**
      * Main integration flow: Buildium Tenant -> HubSpot Contact
+     * The contact is found by IdentityResolver; `options.resolutions` (tenant ID ->
+     * resolution, from resolveMany) saves the lookups for the tenants it holds.
+     * Ambiguous tenants are skipped (they wait in the identity review queue).
      */
-    async syncTenantToContact(tenantId) {
+    async syncTenantToContact(tenantId, options = {}) {
+        const resolutions = options.resolutions || null;
         try {
             console.log('🚀 Starting Buildium to HubSpot sync...');
             console.log('=' .repeat(50));
@@ -2719,38 +3624,61 @@ class IntegrationPrototype {
             console.log('');
 
             // Step 2: Check if contact already exists in HubSpot
-            if (tenant.Email) {
-                const existingContact = await this.hubspotClient.searchContactByEmail(tenant.Email);
-                if (existingContact) {
-                    if (this.forceUpdate) {
-                        console.log('⚡ Contact exists but FORCE UPDATE enabled:');
-                        console.log(`   HubSpot ID: ${existingContact.id}`);
-                        console.log('   Updating with latest Buildium data (safe mode - only non-empty fields)...');
-                        
-                        // Transform the data with latest info using safe update
-                        const hubspotContactData = this.transformer.transformTenantToContactSafeUpdate(tenant);
-                        
-                        // Update the existing contact
-                        const updatedContact = await this.hubspotClient.updateContact(existingContact.id, hubspotContactData);
-                        
-                        console.log('✅ Contact updated successfully!');
-                        console.log(`   HubSpot Contact ID: ${updatedContact.id}`);
-                        
-                        return { status: 'updated', reason: 'force_update', hubspotContact: updatedContact };
-                    } else {
-                        console.log('⚠️ Contact already exists in HubSpot:');
-                        console.log(`   HubSpot ID: ${existingContact.id}`);
-                        console.log('   Skipping creation... (use --force to update)');
-                        return { status: 'skipped', reason: 'already_exists', hubspotContact: existingContact };
-                    }
+            const resolution = resolutions && resolutions.has(String(tenant.Id))
+                ? resolutions.get(String(tenant.Id))
+                : await this.identityResolver.resolve(tenant, { unitId: tenant.Leases?.[0]?.UnitId ?? null });
+            if (resolution.status === 'ambiguous') {
+                console.log(`⚠️ ${resolution.candidates.length} HubSpot contacts could be this tenant (by ${resolution.matchedBy}): ${resolution.candidates.map(candidate => candidate.id).join(', ')}`);
+                console.log('   Skipping - flagged for review (npm start identities)');
+                return { status: 'skipped', reason: 'ambiguous_identity' };
+            }
+            const existingContact = resolution.contact;
+            if (existingContact) {
+                const claimedContact = await this.claimApplicantContact(existingContact, tenant);
+                if (claimedContact) {
+                    return { status: 'updated', reason: 'applicant_claimed', hubspotContact: claimedContact };
+                }
+                if (this.forceUpdate) {
+                    console.log('⚡ Contact exists but FORCE UPDATE enabled:');
+                    console.log(`   HubSpot ID: ${existingContact.id}`);
+                    console.log('   Updating with latest Buildium data (safe mode - only non-empty fields)...');
+                    
+                    // Transform the data with latest info using safe update
+                    const hubspotContactData = this.transformer.transformTenantToContactSafeUpdate(tenant);
+                    
+                    // Update the existing contact
+                    const updatedContact = await this.hubspotClient.updateContact(existingContact.id, hubspotContactData);
+                    
+                    console.log('✅ Contact updated successfully!');
+                    console.log(`   HubSpot Contact ID: ${updatedContact.id}`);
+                    
+                    return { status: 'updated', reason: 'force_update', hubspotContact: updatedContact };
+                } else {
+                    console.log('⚠️ Contact already exists in HubSpot:');
+                    console.log(`   HubSpot ID: ${existingContact.id}`);
+                    console.log('   Skipping creation... (use --force to update)');
+                    return { status: 'skipped', reason: 'already_exists', hubspotContact: existingContact };
                 }
             }
 
             // Step 3: Transform data
             const hubspotContactData = this.transformer.transformTenantToContact(tenant);
+            const email = normalizeEmail(tenant.Email);
+            // A roommate earlier in this batch may have just been given the email
+            const emailTaken = resolution.emailTaken || Boolean(email && resolutions && Array.from(resolutions.values())
+                .some(entry => entry.matchedBy === 'created' && normalizeEmail(entry.contact.properties?.email) === email));
+            if (emailTaken) {
+                // HubSpot emails are unique and this one is a roommate's contact
+                console.log(`ℹ️ ${tenant.Email} belongs to another tenant's contact - creating this one without an email`);
+                delete hubspotContactData.properties.email;
+            }
 
             // Step 4: Create contact in HubSpot
             const hubspotContact = await this.hubspotClient.createContact(hubspotContactData);
+            await this.identityResolver.recordMatch(tenant.Id, hubspotContact.id);
+            if (resolutions) {
+                resolutions.set(String(tenant.Id), { status: 'matched', contact: hubspotContact, matchedBy: 'created', candidates: [hubspotContact], emailTaken: false });
+            }
 
             console.log('✅ Contact created successfully!');
             console.log(`   HubSpot Contact ID: ${hubspotContact.id}`);
@@ -2778,9 +3706,11 @@ class IntegrationPrototype {
                             console.log(`✅ Found existing listing: ${existingListing.id}`);
                             hubspotListing = existingListing;
                         } else {
-                            // Create new listing with Unit ID
-                            console.log('🏗️ Creating new listing for property...');
-                            const listingData = this.transformer.transformPropertyToListing(property, unitId);
+                            // Create the unit's listing; the property itself is a company (see `properties`)
+                            console.log('🏗️ Creating new listing for unit...');
+                            const unit = await this.buildiumClient.getUnit(unitId);
+                            const buildiumUnitUrl = `https://ripple.managebuilding.com/manager/app/properties/${unit.PropertyId}/units/${unit.Id}/summary`;
+                            const listingData = this.transformUnitToListing(unit, property, activeLease, [], buildiumUnitUrl);
                             
                             try {
                                 hubspotListing = await this.hubspotClient.createListing(listingData);
@@ -2836,8 +3766,26 @@ class IntegrationPrototype {
 
         } catch (error) {
             console.error('💥 Sync failed:', error.message);
-            return { status: 'error', error: error.message };
+            return { status: 'error', error: error.message, errorName: error.name, httpStatus: error.response?.status };
+        }
+    }
+
+    /**
+     * A contact created by `applicants` for someone who is now a Buildium tenant is
+     * taken over by the tenant (tenant fields, customer stage) even without --force,
+     * so the applicant and tenant stay one contact. Returns the updated contact, or
+     * null when the contact is not an unclaimed applicant.
+     */
+    async claimApplicantContact(contact, tenant) {
+        const properties = contact?.properties || {};
+        if (!properties.buildium_applicant_id || properties.buildium_tenant_id) {
+            return null;
         }
+
+        console.log(`🔗 Contact ${contact.id} was synced from Buildium applicant ${properties.buildium_applicant_id} - linking it to tenant ${tenant.Id}`);
+        const contactData = this.transformer.transformTenantToContactSafeUpdate(tenant);
+        contactData.properties.lifecyclestage = 'customer';
+        return this.hubspotClient.updateContact(contact.id, contactData);
     }
 
     /**
@@ -2861,13 +3809,13 @@ class IntegrationPrototype {
             // Step 2: Check if contact already exists in HubSpot
             let hubspotContact = null;
             if (tenant.Email) {
-                const existingContact = await this.hubspotClient.searchContactByEmail(tenant.Email);
+                const existingContact = await this.hubspotClient.searchContactByEmail(tenant.Email, APPLICANT_MATCH_PROPERTIES);
                 if (existingContact) {
                     console.log('✅ Contact already exists in HubSpot:');
                     console.log(`   HubSpot ID: ${existingContact.id}`);
-                    hubspotContact = existingContact;
+                    hubspotContact = await this.claimApplicantContact(existingContact, tenant) || existingContact;
                     
-                    if (this.forceUpdate) {
+                    if (this.forceUpdate && hubspotContact === existingContact) {
                         console.log('⚡ Force update enabled, updating with latest data...');
                         const hubspotContactData = this.transformer.transformTenantToContactSafeUpdate(tenant);
                         hubspotContact = await this.hubspotClient.updateContact(existingContact.id, hubspotContactData);
@@ -2922,48 +3870,17 @@ class IntegrationPrototype {
     }
 
     /**
-     * Sync property data from Buildium to HubSpot Listings object
+     * Sync one Buildium property to its HubSpot property company and link its unit
+     * listings and owners (the `properties` command for a single property)
      */
-    async syncPropertyToListing(propertyId) {
+    async syncProperty(propertyId) {
         try {
-            console.log('🏠 Starting Buildium Property to HubSpot Listing sync...');
-            console.log('=' .repeat(50));
-            
-            // Step 1: Fetch property from Buildium (using rental properties endpoint)
-            const property = await this.buildiumClient.getProperty(propertyId);
-            
-            console.log('🏢 Property Data:');
-            console.log(`   Name: ${property.Name}`);
-            console.log(`   Address: ${property.Address?.AddressLine1}, ${property.Address?.City}, ${property.Address?.State}`);
-            console.log(`   ID: ${property.Id}`);
-            console.log('');
-
-            // Step 2: Check if listing already exists in HubSpot (search by Unit ID if this is a unit-based property)
-            // For the standalone sync-property command, we'll use the property ID as the unit ID
-            const unitId = property.Id; // Use property ID as unit identifier for standalone syncs
-            const existingListing = await this.hubspotClient.searchListingByUnitId(unitId);
-            if (existingListing) {
-                console.log('⚠️ Listing already exists in HubSpot:');
-                console.log(`   HubSpot Listing ID: ${existingListing.id}`);
-                console.log('   Skipping creation...');
-                return { status: 'skipped', reason: 'already_exists', hubspotListing: existingListing };
+            const { PropertySyncManager } = require('./PropertySyncManager.js');
+            const stats = await new PropertySyncManager(this).run({ propertyIds: [parseInt(propertyId, 10)] });
+            if (stats.properties === 0) {
+                return { status: 'error', error: `Property ${propertyId} not found in Buildium` };
             }
-
-            // Step 3: Transform data with Unit ID
-            const hubspotListingData = this.transformer.transformPropertyToListing(property, unitId);
-
-            // Step 4: Create listing in HubSpot
-            const hubspotListing = await this.hubspotClient.createListing(hubspotListingData);
-
-            console.log('🎉 Property sync completed successfully!');
-            console.log(`   HubSpot Listing ID: ${hubspotListing.id}`);
-            
-            return { 
-                status: 'success', 
-                buildiumProperty: property, 
-                hubspotListing: hubspotListing 
-            };
-
+            return { status: stats.errors > 0 ? 'error' : 'success', stats };
         } catch (error) {
             console.error('💥 Property sync failed:', error.message);
             return { status: 'error', error: error.message };
@@ -2989,6 +3906,9 @@ class IntegrationPrototype {
             }
             
             console.log(`📋 Found ${units.length} units to sync for property ${propertyId}`);
+
+            // Units and lifecycle leases that failed on earlier runs and whose backoff has elapsed
+            await this.retryQueuedJobs(['unit', 'lifecycle-lease']);
             
             const results = {
                 propertyId,
@@ -3024,6 +3944,7 @@ class IntegrationPrototype {
                     
                     // Sync the unit
                     const syncResult = await this.syncUnitToListing(unit);
+                    await this.trackSyncJob('unit', unit.Id, { unitId: unit.Id, propertyId: unit.PropertyId }, syncResult);
                     
                     if (syncResult.status === 'success') {
                         results.success++;
@@ -3053,6 +3974,7 @@ class IntegrationPrototype {
                     
                 } catch (error) {
                     results.errors++;
+                    await this.trackSyncJob('unit', unit.Id, { unitId: unit.Id, propertyId: unit.PropertyId }, error);
                     results.details.push({
                         unit: unit.UnitNumber || unit.Id,
                         status: 'error',
@@ -3066,10 +3988,11 @@ class IntegrationPrototype {
             console.log('\n🔄 Updating tenant association lifecycle (automatic)...');
             // Import TenantLifecycleManager here
             const TenantLifecycleManager = require('./TenantLifecycleManager.js');
-            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient);
-            // For property sync, check all leases (use a date far in the past)
+            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient, { identityResolver: this.identityResolver });
+            // For property sync, check all of the property's leases (use a date far in the past)
             const allLeasesDate = new Date('2020-01-01');
-            const lifecycleStats = await lifecycleManager.updateTenantAssociations(false, limit, allLeasesDate, null); // null = process all leases
+            const propertyScope = new PropertyScope({ propertyIds: [propertyId] });
+            const lifecycleStats = await lifecycleManager.updateTenantAssociations(false, limit, allLeasesDate, null, null, { jobQueue: this.jobQueue, scope: propertyScope }); // null = process all leases
             const totalLifecycleUpdates = lifecycleStats.futureToActive + lifecycleStats.activeToInactive + lifecycleStats.futureToInactive;
             console.log(`✅ Lifecycle updates: ${totalLifecycleUpdates}`);
             if (totalLifecycleUpdates === 0) {
@@ -3093,18 +4016,176 @@ class IntegrationPrototype {
         }
     }
 
+    /**
+     * Handle identities command: list the tenants flagged for identity review, or
+     * settle one by pinning the contact it should resolve to.
+     * Returns false on bad input.
+     */
+    async handleIdentitiesCommand(subcommand = 'list', args = []) {
+        if (subcommand === 'resolve') {
+            const [tenantId, contactId] = args;
+            if (!tenantId || !contactId) {
+                console.error('❌ Usage: npm start identities resolve <tenantId> <contactId>');
+                return false;
+            }
+            await this.identityResolver.pin(tenantId, contactId);
+            console.log(`✅ Tenant ${tenantId} now resolves to HubSpot contact ${contactId}`);
+            return true;
+        }
+        if (subcommand !== 'list') {
+            console.error(`❌ Unknown identities subcommand "${subcommand}" (expected list or resolve)`);
+            return false;
+        }
+
+        console.log('🪪 Tenants Awaiting Identity Review');
+        console.log('=' .repeat(50));
+
+        const queue = await this.identityResolver.getReviewQueue();
+        if (queue.length === 0) {
+            console.log('✅ Nothing to review');
+            return true;
+        }
+
+        queue.forEach(entry => {
+            console.log(`   Tenant ${entry.tenantId} ${entry.name || '(no name)'} <${entry.email || 'no email'}>${entry.unitId ? ` unit ${entry.unitId}` : ''} - ${entry.candidates.length} candidate(s) by ${entry.rule}, flagged ${entry.flaggedAt}`);
+            entry.candidates.forEach(candidate => {
+                const name = [candidate.firstname, candidate.lastname].filter(Boolean).join(' ') || '(no name)';
+                console.log(`      ${candidate.id}: ${name} ${candidate.email || 'no email'} ${candidate.phone || 'no phone'}${candidate.buildiumTenantId ? ` [tenant ${candidate.buildiumTenantId}]` : ''}`);
+            });
+        });
+        console.log('\n💡 Settle one with: npm start identities resolve <tenantId> <contactId>');
+        return true;
+    }
+
+    /**
+     * Retry handlers for queued sync jobs, keyed by job type
+     */
+    createJobHandlers() {
+        return {
+            tenant: job => this.syncTenantToContact(job.entityId),
+            unit: async job => this.syncUnitToListing(await this.buildiumClient.getUnit(job.entityId)),
+            lease: async job => {
+                const lease = await this.buildiumClient.getLeaseById(job.entityId);
+                return this.syncUnitToListing(await this.buildiumClient.getUnit(lease.UnitId));
+            },
+            owner: async job => {
+                const owner = await this.buildiumClient.getRentalOwner(job.entityId);
+                owner._ownerType = 'rental';
+                owner._isCompany = owner.IsCompany || false;
+                return this.syncOwnerToHubSpot(owner, { force: true });
+            },
+            'lifecycle-lease': async job => {
+                const TenantLifecycleManager = require('./TenantLifecycleManager.js');
+                const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient, { identityResolver: this.identityResolver });
+                const lease = await this.buildiumClient.getLeaseById(job.entityId);
+                let failure = null;
+                await lifecycleManager.updateTenantAssociationsForLeases([lease], {
+                    onLeaseProcessed: (processedLease, outcome) => {
+                        failure = outcome.error || null;
+                    }
+                });
+                if (failure) {
+                    throw failure;
+                }
+                return { status: 'success' };
+            }
+        };
+    }
+
+    /**
+     * Record one entity sync outcome (sync result or thrown error) in the job queue.
+     * Queue problems are logged but never fail the sync itself.
+     */
+    async trackSyncJob(type, entityId, payload, outcome) {
+        try {
+            if (outcome instanceof Error || outcome?.status === 'error') {
+                await this.jobQueue.recordFailure(type, entityId, payload, outcome);
+            } else {
+                await this.jobQueue.recordSuccess(type, entityId);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not update sync job queue for ${type}:${entityId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retry queued jobs whose backoff has elapsed. Retries update existing HubSpot
+     * records (safe mode), since a failed sync usually left them stale.
+     */
+    async retryQueuedJobs(types = null) {
+        const previousForceUpdate = this.forceUpdate;
+        this.forceUpdate = true;
+        try {
+            const stats = await this.jobQueue.retryDue(this.createJobHandlers(), { types });
+            if (stats.retried > 0) {
+                console.log(`🔁 Retried ${stats.retried} queued job(s): ${stats.succeeded} succeeded, ${stats.failed} failed again`);
+            }
+            return stats;
+        } catch (error) {
+            console.warn(`⚠️ Could not retry queued sync jobs: ${error.message}`);
+            return null;
+        } finally {
+            this.forceUpdate = previousForceUpdate;
+        }
+    }
+
+    /**
+     * Handle retry-failed command: replay dead-lettered sync jobs.
+     * Returns true when every replayed job succeeded.
+     */
+    async handleRetryFailedCommand(options = {}) {
+        const { types = null, keys = null, dryRun = false } = options;
+
+        console.log('☠️  Dead-Lettered Sync Jobs');
+        console.log('=' .repeat(50));
+
+        const deadLetters = await this.jobQueue.getDeadLetters({ types, keys });
+        if (deadLetters.length === 0) {
+            console.log('✅ No dead-lettered jobs');
+            return true;
+        }
+
+        deadLetters.forEach(job => {
+            const error = job.lastError || {};
+            console.log(`   ${job.key} - ${job.attempts} attempt(s), last ${job.lastFailedAt}: [${error.category}${error.status ? ` ${error.status}` : ''}] ${error.name}: ${error.message}`);
+        });
+
+        if (dryRun) {
+            console.log(`\n💡 DRY RUN - ${deadLetters.length} job(s) would be replayed. Remove --dry-run to retry them.`);
+            return true;
+        }
+
+        const previousForceUpdate = this.forceUpdate;
+        this.forceUpdate = true;
+        try {
+            const stats = await this.jobQueue.replayDeadLetters(this.createJobHandlers(), { types, keys });
+            console.log(`\n📊 Replayed: ${stats.replayed} | Succeeded: ${stats.succeeded} | Still failing: ${stats.failed}`);
+            return stats.failed === 0;
+        } finally {
+            this.forceUpdate = previousForceUpdate;
+        }
+    }
+
     /**
      * Batch sync multiple tenants with optional limit
+     * `options.scope` (a PropertyScope) keeps to tenants with a lease in scope
      */
     async batchSyncTenants(options = {}) {
         try {
             const { limit = 10 } = options;
+            const scope = options.scope ? await options.scope.resolve(this.buildiumClient) : null;
             
             console.log('🔄 Starting Batch Tenant Sync...');
             console.log('=' .repeat(50));
             console.log(`   Target: ${limit} successful syncs (skips don't count)`);
+            if (scope) {
+                console.log(`   Property Scope: ${JSON.stringify(scope.describe())}`);
+            }
             console.log('');
 
+            // Tenants that failed on earlier runs and whose backoff has elapsed go first
+            await this.retryQueuedJobs(['tenant']);
+
             const results = {
                 target: limit,
                 success: 0,
@@ -3121,15 +4202,23 @@ class IntegrationPrototype {
             while (results.success < limit) {
                 // Step 1: Fetch a batch of tenants from Buildium
                 console.log(`📋 Fetching batch of tenants (offset: ${offset})...`);
-                const tenants = await this.buildiumClient.getAllTenants(batchSize, offset);
+                const batch = await this.buildiumClient.getAllTenants(batchSize, offset, scope ? scope.propertyIds : null);
                 
-                if (tenants.length === 0) {
+                if (batch.length === 0) {
                     console.log('ℹ️ No more tenants available');
                     break;
                 }
                 
+                const tenants = scope
+                    ? batch.filter(tenant => scope.includesAny((tenant.Leases || []).map(lease => lease.PropertyId)))
+                    : batch;
                 console.log(`   Found ${tenants.length} tenants in this batch`);
 
+                // Resolve the batch's contacts together instead of searching per tenant
+                const resolutions = await this.identityResolver.resolveMany(
+                    tenants.map(tenant => ({ tenant, unitId: tenant.Leases?.[0]?.UnitId ?? null }))
+                );
+
                 // Step 2: Process each tenant until we hit our success target
                 for (let i = 0; i < tenants.length && results.success < limit; i++) {
                     const tenant = tenants[i];
@@ -3140,16 +4229,20 @@ class IntegrationPrototype {
                     console.log('-'.repeat(60));
                     
                     try {
-                        const syncResult = await this.syncTenantToContact(tenant.Id);
+                        const syncResult = await this.syncTenantToContact(tenant.Id, { resolutions });
+                        await this.trackSyncJob('tenant', tenant.Id, { tenantId: tenant.Id }, syncResult);
                         
                         if (syncResult.status === 'success') {
                             results.success++;
+                            recordOutcome('tenant', tenant.Id, 'updated', null, { contactId: syncResult.hubspotContact.id });
                             console.log(`✅ [${results.success}/${limit}] Success: Contact ${syncResult.hubspotContact.id}${syncResult.hubspotListing ? `, Listing ${syncResult.hubspotListing.id}` : ''}`);
                         } else if (syncResult.status === 'skipped') {
                             results.skipped++;
+                            recordOutcome('tenant', tenant.Id, 'skipped', syncResult.reason);
                             console.log(`⚠️ Skipped (${syncResult.reason}) - continuing to next tenant...`);
                         } else {
                             results.errors++;
+                            recordOutcome('tenant', tenant.Id, 'failed', syncResult.error);
                             console.log(`❌ Error: ${syncResult.error}`);
                         }
                         
@@ -3167,7 +4260,9 @@ class IntegrationPrototype {
                         
                     } catch (error) {
                         results.errors++;
+                        recordOutcome('tenant', tenant.Id, 'failed', error.message);
                         console.log(`❌ Error: ${error.message}`);
+                        await this.trackSyncJob('tenant', tenant.Id, { tenantId: tenant.Id }, error);
                         
                         results.details.push({
                             tenant: `${tenant.FirstName} ${tenant.LastName}`,
@@ -3180,7 +4275,7 @@ class IntegrationPrototype {
 
                 // If we haven't reached our target, prepare for next batch
                 if (results.success < limit) {
-                    offset += tenants.length;
+                    offset += batch.length;
                     console.log(`\n🔄 Need ${limit - results.success} more successes, fetching next batch...`);
                 }
             }
@@ -3209,22 +4304,34 @@ class IntegrationPrototype {
     /**
      * Sync units to listings with tenant associations
      * This is the new unit-centric approach
+     * `options.scope` (a PropertyScope, or plain `propertyIds`) limits the units and
+     * the lifecycle pass to part of the portfolio. Units sync `options.concurrency`
+     * at a time (default SYNC_CONCURRENCY); with a limit, in-flight units may finish
+     * after the target is reached, so a run can end slightly above it.
      */
     async syncUnitsToListings(options = {}) {
         try {
             const { limit = null, propertyIds = null } = options; // Default to unlimited
+            const concurrency = resolveConcurrency(options.concurrency);
+            const scope = options.scope || (propertyIds ? new PropertyScope({ propertyIds }) : null);
+            if (scope) {
+                await scope.resolve(this.buildiumClient);
+            }
             
             console.log('🏠 Starting Unit-to-Listing Sync...');
             console.log('=' .repeat(50));
             console.log(`   Target: ${limit || 'ALL'} units to process`);
-            if (propertyIds) {
-                console.log(`   Property Filter: ${propertyIds.join(', ')}`);
+            if (scope) {
+                console.log(`   Property Scope: ${JSON.stringify(scope.describe())}`);
             }
             console.log('');
 
             // Ensure listing custom properties exist
             await this.hubspotClient.createListingCustomProperties();
 
+            // Units and lifecycle leases that failed on earlier runs and whose backoff has elapsed
+            await this.retryQueuedJobs(['unit', 'lifecycle-lease']);
+
             const results = {
                 target: limit,
                 success: 0,
@@ -3241,18 +4348,18 @@ class IntegrationPrototype {
             while (limit === null || results.success < limit) {
                 // Step 1: Fetch a batch of units from Buildium
                 console.log(`📋 Fetching batch of units (offset: ${offset})...`);
-                const units = await this.buildiumClient.getAllUnits(batchSize, offset, propertyIds);
+                const batch = await this.buildiumClient.getAllUnits(batchSize, offset, scope ? scope.propertyIds : null);
                 
-                if (units.length === 0) {
+                if (batch.length === 0) {
                     console.log('ℹ️ No more units available');
                     break;
                 }
                 
+                const units = scope ? batch.filter(unit => scope.includes(unit.PropertyId)) : batch;
                 console.log(`   Found ${units.length} units in this batch`);
 
-                // Step 2: Process each unit
-                for (let i = 0; i < units.length && (limit === null || results.success < limit); i++) {
-                    const unit = units[i];
+                // Step 2: Process the batch in parallel; the shared rate limiters pace the API calls
+                await mapWithConcurrency(units, concurrency, async unit => {
                     totalProcessed++;
                     const successCount = results.success + 1;
                     
@@ -3261,18 +4368,23 @@ class IntegrationPrototype {
                     
                     try {
                         const syncResult = await this.syncUnitToListing(unit);
+                        await this.trackSyncJob('unit', unit.Id, { unitId: unit.Id, propertyId: unit.PropertyId }, syncResult);
                         
                         if (syncResult.status === 'success') {
                             results.success++;
+                            recordOutcome('unit', unit.Id, 'created', null, { listingId: syncResult.hubspotListing.id });
                             console.log(`✅ [${results.success}/${limit}] Success: Listing ${syncResult.hubspotListing.id}`);
                         } else if (syncResult.status === 'updated') {
                             results.success++;
+                            recordOutcome('unit', unit.Id, 'updated', null, { listingId: syncResult.hubspotListing.id });
                             console.log(`✅ [${results.success}/${limit}] Updated: Listing ${syncResult.hubspotListing.id}`);
                         } else if (syncResult.status === 'skipped') {
                             results.skipped++;
+                            recordOutcome('unit', unit.Id, 'skipped', syncResult.reason);
                             console.log(`⚠️ Skipped (${syncResult.reason}) - continuing to next unit...`);
                         } else {
                             results.errors++;
+                            recordOutcome('unit', unit.Id, 'failed', syncResult.error);
                             console.log(`❌ Error: ${syncResult.error}`);
                         }
                         
@@ -3282,15 +4394,11 @@ class IntegrationPrototype {
                             propertyId: unit.PropertyId,
                             result: syncResult
                         });
-                        
-                        // Small delay to avoid rate limiting
-                        if (results.success < limit) {
-                            await new Promise(resolve => setTimeout(resolve, 500));
-                        }
-                        
                     } catch (error) {
                         results.errors++;
+                        recordOutcome('unit', unit.Id, 'failed', error.message);
                         console.log(`❌ Error: ${error.message}`);
+                        await this.trackSyncJob('unit', unit.Id, { unitId: unit.Id, propertyId: unit.PropertyId }, error);
                         
                         results.details.push({
                             unit: `Unit ${unit.UnitNumber || unit.Id}`,
@@ -3299,12 +4407,14 @@ class IntegrationPrototype {
                             result: { status: 'error', error: error.message }
                         });
                     }
-                }
+                }, { shouldStop: () => limit !== null && results.success >= limit });
 
                 // If we haven't reached our target, prepare for next batch
-                if (results.success < limit) {
-                    offset += units.length;
-                    console.log(`\n🔄 Need ${limit - results.success} more successes, fetching next batch...`);
+                if (limit === null || results.success < limit) {
+                    offset += batch.length;
+                    console.log(limit === null
+                        ? '\n🔄 Fetching next batch...'
+                        : `\n🔄 Need ${limit - results.success} more successes, fetching next batch...`);
                 }
             }
 
@@ -3314,10 +4424,10 @@ class IntegrationPrototype {
             console.log('\n🔄 Updating tenant association lifecycle (automatic)...');
             // Import TenantLifecycleManager here
             const TenantLifecycleManager = require('./TenantLifecycleManager.js');
-            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient);
-            // For units sync, check all leases (use a date far in the past)
+            const lifecycleManager = new TenantLifecycleManager(this.hubspotClient, this.buildiumClient, { identityResolver: this.identityResolver });
+            // For units sync, check all leases in scope (use a date far in the past)
             const allLeasesDate = new Date('2020-01-01');
-            const lifecycleStats = await lifecycleManager.updateTenantAssociations(false, limit, allLeasesDate, null); // null = process all leases
+            const lifecycleStats = await lifecycleManager.updateTenantAssociations(false, limit, allLeasesDate, null, null, { jobQueue: this.jobQueue, scope, concurrency }); // null = process all leases
             const totalLifecycleUpdates = lifecycleStats.futureToActive + lifecycleStats.activeToInactive + lifecycleStats.futureToInactive;
             console.log(`✅ Lifecycle updates: ${totalLifecycleUpdates}`);
             if (totalLifecycleUpdates === 0) {
@@ -3448,15 +4558,14 @@ class IntegrationPrototype {
 
         } catch (error) {
             console.error('💥 Unit sync failed:', error.message);
-            return { status: 'error', error: error.message };
+            return { status: 'error', error: error.message, errorName: error.name, httpStatus: error.response?.status };
         }
     }
 
     /**
-     * Transform unit data to HubSpot listing format
+     * Collect current and previous tenant IDs by lease status for the listing mapping
      */
-    transformUnitToListing(unit, property, activeLease, allLeases, buildiumUnitUrl) {
-        // Get current and previous tenant contact IDs based on lease status
+    buildUnitListingSource(unit, property, allLeases, buildiumUnitUrl) {
         let currentTenantContactIds = [];
         let previousTenantContactIds = [];
         
@@ -3464,10 +4573,8 @@ class IntegrationPrototype {
         for (const lease of allLeases) {
             if (lease.Tenants && lease.Tenants.length > 0) {
                 if (lease.LeaseStatus === 'Active') {
-                    // Add to current tenants
                     currentTenantContactIds.push(...lease.Tenants.map(t => t.Id));
                 } else if (lease.LeaseStatus === 'Past' || lease.LeaseStatus === 'Expired') {
-                    // Add to previous tenants
                     previousTenantContactIds.push(...lease.Tenants.map(t => t.Id));
                 }
             }
@@ -3477,79 +4584,19 @@ class IntegrationPrototype {
         currentTenantContactIds = [...new Set(currentTenantContactIds)];
         previousTenantContactIds = [...new Set(previousTenantContactIds)];
 
-        const listingData = {
-            properties: {
-                // Basic listing info
-                hs_name: `${property.Name} - Unit ${unit.UnitNumber || unit.Id}`,
-                hs_price: unit.MarketRent || 0,
-                
-                // Address information
-                hs_address_1: property.Address?.AddressLine1 || '',
-                hs_address_2: property.Address?.AddressLine2 || '',
-                hs_city: property.Address?.City || '',
-                hs_state_province: property.Address?.State || '',
-                
-                // Handle postal codes properly - HubSpot hs_zip expects numbers only, so put postal codes in address_2 for Canadian addresses
-                ...(property.Address?.PostalCode && /^\d{5}(-\d{4})?$/.test(property.Address.PostalCode) ? 
-                    { hs_zip: property.Address.PostalCode } :  // US ZIP codes only
-                    { hs_address_2: `${property.Address?.AddressLine2 || ''} ${property.Address?.PostalCode || ''}`.trim() }), // Canadian postal codes go in address_2
-                
-                // Buildium identifiers (keep as strings to avoid HubSpot comma formatting)
-                buildium_unit_id: String(unit.Id),
-                buildium_property_id: String(unit.PropertyId),
-                buildium_unit_url: buildiumUnitUrl,
-                
-                // Unit-specific details
-                buildium_unit_number: unit.UnitNumber || '',
-                buildium_unit_type: unit.UnitType || '',
-                buildium_is_occupied: unit.IsOccupied ? 'Yes' : 'No',
-                
-                // HubSpot identifiers (to be populated when we create/find corresponding records)
-                hubspot_property_id: '', // Will be populated if we create property records
-                hubspot_unit_id: '',     // Will be populated if we create unit records
-                
-                // Tenant tracking based on lease status (convert IDs to strings)
-                current_tenant_contact_id: currentTenantContactIds.map(id => String(id)).join(','),
-                previous_tenant_contact_ids: previousTenantContactIds.map(id => String(id)).join(','),
-                
-                // Unit details
-                hs_bedrooms: unit.BedCount || 0,
-                hs_bathrooms: unit.BathCount || 0,
-                hs_square_footage: unit.SquareFeet || 0,
-                
-                // Additional unit information
-                buildium_floor_number: unit.FloorNumber || '',
-                buildium_description: unit.Description || '',
-                
-                // Property details
-                hs_listing_type: 'apartments',
-                hs_year_built: property.YearBuilt || '',
-                hs_property_type: property.PropertyType || '',
-                
-                // Financial information
-                buildium_market_rent: unit.MarketRent || 0,
-                buildium_property_reserve_account: property.ReserveAccount || '',
-                
-                // Status and metadata
-                buildium_unit_status: unit.IsOccupied ? 'Occupied' : 'Vacant',
-                buildium_created_date: unit.CreatedDateTime ? new Date(unit.CreatedDateTime).toISOString() : '',
-                    buildium_last_modified: unit.LastModifiedDateTime ? new Date(unit.LastModifiedDateTime).toISOString() : '',
-                    buildium_lease_last_updated: unit.LastUpdatedDateTime ? new Date(unit.LastUpdatedDateTime).toISOString() : ''
-            }
-        };
+        return { unit, property, buildiumUnitUrl, currentTenantContactIds, previousTenantContactIds };
+    }
 
-        // Remove empty/null properties (same cleanup as existing code)
-        Object.keys(listingData.properties).forEach(key => {
-            if (listingData.properties[key] === null || 
-                listingData.properties[key] === undefined || 
-                listingData.properties[key] === '') {
-                delete listingData.properties[key];
-            }
-        });
+    /**
+     * Transform unit data to HubSpot listing format
+     */
+    transformUnitToListing(unit, property, activeLease, allLeases, buildiumUnitUrl) {
+        const source = this.buildUnitListingSource(unit, property, allLeases, buildiumUnitUrl);
+        const listingData = this.transformer.fieldMapper.map('unitListing', source);
 
         console.log('🔄 Transformed unit to listing format');
-        console.log(`   Current tenants: ${currentTenantContactIds.length}`);
-        console.log(`   Previous tenants: ${previousTenantContactIds.length}`);
+        console.log(`   Current tenants: ${source.currentTenantContactIds.length}`);
+        console.log(`   Previous tenants: ${source.previousTenantContactIds.length}`);
         return listingData;
     }
 
@@ -3560,102 +4607,12 @@ class IntegrationPrototype {
     transformUnitToListingSafeUpdate(unit, property, activeLease, allLeases, buildiumUnitUrl) {
         console.log('🔄 Transforming unit data for SAFE UPDATE (non-empty fields only)...');
         
-        // Get current and previous tenant contact IDs based on lease status
-        let currentTenantContactIds = [];
-        let previousTenantContactIds = [];
-        
-        // Process all leases and categorize tenants by lease status
-        for (const lease of allLeases) {
-            if (lease.Tenants && lease.Tenants.length > 0) {
-                if (lease.LeaseStatus === 'Active') {
-                    currentTenantContactIds.push(...lease.Tenants.map(t => t.Id));
-                } else if (lease.LeaseStatus === 'Past' || lease.LeaseStatus === 'Expired') {
-                    previousTenantContactIds.push(...lease.Tenants.map(t => t.Id));
-                }
-            }
-        }
-
-        // Remove duplicates
-        currentTenantContactIds = [...new Set(currentTenantContactIds)];
-        previousTenantContactIds = [...new Set(previousTenantContactIds)];
-
-        const safeUpdateFields = {};
-
-        // Only add fields that have actual data from Buildium
-        
-        // Basic listing info - only if we have data
-        if (property.Name && unit.UnitNumber) {
-            safeUpdateFields.hs_name = `${property.Name} - Unit ${unit.UnitNumber}`;
-        } else if (property.Name && unit.Id) {
-            safeUpdateFields.hs_name = `${property.Name} - Unit ${unit.Id}`;
-        }
-        
-        if (unit.MarketRent && unit.MarketRent > 0) {
-            safeUpdateFields.hs_price = unit.MarketRent;
-        }
-        
-        // Address information - only if we have data
-        if (property.Address?.AddressLine1) safeUpdateFields.hs_address_1 = property.Address.AddressLine1;
-        if (property.Address?.AddressLine2) safeUpdateFields.hs_address_2 = property.Address.AddressLine2;
-        if (property.Address?.City) safeUpdateFields.hs_city = property.Address.City;
-        if (property.Address?.State) safeUpdateFields.hs_state_province = property.Address.State;
-        
-        // Handle postal codes properly - only if we have data
-        if (property.Address?.PostalCode) {
-            if (/^\d{5}(-\d{4})?$/.test(property.Address.PostalCode)) {
-                safeUpdateFields.hs_zip = property.Address.PostalCode;  // US ZIP codes only
-            } else {
-                // Canadian postal codes - append to address_2 if it exists or create new
-                const existingAddress2 = property.Address?.AddressLine2 || '';
-                safeUpdateFields.hs_address_2 = `${existingAddress2} ${property.Address.PostalCode}`.trim();
-            }
-        }
-        
-        // Buildium identifiers - always include these for tracking
-        safeUpdateFields.buildium_unit_id = String(unit.Id);
-        safeUpdateFields.buildium_property_id = String(unit.PropertyId);
-        safeUpdateFields.buildium_unit_url = buildiumUnitUrl;
-        
-        // Unit-specific details - only if we have data
-        if (unit.UnitNumber) safeUpdateFields.buildium_unit_number = unit.UnitNumber;
-        if (unit.UnitType) safeUpdateFields.buildium_unit_type = unit.UnitType;
-        if (unit.IsOccupied !== undefined) safeUpdateFields.buildium_is_occupied = unit.IsOccupied ? 'Yes' : 'No';
-        
-        // Tenant tracking - always include for association management
-        safeUpdateFields.current_tenant_contact_id = currentTenantContactIds.map(id => String(id)).join(',');
-        safeUpdateFields.previous_tenant_contact_ids = previousTenantContactIds.map(id => String(id)).join(',');
-        
-        // Unit details - only if we have data
-        if (unit.BedCount && unit.BedCount > 0) safeUpdateFields.hs_bedrooms = unit.BedCount;
-        if (unit.BathCount && unit.BathCount > 0) safeUpdateFields.hs_bathrooms = unit.BathCount;
-        if (unit.SquareFeet && unit.SquareFeet > 0) safeUpdateFields.hs_square_footage = unit.SquareFeet;
-        
-        // Additional unit information - only if we have data
-        if (unit.FloorNumber) safeUpdateFields.buildium_floor_number = unit.FloorNumber;
-        if (unit.Description) safeUpdateFields.buildium_description = unit.Description;
-        
-        // Property details - only if we have data
-        if (property.YearBuilt) safeUpdateFields.hs_year_built = property.YearBuilt;
-        if (property.PropertyType) safeUpdateFields.hs_property_type = property.PropertyType;
-        
-        // Financial information - only if we have data
-        if (unit.MarketRent && unit.MarketRent > 0) safeUpdateFields.buildium_market_rent = unit.MarketRent;
-        if (property.ReserveAccount) safeUpdateFields.buildium_property_reserve_account = property.ReserveAccount;
-        
-        // Status and metadata - only if we have data
-        if (unit.IsOccupied !== undefined) safeUpdateFields.buildium_unit_status = unit.IsOccupied ? 'Occupied' : 'Vacant';
-        if (unit.CreatedDateTime) safeUpdateFields.buildium_created_date = new Date(unit.CreatedDateTime).toISOString();
-        if (unit.LastModifiedDateTime) safeUpdateFields.buildium_last_modified = new Date(unit.LastModifiedDateTime).toISOString();
-        // Always set buildium_lease_last_updated if available
-        if (unit.LastUpdatedDateTime) safeUpdateFields.buildium_lease_last_updated = new Date(unit.LastUpdatedDateTime).toISOString();
-
-        const listingData = {
-            properties: safeUpdateFields
-        };
+        const source = this.buildUnitListingSource(unit, property, allLeases, buildiumUnitUrl);
+        const listingData = this.transformer.fieldMapper.map('unitListing', source, { safeUpdate: true });
 
-        console.log(`✅ Safe listing update transformation complete - ${Object.keys(safeUpdateFields).length} fields with data`);
-        console.log(`   Current tenants: ${currentTenantContactIds.length}`);
-        console.log(`   Previous tenants: ${previousTenantContactIds.length}`);
+        console.log(`✅ Safe listing update transformation complete - ${Object.keys(listingData.properties).length} fields with data`);
+        console.log(`   Current tenants: ${source.currentTenantContactIds.length}`);
+        console.log(`   Previous tenants: ${source.previousTenantContactIds.length}`);
         return listingData;
     }
 
@@ -3667,37 +4624,46 @@ class IntegrationPrototype {
         
         let currentTenantAssociations = [];
         let previousTenantAssociations = [];
-        
-        // Process all leases and create appropriate associations
-        for (const lease of allLeases) {
-            if (lease.Tenants && lease.Tenants.length > 0) {
-                for (const tenantRef of lease.Tenants) {
-                    try {
-                        // Find or create contact for this tenant (will fetch full details)
-                        const contact = await this.findOrCreateContactForTenant(tenantRef);
-                        
-                        if (contact) {
-                            // Get the full tenant name for logging
-                            const fullTenant = await this.buildiumClient.getTenant(tenantRef.Id);
-                            const tenantName = `${fullTenant.FirstName} ${fullTenant.LastName}`;
-                            
-                            if (lease.LeaseStatus === 'Active') {
-                                // Create Active Tenant association (type ID 2)
-                                await this.hubspotClient.createContactListingAssociation(contact.id, hubspotListing.id, 2);
-                                currentTenantAssociations.push(contact.id);
-                                console.log(`✅ Associated ACTIVE tenant ${tenantName} (${contact.id}) with listing`);
-                            } else if (lease.LeaseStatus === 'Past' || lease.LeaseStatus === 'Expired') {
-                                // Create Inactive Tenant association (type ID 6)
-                                await this.hubspotClient.createContactListingAssociation(contact.id, hubspotListing.id, 6);
-                                previousTenantAssociations.push(contact.id);
-                                console.log(`✅ Associated INACTIVE tenant ${tenantName} (${contact.id}) with listing`);
-                            }
-                        }
-                    } catch (error) {
-                        console.error(`❌ Failed to associate tenant ID ${tenantRef.Id}:`, error.message);
-                    }
+
+        // Find or create every tenant's contact in one go (will fetch full details)
+        const contactsByTenantId = await this.findOrCreateContactsForTenants(
+            allLeases.flatMap(lease => lease.Tenants || []),
+            { unitId: unit.Id }
+        );
+
+        // Active leases get Active Tenant associations (type ID 2), past and expired
+        // leases Inactive Tenant associations (type ID 6); all created in one batch
+        const associations = [];
+        allLeases.forEach(lease => {
+            const associationTypeId = lease.LeaseStatus === 'Active'
+                ? 2
+                : (lease.LeaseStatus === 'Past' || lease.LeaseStatus === 'Expired' ? 6 : null);
+            (lease.Tenants || []).forEach(tenantRef => {
+                const contact = contactsByTenantId.get(String(tenantRef.Id));
+                if (associationTypeId && contact) {
+                    associations.push({ contactId: contact.id, listingId: hubspotListing.id, associationTypeId, tenantId: tenantRef.Id });
                 }
-            }
+            });
+        });
+
+        if (associations.length > 0) {
+            const { errors } = await this.hubspotClient.batchCreateContactListingAssociations(associations);
+            const failedIndexes = new Set(errors.map(entry => entry.index));
+            errors.forEach(({ item, error }) => {
+                console.error(`❌ Failed to associate tenant ID ${item.tenantId}:`, error.response?.data?.message || error.message);
+            });
+            associations.forEach((association, index) => {
+                if (failedIndexes.has(index)) {
+                    return;
+                }
+                if (association.associationTypeId === 2) {
+                    currentTenantAssociations.push(association.contactId);
+                    console.log(`✅ Associated ACTIVE tenant ${association.tenantId} (${association.contactId}) with listing`);
+                } else {
+                    previousTenantAssociations.push(association.contactId);
+                    console.log(`✅ Associated INACTIVE tenant ${association.tenantId} (${association.contactId}) with listing`);
+                }
+            });
         }
         
         console.log(`   Active Tenant Associations: ${currentTenantAssociations.length}`);
@@ -3707,96 +4673,110 @@ class IntegrationPrototype {
     }
 
     /**
-     * Find existing contact or create new one for a tenant
+     * Find existing contacts or create new ones for a set of tenants: IdentityResolver
+     * matches them all at once, contacts to create go in one batch upsert by email
+     * and, with --force, matched contacts are refreshed (safe mode) in one batch
+     * update by ID. Tenants without a usable email (none, or one already on a
+     * roommate's contact) are created one at a time without it; ambiguous tenants are
+     * left out for review. Resolves to a Map of tenant ID -> contact; tenants that
+     * failed are logged and left out.
      */
-    async findOrCreateContactForTenant(tenantReference) {
-        try {
-            // First, get the full tenant details using the tenant ID
-            // The tenantReference from lease data only has Id, Status, MoveInDate
-            const fullTenant = await this.buildiumClient.getTenant(tenantReference.Id);
-            
-            console.log(`📋 Full tenant data: ${fullTenant.FirstName} ${fullTenant.LastName} (${fullTenant.Email || 'no email'})`);
-            
-            // Try to find existing contact by email
-            if (fullTenant.Email) {
-                const existingContact = await this.hubspotClient.searchContactByEmail(fullTenant.Email);
+    async findOrCreateContactsForTenants(tenantReferences, { unitId = null } = {}) {
+        const contactsByTenantId = new Map();
+        const tenantIds = Array.from(new Set((tenantReferences || []).map(tenantRef => String(tenantRef.Id))));
+
+        // The tenant references from lease data only have Id, Status, MoveInDate
+        const tenants = [];
+        for (const tenantId of tenantIds) {
+            try {
+                const fullTenant = await this.buildiumClient.getTenant(tenantId);
+                console.log(`📋 Full tenant data: ${fullTenant.FirstName} ${fullTenant.LastName} (${fullTenant.Email || 'no email'})`);
+                tenants.push(fullTenant);
+            } catch (error) {
+                console.error(`❌ Failed to find/create contact for tenant ID ${tenantId}:`, error.message);
+            }
+        }
+
+        const resolutions = await this.identityResolver.resolveMany(tenants.map(tenant => ({ tenant, unitId })));
+
+        const creates = [];
+        const updates = [];
+        // An email goes to one new contact only; roommates sharing it are created without
+        const emailsInUse = new Set();
+        for (const fullTenant of tenants) {
+            const tenantName = `${fullTenant.FirstName} ${fullTenant.LastName}`;
+            const tenantId = String(fullTenant.Id);
+            const resolution = resolutions.get(tenantId);
+            try {
+                if (resolution.status === 'ambiguous') {
+                    console.log(`⚠️ ${tenantName} could be any of contacts ${resolution.candidates.map(candidate => candidate.id).join(', ')} (by ${resolution.matchedBy}) - skipped, flagged for review`);
+                    continue;
+                }
+
+                const existingContact = resolution.contact;
                 if (existingContact) {
-                    if (this.forceUpdate) {
-                        console.log(`⚡ Found existing contact for ${fullTenant.FirstName} ${fullTenant.LastName}: ${existingContact.id} - FORCE UPDATING (safe mode)...`);
-                        
-                        const contactData = this.transformer.transformTenantToContactSafeUpdate(fullTenant);
-                        const updatedContact = await this.hubspotClient.updateContact(existingContact.id, contactData);
-                        
-                        console.log(`✅ Updated contact: ${updatedContact.id}`);
-                        return updatedContact;
+                    const claimedContact = await this.claimApplicantContact(existingContact, fullTenant);
+                    if (claimedContact) {
+                        contactsByTenantId.set(tenantId, claimedContact);
+                    } else if (this.forceUpdate) {
+                        console.log(`⚡ Found existing contact for ${tenantName}: ${existingContact.id} - FORCE UPDATING (safe mode)...`);
+                        updates.push({ id: existingContact.id, properties: this.transformer.transformTenantToContactSafeUpdate(fullTenant).properties, tenantId });
                     } else {
-                        console.log(`✅ Found existing contact for ${fullTenant.FirstName} ${fullTenant.LastName}: ${existingContact.id}`);
-                        return existingContact;
+                        console.log(`✅ Found existing contact for ${tenantName}: ${existingContact.id}`);
+                        contactsByTenantId.set(tenantId, existingContact);
                     }
+                    continue;
                 }
+
+                console.log(`📝 Creating new contact for ${tenantName}...`);
+                const contactData = this.transformer.transformTenantToContact(fullTenant);
+                const email = normalizeEmail(fullTenant.Email);
+                if (email && !resolution.emailTaken && !emailsInUse.has(email)) {
+                    emailsInUse.add(email);
+                    creates.push({ contact: contactData, tenantId });
+                    continue;
+                }
+                if (email) {
+                    console.log(`ℹ️ ${fullTenant.Email} belongs to another tenant's contact - creating ${tenantName} without an email`);
+                    delete contactData.properties.email;
+                }
+                const newContact = await this.hubspotClient.createContact(contactData);
+                console.log(`✅ Created new contact: ${newContact.id}`);
+                await this.identityResolver.recordMatch(tenantId, newContact.id);
+                contactsByTenantId.set(tenantId, newContact);
+            } catch (error) {
+                console.error(`❌ Failed to find/create contact for tenant ID ${fullTenant.Id}:`, error.message);
             }
-            
-            // If no existing contact found, create new one
-            console.log(`📝 Creating new contact for ${fullTenant.FirstName} ${fullTenant.LastName}...`);
-            
-            const contactData = this.transformer.transformTenantToContact(fullTenant);
-            const newContact = await this.hubspotClient.createContact(contactData);
-            
-            console.log(`✅ Created new contact: ${newContact.id}`);
-            return newContact;
-            
-        } catch (error) {
-            console.error(`❌ Failed to find/create contact for tenant ID ${tenantReference.Id}:`, error.message);
-            return null;
         }
-    }
 
-    /**
-     * Delete all listings in HubSpot
-     */
-    async deleteAllListings() {
-        try {
-            console.log('🗑️ Deleting All Listings in HubSpot...');
-            console.log('=' .repeat(50));
-            
-            // Get all listings
-            const listings = await this.hubspotClient.getAllListings();
-            
-            if (listings.length === 0) {
-                console.log('ℹ️ No listings found to delete');
-                return { deleted: 0 };
-            }
-            
-            console.log(`📋 Found ${listings.length} listings to delete`);
-            
-            let deleted = 0;
-            let errors = 0;
-            
-            for (const listing of listings) {
-                try {
-                    console.log(`🗑️ Deleting listing ${listing.id}...`);
-                    await this.hubspotClient.deleteListing(listing.id);
-                    deleted++;
-                    console.log(`✅ Deleted listing ${listing.id}`);
-                } catch (error) {
-                    errors++;
-                    console.log(`❌ Failed to delete listing ${listing.id}: ${error.message}`);
+        if (creates.length > 0) {
+            const { results, errors } = await this.hubspotClient.batchUpsertContacts(creates.map(entry => entry.contact));
+            errors.forEach(({ index, error }) => {
+                console.error(`❌ Failed to find/create contact for tenant ID ${creates[index].tenantId}:`, error.response?.data?.message || error.message);
+            });
+            for (const [index, contact] of results.entries()) {
+                if (contact) {
+                    console.log(`✅ Created new contact: ${contact.id}`);
+                    await this.identityResolver.recordMatch(creates[index].tenantId, contact.id);
+                    contactsByTenantId.set(creates[index].tenantId, contact);
                 }
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
             }
-            
-            console.log('\n🎉 Deletion Complete!');
-            console.log(`   ✅ Deleted: ${deleted}`);
-            console.log(`   ❌ Errors: ${errors}`);
-            
-            return { deleted, errors, total: listings.length };
-            
-        } catch (error) {
-            console.error('💥 Failed to delete listings:', error.message);
-            return { deleted: 0, errors: 1, total: 0 };
         }
+
+        if (updates.length > 0) {
+            const { results, errors } = await this.hubspotClient.batchUpdateContacts(updates);
+            errors.forEach(({ index, error }) => {
+                console.error(`❌ Failed to find/create contact for tenant ID ${updates[index].tenantId}:`, error.response?.data?.message || error.message);
+            });
+            results.forEach((contact, index) => {
+                if (contact) {
+                    console.log(`✅ Updated contact: ${contact.id}`);
+                    contactsByTenantId.set(updates[index].tenantId, contact);
+                }
+            });
+        }
+
+        return contactsByTenantId;
     }
 
     /**
@@ -3936,6 +4916,63 @@ class IntegrationPrototype {
         return true;
     }
 
+    /**
+     * Handle schema command: plan | diff | apply for the declared HubSpot custom properties.
+     * Returns true when the portal matches (plan/diff) or every change applied (apply).
+     */
+    async handleSchemaCommand(subcommand = 'plan', options = {}) {
+        const { objectTypes = null, allowTypeChange = false, dryRun = false } = options;
+        const schemaManager = new SchemaManager(this.hubspotClient);
+
+        console.log(`🧬 HubSpot Schema ${subcommand.toUpperCase()}`);
+        console.log('=' .repeat(50));
+
+        if (subcommand === 'plan') {
+            const plan = await schemaManager.plan({ objectTypes });
+            Object.entries(plan.objectTypes).forEach(([objectType, entry]) => {
+                console.log(`\n📦 ${objectType} (${entry.objectTypeId})`);
+                if (entry.createGroup) {
+                    console.log(`   + group ${schemaManager.group.name}`);
+                }
+                entry.create.forEach(item => console.log(`   + ${item.name} (${item.property.type}/${item.property.fieldType})`));
+                entry.patch.forEach(item => console.log(`   ~ ${item.name} ${item.changes.map(change => change.field).join(', ')}`));
+                entry.blocked.forEach(item => console.log(`   ! ${item.name} ${item.reason}: ${item.changes.map(change => `${change.field} ${change.actual} → ${change.expected}`).join(', ')}`));
+                console.log(`   ${entry.ok.length} up to date`);
+            });
+            console.log(`\n📊 Plan: ${plan.totals.create} to create, ${plan.totals.patch} to patch, ${plan.totals.blocked} blocked, ${plan.totals.ok} up to date`);
+            if (plan.totals.blocked > 0) {
+                console.log('💡 Blocked type changes are only applied with: schema apply --allow-type-change');
+            }
+            return plan.drift === 0;
+        }
+
+        if (subcommand === 'diff') {
+            const { rows } = await schemaManager.diff({ objectTypes });
+            if (rows.length === 0) {
+                console.log('✅ No drift - portal matches the declared schema');
+                return true;
+            }
+            rows.forEach(row => {
+                const expected = Array.isArray(row.expected) ? row.expected.join('|') : row.expected;
+                const actual = Array.isArray(row.actual) ? row.actual.join('|') : (row.actual ?? 'missing');
+                console.log(`   ${row.objectType}.${row.name} ${row.field}: portal=${actual} declared=${expected}`);
+            });
+            console.log(`\n⚠️  ${rows.length} difference(s) found`);
+            return false;
+        }
+
+        if (subcommand === 'apply') {
+            if (dryRun) {
+                console.log('🔍 DRY RUN MODE - No changes will be made');
+            }
+            const result = await schemaManager.apply({ objectTypes, allowTypeChange, dryRun });
+            console.log(`\n📊 Created: ${result.created.length} | Patched: ${result.patched.length} | Skipped: ${result.skipped.length} | Failed: ${result.failed.length}`);
+            return result.failed.length === 0;
+        }
+
+        throw new Error(`Unknown schema subcommand "${subcommand}" (expected plan, diff or apply)`);
+    }
+
     /**
      * Handle owners command with various options
      */
@@ -3953,12 +4990,13 @@ class IntegrationPrototype {
                 verify = false,
                 createMissing = false,
                 limit = null,
-                force = false
+                force = false,
+                scope = null
             } = options;
 
             // Validate options
-            if (!syncAll && !propertyIds && !verify) {
-                console.error('❌ Please specify --sync-all, --property-ids, or --verify');
+            if (!syncAll && !propertyIds && !scope && !verify) {
+                console.error('❌ Please specify --sync-all, --property-ids, --property-groups, --exclude-property-ids or --verify');
                 return;
             }
 
@@ -3970,6 +5008,7 @@ class IntegrationPrototype {
             // Sync mode
             const syncOptions = {
                 propertyIds,
+                scope,
                 status,
                 ownerType,
                 dryRun,
@@ -3990,6 +5029,9 @@ class IntegrationPrototype {
             console.log(`   Owner Type: ${ownerType}`);
             console.log(`   Status Filter: ${status || 'all'}`);
             console.log(`   Property IDs: ${propertyIds ? propertyIds.join(', ') : 'all'}`);
+            if (scope) {
+                console.log(`   Property Scope: ${JSON.stringify(scope.describe())}`);
+            }
             console.log(`   Limit: ${limit || 'no limit'}`);
             console.log(`   Mode: ${dryRun ? 'dry-run' : (createMissing ? 'create-missing' : (force ? 'force-update' : 'create-only'))}`);
             console.log('');
@@ -4025,6 +5067,8 @@ class IntegrationPrototype {
 
     /**
      * Sync owners from Buildium to HubSpot
+     * `options.scope` (a PropertyScope, or plain `propertyIds`) keeps to rental owners of
+     * in-scope properties; association owners are filtered by association ID only
      */
     async syncOwners(options = {}) {
         const {
@@ -4048,12 +5092,23 @@ class IntegrationPrototype {
         };
 
         try {
+            const scope = options.scope || (propertyIds ? new PropertyScope({ propertyIds }) : null);
+            if (scope) {
+                await scope.resolve(this.buildiumClient);
+            }
+            const scopedOptions = { ...options, scope, propertyIds: scope ? scope.propertyIds : null };
+
+            // Owners queued by `audit --fix` (and retries of those that failed again)
+            if (!dryRun) {
+                await this.retryQueuedJobs(['owner']);
+            }
+
             if (limit) {
                 console.log(`🎯 Target: ${limit} successful syncs (skips don't count)`);
-                return await this._syncOwnersWithLimit(options, results);
+                return await this._syncOwnersWithLimit(scopedOptions, results);
             } else {
                 // Original behavior: fetch all and process
-                return await this._syncAllOwners(options, results);
+                return await this._syncAllOwners(scopedOptions, results);
             }
         } catch (error) {
             console.error('❌ Error in owners sync:', error.response?.data || error.message);
@@ -4076,11 +5131,11 @@ class IntegrationPrototype {
 
         // Fetch owners from Buildium
         console.log('🔍 Fetching owners from Buildium...');
-        const owners = await this.buildiumClient.getAllOwners({
+        const owners = this.filterOwnersToScope(await this.buildiumClient.getAllOwners({
             propertyIds,
             status,
             ownerType
-        });
+        }), options.scope);
 
         results.total = owners.length;
         console.log(`📊 Found ${owners.length} owners to process`);
@@ -4090,6 +5145,8 @@ class IntegrationPrototype {
             return results;
         }
 
+        const existingRecords = dryRun ? null : await this.prefetchOwnerRecords(owners);
+
         // Process each owner
         for (let i = 0; i < owners.length; i++) {
             const owner = owners[i];
@@ -4105,19 +5162,24 @@ class IntegrationPrototype {
                     continue;
                 }
 
-                const syncResult = await this.syncOwnerToHubSpot(owner, { createMissing, force });
+                const syncResult = await this.syncOwnerToHubSpot(owner, { createMissing, force, existingRecords });
                 
-                if (syncResult.status === 'success') {
+                // New owner companies come back as 'created'
+                if (syncResult.status === 'success' || syncResult.status === 'created') {
                     results.success++;
+                    recordOutcome('owner', owner.Id, 'created', null, { recordType: syncResult.recordType, recordId: syncResult.recordId });
                     console.log(`✅ Success: ${syncResult.recordType} ${syncResult.recordId}`);
                 } else if (syncResult.status === 'skipped') {
                     results.skipped++;
+                    recordOutcome('owner', owner.Id, 'skipped', syncResult.reason);
                     console.log(`⚠️ Skipped: ${syncResult.reason}`);
                 } else if (syncResult.status === 'enriched') {
                     results.enriched++;
+                    recordOutcome('owner', owner.Id, 'updated', null, { recordType: syncResult.recordType, recordId: syncResult.recordId });
                     console.log(`🔄 Enriched: ${syncResult.recordType} ${syncResult.recordId}`);
                 } else {
                     results.errors++;
+                    recordOutcome('owner', owner.Id, 'failed', syncResult.error);
                     console.log(`❌ Error: ${syncResult.error}`);
                     results.errorDetails.push({
                         ownerId: owner.Id,
@@ -4132,6 +5194,7 @@ class IntegrationPrototype {
 
             } catch (error) {
                 results.errors++;
+                recordOutcome('owner', owner.Id, 'failed', error.message);
                 console.log(`❌ Error processing owner ${owner.Id}: ${error.message}`);
                 results.errorDetails.push({
                     ownerId: owner.Id,
@@ -4165,7 +5228,7 @@ class IntegrationPrototype {
         while ((results.success + results.enriched) < limit) {
             // Step 1: Fetch a batch of owners from Buildium
             console.log(`📋 Fetching batch of owners (offset: ${offset})...`);
-            const owners = await this.buildiumClient.getAllOwners({
+            const batch = await this.buildiumClient.getAllOwners({
                 propertyIds,
                 status,
                 ownerType,
@@ -4173,12 +5236,15 @@ class IntegrationPrototype {
                 offset
             });
             
-            if (owners.length === 0) {
+            if (batch.length === 0) {
                 console.log('ℹ️ No more owners available');
                 break;
             }
+
+            const owners = this.filterOwnersToScope(batch, options.scope);
             
             console.log(`   Found ${owners.length} owners in this batch`);
+            const existingRecords = dryRun ? null : await this.prefetchOwnerRecords(owners);
 
             // Step 2: Process each owner until we hit our success target
             for (let i = 0; i < owners.length && (results.success + results.enriched) < limit; i++) {
@@ -4196,7 +5262,7 @@ class IntegrationPrototype {
                         continue;
                     }
 
-                    const syncResult = await this.syncOwnerToHubSpot(owner, { createMissing, force });
+                    const syncResult = await this.syncOwnerToHubSpot(owner, { createMissing, force, existingRecords });
                     
                     if (syncResult.status === 'success') {
                         results.success++;
@@ -4232,7 +5298,7 @@ class IntegrationPrototype {
             }
 
             // Move to next batch
-            offset += owners.length;
+            offset += batch.length;
 
             // Safety check to prevent infinite loops
             if (offset > 1000) {
@@ -4248,7 +5314,52 @@ class IntegrationPrototype {
     }
 
     /**
-     * Sync a single owner to HubSpot
+     * Keep rental owners that own an in-scope property. Association owners carry no
+     * property IDs, so they stay as Buildium filtered them (by association ID).
+     */
+    filterOwnersToScope(owners, scope) {
+        if (!scope) {
+            return owners;
+        }
+        return owners.filter(owner => owner._ownerType !== 'rental' || scope.includesAny(owner.PropertyIds));
+    }
+
+    /**
+     * Look up every owner's HubSpot company (by buildium_owner_id, 100 per search) or
+     * contact (by email, 100 per batch read) up front instead of one search per owner.
+     * Owners whose lookup failed are left out of the maps and searched on their own.
+     */
+    async prefetchOwnerRecords(owners) {
+        const isCompany = owner => owner._isCompany || owner.IsCompany || false;
+        const companyOwnerIds = owners.filter(isCompany).map(owner => String(owner.Id));
+        const companies = new Map();
+        if (companyOwnerIds.length > 0) {
+            try {
+                const found = await this.hubspotClient.searchCompaniesByBuildiumIds(companyOwnerIds);
+                companyOwnerIds.forEach(ownerId => companies.set(ownerId, null));
+                // Like findCompanyByBuildiumId, the first match wins
+                found.forEach(company => {
+                    const ownerId = String(company.properties?.buildium_owner_id);
+                    if (companies.has(ownerId) && !companies.get(ownerId)) {
+                        companies.set(ownerId, company);
+                    }
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not batch-read owner companies, searching one at a time: ${error.message}`);
+            }
+        }
+
+        const emails = owners.filter(owner => !isCompany(owner) && owner.Email).map(owner => owner.Email);
+        const { contacts } = emails.length > 0
+            ? await this.hubspotClient.batchReadContactsByEmail(emails)
+            : { contacts: new Map() };
+
+        return { companies, contacts };
+    }
+
+    /**
+     * Sync a single owner to HubSpot. `options.existingRecords` (from
+     * prefetchOwnerRecords) saves the per-owner company/contact search.
      */
     async syncOwnerToHubSpot(owner, options = {}) {
         try {
@@ -4261,6 +5372,7 @@ class IntegrationPrototype {
                 createMissingOnly = options.createMissing || false;
                 force = options.force || false;
             }
+            const prefetched = typeof options === 'object' ? options.existingRecords || null : null;
             
             const isCompany = owner._isCompany || owner.IsCompany || false;
             
@@ -4269,7 +5381,9 @@ class IntegrationPrototype {
                 const companyData = this.transformer.transformOwnerToCompany(owner);
                 
                 // Check if company already exists
-                const existingCompany = await this.hubspotClient.findCompanyByBuildiumId(owner.Id);
+                const existingCompany = prefetched && prefetched.companies.has(String(owner.Id))
+                    ? prefetched.companies.get(String(owner.Id))
+                    : await this.hubspotClient.findCompanyByBuildiumId(owner.Id);
                 
                 if (existingCompany) {
                     if (createMissingOnly && !force) {
@@ -4303,7 +5417,7 @@ class IntegrationPrototype {
                 }
                 
                 // Create new company
-                const hubspotCompany = await this.hubspotClient.createOrUpdateCompany(companyData, owner.Id);
+                const hubspotCompany = await this.hubspotClient.createOrUpdateCompany(companyData, owner.Id, existingCompany);
                 
                 // Create property associations with force sync capability
                 console.log('🔗 Creating property associations for company...');
@@ -4336,7 +5450,10 @@ class IntegrationPrototype {
                 const contactData = this.transformer.transformOwnerToContact(owner);
                 
                 // Check if contact already exists
-                const existingContact = await this.hubspotClient.findContactByEmail(owner.Email);
+                const ownerEmail = normalizeEmail(owner.Email);
+                const existingContact = prefetched && prefetched.contacts.has(ownerEmail)
+                    ? prefetched.contacts.get(ownerEmail)
+                    : await this.hubspotClient.findContactByEmail(owner.Email);
                 
                 if (existingContact) {
                     if (createMissingOnly && !force) {
@@ -4370,7 +5487,11 @@ class IntegrationPrototype {
                 }
                 
                 // Create new contact
-                const hubspotContact = await this.hubspotClient.createOrUpdateContact(contactData, owner.Id);
+                const hubspotContact = await this.hubspotClient.createOrUpdateContact(contactData, owner.Id, existingContact);
+                if (prefetched && ownerEmail) {
+                    // Owners sharing an email must land on this contact, not create another
+                    prefetched.contacts.set(ownerEmail, hubspotContact);
+                }
                 
                 // Create property associations with force sync capability
                 console.log('🔗 Creating property associations for contact...');
@@ -4452,25 +5573,155 @@ class IntegrationPrototype {
     }
 }
 
-// Main execution
-async function main() {
-    console.log('🏠➡️📞 Buildium to HubSpot Integration Prototype');
-    console.log('=' .repeat(60));
-    console.log('✨ Enhanced with exponential backoff for rate limiting');
-    console.log('⚡ Buildium API: 10 req/sec | Retry: 200ms→400ms→800ms');
-    console.log('=' .repeat(60));
+// Main execution
+/**
+ * Parse the property scope flags shared by the sync commands; invalid input fails the
+ * command (see runCommand) rather than the process, so other profiles still run
+ */
+function parsePropertyScopeArgs(args) {
+    try {
+        return PropertyScope.fromArgs(args);
+    } catch (error) {
+        throw invalidArgument(error);
+    }
+}
+
+/**
+ * Parse --concurrency <n> (worker pool size for parallel syncs); invalid input fails the command
+ */
+function parseConcurrencyArg(args) {
+    const index = args.indexOf('--concurrency');
+    if (index === -1) {
+        return null;
+    }
+    try {
+        return resolveConcurrency(args[index + 1] ?? '');
+    } catch (error) {
+        throw invalidArgument(error);
+    }
+}
+
+function invalidArgument(error) {
+    error.code = 'INVALID_ARGUMENT';
+    return error;
+}
+
+/**
+ * Pull --profile <name> / --all-profiles out of the arguments and load the selected
+ * profiles (null when neither flag is given, i.e. plain `.env` configuration)
+ */
+function selectProfiles(argv) {
+    const args = [...argv];
+    const allProfiles = args.includes('--all-profiles');
+    if (allProfiles) {
+        args.splice(args.indexOf('--all-profiles'), 1);
+    }
+
+    let profileName = null;
+    const profileIndex = args.indexOf('--profile');
+    if (profileIndex !== -1) {
+        profileName = args[profileIndex + 1];
+        if (!profileName || profileName.startsWith('--')) {
+            throw new Error('--profile needs a profile name');
+        }
+        args.splice(profileIndex, 2);
+    }
+
+    if (!allProfiles && !profileName) {
+        return { args, profiles: null };
+    }
+    if (allProfiles && profileName) {
+        throw new Error('Use either --profile or --all-profiles, not both');
+    }
+    if (allProfiles && args[0] === 'serve') {
+        throw new Error('serve runs one profile at a time; start one receiver per --profile');
+    }
+
+    const profiles = loadProfiles();
+    if (allProfiles) {
+        return { args, profiles };
+    }
+    const profile = profiles.find(candidate => candidate.name === profileName);
+    if (!profile) {
+        throw new Error(`Unknown profile "${profileName}" (configured: ${profiles.map(candidate => candidate.name).join(', ')})`);
+    }
+    return { args, profiles: [profile] };
+}
+
+async function main() {
+    console.log('🏠➡️📞 Buildium to HubSpot Integration Prototype');
+    console.log('=' .repeat(60));
+    console.log('✨ Enhanced with exponential backoff for rate limiting');
+    console.log('⚡ Buildium API: 10 req/sec | HubSpot API: 100 req/10 sec | Retry: 200ms→400ms→800ms');
+    console.log('=' .repeat(60));
+    installHttpLogging(axios);
+
+    let selection;
+    try {
+        selection = selectProfiles(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    const { args, profiles } = selection;
+
+    if (!profiles) {
+        await runCommand(args);
+        return;
+    }
+
+    // A single profile keeps its environment for the life of the process (serve keeps running)
+    if (profiles.length === 1) {
+        console.log(`🏢 Profile: ${profiles[0].name}`);
+        applyProfile(profiles[0]);
+        await runCommand(args);
+        return;
+    }
+
+    const failed = [];
+    for (const profile of profiles) {
+        console.log(`\n🏢 Profile: ${profile.name}`);
+        console.log('=' .repeat(60));
+        // Commands report partial failures through process.exitCode; track them per profile
+        process.exitCode = undefined;
+        const clean = await withProfile(profile, () => runCommand(args, { exitOnError: false }));
+        if (!clean || process.exitCode) {
+            failed.push(profile.name);
+        }
+    }
+    console.log(`\n🏁 Ran ${args[0] || 'usage'} for ${profiles.length} profiles${failed.length > 0 ? ` (failed: ${failed.join(', ')})` : ''}`);
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Run one CLI command against the current configuration. With exitOnError false
+ * (looping over profiles) a failure is reported and returned instead of exiting.
+ */
+async function runCommand(args, { exitOnError = true } = {}) {
+    const fail = () => {
+        if (exitOnError) {
+            process.exit(1);
+        }
+        return false;
+    };
 
     const integration = new IntegrationPrototype();
 
     // Validate configuration
     if (!integration.validateConfig()) {
-        process.exit(1);
+        return fail();
     }
 
     // Check command line arguments
-    const args = process.argv.slice(2);
     const command = args[0];
     const tenantId = args[1];
+    const runLogger = startRun(command || 'usage', args.slice(1));
+    // Live runs journal their HubSpot writes so `rollback <runId>` can reverse them
+    if (command !== 'rollback' && !args.includes('--dry-run')) {
+        startUndoManifest(runLogger.runId, { command });
+    }
 
     try {
         switch (command) {
@@ -4487,7 +5738,119 @@ async function main() {
                 break;
 
             case 'delete-listings':
-                await integration.deleteAllListings();
+                console.log('❌ delete-listings has been replaced by prune, which only touches listings whose Buildium unit or property is gone');
+                console.log('   npm start prune --dry-run');
+                process.exitCode = 1;
+                break;
+
+            case 'prune':
+                const pruneDryRun = args.includes('--dry-run');
+                const pruneUndoIndex = args.indexOf('--undo');
+                const { ListingPruneManager } = require('./ListingPruneManager.js');
+                const pruneManager = new ListingPruneManager(integration);
+
+                if (pruneUndoIndex !== -1) {
+                    const pruneManifest = args[pruneUndoIndex + 1];
+                    if (!pruneManifest || pruneManifest.startsWith('--')) {
+                        console.log('❌ --undo needs the path of a prune manifest');
+                        process.exitCode = 1;
+                        break;
+                    }
+
+                    console.log(`↩️  UNDOING PRUNE RUN ${pruneManifest}`);
+                    console.log('==================================================');
+                    const undoResult = await pruneManager.undo(pruneManifest, { dryRun: pruneDryRun });
+                    undoResult.listings.forEach(entry => {
+                        const outcome = entry.undoError ? `❌ ${entry.undoError}` : (entry.restoredListingId ? `→ listing ${entry.restoredListingId}` : '');
+                        console.log(`   ${entry.listingId} unit ${entry.unitId}${entry.name ? ` (${entry.name})` : ''} ${entry.action} ${outcome}`.trimEnd());
+                    });
+
+                    const undoStats = undoResult.stats;
+                    console.log('\n🎉 PRUNE UNDO COMPLETE');
+                    console.log(`📊 Stats: ${undoStats.listings} listings → ${undoStats.restored} restored, ${undoStats.associationsRestored} associations restored, ${undoStats.errors} errors`);
+                    if (pruneDryRun) {
+                        console.log('\n💡 This was a DRY RUN. Remove --dry-run to restore these listings.');
+                    }
+                    if (undoStats.errors > 0) {
+                        process.exitCode = 1;
+                    }
+                    break;
+                }
+
+                const pruneArchive = args.includes('--archive');
+                const pruneOptions = { dryRun: pruneDryRun, archive: pruneArchive };
+
+                const pruneLimitIndex = args.indexOf('--limit');
+                if (pruneLimitIndex !== -1 && args[pruneLimitIndex + 1]) {
+                    pruneOptions.limit = parseInt(args[pruneLimitIndex + 1], 10);
+                }
+
+                const pruneOutputIndex = args.indexOf('--output');
+                if (pruneOutputIndex !== -1 && args[pruneOutputIndex + 1]) {
+                    pruneOptions.outputDir = args[pruneOutputIndex + 1];
+                }
+
+                const pruneScope = parsePropertyScopeArgs(args);
+                if (pruneScope) {
+                    pruneOptions.propertyIds = await pruneScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log(`🧽 STARTING LISTING PRUNE (${pruneArchive ? 'archive' : 'mark Inactive'})`);
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${pruneDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const pruneResult = await pruneManager.run(pruneOptions);
+                pruneResult.listings.forEach(entry => {
+                    const outcome = entry.result?.error ? ` ❌ ${entry.result.error}` : '';
+                    console.log(`   ${entry.listingId} unit ${entry.unitId}${entry.name ? ` (${entry.name})` : ''} - ${entry.reason}${outcome}`);
+                });
+
+                const pruneStats = pruneResult.stats;
+                console.log('\n🎉 LISTING PRUNE COMPLETE');
+                console.log(`📊 Stats: ${pruneStats.listings} listings → ${pruneStats.stale} stale, ${pruneStats.pruned} ${pruneArchive ? 'archived' : 'marked Inactive'}, ${pruneStats.errors} errors`);
+                if (pruneResult.manifest) {
+                    console.log(`↩️  Undo manifest: ${pruneResult.manifest}`);
+                    console.log(`   npm start prune --undo ${pruneResult.manifest}`);
+                }
+                if (pruneDryRun) {
+                    console.log(`\n💡 This was a DRY RUN. Remove --dry-run to ${pruneArchive ? 'archive' : 'mark'} these listings.`);
+                }
+                if (pruneStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'rollback':
+                const rollbackRunId = args[1];
+                if (!rollbackRunId || rollbackRunId.startsWith('--')) {
+                    console.log('❌ Usage: npm start rollback <runId> [--dry-run]');
+                    console.log('   The run ID is printed at the end of every live run (and names its report file)');
+                    process.exitCode = 1;
+                    break;
+                }
+                const rollbackDryRun = args.includes('--dry-run');
+
+                console.log(`↩️  ROLLING BACK RUN ${rollbackRunId}`);
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${rollbackDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const rollbackResult = await rollbackRun(rollbackRunId, integration.hubspotClient, { dryRun: rollbackDryRun });
+                if (rollbackResult.irreversible.length > 0) {
+                    console.log(`\n⚠️ ${rollbackResult.irreversible.length} change(s) cannot be reversed through the HubSpot API:`);
+                    rollbackResult.irreversible.forEach(entry => console.log(`   ${describeEntry(entry)}`));
+                    console.log('   Restore archived records from the HubSpot recycle bin (or prune --undo for pruned listings)');
+                }
+
+                const rollbackStats = rollbackResult.stats;
+                console.log('\n🎉 ROLLBACK COMPLETE');
+                console.log(`📊 Stats: ${rollbackStats.entries} changes → ${rollbackStats.reverted} reverted, ${rollbackStats.irreversible} irreversible, ${rollbackStats.errors} errors`);
+                if (rollbackDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to reverse these changes.');
+                }
+                if (rollbackStats.errors > 0) {
+                    console.log(`💡 Run the rollback again to retry the ${rollbackStats.errors} failed change(s)`);
+                    process.exitCode = 1;
+                }
                 break;
 
             case 'units':
@@ -4500,22 +5863,14 @@ async function main() {
                     unitsLimit = parseInt(args[unitsLimitIndex + 1]);
                     if (isNaN(unitsLimit) || unitsLimit < 1) {
                         console.error('❌ Invalid limit value. Must be a positive number.');
-                        process.exit(1);
+                        process.exitCode = 1;
+                        break;
                     }
                 }
                 
-                // Parse optional --property-ids flag
-                let unitsPropertyIds = null;
-                const unitsPropertyIdsIndex = args.indexOf('--property-ids');
-                if (unitsPropertyIdsIndex !== -1 && args[unitsPropertyIdsIndex + 1]) {
-                    const propertyIdsStr = args[unitsPropertyIdsIndex + 1];
-                    unitsPropertyIds = propertyIdsStr.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
-                    
-                    if (unitsPropertyIds.length === 0) {
-                        console.error('❌ Invalid property IDs. Please provide comma-separated numbers.');
-                        process.exit(1);
-                    }
-                }
+                // Parse optional --property-ids / --property-groups / --exclude-property-ids flags
+                const unitsScope = parsePropertyScopeArgs(args);
+                const unitsConcurrency = parseConcurrencyArg(args);
                 
                 // Check for --force flag
                 const unitsForceUpdate = args.includes('--force');
@@ -4526,7 +5881,8 @@ async function main() {
 
                 await integration.syncUnitsToListings({ 
                     limit: unitsLimit, 
-                    propertyIds: unitsPropertyIds 
+                    scope: unitsScope,
+                    concurrency: unitsConcurrency
                 });
                 break;
 
@@ -4534,6 +5890,7 @@ async function main() {
                 // Parse lease sync options
                 const dryRun = args.includes('--dry-run') || process.env.DRY_RUN === 'true';
                 const force = args.includes('--force');
+                const resume = args.includes('--resume');
                 let leasesLimit = null;
                 let leaseUnitId = null;
 
@@ -4542,7 +5899,8 @@ async function main() {
                     leasesLimit = parseInt(args[leasesLimitIndex + 1]);
                     if (isNaN(leasesLimit) || leasesLimit < 1) {
                         console.error('❌ Invalid limit value. Must be a positive number.');
-                        process.exit(1);
+                        process.exitCode = 1;
+                        break;
                     }
                 }
 
@@ -4551,6 +5909,9 @@ async function main() {
                     leaseUnitId = args[unitIdIndex + 1];
                 }
 
+                const leasesScope = parsePropertyScopeArgs(args);
+                const leasesConcurrency = parseConcurrencyArg(args);
+
                 if (force) {
                     integration.forceUpdate = true;
                     console.log('⚡ FORCE MODE - Will update existing listings with new lease data');
@@ -4560,13 +5921,16 @@ async function main() {
                 console.log('🚀 STARTING LEASE-CENTRIC SYNC');
                 console.log('==================================================');
                 console.log(`📅 Sync mode: ${dryRun ? 'DRY RUN' : 'LIVE'}`);
+                if (resume) {
+                    console.log('⏯️  RESUME MODE - Continuing the last interrupted lease sync');
+                }
                 
                 // Import LeaseCentricSyncManager here
                 const { LeaseCentricSyncManager } = require('./LeaseCentricSyncManager.js');
                 const TenantLifecycleManager = require('./TenantLifecycleManager.js');
                 const syncManager = new LeaseCentricSyncManager(integration);
                 
-                const result = await syncManager.syncLeases(dryRun, force, null, 500, leasesLimit, leaseUnitId); // null = ALL leases (no date filter)
+                const result = await syncManager.syncLeases(dryRun, force, null, 500, leasesLimit, leaseUnitId, { resume, scope: leasesScope, concurrency: leasesConcurrency }); // null = ALL leases (no date filter)
 
                 // Lifecycle management is now automatic - no separate flag needed
                 console.log('\n🎉 LEASE-CENTRIC SYNC COMPLETE');
@@ -4579,7 +5943,8 @@ async function main() {
                 break;            case 'sync':
                 if (!tenantId) {
                     console.error('❌ Please provide a tenant ID: npm start sync <tenant_id>');
-                    process.exit(1);
+                    process.exitCode = 1;
+                    break;
                 }
                 await integration.syncTenantToContact(tenantId);
                 break;
@@ -4588,7 +5953,8 @@ async function main() {
                 const unitId = args[1];
                 if (!unitId) {
                     console.error('❌ Please provide a unit ID: npm start sync-unit <unit_id>');
-                    process.exit(1);
+                    process.exitCode = 1;
+                    break;
                 }
                 
                 // Check for --force flag
@@ -4623,7 +5989,7 @@ async function main() {
                     }
                 } catch (error) {
                     console.error(`❌ Failed to sync unit ${unitId}:`, error.message);
-                    process.exit(1);
+                    process.exitCode = 1;
                 }
                 break;
 
@@ -4638,20 +6004,25 @@ async function main() {
                     limit = parseInt(args[limitIndex + 1]);
                     if (isNaN(limit) || limit < 1) {
                         console.error('❌ Invalid limit value. Must be a positive number.');
-                        process.exit(1);
+                        process.exitCode = 1;
+                        break;
                     }
                 }
                 
-                await integration.batchSyncTenants({ limit });
+                await integration.batchSyncTenants({ limit, scope: parsePropertyScopeArgs(args) });
                 break;
 
             case 'sync-property':
                 const propertyId = args[1];
                 if (!propertyId) {
                     console.error('❌ Please provide a property ID: npm start sync-property <property_id>');
-                    process.exit(1);
+                    process.exitCode = 1;
+                    break;
+                }
+                const propertyResult = await integration.syncProperty(propertyId);
+                if (propertyResult.status === 'error') {
+                    process.exitCode = 1;
                 }
-                await integration.syncPropertyToListing(propertyId);
                 break;
 
             case 'owners':
@@ -4663,11 +6034,8 @@ async function main() {
                     ownersOptions.syncAll = true;
                 }
                 
-                // Check for --property-ids flag
-                const propertyIdsIndex = args.indexOf('--property-ids');
-                if (propertyIdsIndex !== -1 && args[propertyIdsIndex + 1]) {
-                    ownersOptions.propertyIds = args[propertyIdsIndex + 1].split(',').map(id => parseInt(id.trim()));
-                }
+                // Check for --property-ids / --property-groups / --exclude-property-ids flags
+                ownersOptions.scope = parsePropertyScopeArgs(args);
                 
                 // Check for --status flag
                 const statusIndex = args.indexOf('--status');
@@ -4710,12 +6078,444 @@ async function main() {
                 await integration.handleOwnersCommand(ownersOptions);
                 break;
                 
+            case 'balances':
+                const balancesDryRun = args.includes('--dry-run');
+                const balancesOptions = { dryRun: balancesDryRun };
+
+                const balancesLimitIndex = args.indexOf('--limit');
+                if (balancesLimitIndex !== -1 && args[balancesLimitIndex + 1]) {
+                    balancesOptions.limit = parseInt(args[balancesLimitIndex + 1], 10);
+                }
+
+                const balancesScope = parsePropertyScopeArgs(args);
+                if (balancesScope) {
+                    balancesOptions.propertyIds = await balancesScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                const balancesLookbackIndex = args.indexOf('--lookback-days');
+                if (balancesLookbackIndex !== -1 && args[balancesLookbackIndex + 1]) {
+                    balancesOptions.lookbackDays = parseInt(args[balancesLookbackIndex + 1], 10);
+                }
+
+                console.log('💰 STARTING BALANCE SYNC (Buildium ledgers → HubSpot contacts & listings)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${balancesDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { BalanceSyncManager } = require('./BalanceSyncManager.js');
+                const balanceStats = await new BalanceSyncManager(integration).run(balancesOptions);
+
+                console.log('\n🎉 BALANCE SYNC COMPLETE');
+                console.log(`📊 Stats: ${balanceStats.leases} leases with balances → ${balanceStats.contactsUpdated} contacts, ${balanceStats.listingsUpdated} listings updated (${balanceStats.contactsCleared} contacts / ${balanceStats.listingsCleared} listings cleared), ${balanceStats.contactsMissing} tenants without a contact, ${balanceStats.errors} errors`);
+                if (balancesDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write balances to HubSpot.');
+                }
+                if (balanceStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'tickets':
+                const ticketsDryRun = args.includes('--dry-run');
+                const ticketsOptions = { dryRun: ticketsDryRun, full: args.includes('--full'), force: args.includes('--force') };
+
+                const ticketsSinceIndex = args.indexOf('--since');
+                if (ticketsSinceIndex !== -1 && args[ticketsSinceIndex + 1]) {
+                    ticketsOptions.since = args[ticketsSinceIndex + 1];
+                }
+
+                const ticketsLimitIndex = args.indexOf('--limit');
+                if (ticketsLimitIndex !== -1 && args[ticketsLimitIndex + 1]) {
+                    ticketsOptions.limit = parseInt(args[ticketsLimitIndex + 1], 10);
+                }
+
+                const ticketsScope = parsePropertyScopeArgs(args);
+                if (ticketsScope) {
+                    ticketsOptions.propertyIds = await ticketsScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                const ticketsSourceIndex = args.indexOf('--source');
+                if (ticketsSourceIndex !== -1 && args[ticketsSourceIndex + 1]) {
+                    ticketsOptions.sources = args[ticketsSourceIndex + 1].split(',').map(source => source.trim());
+                }
+
+                console.log('🛠️  STARTING TICKET SYNC (Buildium resident requests & work orders → HubSpot tickets)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${ticketsDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { TicketSyncManager } = require('./TicketSyncManager.js');
+                const ticketStats = await new TicketSyncManager(integration).run(ticketsOptions);
+
+                console.log('\n🎉 TICKET SYNC COMPLETE');
+                console.log(`📊 Stats: ${ticketStats.tasks} tasks → ${ticketStats.created} tickets created, ${ticketStats.updated} updated, ${ticketStats.unchanged} unchanged, ${ticketStats.associations} associations, ${ticketStats.contactsMissing} tenants without a contact, ${ticketStats.errors} errors`);
+                if (ticketsDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write tickets to HubSpot.');
+                }
+                if (ticketStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'applicants':
+                const applicantsDryRun = args.includes('--dry-run');
+                const applicantsOptions = { dryRun: applicantsDryRun, full: args.includes('--full') };
+
+                const applicantsSinceIndex = args.indexOf('--since');
+                if (applicantsSinceIndex !== -1 && args[applicantsSinceIndex + 1]) {
+                    applicantsOptions.since = args[applicantsSinceIndex + 1];
+                }
+
+                const applicantsLimitIndex = args.indexOf('--limit');
+                if (applicantsLimitIndex !== -1 && args[applicantsLimitIndex + 1]) {
+                    applicantsOptions.limit = parseInt(args[applicantsLimitIndex + 1], 10);
+                }
+
+                const applicantsScope = parsePropertyScopeArgs(args);
+                if (applicantsScope) {
+                    applicantsOptions.propertyIds = await applicantsScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log('📝 STARTING APPLICANT SYNC (Buildium rental applications → HubSpot contacts & deals)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${applicantsDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { ApplicantSyncManager } = require('./ApplicantSyncManager.js');
+                const applicantStats = await new ApplicantSyncManager(integration).run(applicantsOptions);
+
+                console.log('\n🎉 APPLICANT SYNC COMPLETE');
+                console.log(`📊 Stats: ${applicantStats.applicants} applicants → ${applicantStats.contactsCreated} contacts created, ${applicantStats.contactsUpdated} updated (${applicantStats.contactsMatched} matched by email), ${applicantStats.dealsCreated} deals created, ${applicantStats.dealsUpdated} updated, ${applicantStats.skipped} skipped, ${applicantStats.errors} errors`);
+                if (applicantsDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write applicants to HubSpot.');
+                }
+                if (applicantStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'renewals':
+                const renewalsDryRun = args.includes('--dry-run');
+                const renewalsOptions = { dryRun: renewalsDryRun };
+
+                const renewalsLimitIndex = args.indexOf('--limit');
+                if (renewalsLimitIndex !== -1 && args[renewalsLimitIndex + 1]) {
+                    renewalsOptions.limit = parseInt(args[renewalsLimitIndex + 1], 10);
+                }
+
+                const renewalsScope = parsePropertyScopeArgs(args);
+                if (renewalsScope) {
+                    renewalsOptions.propertyIds = await renewalsScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                const renewalsWindowsIndex = args.indexOf('--windows');
+                const renewalWindows = renewalsWindowsIndex !== -1 && args[renewalsWindowsIndex + 1]
+                    ? args[renewalsWindowsIndex + 1].split(',').map(days => days.trim())
+                    : null;
+
+                console.log('📆 STARTING LEASE RENEWAL SYNC (expiring Buildium leases → HubSpot deals)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${renewalsDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { RenewalSyncManager } = require('./RenewalSyncManager.js');
+                const renewalStats = await new RenewalSyncManager(integration, { windows: renewalWindows }).run(renewalsOptions);
+
+                console.log('\n🎉 LEASE RENEWAL SYNC COMPLETE');
+                console.log(`📊 Stats: ${renewalStats.leases} leases → ${renewalStats.created} deals opened, ${renewalStats.advanced} advanced, ${renewalStats.won} renewed, ${renewalStats.lost} moved out, ${renewalStats.unchanged} unchanged, ${renewalStats.errors} errors`);
+                if (renewalsDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write deals to HubSpot.');
+                }
+                if (renewalStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'properties':
+                const propertiesDryRun = args.includes('--dry-run');
+                const propertiesOptions = { dryRun: propertiesDryRun };
+
+                const propertiesLimitIndex = args.indexOf('--limit');
+                if (propertiesLimitIndex !== -1 && args[propertiesLimitIndex + 1]) {
+                    propertiesOptions.limit = parseInt(args[propertiesLimitIndex + 1], 10);
+                }
+
+                const propertiesScope = parsePropertyScopeArgs(args);
+                if (propertiesScope) {
+                    propertiesOptions.propertyIds = await propertiesScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log('🏢 STARTING PROPERTY SYNC (Buildium rental properties → HubSpot property companies)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${propertiesDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { PropertySyncManager } = require('./PropertySyncManager.js');
+                const propertyStats = await new PropertySyncManager(integration).run(propertiesOptions);
+
+                console.log('\n🎉 PROPERTY SYNC COMPLETE');
+                console.log(`📊 Stats: ${propertyStats.properties} properties → ${propertyStats.created} companies created, ${propertyStats.updated} updated, ${propertyStats.listingsLinked} listings linked, ${propertyStats.ownersLinked} owner associations, ${propertyStats.errors} errors`);
+                if (propertiesDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write properties to HubSpot.');
+                }
+                if (propertyStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'vendors':
+                const vendorsDryRun = args.includes('--dry-run');
+                const vendorsOptions = { dryRun: vendorsDryRun, includeInactive: args.includes('--include-inactive') };
+
+                const vendorsLimitIndex = args.indexOf('--limit');
+                if (vendorsLimitIndex !== -1 && args[vendorsLimitIndex + 1]) {
+                    vendorsOptions.limit = parseInt(args[vendorsLimitIndex + 1], 10);
+                }
+
+                const vendorsScope = parsePropertyScopeArgs(args);
+                if (vendorsScope) {
+                    vendorsOptions.propertyIds = await vendorsScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log('🔧 STARTING VENDOR SYNC (Buildium vendors → HubSpot companies)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${vendorsDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { VendorSyncManager } = require('./VendorSyncManager.js');
+                const vendorStats = await new VendorSyncManager(integration).run(vendorsOptions);
+
+                console.log('\n🎉 VENDOR SYNC COMPLETE');
+                console.log(`📊 Stats: ${vendorStats.vendors} vendors → ${vendorStats.created} companies created, ${vendorStats.updated} updated, ${vendorStats.associations} associations, ${vendorStats.errors} errors`);
+                if (vendorsDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write vendors to HubSpot.');
+                }
+                if (vendorStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'marketing':
+                const marketingDryRun = args.includes('--dry-run');
+                const marketingOptions = { dryRun: marketingDryRun };
+
+                const marketingLimitIndex = args.indexOf('--limit');
+                if (marketingLimitIndex !== -1 && args[marketingLimitIndex + 1]) {
+                    marketingOptions.limit = parseInt(args[marketingLimitIndex + 1], 10);
+                }
+
+                const marketingScope = parsePropertyScopeArgs(args);
+                if (marketingScope) {
+                    marketingOptions.propertyIds = await marketingScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log('📣 STARTING LISTING MARKETING SYNC (Buildium rental listings → HubSpot listings)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${marketingDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { ListingMarketingSyncManager } = require('./ListingMarketingSyncManager.js');
+                const marketingStats = await new ListingMarketingSyncManager(integration).run(marketingOptions);
+
+                console.log('\n🎉 LISTING MARKETING SYNC COMPLETE');
+                console.log(`📊 Stats: ${marketingStats.listings} rental listings → ${marketingStats.updated} HubSpot listings updated, ${marketingStats.delisted} marked not listed, ${marketingStats.missing} units without a HubSpot listing, ${marketingStats.errors} errors`);
+                if (marketingDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write listing details to HubSpot.');
+                }
+                if (marketingStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'retry-failed':
+                const retryOptions = { dryRun: args.includes('--dry-run') };
+
+                const retryTypeIndex = args.indexOf('--type');
+                if (retryTypeIndex !== -1 && args[retryTypeIndex + 1]) {
+                    retryOptions.types = args[retryTypeIndex + 1].split(',').map(type => type.trim());
+                }
+
+                const retryKeyIndex = args.indexOf('--job');
+                if (retryKeyIndex !== -1 && args[retryKeyIndex + 1]) {
+                    retryOptions.keys = args[retryKeyIndex + 1].split(',').map(key => key.trim());
+                }
+
+                const retryClean = await integration.handleRetryFailedCommand(retryOptions);
+                if (!retryClean) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'serve':
+                const servePortIndex = args.indexOf('--port');
+                const servePort = servePortIndex !== -1 && args[servePortIndex + 1]
+                    ? parseInt(args[servePortIndex + 1], 10)
+                    : parseInt(process.env.WEBHOOK_PORT || '3000', 10);
+
+                console.log('📡 STARTING BUILDIUM WEBHOOK RECEIVER');
+                console.log('==================================================');
+
+                const { WebhookReceiver } = require('./WebhookReceiver.js');
+                const receiver = new WebhookReceiver(integration);
+                await receiver.start({ port: servePort });
+                console.log(`✅ Listening on port ${servePort} - POST /webhooks/buildium, GET /health, GET /metrics`);
+
+                const shutdown = async signal => {
+                    console.log(`\n🛑 ${signal} received - finishing in-flight sync (queued events are kept)`);
+                    await receiver.stop();
+                    await receiver.stateStore.close();
+                    process.exit(0);
+                };
+                process.once('SIGINT', () => shutdown('SIGINT'));
+                process.once('SIGTERM', () => shutdown('SIGTERM'));
+                break;
+
+            case 'reverse-sync':
+                const reverseDryRun = args.includes('--dry-run');
+                const reverseOptions = { dryRun: reverseDryRun };
+
+                const reverseSinceIndex = args.indexOf('--since');
+                if (reverseSinceIndex !== -1 && args[reverseSinceIndex + 1]) {
+                    reverseOptions.since = args[reverseSinceIndex + 1];
+                }
+
+                const reverseLimitIndex = args.indexOf('--limit');
+                if (reverseLimitIndex !== -1 && args[reverseLimitIndex + 1]) {
+                    reverseOptions.limit = parseInt(args[reverseLimitIndex + 1], 10);
+                }
+
+                const reverseFieldsIndex = args.indexOf('--fields');
+                const reverseFields = reverseFieldsIndex !== -1 && args[reverseFieldsIndex + 1]
+                    ? args[reverseFieldsIndex + 1].split(',').map(field => field.trim()).filter(Boolean)
+                    : null;
+
+                console.log('🔁 STARTING REVERSE SYNC (HubSpot contacts → Buildium tenants)');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${reverseDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { ReverseSyncManager } = require('./ReverseSyncManager.js');
+                const reverseSyncManager = new ReverseSyncManager(integration, { fields: reverseFields });
+                const reverseStats = await reverseSyncManager.run(reverseOptions);
+
+                console.log('\n🎉 REVERSE SYNC COMPLETE');
+                console.log(`📊 Stats: ${reverseStats.contactsChecked} contacts → ${reverseStats.tenantsUpdated} tenants updated (${reverseStats.fieldsWritten} fields), ${reverseStats.conflicts} conflicts, ${reverseStats.skipped} skipped, ${reverseStats.errors} errors`);
+                console.log(`📝 Audit log: ${reverseSyncManager.auditLog.filePath || 'custom'}`);
+                if (reverseDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to write the changes to Buildium.');
+                }
+                if (reverseStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'dedupe':
+                const dedupeDryRun = args.includes('--dry-run');
+                const dedupeOptions = { dryRun: dedupeDryRun };
+
+                const dedupeMatchIndex = args.indexOf('--match');
+                if (dedupeMatchIndex !== -1 && args[dedupeMatchIndex + 1]) {
+                    dedupeOptions.rules = args[dedupeMatchIndex + 1].split(',').map(rule => rule.trim()).filter(Boolean);
+                }
+
+                const dedupeLimitIndex = args.indexOf('--limit');
+                if (dedupeLimitIndex !== -1 && args[dedupeLimitIndex + 1]) {
+                    dedupeOptions.limit = parseInt(args[dedupeLimitIndex + 1], 10);
+                }
+
+                console.log('🧹 STARTING CONTACT DEDUPE');
+                console.log('==================================================');
+                console.log(`📅 Sync mode: ${dedupeDryRun ? 'DRY RUN' : 'LIVE'}`);
+
+                const { ContactDedupeManager, formatGroup } = require('./ContactDedupeManager.js');
+                const dedupeResult = await new ContactDedupeManager(integration).run(dedupeOptions);
+
+                dedupeResult.groups.forEach((group, index) => {
+                    console.log('');
+                    formatGroup(group, index).forEach(line => console.log(line));
+                });
+                if (dedupeResult.conflicts.length > 0) {
+                    console.log(`\n⚠️ ${dedupeResult.conflicts.length} link(s) not merged because the contacts carry different Buildium IDs:`);
+                    dedupeResult.conflicts.forEach(conflict => {
+                        console.log(`   ${conflict.contactIds.join(' / ')} share ${conflict.rule} ${conflict.key}`);
+                    });
+                }
+
+                const dedupeStats = dedupeResult.stats;
+                console.log('\n🎉 CONTACT DEDUPE COMPLETE');
+                console.log(`📊 Stats: ${dedupeStats.contacts} contacts → ${dedupeStats.groups} duplicate groups, ${dedupeStats.merged} merged, ${dedupeStats.associationsRestored} associations restored, ${dedupeStats.conflicts} conflicts, ${dedupeStats.errors} errors`);
+                if (dedupeDryRun) {
+                    console.log('\n💡 This was a DRY RUN. Remove --dry-run to merge the groups (merges cannot be undone).');
+                }
+                if (dedupeStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'audit':
+                const auditFix = args.includes('--fix');
+                const auditOptions = { fix: auditFix };
+
+                const auditOutputIndex = args.indexOf('--output');
+                if (auditOutputIndex !== -1 && args[auditOutputIndex + 1]) {
+                    auditOptions.outputDir = args[auditOutputIndex + 1];
+                }
+
+                const auditScope = parsePropertyScopeArgs(args);
+                if (auditScope) {
+                    auditOptions.propertyIds = await auditScope.listPropertyIds(integration.buildiumClient);
+                }
+
+                console.log('🔎 STARTING RECONCILIATION AUDIT (Buildium ↔ HubSpot)');
+                console.log('==================================================');
+                console.log(`📅 Mode: ${auditFix ? 'AUDIT + QUEUE FIXES' : 'REPORT ONLY'}`);
+
+                const { ReconciliationAuditManager } = require('./ReconciliationAuditManager.js');
+                const auditResult = await new ReconciliationAuditManager(integration, { stateStore: integration.jobQueue.stateStore }).run(auditOptions);
+                const auditStats = auditResult.stats;
+
+                console.log('\n🎉 RECONCILIATION AUDIT COMPLETE');
+                console.log(`📊 Buildium: ${auditStats.units} units, ${auditStats.leases} leases, ${auditStats.tenants} tenants, ${auditStats.owners} owners | HubSpot: ${auditStats.listings} listings, ${auditStats.contacts} contacts, ${auditStats.companies} companies`);
+                console.log(`📊 Findings: ${auditStats.missing} missing, ${auditStats.orphans} orphans, ${auditStats.mismatches} field mismatches, ${auditStats.wrongLabels} wrong labels, ${auditStats.errors} errors`);
+                if (auditResult.reports) {
+                    console.log(`📄 Reports: ${auditResult.reports.csv}`);
+                    console.log(`            ${auditResult.reports.json}`);
+                }
+                if (auditFix) {
+                    console.log(`\n🔁 Queued ${auditStats.queued} corrective sync job(s); the next units, batch and owners runs pick them up.`);
+                } else if (auditResult.findings.some(finding => finding.fixJob)) {
+                    console.log('\n💡 Add --fix to queue corrective syncs for these findings (orphans are only reported).');
+                }
+                if (auditStats.errors > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'identities':
+                const identitiesSubcommand = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+                const identitiesClean = await integration.handleIdentitiesCommand(identitiesSubcommand, args.slice(2));
+                if (!identitiesClean) {
+                    process.exitCode = 1;
+                }
+                break;
+
+            case 'schema':
+                const schemaOptions = {
+                    allowTypeChange: args.includes('--allow-type-change'),
+                    dryRun: args.includes('--dry-run')
+                };
+
+                const schemaObjectIndex = args.indexOf('--object');
+                if (schemaObjectIndex !== -1 && args[schemaObjectIndex + 1]) {
+                    schemaOptions.objectTypes = args[schemaObjectIndex + 1].split(',').map(type => type.trim());
+                }
+
+                const schemaSubcommand = args[1] && !args[1].startsWith('--') ? args[1] : 'plan';
+                const schemaClean = await integration.handleSchemaCommand(schemaSubcommand, schemaOptions);
+                if (!schemaClean) {
+                    process.exitCode = 1;
+                }
+                break;
+
             default:
                 console.log('Usage:');
                 console.log('  npm start debug                    - Debug configuration and connectivity');
                 console.log('  npm start test                     - Test API connectivity');
                 console.log('  npm start list                     - List available tenants');
-                console.log('  npm start delete-listings          - Delete all listings in HubSpot');
+                console.log('  npm start prune [options]          - Mark Inactive (or archive) listings whose Buildium unit/property is gone');
+                console.log('  npm start rollback <runId> [--dry-run] - Reverse the HubSpot changes of a live run from its undo manifest');
                 console.log('  npm start units [--limit N]        - Sync units to listings (NEW APPROACH)');
                 console.log('  npm start leases [options]         - Smart lease-centric sync with lifecycle management');
                 console.log('  npm start owners <options>         - Sync property owners to HubSpot');
@@ -4725,18 +6525,122 @@ async function main() {
                 console.log('  npm start sync <id>                - Sync specific tenant to HubSpot');
                 console.log('  npm start sync-unit <id> [--force] - Sync specific unit to HubSpot listing');
                 console.log('  npm start batch [--limit N]        - Batch sync multiple tenants');
-                console.log('  npm start sync-property <id>       - Sync specific property to HubSpot Listings');
+                console.log('  npm start sync-property <id>       - Sync specific property to its HubSpot property company');
+                console.log('  npm start schema <plan|diff|apply> - Compare/migrate HubSpot custom properties');
+                console.log('  npm start reverse-sync [options]   - Push HubSpot contact edits back to Buildium tenants');
+                console.log('  npm start identities [resolve <tenantId> <contactId>] - List/settle tenants with ambiguous contact matches');
+                console.log('  npm start dedupe [options]         - Find and merge duplicate HubSpot contacts');
+                console.log('  npm start audit [options]          - Compare Buildium with HubSpot and report gaps as CSV/JSON');
+                console.log('  npm start serve [--port N]         - Receive Buildium webhooks and sync changes as they happen');
+                console.log('  npm start retry-failed [options]   - Replay dead-lettered entity syncs');
+                console.log('  npm start balances [options]       - Sync lease balances/payments onto contacts & listings');
+                console.log('  npm start tickets [options]        - Sync resident requests/work orders to HubSpot tickets');
+                console.log('  npm start renewals [options]       - Open/advance/close lease renewal deals for expiring leases');
+                console.log('  npm start applicants [options]     - Sync rental applicants to contacts and application deals');
+                console.log('  npm start marketing [options]      - Copy rental listing details, amenities and photos onto listings');
+                console.log('  npm start vendors [options]        - Sync Buildium vendors to HubSpot companies');
+                console.log('  npm start properties [options]     - Sync buildings to HubSpot property companies, linking units & owners');
                 console.log('');
                 console.log('Unit Sync Options (RECOMMENDED):');
                 console.log('  --limit N      Process N units (default: 10)');
                 console.log('  --force        Update existing listings/contacts (safe mode)');
+                console.log('  --concurrency N  Units synced in parallel (default: SYNC_CONCURRENCY or 4)');
                 console.log('');
                 console.log('Lease Sync Options (SMART SYNC):');
                 console.log('  --dry-run      Preview mode (no actual changes)');
                 console.log('  --force        Update existing listings with new lease data');
                 console.log('  --limit N      Stop after N successful operations');
+                console.log('  --resume       Continue the last interrupted run from its first unfinished lease');
+                console.log('  --concurrency N  Leases fetched / lifecycle transitions in parallel (default: SYNC_CONCURRENCY or 4)');
                 console.log('  Note: Lifecycle management (Future→Active→Inactive) is automatic');
                 console.log('');
+                console.log('Profile Options (any command):');
+                console.log('  --profile <name>             Use a profile from profiles.json instead of .env');
+                console.log('  --all-profiles               Run the command once per profile');
+                console.log('');
+                console.log('Property Scope Options (units, leases, batch, owners and the commands below):');
+                console.log('  --property-ids N,M           Only these properties');
+                console.log('  --property-groups A,B        Only properties in these Buildium property groups (name or ID)');
+                console.log('  --exclude-property-ids N,M   Skip these properties');
+                console.log('');
+                console.log('Schema Options:');
+                console.log('  --object listings,contacts,companies,deals,tickets  Limit to object types (default: all)');
+                console.log('  --dry-run             Show what apply would change');
+                console.log('  --allow-type-change   Let apply change a property type (may fail on populated properties)');
+                console.log('');
+                console.log('Balances Options:');
+                console.log('  --dry-run             Show the balance fields without writing them');
+                console.log('  --property-ids N,M    Only leases in these properties (skips clearing paid-up records)');
+                console.log('  --limit N             Only the first N leases with a balance (skips clearing)');
+                console.log('  --lookback-days N     Transaction history used for last payment/days delinquent (default: 180)');
+                console.log('');
+                console.log('Tickets Options:');
+                console.log('  --dry-run             Show the tickets that would be created/updated');
+                console.log('  --since <ISO date>    Tasks updated since (default: last clean run; first run syncs everything)');
+                console.log('  --full                Ignore the last-run watermark');
+                console.log('  --source resident-request,work-order  Limit to one kind of task (default: both)');
+                console.log('  --property-ids N,M    Only tasks for these properties');
+                console.log('  --limit N             At most N tasks per source');
+                console.log('  --force               Update tickets even when Buildium has no newer change');
+                console.log('');
+                console.log('Properties Options:');
+                console.log('  --dry-run             Show the companies and links that would be written');
+                console.log('  --property-ids N,M    Only these properties');
+                console.log('  --limit N             At most N properties');
+                console.log('');
+                console.log('Vendors Options:');
+                console.log('  --dry-run             Show the companies that would be written');
+                console.log('  --property-ids N,M    Only the preferred vendors of these properties');
+                console.log('  --limit N             At most N vendors');
+                console.log('  --include-inactive    Also sync vendors marked inactive in Buildium');
+                console.log('');
+                console.log('Marketing Options:');
+                console.log('  --dry-run             Show the listing fields without writing them');
+                console.log('  --property-ids N,M    Only rental listings in these properties');
+                console.log('  --limit N             Only the first N rental listings (skips marking ended listings)');
+                console.log('');
+                console.log('Applicants Options:');
+                console.log('  --dry-run             Show the contacts and deals that would be written');
+                console.log('  --since <ISO date>    Applicants updated since (default: last clean run; first run syncs everything)');
+                console.log('  --full                Ignore the last-run watermark');
+                console.log('  --property-ids N,M    Only applicants for these properties');
+                console.log('  --limit N             At most N applicants');
+                console.log('');
+                console.log('Renewals Options:');
+                console.log('  --dry-run             Show the deals that would be opened, advanced or closed');
+                console.log('  --windows 120,90,60,30  Days-before-end stages (default: RENEWAL_WINDOWS or 120,90,60,30)');
+                console.log('  --property-ids N,M    Only leases in these properties');
+                console.log('  --limit N             Only the first N leases in the largest window');
+                console.log('');
+                console.log('Dedupe Options:');
+                console.log('  --dry-run             Show the duplicate groups and their listing associations without merging');
+                console.log('  --match buildium_id,email,phone,name  Rules that group contacts (default: all)');
+                console.log('  --limit N             Merge at most N groups');
+                console.log('');
+                console.log('Prune Options:');
+                console.log('  --dry-run             List the stale listings and why, without changing them');
+                console.log('  --archive             Archive (delete) them instead of setting buildium_unit_status to Inactive');
+                console.log('  --property-ids N,M    Only listings of these properties');
+                console.log('  --limit N             At most N listings');
+                console.log('  --output <dir>        Where to write the undo manifest (default: SYNC_REPORTS_DIR)');
+                console.log('  --undo <manifest>     Reverse an earlier prune run (re-creates archived listings under new IDs)');
+                console.log('');
+                console.log('Audit Options:');
+                console.log('  --fix                 Queue a corrective sync for every finding except orphans');
+                console.log('  --property-ids N,M    Only these properties (and their listings)');
+                console.log('  --output <dir>        Where to write the CSV/JSON reports (default: SYNC_REPORTS_DIR)');
+                console.log('');
+                console.log('Retry Failed Options:');
+                console.log('  --dry-run             List dead-lettered jobs without retrying them');
+                console.log('  --type unit,tenant    Only job types (tenant, unit, lease, owner, lifecycle-lease)');
+                console.log('  --job unit:123        Only specific jobs');
+                console.log('');
+                console.log('Reverse Sync Options:');
+                console.log('  --dry-run             Audit what would be written without calling Buildium');
+                console.log('  --since <ISO date>    Contacts modified since (default: last run, or 24h)');
+                console.log('  --limit N             Check at most N contacts');
+                console.log('  --fields a,b          Fields to write back (default: firstname,lastname,email,phone)');
+                console.log('');
                 console.log('Owners Sync Options:');
                 console.log('  --sync-all           Sync all owners');
                 console.log('  --property-ids N,M   Sync owners for specific properties (comma-separated)');
@@ -4750,27 +6654,95 @@ async function main() {
                 console.log('  --limit N      Process until N successful syncs (default: 10)');
                 console.log('');
                 console.log('Rate Limiting:');
-                console.log('  • Automatic exponential backoff for 429 errors');
-                console.log('  • Buildium: 10 concurrent requests/second limit');
+                console.log('  • One shared limiter per API: Buildium 10 req/sec, HubSpot 100 req/10 sec (search: 4 req/sec)');
+                console.log('  • 429s honour Retry-After and pause every request to that API');
                 console.log('  • Retry delays: 200ms, 400ms, 800ms (3 attempts)');
                 console.log('');
                 console.log('Examples:');
                 console.log('  npm start debug');
-                console.log('  npm start delete-listings          # Clean slate');
+                console.log('  npm start prune --dry-run          # Stale listings of deleted/inactive units');
+                console.log('  npm start rollback leases-2025-01-01T00-00-00-000Z --dry-run');
                 console.log('  npm start units --limit 5          # Sync 5 units to listings');
                 console.log('  npm start owners --sync-all        # Sync all property owners');
                 console.log('  npm start owners --property-ids 123,456 --type rental');
+                console.log('  npm start leases --property-groups "Client A" --exclude-property-ids 789');
                 console.log('  npm start owners --dry-run --status active');
                 console.log('  npm start sync 12345');
                 console.log('  npm start sync-unit 177172 --force # Sync specific unit with active lease');
                 console.log('  npm start batch --limit 5          # Process until 5 successful syncs');
                 console.log('  npm start sync-property 67890');
+                console.log('  npm start leases --all-profiles    # Lease sync for every management company');
                 break;
         }
     } catch (error) {
-        console.error('💥 Application error:', error.message);
-        console.error('Stack:', error.stack);
-        process.exit(1);
+        if (error.code === 'INVALID_ARGUMENT') {
+            console.error(`❌ ${error.message}`);
+        } else {
+            console.error('💥 Application error:', error.message);
+            console.error('Stack:', error.stack);
+        }
+        await finishCommandRun(runLogger, args, error);
+        return fail();
+    }
+    await finishCommandRun(runLogger, args);
+    return true;
+}
+
+// Commands that write to Buildium or HubSpot leave a run report behind
+const REPORTED_COMMANDS = new Set([
+    'prune', 'units', 'sync-units', 'leases', 'sync', 'sync-unit', 'batch', 'batch-sync',
+    'sync-property', 'owners', 'balances', 'tickets', 'applicants', 'renewals', 'properties',
+    'vendors', 'marketing', 'retry-failed', 'reverse-sync', 'rollback'
+]);
+
+/**
+ * Close the command's run: status from the error, process.exitCode or failed entities;
+ * report and metrics for sync commands (dry runs only count their API calls).
+ */
+async function finishCommandRun(runLogger, args, error = null) {
+    const command = args[0];
+    // serve keeps logging under its run until the process exits
+    if (command === 'serve' && !error) {
+        return;
+    }
+    const undoPath = finishUndoManifest();
+    if (undoPath) {
+        console.log(`↩️  Undo manifest: ${undoPath}`);
+        console.log(`   npm start rollback ${runLogger.runId}`);
+    }
+    const totals = runLogger.report.totals;
+    const entitiesFailed = Object.values(totals).some(outcomes => outcomes.failed > 0);
+    const status = error ? 'failed' : (process.exitCode || entitiesFailed ? 'partial' : 'ok');
+    const durationMs = Date.now() - new Date(runLogger.report.startedAt).getTime();
+    const reported = REPORTED_COMMANDS.has(command);
+    try {
+        const reportPath = await finishRun(runLogger, { status, error, writeReport: reported });
+        if (reportPath && runLogger.format === 'text') {
+            console.log(`📄 Run report: ${reportPath}`);
+        }
+    } catch (reportError) {
+        console.warn(`⚠️ Could not write run report: ${reportError.message}`);
+    }
+
+    if (!reported) {
+        return;
+    }
+    let stateStore = null;
+    try {
+        if (!args.includes('--dry-run')) {
+            recordRun({ command, status, durationMs, totals });
+        }
+        stateStore = createStateStore();
+        const metricsPath = await persistMetrics(stateStore);
+        if (metricsPath) {
+            console.log(`📈 Metrics: ${metricsPath}`);
+        }
+    } catch (metricsError) {
+        console.warn(`⚠️ Could not write metrics: ${metricsError.message}`);
+    } finally {
+        if (stateStore) {
+            await stateStore.close();
+        }
     }
 }
 
@@ -26,7 +26,8 @@ async function testDuplicateHandling() {
         
         // Step 1: Try to create a listing that should fail due to duplicate
         console.log('\n1. Attempting to create listing with existing Unit ID...');
-        const listingData = integration.transformer.transformPropertyToListing(testProperty, existingUnitId);
+        const testUnit = { Id: existingUnitId, PropertyId: testProperty.Id, UnitNumber: 'TEST' };
+        const listingData = integration.transformUnitToListing(testUnit, testProperty, null, [], null);
         
         try {
             const newListing = await integration.hubspotClient.createListing(listingData);
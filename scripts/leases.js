@@ -8,6 +8,7 @@ let dryRun = false;
 let force = false;
 let limit = null;
 let unitId = null;
+let resume = false;
 const passthrough = [];
 
 for (let i = 0; i < rawArgs.length; i += 1) {
@@ -33,6 +34,8 @@ for (let i = 0; i < rawArgs.length; i += 1) {
         unitId = arg.split('=', 1)[1];
     } else if (arg === '--force' || arg === '--force=true' || arg === '--force=1') {
         force = true;
+    } else if (arg === '--resume' || arg === '--resume=true' || arg === '--resume=1') {
+        resume = true;
     } else if (/^\d+$/.test(arg) && limit == null) {
         limit = arg;
     } else {
@@ -49,6 +52,9 @@ if (!dryRun && process.env.npm_config_dry_run === 'true') {
 if (!force && process.env.npm_config_force === 'true') {
     force = true;
 }
+if (!resume && process.env.npm_config_resume === 'true') {
+    resume = true;
+}
 if (!unitId && process.env.npm_config_unit_id) {
     unitId = process.env.npm_config_unit_id;
 }
@@ -60,6 +66,9 @@ if (dryRun) {
 if (force) {
     finalArgs.push('--force');
 }
+if (resume) {
+    finalArgs.push('--resume');
+}
 if (limit != null) {
     finalArgs.push('--limit', String(limit));
 }
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApplicantSyncManager, applicationStageKey } = require('../prototype/ApplicantSyncManager');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+const STAGE_LABELS = ['Application Received', 'Deferred', 'Approved', 'Lease Signed', 'Rejected', 'Cancelled'];
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+test('applicationStageKey maps Buildium statuses and closes won for tenants', () => {
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'New' }, false), 'received');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'Approved' }, false), 'approved');
+  assert.strictEqual(applicationStageKey({ Status: 'Deferred' }, false), 'deferred');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'Approved' }, true), 'leased');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'Rejected' }, true), 'rejected');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'AddedToLease' }, false), 'leased');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'AddedToDraftLease' }, false), 'approved');
+  assert.strictEqual(applicationStageKey({ ApplicationStatus: 'Draft' }, false), 'received');
+  assert.strictEqual(applicationStageKey({}, false), 'received');
+});
+
+test('applicants creates prospects and reuses tenant contacts matched by email', async () => {
+  const calls = { contactsCreated: [], contactsUpdated: [], dealsCreated: [], associations: [] };
+  const applicants = [
+    { Id: 1, FirstName: 'Ann', LastName: 'Lee', Email: 'ann@example.com', PhoneNumbers: { Mobile: '5550100' } },
+    { Id: 2, FirstName: 'Bo', LastName: 'Park', Email: 'bo@example.com' },
+    { Id: 3, FirstName: 'No', LastName: 'Email' }
+  ];
+  const applications = {
+    1: [
+      { Id: 12, ApplicationStatus: 'Rejected', ApplicationSubmittedDateTime: '2024-03-01T10:00:00Z' },
+      { Id: 11, ApplicationStatus: 'New', ApplicationSubmittedDateTime: '2024-05-01T10:00:00Z', UnitId: 10, PropertyId: 7 }
+    ],
+    2: [{ Id: 21, ApplicationStatus: 'Approved', UnitId: 20, PropertyId: 7 }],
+    3: [{ Id: 31, ApplicationStatus: 'New' }]
+  };
+  const integration = {
+    buildiumClient: {
+      getApplicants: async () => applicants,
+      getApplicantApplications: async id => applications[id]
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getPipelines: async () => [{ id: 'apps', label: 'Rental Applications', stages: STAGE_LABELS.map(label => ({ id: label, label })) }],
+      searchObjects: async () => [],
+      searchContactByEmail: async email => (email === 'bo@example.com'
+        ? { id: 'c2', properties: { email, buildium_tenant_id: '502', lifecyclestage: 'customer' } }
+        : null),
+      getObjectsByIdProperty: async () => [],
+      getListingsByUnitIds: async () => [{ id: 'l10', properties: { buildium_unit_id: '10' } }],
+      createContact: async data => {
+        calls.contactsCreated.push(data.properties);
+        return { id: 'c1' };
+      },
+      updateContact: async (id, data) => {
+        calls.contactsUpdated.push([id, data.properties]);
+        return { id };
+      },
+      createDeal: async data => {
+        calls.dealsCreated.push(data.properties);
+        return { id: `d${data.properties.buildium_application_id}` };
+      },
+      createDefaultAssociation: async (fromType, fromId, toType, toId) => calls.associations.push(`${fromId}->${toType}:${toId}`)
+    }
+  };
+
+  const stateStore = new MemoryStateStore();
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new ApplicantSyncManager(integration, { stateStore, lifecycleStage: 'lead' }).run();
+  } finally {
+    restore();
+  }
+
+  assert.strictEqual(calls.contactsCreated.length, 1);
+  assert.strictEqual(calls.contactsCreated[0].buildium_applicant_id, '1');
+  assert.strictEqual(calls.contactsCreated[0].lifecyclestage, 'lead');
+  assert.strictEqual(calls.contactsCreated[0].hs_marketable_status, 'NON_MARKETABLE');
+  // The latest submitted application sets the contact's status
+  assert.strictEqual(calls.contactsCreated[0].buildium_application_status, 'New');
+
+  // The tenant contact gains the applicant ID but keeps its lifecycle stage
+  assert.strictEqual(calls.contactsUpdated.length, 1);
+  assert.strictEqual(calls.contactsUpdated[0][0], 'c2');
+  assert.strictEqual(calls.contactsUpdated[0][1].buildium_applicant_id, '2');
+  assert.strictEqual(calls.contactsUpdated[0][1].lifecyclestage, undefined);
+
+  assert.deepStrictEqual(calls.dealsCreated.map(deal => [deal.buildium_application_id, deal.pipeline, deal.dealstage, deal.dealname]), [
+    ['12', 'apps', 'Rejected', 'Application - Ann Lee'],
+    ['11', 'apps', 'Application Received', 'Application - Ann Lee'],
+    ['21', 'apps', 'Lease Signed', 'Application - Bo Park']
+  ]);
+  assert.strictEqual(calls.dealsCreated[1].createdate, '2024-05-01T10:00:00.000Z');
+  assert.deepStrictEqual(calls.associations, ['d12->contacts:c1', 'd11->contacts:c1', 'd11->0-420:l10', 'c1->0-420:l10', 'd21->contacts:c2']);
+  assert.deepStrictEqual(
+    { contactsCreated: stats.contactsCreated, contactsUpdated: stats.contactsUpdated, contactsMatched: stats.contactsMatched, dealsCreated: stats.dealsCreated, skipped: stats.skipped, errors: stats.errors },
+    { contactsCreated: 1, contactsUpdated: 1, contactsMatched: 1, dealsCreated: 3, skipped: 1, errors: 0 }
+  );
+  assert.ok(await stateStore.get(STATE_NAMESPACES.APPLICANT_SYNC, 'lastRun'));
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReconciliationAuditManager } = require('../prototype/ReconciliationAuditManager');
+const { SyncJobQueue } = require('../prototype/SyncJobQueue');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+function quiet(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, { log, warn });
+  });
+}
+
+const record = (id, properties) => ({ id, properties });
+const listing = (listingId, ...associationTypeIds) => ({ listingId, associationTypeIds });
+
+function mockIntegration() {
+  const buildiumClient = {
+    getAllUnits: async (limit, offset) => (offset > 0 ? [] : [
+      { Id: 1, PropertyId: 10, UnitNumber: '1A', BedCount: 2 },
+      { Id: 2, PropertyId: 10, UnitNumber: '2A' }
+    ]),
+    getAllTenants: async (limit, offset) => (offset > 0 ? [] : [
+      { Id: 100, FirstName: 'Ann', LastName: 'One', Email: 'ann@example.com', PhoneNumbers: [{ Number: '(555) 010-1000' }] },
+      { Id: 200, FirstName: 'Bo', LastName: 'Two', Email: 'bo@example.com' },
+      { Id: 300, FirstName: 'Cy', LastName: 'Three' }
+    ]),
+    getAllLeases: async () => [
+      { Id: 1000, UnitId: 1, LeaseStatus: 'Past', Tenants: [{ Id: 100 }] },
+      { Id: 1001, UnitId: 1, LeaseStatus: 'Active', Tenants: [{ Id: 200 }] },
+      { Id: 1002, UnitId: 2, LeaseStatus: 'Active', Tenants: [{ Id: 300 }] }
+    ],
+    getAllOwners: async () => [
+      { Id: 500, FirstName: 'Olive', LastName: 'Owner', Email: 'Olive@example.com', _ownerType: 'rental', _isCompany: false },
+      { Id: 600, CompanyName: 'Acme LLC', IsCompany: true, _ownerType: 'rental', _isCompany: true },
+      { Id: 700, FirstName: 'Al', LastName: 'Assoc', Email: 'al@example.com', _ownerType: 'association', _isCompany: false },
+      { Id: 800, FirstName: 'No', LastName: 'Email', _ownerType: 'rental', _isCompany: false }
+    ],
+    getRentalProperties: async () => [
+      { Id: 10, Name: 'Elm', Address: { AddressLine1: '1 Elm St', City: 'Austin', State: 'TX', PostalCode: '78701' } }
+    ]
+  };
+  const hubspotClient = {
+    getAllObjects: async objectType => (objectType === 'companies' ? [
+      record('CO1', { name: 'Not synced' })
+    ] : [
+      record('L1', {
+        buildium_unit_id: '1', buildium_property_id: '10', hs_name: 'Elm - Unit 1A', hs_address_1: '1 Elm St',
+        hs_city: 'Dallas', hs_state_province: 'TX', hs_zip: '78701', buildium_unit_number: '1A', hs_bedrooms: '2.0'
+      }),
+      record('L9', { buildium_unit_id: '9', buildium_property_id: '10', hs_name: 'Elm, North - Unit 9' }),
+      record('L0', { hs_name: 'Made by hand' })
+    ]),
+    getAllContacts: async () => [
+      record('C1', { buildium_tenant_id: '100', firstname: 'Ann', lastname: 'One', email: 'ANN@example.com', phone: '+1 555-010-1000' }),
+      record('C2', { firstname: 'Bo', lastname: 'Two', email: 'old@example.com' }),
+      record('C5', { firstname: 'Olive', lastname: 'Owner', email: 'olive@example.com' })
+    ],
+    batchReadContactListingAssociations: async contactIds => ({
+      associations: new Map(contactIds.map(id => [id, { C1: [listing('L1', 2)], C2: [listing('L1', 2)] }[id] || []])),
+      errors: []
+    })
+  };
+  return { buildiumClient, hubspotClient };
+}
+
+async function createManager() {
+  const stateStore = new MemoryStateStore();
+  // Bo's contact was matched by email before it changed in Buildium
+  await stateStore.set(STATE_NAMESPACES.TENANT_CROSSWALK, '200', { contactId: 'C2', matchedBy: 'email' });
+  return { stateStore, manager: new ReconciliationAuditManager(mockIntegration(), { stateStore }) };
+}
+
+test('audit reports missing records, orphan listings, field mismatches and wrong lifecycle labels as CSV and JSON', async () => {
+  const { manager } = await createManager();
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+
+  try {
+    const { stats, findings, reports } = await quiet(() => manager.run({ outputDir }));
+
+    assert.deepStrictEqual(findings.map(entry => [entry.kind, entry.buildiumType, entry.buildiumId, entry.hubspotId, entry.field, entry.expected, entry.actual, entry.fixJob]), [
+      ['mismatch', 'unit', '1', 'L1', 'hs_city', 'Austin', 'Dallas', 'unit:1'],
+      ['missing', 'unit', '2', null, null, null, null, 'unit:2'],
+      ['orphan', 'unit', '9', 'L9', null, null, null, null],
+      // Ann's email case and phone formatting are not differences
+      ['mismatch', 'tenant', '200', 'C2', 'email', 'bo@example.com', 'old@example.com', 'tenant:200'],
+      ['missing', 'tenant', '300', null, null, null, null, 'tenant:300'],
+      ['missing', 'owner', '600', null, null, null, null, 'owner:600'],
+      // The owner job only fetches rental owners
+      ['missing', 'owner', '700', null, null, null, null, null],
+      // Ann's lease ended, yet the contact is still labelled an active tenant
+      ['wrong_label', 'lease', '1000', 'C1', 'label', 'inactive', 'active', 'lifecycle-lease:1000']
+    ]);
+    assert.deepStrictEqual(stats, {
+      units: 2, leases: 3, tenants: 3, owners: 4, listings: 2, contacts: 3, companies: 0,
+      missing: 4, orphans: 1, mismatches: 2, wrongLabels: 1, queued: 0, errors: 0
+    });
+
+    const csv = fs.readFileSync(reports.csv, 'utf8').trim().split('\n');
+    assert.strictEqual(csv[0], 'kind,buildiumType,buildiumId,hubspotType,hubspotId,field,expected,actual,detail,fixJob');
+    assert.strictEqual(csv.length, findings.length + 1);
+    assert.strictEqual(csv[3], 'orphan,unit,9,listing,L9,,,,"Elm, North - Unit 9",');
+    const json = JSON.parse(fs.readFileSync(reports.json, 'utf8'));
+    assert.deepStrictEqual(json.findings, findings);
+    assert.deepStrictEqual(json.stats, stats);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('audit --fix queues one corrective sync per finding, due straight away, and leaves orphans alone', async () => {
+  const { stateStore, manager } = await createManager();
+  const jobQueue = new SyncJobQueue({ stateStore });
+  const now = Date.now();
+  await quiet(() => jobQueue.recordFailure('unit', 2, null, Object.assign(new Error('Bad Gateway'), { response: { status: 502 } }), { now }));
+
+  const { stats } = await quiet(() => manager.run({ fix: true, outputDir: false }));
+
+  assert.strictEqual(stats.queued, 6);
+  const due = await jobQueue.getDueJobs();
+  assert.deepStrictEqual(due.map(job => job.key).sort(), [
+    'lifecycle-lease:1000', 'owner:600', 'tenant:200', 'tenant:300', 'unit:1', 'unit:2'
+  ]);
+  const unitJob = due.find(job => job.key === 'unit:2');
+  // A job that was already backing off keeps its attempts but runs on the next pass
+  assert.strictEqual(unitJob.attempts, 1);
+  assert.strictEqual(unitJob.reason, 'audit: missing');
+  assert.strictEqual(due.find(job => job.key === 'unit:1').reason, 'audit: mismatch hs_city');
+  // The lock is released for the next run
+  await stateStore.releaseLock('reconciliation-audit', await stateStore.acquireLock('reconciliation-audit'));
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BalanceSyncManager, summarizeLease, combineSummaries } = require('../prototype/BalanceSyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+const transactions = [
+  { Date: '2024-04-01', TransactionType: 'Charge', TotalAmount: 1000 },
+  { Date: '2024-04-03', TransactionType: 'Payment', TotalAmount: 1000 },
+  { Date: '2024-05-01', TransactionType: 'Charge', TotalAmount: 1000 },
+  { Date: '2024-05-10', TransactionType: 'Payment', TotalAmount: 400 },
+  { Date: '2024-06-01', TransactionType: 'Charge', TotalAmount: 1000 },
+  { Date: '2024-07-01', TransactionType: 'Charge', TotalAmount: 1000 }
+];
+
+test('summarizeLease dates delinquency from the oldest unpaid charge', () => {
+  const summary = summarizeLease({ LeaseId: 1, UnitId: 10, TotalBalance: 1600, Balance31To60Days: 600 }, transactions, now);
+  assert.deepStrictEqual(summary, {
+    leaseId: 1,
+    unitId: 10,
+    balanceDue: 1600,
+    daysDelinquent: 45,
+    bucket: '31-60',
+    lastPaymentDate: '2024-05-10',
+    lastPaymentAmount: 400
+  });
+
+  // Window too short to find the charge: fall back to Buildium's aging bucket
+  const aged = summarizeLease({ LeaseId: 2, TotalBalance: 500, BalanceOver90Days: 500 }, [], now);
+  assert.strictEqual(aged.daysDelinquent, 91);
+  assert.strictEqual(aged.bucket, '90+');
+
+  const paid = summarizeLease({ LeaseId: 3, TotalBalance: 0 }, transactions, now);
+  assert.strictEqual(paid.daysDelinquent, 0);
+  assert.strictEqual(paid.bucket, 'Current');
+});
+
+test('combineSummaries adds balances and keeps the worst delinquency', () => {
+  const combined = combineSummaries([
+    { balanceDue: 100.1, daysDelinquent: 10, lastPaymentDate: '2024-05-01', lastPaymentAmount: 50 },
+    { balanceDue: 200.2, daysDelinquent: 70, lastPaymentDate: '2024-06-01', lastPaymentAmount: 75 }
+  ]);
+  assert.deepStrictEqual(combined, { balanceDue: 300.3, daysDelinquent: 70, bucket: '61-90', lastPaymentDate: '2024-06-01', lastPaymentAmount: 75 });
+});
+
+test('balances command writes contacts and listings and clears paid-up records', async () => {
+  const updates = [];
+  const integration = {
+    buildiumClient: {
+      getOutstandingBalances: async () => [{ LeaseId: 1, UnitId: 10, TotalBalance: 1600 }],
+      getLeaseTransactions: async () => transactions,
+      getLeaseById: async () => ({ Id: 1, Tenants: [{ Id: 501 }, { Id: 502 }] }),
+      getTenant: async id => ({ Id: id, Email: `tenant${id}@example.com` })
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      searchContactsByTenantIds: async () => [{ id: 'c1', properties: { buildium_tenant_id: '501' } }],
+      searchContactByEmail: async email => (email === 'tenant502@example.com' ? { id: 'c2', properties: {} } : null),
+      getListingsByUnitIds: async () => [{ id: 'l1', properties: { buildium_unit_id: '10' } }],
+      searchObjects: async objectType => (objectType === 'contacts'
+        ? [{ id: 'c1', properties: {} }, { id: 'c9', properties: { buildium_balance_due: '250' } }]
+        : []),
+      updateContact: async (id, data) => updates.push(['contact', id, data.properties]),
+      updateListing: async (id, data) => updates.push(['listing', id, data.properties])
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new BalanceSyncManager(integration, { stateStore: new MemoryStateStore() }).run({ now });
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(updates.map(([type, id]) => `${type}:${id}`), ['contact:c1', 'contact:c2', 'contact:c9', 'listing:l1']);
+  assert.deepStrictEqual(updates[0][2], {
+    buildium_balance_due: 1600,
+    buildium_days_delinquent: 45,
+    buildium_balance_bucket: '31-60',
+    buildium_last_payment_date: '2024-05-10',
+    buildium_last_payment_amount: 400,
+    buildium_balance_updated: now.toISOString()
+  });
+  assert.deepStrictEqual(updates[2][2], {
+    buildium_balance_due: 0,
+    buildium_days_delinquent: 0,
+    buildium_balance_bucket: 'Current',
+    buildium_balance_updated: now.toISOString()
+  });
+  assert.strictEqual(stats.contactsCleared, 1);
+  assert.strictEqual(stats.contactsUpdated, 3);
+  assert.strictEqual(stats.listingsUpdated, 1);
+});
+
+test('a lease that fails to load keeps paid-up clearing from running', async () => {
+  const updates = [];
+  const integration = {
+    buildiumClient: {
+      getOutstandingBalances: async () => [
+        { LeaseId: 1, UnitId: 10, TotalBalance: 1600 },
+        { LeaseId: 2, UnitId: 20, TotalBalance: 900 }
+      ],
+      getLeaseTransactions: async leaseId => {
+        if (leaseId === 2) {
+          throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+        }
+        return transactions;
+      },
+      getLeaseById: async leaseId => ({ Id: leaseId, Tenants: [{ Id: leaseId === 1 ? 501 : 502 }] })
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      searchContactsByTenantIds: async () => [{ id: 'c1', properties: { buildium_tenant_id: '501' } }],
+      getListingsByUnitIds: async () => [{ id: 'l1', properties: { buildium_unit_id: '10' } }],
+      // c2 and l2 belong to lease 2 and still owe money
+      searchObjects: async objectType => (objectType === 'contacts'
+        ? [{ id: 'c2', properties: { buildium_balance_due: '900' } }]
+        : [{ id: 'l2', properties: { buildium_balance_due: '900' } }]),
+      updateContact: async (id, data) => updates.push(['contact', id, data.properties]),
+      updateListing: async (id, data) => updates.push(['listing', id, data.properties])
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new BalanceSyncManager(integration, { stateStore: new MemoryStateStore() }).run({ now });
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(updates.map(([type, id]) => `${type}:${id}`), ['contact:c1', 'listing:l1']);
+  assert.strictEqual(stats.errors, 1);
+  assert.strictEqual(stats.contactsCleared, 0);
+  assert.strictEqual(stats.listingsCleared, 0);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ContactDedupeManager, findDuplicateGroups } = require('../prototype/ContactDedupeManager');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+const contact = (id, properties) => ({ id, properties });
+const listing = (listingId, ...associationTypeIds) => ({ listingId, associationTypeIds });
+
+test('contacts group by Buildium ID, email, phone and name on a listing, but never across Buildium IDs', () => {
+  const contacts = [
+    contact('1', { email: 'ann@example.com', createdate: '2023-01-01T00:00:00Z' }),
+    contact('2', { email: ' ANN@example.com', buildium_tenant_id: '10', createdate: '2024-01-01T00:00:00Z' }),
+    contact('3', { phone: '+1 555 010 1000', firstname: 'Ann', lastname: 'One' }),
+    contact('4', { phone: '(555) 010-1000', email: 'ann@example.com' }),
+    contact('5', { firstname: 'Bo', lastname: 'Two' }),
+    contact('6', { firstname: 'bo ', lastname: 'TWO' }),
+    contact('7', { firstname: 'Bo', lastname: 'Two' }),
+    // Roommates: one email, two tenants
+    contact('8', { email: 'home@example.com', buildium_tenant_id: '20' }),
+    contact('9', { email: 'home@example.com', buildium_tenant_id: '21' })
+  ];
+  const associations = new Map([
+    ['1', [listing('L1', 2), listing('L2', 6)]],
+    ['5', [listing('L5', 2)]],
+    ['6', [listing('L5', 11)]],
+    ['7', [listing('L9', 2)]]
+  ]);
+
+  const { groups, conflicts } = findDuplicateGroups(contacts, associations);
+
+  assert.deepStrictEqual(groups.map(group => [group.contacts.map(entry => entry.id), group.rules]), [
+    // The stamped contact survives, then the one with the most associations
+    [['2', '1', '3', '4'], ['email', 'phone']],
+    // Same name on the same listing only; Bo on L9 may be someone else
+    [['5', '6'], ['name']]
+  ]);
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.rule, conflict.contactIds, conflict.tenantIds]), [
+    ['email', ['8', '9'], ['20', '21']]
+  ]);
+});
+
+test('dedupe merges each group into its survivor, restores lost listing associations and moves crosswalk entries', async () => {
+  const calls = { merges: [], creates: [] };
+  const before = new Map([
+    ['100', [listing('L1', 2)]],
+    ['200', [listing('L1', 6), listing('L2', 4), listing('L3', 279)]]
+  ]);
+  const hubspot = {
+    getAllContacts: async () => [
+      contact('100', { email: 'ann@example.com', buildium_tenant_id: '10' }),
+      contact('200', { email: 'ann@example.com' }),
+      contact('300', { email: 'solo@example.com' })
+    ],
+    batchReadContactListingAssociations: async contactIds => ({
+      // After the merge HubSpot kept the owner association but dropped the inactive label
+      associations: new Map(contactIds.map(id => [id, calls.merges.length > 0 ? [listing('L1', 2), listing('L2', 4)] : (before.get(id) || [])])),
+      errors: []
+    }),
+    mergeContacts: async (primaryId, mergeId) => {
+      calls.merges.push([primaryId, mergeId]);
+      return { id: primaryId };
+    },
+    batchCreateContactListingAssociations: async associations => {
+      calls.creates.push(associations);
+      return { results: associations.map(() => ({})), errors: [] };
+    }
+  };
+  const stateStore = new MemoryStateStore();
+  await stateStore.set(STATE_NAMESPACES.TENANT_CROSSWALK, '10', { contactId: '200', matchedBy: 'email' });
+  const manager = new ContactDedupeManager({ hubspotClient: hubspot }, { stateStore });
+
+  const preview = await manager.run({ dryRun: true, rules: ['email'] });
+  assert.strictEqual(calls.merges.length, 0);
+  assert.deepStrictEqual(preview.groups.map(group => group.contacts.map(entry => [entry.id, entry.associations])), [[
+    ['100', { active: 1, inactive: 0, future: 0, owner: 0, associationOwner: 0 }],
+    ['200', { active: 0, inactive: 1, future: 0, owner: 1, associationOwner: 0 }]
+  ]]);
+
+  const { stats, groups } = await manager.run({ rules: ['email'] });
+  assert.deepStrictEqual(calls.merges, [['100', '200']]);
+  assert.deepStrictEqual(calls.creates, [[{ contactId: '100', listingId: 'L1', associationTypeId: 6 }]]);
+  assert.deepStrictEqual(groups[0].result, { survivorId: '100', associationsRestored: 1, associationErrors: 0 });
+  assert.deepStrictEqual(stats, { contacts: 3, groups: 1, merged: 1, associationsRestored: 1, conflicts: 0, errors: 0 });
+  assert.strictEqual((await stateStore.get(STATE_NAMESPACES.TENANT_CROSSWALK, '10')).contactId, '100');
+});
+
+test('dedupe keeps association-owner listing labels through a merge', async () => {
+  const calls = { merges: [], creates: [] };
+  const hubspot = {
+    getAllContacts: async () => [
+      contact('100', { email: 'board@example.com', buildium_owner_id: '40' }),
+      contact('200', { email: 'Board@example.com' })
+    ],
+    batchReadContactListingAssociations: async contactIds => ({
+      // The merge dropped the association owner label from L7
+      associations: new Map(contactIds.map(id => [id, calls.merges.length > 0 || id === '100' ? [listing('L7', 2)] : [listing('L7', 8)]])),
+      errors: []
+    }),
+    mergeContacts: async (primaryId, mergeId) => {
+      calls.merges.push([primaryId, mergeId]);
+      return { id: primaryId };
+    },
+    batchCreateContactListingAssociations: async associations => {
+      calls.creates.push(associations);
+      return { results: associations.map(() => ({})), errors: [] };
+    }
+  };
+  const manager = new ContactDedupeManager({ hubspotClient: hubspot }, { stateStore: new MemoryStateStore() });
+
+  const { groups } = await manager.run({ rules: ['email'] });
+  assert.deepStrictEqual(groups[0].contacts.map(entry => [entry.id, entry.associations.associationOwner]), [['100', 0], ['200', 1]]);
+  assert.deepStrictEqual(calls.creates, [[{ contactId: '100', listingId: 'L7', associationTypeId: 8 }]]);
+  assert.deepStrictEqual(groups[0].result, { survivorId: '100', associationsRestored: 1, associationErrors: 0 });
+});
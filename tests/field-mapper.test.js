@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FieldMapper } = require('../prototype/FieldMapper');
+
+const tenant = {
+  Id: 42,
+  FirstName: 'Ada',
+  LastName: 'Lovelace',
+  Email: 'ada@example.com',
+  PhoneNumbers: [{ Number: '555-0100' }, { Number: '555-0101' }, { Number: '555-0102' }],
+  Address: { AddressLine1: '1 Main St', City: 'Calgary', PostalCode: 'T2P 1J9' },
+  DateOfBirth: '1990-05-01T00:00:00',
+  Comment: 'Prefers email'
+};
+
+test('tenant mapping fills defaults on full writes and skips them on safe updates', () => {
+  const mapper = new FieldMapper();
+
+  const full = mapper.map('tenantContact', tenant).properties;
+  assert.strictEqual(full.company, 'Buildium Tenant');
+  assert.strictEqual(full.mobilephone, '555-0101, 555-0102');
+  assert.strictEqual(full.date_of_birth, '1990-05-01');
+  assert.strictEqual(full.hs_content_membership_notes, 'Buildium Tenant ID: 42\nNotes: Prefers email');
+  assert.strictEqual(full.lifecyclestage, 'customer');
+  assert.ok(!('fax' in full));
+
+  const safe = mapper.map('tenantContact', tenant, { safeUpdate: true }).properties;
+  assert.ok(!('company' in safe));
+  assert.ok(!('lifecyclestage' in safe));
+  assert.strictEqual(safe.hs_marketable_status, 'NON_MARKETABLE');
+  assert.strictEqual(safe.firstname, 'Ada');
+});
+
+test('unit listing safe updates keep zero counts out but always clear tenant lists', () => {
+  const mapper = new FieldMapper();
+  const source = {
+    unit: { Id: 7, PropertyId: 3, BedCount: 0, IsOccupied: false },
+    property: { Name: 'Tower', Address: { AddressLine2: 'Suite 4', PostalCode: 'T5K 0A1' } },
+    buildiumUnitUrl: 'https://example.managebuilding.com/unit/7',
+    currentTenantContactIds: [],
+    previousTenantContactIds: [11, 12]
+  };
+
+  const full = mapper.map('unitListing', source).properties;
+  assert.strictEqual(full.hs_name, 'Tower - Unit 7');
+  assert.strictEqual(full.hs_bedrooms, 0);
+  assert.strictEqual(full.hs_address_2, 'Suite 4 T5K 0A1');
+  assert.ok(!('hs_zip' in full));
+  assert.ok(!('current_tenant_contact_id' in full));
+
+  const safe = mapper.map('unitListing', source, { safeUpdate: true }).properties;
+  assert.ok(!('hs_bedrooms' in safe));
+  assert.strictEqual(safe.buildium_is_occupied, 'No');
+  assert.strictEqual(safe.current_tenant_contact_id, '');
+  assert.strictEqual(safe.previous_tenant_contact_ids, '11,12');
+});
+
+test('custom mappings are validated when the mapper is built', () => {
+  const mapper = new FieldMapper({
+    tenantContact: { fields: [{ target: 'buildium_tenant_id', source: 'Id', transform: 'string' }] }
+  });
+  assert.deepStrictEqual(mapper.map('tenantContact', tenant).properties, { buildium_tenant_id: '42' });
+  assert.deepStrictEqual(mapper.targets('tenantContact', { safeUpdate: true }), ['buildium_tenant_id']);
+
+  assert.throws(() => new FieldMapper({ broken: { fields: [{ target: 'x', source: 'A', transform: 'shout' }] } }), /unknown transform "shout"/);
+  assert.throws(() => new FieldMapper({ broken: { fields: [{ target: 'x', source: 'A', value: 1 }] } }), /exactly one of/);
+  assert.throws(() => mapper.map('ownerCompany', {}), /No field mapping defined/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { HubSpotClient } = require('../prototype/index');
+const TenantLifecycleManager = require('../prototype/TenantLifecycleManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+function quiet(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, { log, warn, error });
+  });
+}
+
+test('contact upserts go 100 per batch and a rejected batch is retried one contact at a time', async () => {
+  const client = new HubSpotClient();
+  client.baseURL = 'https://hubspot.test';
+  client.ensureCustomPropertiesOnce = async () => true;
+  const requests = [];
+  const post = axios.post;
+  axios.post = async (url, body) => {
+    requests.push({ url, inputs: body.inputs.map(input => input.id) });
+    const bad = body.inputs.filter(input => input.id === 'bad@example.com');
+    if (bad.length > 0) {
+      return { status: 207, data: { results: [], errors: [{ message: 'Property "email" is invalid' }] } };
+    }
+    return {
+      status: 200,
+      data: { results: body.inputs.map((input, index) => ({ id: `C-${input.id}`, new: index % 2 === 0, properties: { email: input.id.toUpperCase() } })) }
+    };
+  };
+
+  try {
+    const contacts = Array.from({ length: 101 }, (_, index) => ({ properties: { email: index === 1 ? 'bad@example.com' : `tenant${index}@example.com` } }));
+    const { results, errors } = await quiet(() => client.batchUpsertContacts(contacts));
+
+    // 2 batches (100 + 1), then the failed batch of 100 again one by one
+    assert.strictEqual(requests.length, 102);
+    assert.deepStrictEqual(requests.map(request => request.inputs.length).slice(0, 3), [100, 1, 1]);
+    assert.ok(requests.every(request => request.url === 'https://hubspot.test/crm/v3/objects/contacts/batch/upsert'));
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].index, 1);
+    assert.strictEqual(errors[0].error.code, 'HUBSPOT_BATCH_ERRORS');
+    assert.strictEqual(results[1], null);
+    assert.strictEqual(results[0].id, 'C-tenant0@example.com');
+    assert.strictEqual(results[100].id, 'C-tenant100@example.com');
+  } finally {
+    axios.post = post;
+  }
+});
+
+test('lifecycle reads contacts and creates associations in one batch per round, failing only the affected lease', async () => {
+  const tenants = {
+    T1: { Id: 'T1', Email: 'one@example.com', FirstName: 'One' },
+    T2: { Id: 'T2', Email: 'Two@Example.com', FirstName: 'Two' },
+    T3: { Id: 'T3', Email: 'three@example.com', FirstName: 'Three' }
+  };
+  const buildium = { getTenant: async id => tenants[id] };
+  const calls = { reads: [], creates: [], searches: 0 };
+  const hubspot = {
+    searchContactsByTenantIds: async () => [],
+    batchReadContactsByEmail: async emails => {
+      calls.reads.push(emails);
+      return { contacts: new Map(emails.map(email => [email, { id: `C-${email}` }])), errors: [] };
+    },
+    searchContactByEmail: async () => {
+      calls.searches += 1;
+      return null;
+    },
+    getContactListingAssociations: async () => [{ associationTypeId: 11 }],
+    batchCreateContactListingAssociations: async associations => {
+      calls.creates.push(associations);
+      return { results: associations.map(() => ({ success: true })), errors: [{ index: 1, item: associations[1], error: new Error('listing archived') }] };
+    },
+    removeAssociationLabels: async (fromObjectType, toObjectType, associations) => ({ results: associations.map(() => ({ success: true })), errors: [] })
+  };
+  const manager = new TenantLifecycleManager(hubspot, buildium, { stateStore: new MemoryStateStore() });
+  const leases = ['T1', 'T2', 'T3'].map((tenantId, index) => ({
+    Id: `L${index + 1}`,
+    UnitId: `U${index + 1}`,
+    LeaseStatus: 'Active',
+    Tenants: [{ Id: tenantId }]
+  }));
+  const listingCache = { U1: { id: 'listing-U1' }, U2: { id: 'listing-U2' }, U3: { id: 'listing-U3' } };
+  const processed = [];
+
+  const stats = await quiet(() => manager.updateTenantAssociationsForLeases(leases, {
+    listingCache,
+    onLeaseProcessed: (lease, outcome) => processed.push([lease.Id, outcome.status])
+  }));
+
+  assert.deepStrictEqual(calls.reads, [['one@example.com', 'two@example.com', 'three@example.com']]);
+  assert.strictEqual(calls.searches, 0);
+  assert.strictEqual(calls.creates.length, 1);
+  assert.deepStrictEqual(calls.creates[0].map(association => [association.contactId, association.listingId, association.associationTypeId]), [
+    ['C-one@example.com', 'listing-U1', 2],
+    ['C-two@example.com', 'listing-U2', 2],
+    ['C-three@example.com', 'listing-U3', 2]
+  ]);
+  assert.deepStrictEqual(stats, { futureToActive: 2, activeToInactive: 0, futureToInactive: 0, errors: 1 });
+  assert.deepStrictEqual(processed.sort(), [['L1', 'ok'], ['L2', 'error'], ['L3', 'ok']]);
+});
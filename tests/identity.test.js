@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IdentityResolver } = require('../prototype/IdentityResolver');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+function quiet(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, { log, warn });
+  });
+}
+
+const contact = (id, properties) => ({ id, properties });
+// What HubSpot keeps in hs_searchable_calculated_phone_number
+const searchablePhone = phone => String(phone || '').replace(/\D/g, '').replace(/^1(\d{10})$/, '$1');
+
+function mockHubSpot(contacts, listingContacts = {}) {
+  const calls = { tenantIdSearches: [], phoneSearches: [] };
+  const byId = new Map(contacts.map(entry => [entry.id, entry]));
+  return {
+    calls,
+    searchContactsByTenantIds: async tenantIds => {
+      calls.tenantIdSearches.push(tenantIds);
+      return contacts.filter(entry => tenantIds.includes(entry.properties.buildium_tenant_id));
+    },
+    batchReadContactsByEmail: async emails => ({
+      contacts: new Map(emails.map(email => [email, contacts.find(entry => entry.properties.email === email) || null])),
+      errors: []
+    }),
+    searchContactByEmail: async () => null,
+    searchContactsByPhones: async phones => {
+      calls.phoneSearches.push(phones);
+      return contacts.filter(entry => phones.includes(searchablePhone(entry.properties.phone)));
+    },
+    searchListingByUnitId: async unitId => (listingContacts[unitId] ? { id: `listing-${unitId}` } : null),
+    getListingAssociations: async listingId => listingContacts[listingId.replace('listing-', '')].map(id => ({ toObjectId: id })),
+    getObjectsByIdProperty: async (objectType, idProperty, ids) => ids.map(id => byId.get(String(id))).filter(Boolean)
+  };
+}
+
+test('tenants match by Buildium ID, email, phone, then name on the unit, and roommates sharing an email stay apart', async () => {
+  const hubspot = mockHubSpot([
+    contact('C1', { buildium_tenant_id: '1', email: 'old@example.com' }),
+    contact('C2', { email: 'shared@example.com', firstname: 'Cara', lastname: 'Three' }),
+    contact('C4', { phone: '+1 (555) 010-2000', firstname: 'Someone', lastname: 'Else' }),
+    contact('C5', { firstname: 'Éve', lastname: 'Five' }),
+    contact('C9', { email: 'taken@example.com', buildium_tenant_id: '9' })
+  ], { U5: ['C5', 'C2'] });
+  const stateStore = new MemoryStateStore();
+  const resolver = new IdentityResolver(hubspot, { stateStore });
+
+  const resolutions = await quiet(() => resolver.resolveMany([
+    { tenant: { Id: 1, Email: 'new@example.com', FirstName: 'Ann', LastName: 'One' }, unitId: 'U1' },
+    { tenant: { Id: 2, Email: 'Shared@Example.com ', FirstName: 'Bo', LastName: 'Two' }, unitId: 'U2' },
+    { tenant: { Id: 3, Email: 'shared@example.com', FirstName: 'Cara', LastName: 'Three' }, unitId: 'U2' },
+    { tenant: { Id: 4, FirstName: 'Dan', LastName: 'Four', PhoneNumbers: [{ Number: '555.010.2000', Type: 'Cell' }] }, unitId: 'U4' },
+    { tenant: { Id: 5, FirstName: 'Eve', LastName: 'Five' }, unitId: 'U5' },
+    { tenant: { Id: 6, Email: 'taken@example.com', FirstName: 'Fay', LastName: 'Six' }, unitId: 'U6' }
+  ]));
+
+  const summary = Object.fromEntries(Array.from(resolutions.entries()).map(([tenantId, resolution]) => [
+    tenantId, [resolution.status, resolution.contact?.id || null, resolution.matchedBy, resolution.emailTaken]
+  ]));
+  assert.deepStrictEqual(summary, {
+    1: ['matched', 'C1', 'buildium_tenant_id', false],
+    // Bo shares Cara's email, but the contact carries Cara's name
+    2: ['none', null, null, true],
+    3: ['matched', 'C2', 'email', false],
+    4: ['matched', 'C4', 'phone', false],
+    5: ['matched', 'C5', 'name_unit', false],
+    // The email is on tenant 9's contact
+    6: ['none', null, null, true]
+  });
+  assert.deepStrictEqual(hubspot.calls.tenantIdSearches, [['1', '2', '3', '4', '5', '6']]);
+  assert.deepStrictEqual(hubspot.calls.phoneSearches, [['5550102000']]);
+
+  const crosswalk = await stateStore.getAll(STATE_NAMESPACES.TENANT_CROSSWALK);
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(crosswalk).map(([tenantId, entry]) => [tenantId, [entry.contactId, entry.matchedBy]])), {
+    1: ['C1', 'buildium_tenant_id'],
+    3: ['C2', 'email'],
+    4: ['C4', 'phone'],
+    5: ['C5', 'name_unit']
+  });
+  assert.deepStrictEqual(await stateStore.getAll(STATE_NAMESPACES.IDENTITY_REVIEW), {});
+});
+
+test('ambiguous matches are flagged for review instead of guessed, until a pinned contact settles them', async () => {
+  const hubspot = mockHubSpot([
+    contact('C7', { phone: '555-010-3000', firstname: 'Gil' }),
+    contact('C8', { phone: '(555) 010-3000', firstname: 'Gil' })
+  ]);
+  const stateStore = new MemoryStateStore();
+  const resolver = new IdentityResolver(hubspot, { stateStore });
+  const tenant = { Id: 7, FirstName: 'Gil', LastName: 'Seven', PhoneNumbers: [{ Number: '5550103000' }] };
+
+  const dryRun = await quiet(() => resolver.resolve(tenant, { unitId: 'U7', record: false }));
+  assert.strictEqual(dryRun.status, 'ambiguous');
+  assert.deepStrictEqual(await stateStore.getAll(STATE_NAMESPACES.IDENTITY_REVIEW), {});
+
+  const flagged = await quiet(() => resolver.resolve(tenant, { unitId: 'U7' }));
+  assert.strictEqual(flagged.status, 'ambiguous');
+  assert.strictEqual(flagged.contact, null);
+  const [entry] = await resolver.getReviewQueue();
+  assert.strictEqual(entry.tenantId, '7');
+  assert.strictEqual(entry.rule, 'phone');
+  assert.deepStrictEqual(entry.candidates.map(candidate => candidate.id), ['C7', 'C8']);
+  assert.deepStrictEqual(await stateStore.getAll(STATE_NAMESPACES.TENANT_CROSSWALK), {});
+
+  await resolver.pin(7, 'C8');
+  const settled = await quiet(() => resolver.resolve(tenant, { unitId: 'U7' }));
+  assert.strictEqual(settled.status, 'matched');
+  assert.strictEqual(settled.contact.id, 'C8');
+  assert.strictEqual(settled.matchedBy, 'manual');
+  assert.deepStrictEqual(await resolver.getReviewQueue(), []);
+  // Pinned tenants skip the rules altogether
+  assert.strictEqual(hubspot.calls.tenantIdSearches.length, 2);
+});
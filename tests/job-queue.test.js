@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SyncJobQueue, describeError } = require('../prototype/SyncJobQueue');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+function httpError(status, message = `Request failed with status code ${status}`) {
+  const error = new Error(message);
+  error.name = 'AxiosError';
+  error.response = { status };
+  return error;
+}
+
+const quiet = () => {
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  return () => {
+    console.log = log;
+    console.warn = warn;
+  };
+};
+
+test('describeError classifies thrown errors and sync results', () => {
+  assert.strictEqual(describeError(httpError(502)).category, 'server');
+  assert.strictEqual(describeError(httpError(429)).category, 'rate-limit');
+  assert.strictEqual(describeError(httpError(404)).category, 'client');
+  assert.strictEqual(describeError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).category, 'network');
+  assert.deepStrictEqual(describeError({ status: 'error', error: 'Bad Gateway', errorName: 'AxiosError', httpStatus: 502 }), {
+    name: 'AxiosError',
+    message: 'Bad Gateway',
+    status: 502,
+    code: null,
+    category: 'server'
+  });
+});
+
+test('failed jobs back off, retry on later runs and dead-letter after max attempts', async () => {
+  const queue = new SyncJobQueue({ stateStore: new MemoryStateStore(), maxAttempts: 3, baseDelayMs: 1000 });
+  const t0 = Date.parse('2024-06-01T12:00:00Z');
+  const restore = quiet();
+
+  try {
+    const first = await queue.recordFailure('unit', 77, { unitId: 77 }, httpError(502), { now: t0 });
+    assert.strictEqual(first.nextAttemptAt, new Date(t0 + 1000).toISOString());
+    assert.deepStrictEqual(await queue.getDueJobs({ now: t0 + 999 }), []);
+
+    const calls = [];
+    const handlers = {
+      unit: async job => {
+        calls.push(job.entityId);
+        throw httpError(503);
+      }
+    };
+
+    assert.deepStrictEqual(await queue.retryDue(handlers, { now: t0 + 1000 }), { retried: 1, succeeded: 0, failed: 1 });
+    const [second] = await queue.getJobs();
+    assert.strictEqual(second.attempts, 2);
+    assert.strictEqual(second.lastError.status, 503);
+    assert.strictEqual(second.nextAttemptAt, new Date(t0 + 3000).toISOString());
+
+    await queue.retryDue(handlers, { now: t0 + 3000 });
+    assert.deepStrictEqual(calls, ['77', '77']);
+    assert.deepStrictEqual(await queue.getJobs(), []);
+
+    const [dead] = await queue.getDeadLetters();
+    assert.strictEqual(dead.key, 'unit:77');
+    assert.strictEqual(dead.attempts, 3);
+    assert.deepStrictEqual(dead.payload, { unitId: 77 });
+  } finally {
+    restore();
+  }
+});
+
+test('client errors dead-letter immediately and retry-failed replays them', async () => {
+  const queue = new SyncJobQueue({ stateStore: new MemoryStateStore(), maxAttempts: 5 });
+  const restore = quiet();
+
+  try {
+    await queue.recordFailure('tenant', 9, { tenantId: 9 }, { status: 'error', error: 'Invalid email', httpStatus: 400 });
+    await queue.recordFailure('unit', 77, { unitId: 77 }, httpError(404));
+    assert.strictEqual((await queue.getDeadLetters()).length, 2);
+
+    const dryRun = await queue.replayDeadLetters({}, { dryRun: true });
+    assert.strictEqual(dryRun.replayed, 0);
+    assert.strictEqual(dryRun.jobs.length, 2);
+
+    const stats = await queue.replayDeadLetters({
+      tenant: async () => ({ status: 'updated' }),
+      unit: async () => ({ status: 'error', error: 'still missing', httpStatus: 404 })
+    });
+    assert.deepStrictEqual({ ...stats, jobs: undefined }, { replayed: 2, succeeded: 1, failed: 1, jobs: undefined });
+
+    const remaining = await queue.getDeadLetters();
+    assert.deepStrictEqual(remaining.map(job => [job.key, job.attempts]), [['unit:77', 2]]);
+
+    // A later successful sync of the entity clears it
+    await queue.recordSuccess('unit', 77);
+    assert.deepStrictEqual(await queue.getDeadLetters(), []);
+  } finally {
+    restore();
+  }
+});
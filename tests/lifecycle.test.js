@@ -1,6 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const { LeaseCentricSyncManager } = require('../prototype/LeaseCentricSyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
 
 class MockBuildiumClient {
   constructor(leases, tenants) {
@@ -33,6 +34,7 @@ class MockHubSpotClient {
     this.listingBatches = [];
     this.associationReads = [];
     this.associationCreates = [];
+    this.contactBatchReads = [];
     this.removals = [];
   }
   async getListingsByUnitIds(unitIds) {
@@ -65,6 +67,13 @@ class MockHubSpotClient {
   async searchContactByEmail(email) {
     return this.contacts[email.toLowerCase()] || null;
   }
+  async searchContactsByTenantIds() {
+    return [];
+  }
+  async batchReadContactsByEmail(emails) {
+    this.contactBatchReads.push(emails);
+    return { contacts: new Map(emails.map(email => [email, this.contacts[email] || null])), errors: [] };
+  }
   async getContactListingAssociations(contactId, listingId) {
     this.associationReads.push({ contactId, listingId });
     return this.associations[`${contactId}:${listingId}`] || [];
@@ -72,9 +81,13 @@ class MockHubSpotClient {
   async createContactListingAssociation(contactId, listingId, associationTypeId) {
     this.associationCreates.push({ contactId, listingId, associationTypeId });
   }
-  async makeRequest(method, path, body) {
-    this.removals.push({ method, path, body });
-    return {};
+  async batchCreateContactListingAssociations(associations) {
+    this.associationCreates.push(...associations);
+    return { results: associations.map(() => ({ success: true })), errors: [] };
+  }
+  async removeAssociationLabels(fromObjectType, toObjectType, associations) {
+    this.removals.push({ fromObjectType, toObjectType, associations });
+    return { results: associations.map(() => ({ success: true })), errors: [] };
   }
 }
 
@@ -99,15 +112,16 @@ function makeLease({ id, unitId, status, lastUpdated, tenantId, propertyId, prop
   };
 }
 
-function createManager({ leases, tenants, contacts, associations, listingLastUpdated, lastSyncTimestamps }) {
+function createManager({ leases, tenants, contacts, associations, listingLastUpdated, lastSyncTimestamps, jobQueue = null }) {
   const buildium = new MockBuildiumClient(leases, tenants);
   const hubspot = new MockHubSpotClient({ contacts, associations, listingLastUpdated });
   const integration = {
     buildiumClient: buildium,
     hubspotClient: hubspot,
+    jobQueue,
     syncFutureTenantToContact: async () => ({ status: 'success' })
   };
-  const manager = new LeaseCentricSyncManager(integration);
+  const manager = new LeaseCentricSyncManager(integration, { stateStore: new MemoryStateStore() });
   manager.getLastSyncTimestamps = async () => ({ ...lastSyncTimestamps });
   manager.saveLastSyncTimestamps = async () => {};
   manager.updateLastSyncTime = async () => {};
@@ -168,3 +182,33 @@ test('leases with no changes do not trigger association updates', async () => {
   assert.strictEqual(hubspot.associationCreates.length, 0, 'no associations should be created');
   assert.strictEqual(hubspot.associationReads.length, 0, 'no association lookups should be performed');
 });
+
+test('lifecycle failures during a lease sync reach the integration job queue', async () => {
+  const leases = [
+    makeLease({ id: 'L1', unitId: 'U1', status: 'Active', lastUpdated: STALE, tenantId: 'T1', propertyId: 'P1', propertyName: 'Prop1' }),
+    makeLease({ id: 'L2', unitId: 'U2', status: 'Active', lastUpdated: STALE, tenantId: 'T2', propertyId: 'P2', propertyName: 'Prop2' })
+  ];
+  const jobs = [];
+  const jobQueue = {
+    recordSuccess: async (type, entityId) => jobs.push(['success', type, entityId]),
+    recordFailure: async (type, entityId) => jobs.push(['failure', type, entityId])
+  };
+  const { manager, hubspot } = createManager({ leases, tenants, contacts, associations: baseAssociations, listingLastUpdated: { U1: CURRENT, U2: CURRENT }, lastSyncTimestamps: { L1: CURRENT, L2: CURRENT }, jobQueue });
+  // HubSpot rejects the association for the first lease's contact only
+  hubspot.batchCreateContactListingAssociations = async associations => {
+    hubspot.associationCreates.push(...associations);
+    const index = associations.findIndex(association => association.contactId === 'C1');
+    return { results: [], errors: index === -1 ? [] : [{ index, error: new Error('HubSpot unavailable') }] };
+  };
+
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    await manager.syncLeases(false, false, null, 50, null);
+  } finally {
+    Object.assign(console, { log, error });
+  }
+
+  assert.deepStrictEqual(jobs, [['failure', 'lifecycle-lease', 'L1'], ['success', 'lifecycle-lease', 'L2']]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { RunReport, startRun, finishRun, scopedLog, recordOutcome, installHttpLogging } = require('../prototype/SyncLogger');
+
+function withEnv(values, fn) {
+  const previous = {};
+  Object.keys(values).forEach(key => {
+    previous[key] = process.env[key];
+    process.env[key] = values[key];
+  });
+  const restore = () => Object.entries(previous).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+  return Promise.resolve().then(fn).finally(restore);
+}
+
+const readRecords = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('a run writes JSON log records and a report with outcomes per entity type', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-logging-'));
+  const logFile = path.join(dir, 'sync.jsonl');
+  const write = process.stdout.write;
+  const stdout = [];
+  process.stdout.write = chunk => {
+    stdout.push(String(chunk));
+    return true;
+  };
+
+  try {
+    const reportPath = await withEnv({ LOG_FORMAT: 'json', LOG_FILE: logFile, LOG_LEVEL: 'info', SYNC_REPORTS_DIR: path.join(dir, 'reports') }, async () => {
+      const logger = startRun('units', ['--limit', '2']);
+      scopedLog('units')('start', { limit: 2 });
+      recordOutcome('unit', 101, 'created', null, { listingId: 'L1' });
+      recordOutcome('unit', 102, 'skipped', 'no_active_lease');
+      recordOutcome('unit', 103, 'failed', 'HubSpot 500');
+      console.log('free text from a command');
+      return finishRun(logger, { status: 'partial' });
+    });
+
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    assert.strictEqual(path.dirname(reportPath), path.join(dir, 'reports'));
+    assert.match(report.runId, /^units-/);
+    assert.strictEqual(report.status, 'partial');
+    assert.deepStrictEqual(report.args, ['--limit', '2']);
+    assert.deepStrictEqual(report.totals, { unit: { created: 1, updated: 0, skipped: 1, failed: 1 } });
+    assert.deepStrictEqual(report.entities[1], { type: 'unit', id: '102', outcome: 'skipped', reason: 'no_active_lease' });
+
+    const records = readRecords(logFile);
+    assert.ok(records.every(record => record.runId === report.runId && record.command === 'units'));
+    assert.deepStrictEqual(records.map(record => record.event), ['run.start', 'start', 'unit.created', 'unit.skipped', 'unit.failed', 'message', 'run.complete']);
+    assert.strictEqual(records[4].level, 'warn');
+    assert.strictEqual(records[5].message, 'free text from a command');
+    assert.ok(stdout.some(line => line.startsWith('{"') && JSON.parse(line).event === 'run.complete'));
+    assert.throws(() => recordOutcome('unit', 104, 'ignored'), /Unknown run outcome/);
+  } finally {
+    process.stdout.write = write;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('http logging records method, path, status and duration, with failures as warnings', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-logging-'));
+  const logFile = path.join(dir, 'sync.jsonl');
+  const handlers = {};
+  const axios = {
+    interceptors: {
+      request: { use: onRequest => { handlers.request = onRequest; } },
+      response: { use: (onResponse, onError) => { handlers.response = onResponse; handlers.error = onError; } }
+    }
+  };
+  installHttpLogging(axios);
+  installHttpLogging(axios);
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+
+  try {
+    await withEnv({ LOG_FORMAT: 'text', LOG_FILE: logFile, LOG_LEVEL: 'debug' }, async () => {
+      const logger = startRun('vendors');
+      const ok = handlers.request({ method: 'get', url: 'https://api.buildium.com/v1/vendors?limit=100' });
+      handlers.response({ config: ok, status: 200 });
+      const failed = handlers.request({ method: 'post', url: 'https://api.hubapi.com/crm/v3/objects/companies' });
+      await assert.rejects(handlers.error({ config: failed, response: { status: 429 }, message: 'Too Many Requests' }));
+      await finishRun(logger, { writeReport: false });
+    });
+
+    const http = readRecords(logFile).filter(record => record.event === 'http');
+    assert.deepStrictEqual(http.map(record => [record.level, record.method, record.url, record.status]), [
+      ['debug', 'GET', 'https://api.buildium.com/v1/vendors', 200],
+      ['warn', 'POST', 'https://api.hubapi.com/crm/v3/objects/companies', 429]
+    ]);
+    assert.ok(http.every(record => typeof record.durationMs === 'number' && record.scope === 'http'));
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a report stops listing entities at its cap but keeps counting them', () => {
+  const report = new RunReport({ runId: 'serve-1', command: 'serve', maxEntities: 2 });
+  [1, 2, 3, 4].forEach(id => report.record('unit', id, id === 4 ? 'failed' : 'updated'));
+
+  const json = report.toJSON();
+  assert.deepStrictEqual(json.entities.map(entity => entity.id), ['1', '2']);
+  assert.strictEqual(json.entitiesDropped, 2);
+  assert.deepStrictEqual(json.totals, { unit: { created: 0, updated: 3, skipped: 0, failed: 1 } });
+  assert.strictEqual(new RunReport({ runId: 'units-1' }).toJSON().entitiesDropped, undefined);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ListingMarketingSyncManager, listingImageUrls } = require('../prototype/ListingMarketingSyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+test('listingImageUrls keeps public images, unit photos first', () => {
+  assert.deepStrictEqual(listingImageUrls({
+    Unit: { Files: [{ Type: 'Video', Url: 'https://v/1' }, { Type: 'Image', Url: 'https://i/unit.jpg' }, { Type: 'Image', Url: null }] },
+    Property: { Files: [{ Type: 'Image', Url: 'https://i/building.jpg' }, { Type: 'Image', Url: 'https://i/unit.jpg' }] }
+  }), ['https://i/unit.jpg', 'https://i/building.jpg']);
+  assert.deepStrictEqual(listingImageUrls({ Unit: {} }), []);
+});
+
+test('marketing writes listing details and marks ended listings as not listed', async () => {
+  const updates = [];
+  const amenityCalls = [];
+  const integration = {
+    buildiumClient: {
+      getRentalListings: async () => [
+        {
+          ListingDate: '2024-05-01',
+          AvailableDate: '2024-07-01',
+          Rent: 1850,
+          Deposit: 1850,
+          LeaseTerms: '12 months',
+          Unit: { Id: 10, Features: ['Dishwasher', 'WD_Hookup', 'RoofDeck'], Files: [{ Type: 'Image', Url: 'https://i/10.jpg' }] },
+          Property: { Id: 7, Features: ['Pool'], IncludedInRent: ['Water', 'Trash'] }
+        },
+        { AvailableDate: '2024-08-01', Rent: 1400, Unit: { Id: 11, Features: null }, Property: { Id: 7 } },
+        { AvailableDate: '2024-08-01', Rent: 1200, Unit: { Id: 12 }, Property: { Id: 7 } }
+      ],
+      getUnitAmenities: async unitId => {
+        amenityCalls.push(unitId);
+        return ['Carpet'];
+      }
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getListingsByUnitIds: async () => [
+        { id: 'l10', properties: { buildium_unit_id: '10' } },
+        { id: 'l11', properties: { buildium_unit_id: '11' } }
+      ],
+      searchObjects: async () => [
+        { id: 'l10', properties: { buildium_unit_id: '10' } },
+        { id: 'l20', properties: { buildium_unit_id: '20' } }
+      ],
+      updateListing: async (id, data) => {
+        updates.push([id, data.properties]);
+        return { id };
+      }
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new ListingMarketingSyncManager(integration, { stateStore: new MemoryStateStore() }).run();
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(amenityCalls, [11]);
+  assert.deepStrictEqual(updates, [
+    ['l10', {
+      buildium_is_listed: 'Yes',
+      buildium_listing_date: '2024-05-01',
+      buildium_available_date: '2024-07-01',
+      buildium_advertised_rent: 1850,
+      buildium_deposit: 1850,
+      buildium_lease_terms: '12 months',
+      buildium_unit_amenities: 'Dishwasher;WD_Hookup',
+      buildium_property_amenities: 'Pool',
+      buildium_included_in_rent: 'Water;Trash',
+      buildium_primary_image_url: 'https://i/10.jpg',
+      buildium_image_urls: 'https://i/10.jpg'
+    }],
+    ['l11', {
+      buildium_is_listed: 'Yes',
+      buildium_available_date: '2024-08-01',
+      buildium_advertised_rent: 1400,
+      buildium_unit_amenities: 'Carpet',
+      buildium_property_amenities: '',
+      buildium_included_in_rent: '',
+      buildium_primary_image_url: '',
+      buildium_image_urls: ''
+    }],
+    ['l20', { buildium_is_listed: 'No' }]
+  ]);
+  assert.deepStrictEqual(stats, { listings: 3, updated: 2, delisted: 1, missing: 1, errors: 0 });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { recordApiCall, recordLifecycle, recordRun, persistMetrics } = require('../prototype/SyncMetrics');
+const { WebhookReceiver } = require('../prototype/WebhookReceiver');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+test('metrics accumulate across runs in the state store and are written as a textfile', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-metrics-'));
+  const filePath = path.join(dir, 'textfile', 'buildium_sync.prom');
+  const stateStore = new MemoryStateStore();
+
+  try {
+    recordApiCall('buildium', 200);
+    recordApiCall('buildium', 429);
+    recordApiCall('hubspot', 502);
+    recordLifecycle({ futureToActive: 2, activeToInactive: 0, futureToInactive: 1, errors: 1 });
+    recordRun({ command: 'leases', status: 'ok', durationMs: 1500, totals: { listing: { created: 1, updated: 3, skipped: 0, failed: 0 } }, finishedAt: new Date('2026-01-02T00:00:00Z') });
+    await persistMetrics(stateStore, { filePath });
+
+    recordApiCall('buildium', 200);
+    recordRun({ command: 'leases', status: 'partial', durationMs: 500, totals: { listing: { created: 0, updated: 1, skipped: 0, failed: 1 } }, finishedAt: new Date('2026-01-03T00:00:00Z') });
+    await persistMetrics(stateStore, { filePath });
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    assert.match(text, /# TYPE buildium_sync_api_requests_total counter/);
+    assert.match(text, /^buildium_sync_api_requests_total\{client="buildium"\} 3$/m);
+    assert.match(text, /^buildium_sync_api_rate_limited_total\{client="buildium"\} 1$/m);
+    assert.match(text, /^buildium_sync_api_server_errors_total\{client="hubspot"\} 1$/m);
+    assert.match(text, /^buildium_sync_entities_total\{command="leases",entity="listing",outcome="updated"\} 4$/m);
+    assert.match(text, /^buildium_sync_entities_total\{command="leases",entity="listing",outcome="failed"\} 1$/m);
+    assert.match(text, /^buildium_sync_lifecycle_transitions_total\{transition="futureToActive"\} 2$/m);
+    assert.match(text, /^buildium_sync_lifecycle_errors_total 1$/m);
+    assert.match(text, /^buildium_sync_runs_total\{command="leases",status="partial"\} 1$/m);
+    assert.match(text, /^buildium_sync_run_duration_seconds\{command="leases"\} 0.5$/m);
+    // The partial run moved the last run, but not the last success
+    assert.match(text, /^buildium_sync_last_run_timestamp_seconds\{command="leases"\} 1767398400$/m);
+    assert.match(text, /^buildium_sync_last_success_timestamp_seconds\{command="leases"\} 1767312000$/m);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['buildium_sync.prom']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the webhook server exposes stored totals and its own API calls on /metrics', async () => {
+  const stateStore = new MemoryStateStore();
+  recordRun({ command: 'units', status: 'ok', durationMs: 2000 });
+  await persistMetrics(stateStore, { filePath: null });
+  recordApiCall('hubspot', 429);
+
+  const receiver = new WebhookReceiver({ buildiumClient: {} }, { stateStore, secret: 'secret', pollIntervalMs: 60000, logger: () => {} });
+  const { port } = await receiver.start({ port: 0, host: '127.0.0.1' });
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const text = await response.text();
+    assert.match(text, /^buildium_sync_runs_total\{command="units",status="ok"\} 1$/m);
+    assert.match(text, /^buildium_sync_api_rate_limited_total\{client="hubspot"\} 1$/m);
+  } finally {
+    await receiver.stop();
+  }
+});
+
+test('persisting metrics waits for another run holding the metrics lock', async () => {
+  const stateStore = new MemoryStateStore();
+  const owner = await stateStore.acquireLock('sync-metrics');
+  recordRun({ command: 'owners', status: 'ok', durationMs: 100 });
+
+  const persisting = persistMetrics(stateStore, { filePath: null, lockRetryMs: 10 });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(await stateStore.get(STATE_NAMESPACES.SYNC_METRICS, 'series'), null);
+
+  await stateStore.releaseLock('sync-metrics', owner);
+  await persisting;
+  const stored = await stateStore.get(STATE_NAMESPACES.SYNC_METRICS, 'series');
+  assert.ok(stored.some(entry => entry.labels?.command === 'owners'));
+  // Released again once the totals are written
+  await stateStore.releaseLock('sync-metrics', await stateStore.acquireLock('sync-metrics'));
+});
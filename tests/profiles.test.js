@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadProfiles, withProfile } = require('../prototype/ProfileConfig');
+const { createStateStore } = require('../prototype/SyncStateStore');
+
+function writeProfiles(profiles) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-profiles-'));
+  const file = path.join(dir, 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify({ profiles }));
+  return { dir, file };
+}
+
+test('profiles expand env references and default to their own state directory', async () => {
+  process.env.TEST_PROFILE_TOKEN = 'hs-token-a';
+  const { dir, file } = writeProfiles({
+    acme: {
+      buildium: { clientId: 'acme-id', clientSecret: 'acme-secret', baseUrl: 'https://acme.example/v1' },
+      hubspot: { accessToken: '${TEST_PROFILE_TOKEN}' },
+      fieldMappings: 'mappings/acme.json',
+      env: { RENEWAL_WINDOWS: '60,30' }
+    },
+    harbor: {
+      buildium: { clientId: 'harbor-id', clientSecret: 'harbor-secret' },
+      hubspot: { accessToken: 'hs-token-b' },
+      stateDir: 'custom/harbor'
+    }
+  });
+
+  try {
+    const [acme, harbor] = loadProfiles(file);
+    assert.strictEqual(acme.name, 'acme');
+    assert.strictEqual(acme.environment.HUBSPOT_ACCESS_TOKEN, 'hs-token-a');
+    assert.strictEqual(acme.environment.FIELD_MAPPINGS_FILE, path.join(dir, 'mappings', 'acme.json'));
+    assert.strictEqual(acme.environment.SYNC_STATE_DIR, path.join(dir, 'state', 'acme'));
+    assert.strictEqual(acme.environment.RENEWAL_WINDOWS, '60,30');
+    assert.strictEqual(harbor.environment.SYNC_STATE_DIR, path.join(dir, 'custom', 'harbor'));
+    assert.strictEqual(harbor.environment.BUILDIUM_BASE_URL, undefined);
+
+    const previousClientId = process.env.BUILDIUM_CLIENT_ID;
+    const previousWindows = process.env.RENEWAL_WINDOWS;
+    const directory = await withProfile(acme, async () => {
+      assert.strictEqual(process.env.BUILDIUM_CLIENT_ID, 'acme-id');
+      return createStateStore({ backend: 'file' }).directory;
+    });
+    assert.strictEqual(directory, path.join(dir, 'state', 'acme'));
+    assert.strictEqual(process.env.BUILDIUM_CLIENT_ID, previousClientId);
+    assert.strictEqual(process.env.RENEWAL_WINDOWS, previousWindows);
+  } finally {
+    delete process.env.TEST_PROFILE_TOKEN;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('profiles without their own credentials or with unset references are rejected', () => {
+  const missing = writeProfiles({ acme: { buildium: { clientId: 'acme-id', clientSecret: 'secret' } } });
+  const unset = writeProfiles({
+    acme: { buildium: { clientId: 'acme-id', clientSecret: '${TEST_PROFILE_UNSET_SECRET}' }, hubspot: { accessToken: 'token' } }
+  });
+  try {
+    assert.throws(() => loadProfiles(missing.file), { code: 'INVALID_PROFILE', message: /hubspot\.accessToken/ });
+    assert.throws(() => loadProfiles(unset.file), /TEST_PROFILE_UNSET_SECRET/);
+    assert.throws(() => loadProfiles(path.join(missing.dir, 'nope.json')), { code: 'PROFILES_NOT_FOUND' });
+  } finally {
+    fs.rmSync(missing.dir, { recursive: true, force: true });
+    fs.rmSync(unset.dir, { recursive: true, force: true });
+  }
+});
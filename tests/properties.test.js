@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PropertySyncManager } = require('../prototype/PropertySyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+test('properties upserts property companies and links unit listings and owners', async () => {
+  const calls = { created: [], updated: [], listingUpdates: [], associations: [] };
+  const integration = {
+    buildiumClient: {
+      getRentalProperties: async () => [
+        { Id: 7, Name: 'Maple Court', NumberUnits: 12, YearBuilt: 1998, IsActive: true, RentalType: 'Residential', RentalSubType: 'MultiFamily', Address: { AddressLine1: '1 Maple St', City: 'Springfield' }, RentalManager: { FirstName: 'Pat', LastName: 'Lee' } },
+        { Id: 8, Name: 'Oak House', IsActive: false }
+      ],
+      getRentalOwners: async () => [
+        { Id: 301, IsCompany: true, PropertyIds: [7, 8] },
+        { Id: 302, IsCompany: false, Email: 'owner@example.com', PropertyIds: [8] },
+        { Id: 303, IsCompany: false, Email: 'nobody@example.com', PropertyIds: [7] }
+      ]
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getObjectsByIdProperty: async () => [{ id: 'co8', properties: { buildium_property_id: '8' } }],
+      createCompany: async data => {
+        calls.created.push(data.properties);
+        return { id: 'co7' };
+      },
+      updateCompany: async (id, data) => {
+        calls.updated.push([id, data.properties]);
+        return { id };
+      },
+      searchObjects: async objectType => (objectType === '0-420'
+        ? [
+          { id: 'l1', properties: { buildium_property_id: '7', hubspot_property_id: '' } },
+          { id: 'l2', properties: { buildium_property_id: '8', hubspot_property_id: 'co8' } }
+        ]
+        : [{ id: 'oc301', properties: { buildium_owner_id: '301' } }]),
+      searchContactByEmail: async email => (email === 'owner@example.com' ? { id: 'c302' } : null),
+      updateListing: async (id, data) => {
+        calls.listingUpdates.push([id, data.properties]);
+        return { id };
+      },
+      createDefaultAssociation: async (fromType, fromId, toType, toId) => calls.associations.push(`${fromType}:${fromId}->${toType}:${toId}`)
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new PropertySyncManager(integration, { stateStore: new MemoryStateStore() }).run();
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(calls.created, [{
+    name: 'Maple Court',
+    address: '1 Maple St',
+    city: 'Springfield',
+    buildium_property_id: '7',
+    buildium_rental_type: 'Residential',
+    buildium_rental_sub_type: 'MultiFamily',
+    buildium_unit_count: 12,
+    buildium_year_built: 1998,
+    buildium_property_status: 'Active',
+    buildium_property_manager: 'Pat Lee'
+  }]);
+  assert.deepStrictEqual(calls.updated, [['co8', { name: 'Oak House', buildium_property_id: '8', buildium_property_status: 'Inactive' }]]);
+  // l2 already points at its property company
+  assert.deepStrictEqual(calls.listingUpdates, [['l1', { hubspot_property_id: 'co7' }]]);
+  assert.deepStrictEqual(calls.associations, [
+    '0-420:l1->companies:co7',
+    'companies:oc301->companies:co7',
+    'companies:oc301->companies:co8',
+    'contacts:c302->companies:co8'
+  ]);
+  assert.deepStrictEqual(stats, { properties: 2, created: 1, updated: 1, listingsLinked: 1, ownersLinked: 3, errors: 0 });
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ListingPruneManager } = require('../prototype/ListingPruneManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+function quiet(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, { log, warn });
+  });
+}
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+const listing = (id, properties) => ({ id, properties });
+
+function mockIntegration(listings, calls) {
+  const buildiumClient = {
+    getProperty: async propertyId => {
+      if (propertyId === '20') throw httpError(404);
+      if (propertyId === '50') throw httpError(500);
+      return { Id: Number(propertyId), IsActive: propertyId !== '30' };
+    },
+    getAllUnits: async (limit, offset, propertyIds) => {
+      calls.unitLists.push(propertyIds);
+      return offset > 0 ? [] : [{ Id: 1, PropertyId: 10 }];
+    },
+    getUnit: async unitId => {
+      calls.unitReads.push(unitId);
+      if (unitId === '2') throw httpError(404);
+      return { Id: Number(unitId), PropertyId: 10 };
+    }
+  };
+  const hubspotClient = {
+    getAllObjects: async () => listings,
+    batchUpdateListings: async updates => {
+      calls.updates.push(updates);
+      return { results: updates, errors: [] };
+    }
+  };
+  return { buildiumClient, hubspotClient };
+}
+
+test('prune marks listings of deleted units and deleted or inactive properties Inactive, and undo restores them', async () => {
+  const calls = { unitLists: [], unitReads: [], updates: [] };
+  const listings = [
+    listing('L1', { buildium_unit_id: '1', buildium_property_id: '10', buildium_unit_status: 'Occupied' }),
+    listing('L2', { buildium_unit_id: '2', buildium_property_id: '10', hs_name: 'Elm - Unit 2', buildium_unit_status: 'Vacant' }),
+    listing('L3', { buildium_unit_id: '3', buildium_property_id: '10' }),
+    listing('L4', { buildium_unit_id: '4', buildium_property_id: '20' }),
+    listing('L5', { buildium_unit_id: '5', buildium_property_id: '30', buildium_unit_status: 'Occupied' }),
+    // Marked by an earlier run
+    listing('L7', { buildium_unit_id: '7', buildium_property_id: '30', buildium_unit_status: 'Inactive' }),
+    // Buildium failed to answer for this property, so its listing is left alone
+    listing('L8', { buildium_unit_id: '8', buildium_property_id: '50' }),
+    listing('L0', { hs_name: 'Made by hand' })
+  ];
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prune-'));
+  const manager = new ListingPruneManager(mockIntegration(listings, calls), { stateStore: new MemoryStateStore() });
+
+  try {
+    const preview = await quiet(() => manager.run({ dryRun: true, outputDir }));
+    assert.deepStrictEqual(preview.listings.map(entry => [entry.listingId, entry.reason]), [
+      ['L4', 'property_deleted'],
+      ['L5', 'property_inactive'],
+      ['L2', 'unit_deleted']
+    ]);
+    assert.deepStrictEqual(preview.stats, { listings: 7, stale: 3, pruned: 0, errors: 1 });
+    assert.strictEqual(preview.manifest, null);
+    assert.deepStrictEqual(calls.updates, []);
+    // Units are listed for the active property; only the ones missing from the list are read
+    assert.deepStrictEqual(calls.unitLists, [['10']]);
+    assert.deepStrictEqual(calls.unitReads, ['2', '3']);
+
+    const { stats, manifest } = await quiet(() => manager.run({ outputDir }));
+    assert.deepStrictEqual(stats, { listings: 7, stale: 3, pruned: 3, errors: 1 });
+    assert.deepStrictEqual(calls.updates, [['L4', 'L5', 'L2'].map(id => ({ id, properties: { buildium_unit_status: 'Inactive' } }))]);
+    const written = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    assert.strictEqual(written.action, 'inactive');
+    assert.deepStrictEqual(written.entries.map(entry => [entry.listingId, entry.previousStatus, entry.result]), [
+      ['L4', null, { status: 'inactive' }],
+      ['L5', 'Occupied', { status: 'inactive' }],
+      ['L2', 'Vacant', { status: 'inactive' }]
+    ]);
+
+    const undone = await quiet(() => manager.undo(manifest));
+    assert.deepStrictEqual(undone.stats, { listings: 3, restored: 3, associationsRestored: 0, errors: 0 });
+    assert.deepStrictEqual(calls.updates[1], [
+      { id: 'L4', properties: { buildium_unit_status: '' } },
+      { id: 'L5', properties: { buildium_unit_status: 'Occupied' } },
+      { id: 'L2', properties: { buildium_unit_status: 'Vacant' } }
+    ]);
+    await assert.rejects(() => manager.undo(manifest), /already undone/);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('archiving snapshots listing properties and associations first, so undo re-creates the listing with its association history', async () => {
+  const calls = { unitLists: [], unitReads: [], updates: [], archives: [], creates: [], associations: [] };
+  const listings = [
+    listing('L2', { buildium_unit_id: '2', buildium_property_id: '10', hs_name: 'Elm - Unit 2' }),
+    listing('L4', { buildium_unit_id: '4', buildium_property_id: '20', hs_name: 'Oak - Unit 4' })
+  ];
+  const integration = mockIntegration(listings, calls);
+  Object.assign(integration.hubspotClient, {
+    getObjectsByIdProperty: async (objectType, idProperty, ids) => ids.map(id => listing(id, {
+      hs_object_id: id,
+      buildium_unit_id: id.slice(1),
+      hs_name: id === 'L2' ? 'Elm - Unit 2' : 'Oak - Unit 4',
+      hs_city: 'Austin',
+      buildium_description: ''
+    })),
+    batchReadListingAssociations: async (ids, objectType) => ({
+      associations: new Map(ids.map(id => [id, objectType === 'contacts' && id === 'L2'
+        ? [{ toObjectId: 'C1', types: [{ category: 'USER_DEFINED', typeId: 6 }] }]
+        : []])),
+      errors: []
+    }),
+    batchArchiveListings: async ids => {
+      calls.archives.push(ids);
+      // L4 could not be archived
+      return { results: [null, { id: 'L2' }], errors: [{ index: 0, item: 'L4', error: httpError(400) }] };
+    },
+    createListing: async listingData => {
+      calls.creates.push(listingData);
+      return { id: 'L2-restored', properties: listingData.properties };
+    },
+    batchCreateAssociations: async (fromObjectType, toObjectType, associations) => {
+      calls.associations.push([fromObjectType, toObjectType, associations]);
+      return { results: associations.map(() => ({ success: true })), errors: [] };
+    }
+  });
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prune-'));
+  const manager = new ListingPruneManager(integration, { stateStore: new MemoryStateStore() });
+
+  try {
+    const { stats, listings: entries, manifest } = await quiet(() => manager.run({ archive: true, outputDir }));
+    assert.deepStrictEqual(calls.archives, [['L4', 'L2']]);
+    assert.deepStrictEqual(stats, { listings: 2, stale: 2, pruned: 1, errors: 1 });
+    assert.deepStrictEqual(entries.map(entry => [entry.listingId, entry.result]), [
+      ['L4', { error: 'Request failed with status code 400' }],
+      ['L2', { status: 'archived' }]
+    ]);
+    const saved = JSON.parse(fs.readFileSync(manifest, 'utf8')).entries.find(entry => entry.listingId === 'L2');
+    assert.deepStrictEqual(saved.properties, { buildium_unit_id: '2', hs_name: 'Elm - Unit 2', hs_city: 'Austin' });
+    assert.deepStrictEqual(saved.associations, {
+      contacts: [{ toObjectId: 'C1', types: [{ category: 'USER_DEFINED', typeId: 6 }] }],
+      companies: []
+    });
+
+    const undone = await quiet(() => manager.undo(manifest));
+    // Only the listing that was archived comes back
+    assert.deepStrictEqual(calls.creates, [{ properties: { buildium_unit_id: '2', hs_name: 'Elm - Unit 2', hs_city: 'Austin' } }]);
+    assert.deepStrictEqual(calls.associations, [
+      ['0-420', 'contacts', [{ fromId: 'L2-restored', toId: 'C1', types: [{ category: 'USER_DEFINED', typeId: 6 }] }]]
+    ]);
+    assert.deepStrictEqual(undone.stats, { listings: 1, restored: 1, associationsRestored: 1, errors: 0 });
+    assert.strictEqual(undone.listings[0].restoredListingId, 'L2-restored');
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
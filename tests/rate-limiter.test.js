@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, mapWithConcurrency, resolveConcurrency } = require('../prototype/RateLimiter');
+
+function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.log = log;
+  });
+}
+
+function fakeClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('the limiter paces requests to the bucket and waits out Retry-After before retrying a 429', async () => {
+  const clock = fakeClock();
+  const limiter = new RateLimiter({
+    name: 'hubspot',
+    buckets: [{ limit: 2, intervalMs: 1000 }],
+    searchBuckets: [{ limit: 1, intervalMs: 1000 }],
+    now: clock.now,
+    sleep: clock.sleep
+  });
+
+  await quiet(async () => {
+    for (let i = 0; i < 3; i++) {
+      await limiter.schedule(async () => ({ status: 200 }));
+    }
+    assert.deepStrictEqual(clock.sleeps, [500]);
+
+    let attempts = 0;
+    const response = await limiter.schedule(async () => {
+      attempts += 1;
+      if (attempts === 1) {
+        throw httpError(429, { 'retry-after': '2' });
+      }
+      return { status: 200, data: 'ok' };
+    }, { search: true });
+    assert.strictEqual(response.data, 'ok');
+    assert.strictEqual(attempts, 2);
+    // One token wait, then the full Retry-After (longer than the 200ms backoff)
+    assert.deepStrictEqual(clock.sleeps, [500, 500, 2000]);
+    assert.strictEqual(limiter.pausedUntil, 3000);
+
+    let rejected = 0;
+    await assert.rejects(limiter.schedule(async () => {
+      rejected += 1;
+      throw httpError(400);
+    }), /HTTP 400/);
+    assert.strictEqual(rejected, 1);
+  });
+});
+
+test('mapWithConcurrency bounds work in flight, keeps result order and stops at a target', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, (7 - item) * 2));
+    inFlight -= 1;
+    return item * 10;
+  });
+  assert.deepStrictEqual(results, [10, 20, 30, 40, 50, 60]);
+  assert.strictEqual(maxInFlight, 2);
+
+  const started = [];
+  await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    started.push(item);
+  }, { shouldStop: () => started.length >= 3 });
+  assert.deepStrictEqual(started, [1, 2, 3]);
+
+  await assert.rejects(mapWithConcurrency([1, 2], 2, async (item) => {
+    if (item === 2) {
+      throw new Error('unit 2 failed');
+    }
+  }), /unit 2 failed/);
+  assert.throws(() => resolveConcurrency('0'), /Invalid concurrency "0"/);
+});
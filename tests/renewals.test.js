@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { BuildiumClient } = require('../prototype/index');
+const { RenewalSyncManager, renewalWindow, renewalOutcome, resolveWindows } = require('../prototype/RenewalSyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const now = new Date('2024-06-01T12:00:00Z');
+const STAGE_LABELS = ['120 Days Out', '90 Days Out', '60 Days Out', '30 Days Out', 'Renewal Offered', 'Renewed', 'Moved Out'];
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+test('renewalWindow picks the smallest window the lease is inside', () => {
+  const windows = resolveWindows(['30', '120', '60', '90']);
+  assert.deepStrictEqual(windows, [120, 90, 60, 30]);
+  assert.strictEqual(renewalWindow(75, windows), 90);
+  assert.strictEqual(renewalWindow(30, windows), 30);
+  assert.strictEqual(renewalWindow(-3, windows), 30);
+  assert.strictEqual(renewalWindow(121, windows), null);
+  assert.throws(() => resolveWindows(['soon']), /Invalid renewal windows/);
+});
+
+test('renewalOutcome closes on a later term or a move-out', () => {
+  const lease = { Id: 1, LeaseToDate: '2024-07-31', LeaseStatus: 'Active' };
+  assert.strictEqual(renewalOutcome(lease, [], '2024-07-31'), null);
+  assert.strictEqual(renewalOutcome(lease, [{ LeaseId: 1, LeaseToDate: '2023-07-31' }], '2024-07-31'), null);
+  assert.strictEqual(renewalOutcome(lease, [{ LeaseId: 1, LeaseToDate: '2025-07-31' }], '2024-07-31'), 'won');
+  assert.strictEqual(renewalOutcome({ ...lease, LeaseToDate: '2025-07-31' }, [], '2024-07-31'), 'won');
+  assert.strictEqual(renewalOutcome({ ...lease, MoveOutData: [{ TenantId: 5, MoveOutDate: '2024-07-31' }] }, [], '2024-07-31'), 'lost');
+});
+
+test('renewalOutcome counts a new lease for the same tenants on the unit as a renewal', () => {
+  const lease = { Id: 1, UnitId: 10, LeaseToDate: '2024-07-31', LeaseStatus: 'Past', Tenants: [{ Id: 5 }, { Id: 6 }] };
+  const resigned = { Id: 2, UnitId: 10, LeaseFromDate: '2024-08-01', LeaseToDate: '2025-07-31', Tenants: [{ Id: 6 }] };
+  assert.strictEqual(renewalOutcome(lease, [], '2024-07-31', [lease, resigned]), 'won');
+  // A new tenant on the unit, or the same tenant elsewhere, is still a move-out
+  assert.strictEqual(renewalOutcome(lease, [], '2024-07-31', [{ ...resigned, Tenants: [{ Id: 7 }] }]), 'lost');
+  assert.strictEqual(renewalOutcome(lease, [], '2024-07-31', [{ ...resigned, UnitId: 11 }]), 'lost');
+  // An earlier lease of the same tenants is not a successor
+  assert.strictEqual(renewalOutcome(lease, [], '2024-07-31', [{ ...resigned, LeaseToDate: '2023-07-31' }]), 'lost');
+});
+
+test('leases ending in the window are filtered on their end date, not with leasedatefrom (a start-date floor)', async () => {
+  const client = new BuildiumClient();
+  client.baseURL = 'https://buildium.test/v1';
+  const requests = [];
+  const get = axios.get;
+  axios.get = async (url, config) => {
+    requests.push(config.params);
+    return { data: [
+      { Id: 1, LeaseFromDate: '2023-09-01', LeaseToDate: '2024-08-31T00:00:00' },
+      // Ended before the window opened but still marked Active
+      { Id: 2, LeaseFromDate: '2023-05-01', LeaseToDate: '2024-05-31T00:00:00' }
+    ] };
+  };
+
+  let leases;
+  const restore = quiet();
+  try {
+    leases = await client.getLeasesEndingBetween(now, new Date('2024-09-29T00:00:00Z'));
+  } finally {
+    restore();
+    axios.get = get;
+  }
+
+  assert.deepStrictEqual(leases.map(lease => lease.Id), [1]);
+  assert.strictEqual(requests[0].leasedatefrom, undefined);
+  assert.strictEqual(requests[0].leasedateto, '2024-09-29');
+  assert.deepStrictEqual(requests[0].leasestatuses, ['Active']);
+});
+
+test('renewals opens, advances and closes deals', async () => {
+  const calls = { created: [], updated: [], associations: [] };
+  const leases = {
+    // 75 days out, no deal yet
+    1: { Id: 1, UnitId: 10, UnitNumber: '1A', PropertyId: 7, LeaseToDate: '2024-08-15T00:00:00', LeaseStatus: 'Active', Tenants: [{ Id: 501 }], AccountDetails: { Rent: 1500 } },
+    // 25 days out, deal still at 90 days
+    2: { Id: 2, UnitId: 11, LeaseToDate: '2024-06-26T00:00:00', LeaseStatus: 'Active', Tenants: [{ Id: 502 }] },
+    // Renewed: end date moved past the deal's term, so it is no longer in the window
+    3: { Id: 3, UnitId: 12, LeaseToDate: '2025-06-20T00:00:00', LeaseStatus: 'Active', Tenants: [] },
+    // Ended, but the tenant signed lease 6 on the same unit
+    5: { Id: 5, UnitId: 14, PropertyId: 7, LeaseToDate: '2024-05-31T00:00:00', LeaseStatus: 'Past', Tenants: [{ Id: 505 }] },
+    // Ended and the tenant left
+    7: { Id: 7, UnitId: 15, PropertyId: 7, LeaseToDate: '2024-05-31T00:00:00', LeaseStatus: 'Past', Tenants: [{ Id: 507 }] }
+  };
+  const unitLeaseReads = [];
+  const integration = {
+    buildiumClient: {
+      getLeasesEndingBetween: async () => [leases[1], leases[2]],
+      getLeaseById: async id => leases[id],
+      getLeasesByUnitIds: async units => {
+        unitLeaseReads.push(units);
+        return [leases[5], leases[7], { Id: 6, UnitId: 14, LeaseToDate: '2025-05-31T00:00:00', LeaseStatus: 'Active', Tenants: [{ Id: 505 }] }];
+      },
+      getLeaseRenewalHistory: async () => [],
+      getLeaseRenewals: async () => [],
+      getTenant: async () => null
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getPipelines: async () => [{ id: 'renewal', label: 'Lease Renewal', stages: STAGE_LABELS.map(label => ({ id: label, label })) }],
+      searchObjects: async () => [
+        { id: 'd2', properties: { buildium_lease_id: '2', buildium_lease_end_date: '2024-06-26', dealstage: '90 Days Out' } },
+        { id: 'd3', properties: { buildium_lease_id: '3', buildium_lease_end_date: '2024-06-20', dealstage: '30 Days Out' } },
+        { id: 'd5', properties: { buildium_lease_id: '5', buildium_lease_end_date: '2024-05-31', dealstage: '30 Days Out' } },
+        { id: 'd7', properties: { buildium_lease_id: '7', buildium_lease_end_date: '2024-05-31', dealstage: '30 Days Out' } }
+      ],
+      searchContactsByTenantIds: async () => [{ id: 'c1', properties: { buildium_tenant_id: '501' } }],
+      getListingsByUnitIds: async () => [{ id: 'l10', properties: { buildium_unit_id: '10' } }],
+      createDeal: async data => {
+        calls.created.push(data.properties);
+        return { id: 'd1' };
+      },
+      updateDeal: async (id, data) => {
+        calls.updated.push([id, data.properties]);
+        return { id };
+      },
+      createDefaultAssociation: async (fromType, fromId, toType, toId) => calls.associations.push(`${fromId}->${toType}:${toId}`)
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new RenewalSyncManager(integration, { stateStore: new MemoryStateStore(), windows: [120, 90, 60, 30] }).run({ now });
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(calls.created, [{
+    dealname: 'Lease renewal - Unit 1A - 2024-08-15',
+    pipeline: 'renewal',
+    dealstage: '90 Days Out',
+    amount: 1500,
+    closedate: '2024-08-15T00:00:00.000Z',
+    buildium_renewal_id: '1:2024-08-15',
+    buildium_lease_id: '1',
+    buildium_unit_id: '10',
+    buildium_property_id: '7',
+    buildium_lease_end_date: '2024-08-15',
+    buildium_renewal_window: 90
+  }]);
+  assert.deepStrictEqual(calls.updated.map(([id, properties]) => [id, properties.dealstage, properties.buildium_renewal_outcome]), [
+    ['d2', '30 Days Out', undefined],
+    ['d3', 'Renewed', 'Renewed'],
+    ['d5', 'Renewed', 'Renewed'],
+    ['d7', 'Moved Out', 'Moved Out']
+  ]);
+  // Only moved-out leases need the other leases on their unit
+  assert.deepStrictEqual(unitLeaseReads, [[{ unitId: 14, propertyId: 7 }, { unitId: 15, propertyId: 7 }]]);
+  assert.deepStrictEqual(calls.associations, ['d1->contacts:c1', 'd1->0-420:l10']);
+  assert.deepStrictEqual(
+    { created: stats.created, advanced: stats.advanced, won: stats.won, lost: stats.lost, errors: stats.errors },
+    { created: 1, advanced: 1, won: 2, lost: 1, errors: 0 }
+  );
+});
+
+test('a renewal in progress on the lease moves its deal to Renewal Offered', async () => {
+  const renewalReads = [];
+  const updated = [];
+  const lease = { Id: 4, UnitId: 13, LeaseToDate: '2024-07-11T00:00:00', LeaseStatus: 'Active', Tenants: [{ Id: 504 }] };
+  const integration = {
+    buildiumClient: {
+      getLeasesEndingBetween: async () => [lease],
+      getLeaseRenewalHistory: async () => [],
+      // LeaseRenewalMessage carries no LeaseId, so renewals are read per lease
+      getLeaseRenewals: async leaseId => {
+        renewalReads.push(leaseId);
+        return [{ Id: 900, LeaseStatus: 'Active', LeaseFromDate: '2024-07-12', LeaseToDate: '2025-07-11', TenantIds: [504] }];
+      },
+      getTenant: async () => null
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getPipelines: async () => [{ id: 'renewal', label: 'Lease Renewal', stages: STAGE_LABELS.map(label => ({ id: label, label })) }],
+      searchObjects: async () => [{ id: 'd4', properties: { buildium_lease_id: '4', buildium_lease_end_date: '2024-07-11', dealstage: '60 Days Out' } }],
+      searchContactsByTenantIds: async () => [],
+      getListingsByUnitIds: async () => [],
+      updateDeal: async (id, data) => {
+        updated.push([id, data.properties.dealstage]);
+        return { id };
+      }
+    }
+  };
+
+  const restore = quiet();
+  try {
+    await new RenewalSyncManager(integration, { stateStore: new MemoryStateStore(), windows: [120, 90, 60, 30] }).run({ now });
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(renewalReads, ['4']);
+  assert.deepStrictEqual(updated, [['d4', 'Renewal Offered']]);
+});
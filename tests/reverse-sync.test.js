@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReverseSyncManager, buildTenantPutMessage } = require('../prototype/ReverseSyncManager');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+const tenant = {
+  Id: 501,
+  FirstName: 'Jane',
+  LastName: 'Doe',
+  Email: 'jane@example.com',
+  PhoneNumbers: [{ Number: '(403) 555-0100', Type: 'Cell' }, { Number: '403-555-0199', Type: 'Office' }],
+  DateOfBirth: '1990-02-03T00:00:00',
+  Address: { AddressLine1: '1 Main St', City: 'Calgary', State: 'AB', PostalCode: 'T2P 1J9', Country: 'Canada' },
+  CreatedDateTime: '2023-01-15T10:00:00Z'
+};
+
+function createIntegration(contacts, history, tenantOverrides = {}) {
+  const updates = [];
+  const integration = {
+    buildiumClient: {
+      getTenant: async () => ({ ...tenant, ...tenantOverrides }),
+      updateTenant: async (tenantId, message) => updates.push({ tenantId, message })
+    },
+    hubspotClient: {
+      searchContactsModifiedSince: async () => contacts,
+      getContactsWithHistory: async ids => ids.map(id => ({ id, propertiesWithHistory: history }))
+    }
+  };
+  return { integration, updates };
+}
+
+function createAuditLog() {
+  const entries = [];
+  return { entries, record: async entry => entries.push(entry) };
+}
+
+const quiet = () => {
+  const original = console.log;
+  console.log = () => {};
+  return () => { console.log = original; };
+};
+
+test('reverse sync writes newer HubSpot edits and audits each field', async () => {
+  const contacts = [{
+    id: '9001',
+    properties: { buildium_tenant_id: '501', firstname: 'Janet', lastname: 'Doe', email: 'JANE@example.com', phone: '4035550123' }
+  }];
+  const history = {
+    firstname: [{ value: 'Janet', timestamp: '2024-06-02T09:00:00Z', sourceType: 'CRM_UI' }],
+    phone: [{ value: '4035550123', timestamp: '2024-06-02T09:05:00Z', sourceType: 'CRM_UI' }]
+  };
+  const { integration, updates } = createIntegration(contacts, history);
+  const auditLog = createAuditLog();
+  const stateStore = new MemoryStateStore();
+  // Buildium still holds what the last run saw, so the HubSpot edits win
+  await stateStore.set(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, '501', { values: { firstname: 'Jane', phone: '4035550100' } });
+
+  const restore = quiet();
+  const stats = await new ReverseSyncManager(integration, { stateStore, auditLog }).run({ since: '2024-06-01T00:00:00Z' });
+  restore();
+
+  assert.strictEqual(stats.tenantsUpdated, 1);
+  assert.strictEqual(stats.fieldsWritten, 2);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].tenantId, '501');
+  assert.strictEqual(updates[0].message.FirstName, 'Janet');
+  assert.deepStrictEqual(updates[0].message.PhoneNumbers, { Mobile: '4035550123', Work: '403-555-0199' });
+  // Untouched fields are carried over so the PUT does not blank them
+  assert.strictEqual(updates[0].message.Address.City, 'Calgary');
+  assert.strictEqual(updates[0].message.DateOfBirth, '1990-02-03');
+  // Case-only email difference is not a change
+  assert.deepStrictEqual(auditLog.entries.map(entry => [entry.field, entry.outcome]), [['firstname', 'written'], ['phone', 'written']]);
+  assert.ok(await stateStore.get(STATE_NAMESPACES.REVERSE_CONTACT_SYNC, 'lastRun'));
+  const snapshot = await stateStore.get(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, '501');
+  assert.strictEqual(snapshot.values.firstname, 'Janet');
+  assert.strictEqual(snapshot.values.phone, '4035550123');
+  assert.strictEqual(snapshot.values.city, 'Calgary');
+});
+
+test('reverse sync skips Buildium-newer conflicts and integration writes', async () => {
+  const contacts = [{
+    id: '9002',
+    properties: { buildium_tenant_id: '501', firstname: 'Janet', lastname: 'Smith', email: '', phone: '4035550100' }
+  }];
+  const history = {
+    firstname: [{ value: 'Janet', timestamp: '2024-06-02T09:00:00Z', sourceType: 'CRM_UI' }],
+    lastname: [{ value: 'Smith', timestamp: '2024-06-02T09:00:00Z', sourceType: 'INTEGRATION' }]
+  };
+  const { integration, updates } = createIntegration(contacts, history);
+  const auditLog = createAuditLog();
+  const stateStore = new MemoryStateStore();
+  // The first name was Janie when the last run read the tenant, so Buildium changed it since
+  await stateStore.set(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, '501', { values: { firstname: 'Janie' } });
+
+  const restore = quiet();
+  const stats = await new ReverseSyncManager(integration, { stateStore, auditLog }).run();
+  restore();
+
+  assert.strictEqual(updates.length, 0);
+  assert.strictEqual(stats.conflicts, 1);
+  assert.deepStrictEqual(auditLog.entries.map(entry => [entry.field, entry.outcome]), [
+    ['firstname', 'conflict-buildium-newer'],
+    ['lastname', 'skipped-integration-write'],
+    ['email', 'skipped-empty']
+  ]);
+  // Buildium's value becomes the baseline, so a later HubSpot edit is written
+  assert.strictEqual((await stateStore.get(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, '501')).values.firstname, 'Jane');
+});
+
+test('reverse sync dry run audits without writing or advancing the watermark', async () => {
+  const contacts = [{ id: '9003', properties: { buildium_tenant_id: '501', firstname: 'Janet' } }];
+  const history = { firstname: [{ value: 'Janet', timestamp: '2024-06-02T09:00:00Z', sourceType: 'CRM_UI' }] };
+  const { integration, updates } = createIntegration(contacts, history);
+  const auditLog = createAuditLog();
+  const stateStore = new MemoryStateStore();
+
+  const restore = quiet();
+  await new ReverseSyncManager(integration, { stateStore, auditLog, fields: ['firstname'] }).run({ dryRun: true });
+  restore();
+
+  assert.strictEqual(updates.length, 0);
+  assert.deepStrictEqual(auditLog.entries.map(entry => entry.outcome), ['dry-run']);
+  assert.strictEqual(await stateStore.get(STATE_NAMESPACES.REVERSE_CONTACT_SYNC, 'lastRun'), null);
+  assert.strictEqual(await stateStore.get(STATE_NAMESPACES.REVERSE_TENANT_SNAPSHOTS, '501'), null);
+  assert.throws(() => new ReverseSyncManager(integration, { stateStore, auditLog, fields: ['hs_lead_status'] }), /cannot be synced back/);
+});
+
+test('buildTenantPutMessage keeps the first number per Buildium phone slot', () => {
+  const message = buildTenantPutMessage({
+    ...tenant,
+    PhoneNumbers: [{ Number: '111', Type: 'Home' }, { Number: '222', Type: 'Home' }, { Number: '333', Type: 'Fax' }]
+  });
+  assert.deepStrictEqual(message.PhoneNumbers, { Home: '111', Fax: '333' });
+  assert.strictEqual(message.AlternateAddress, null);
+});
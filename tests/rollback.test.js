@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { HubSpotClient } = require('../prototype/index');
+const { startUndoManifest, finishUndoManifest, readUndoManifest, rollbackRun } = require('../prototype/UndoManifest');
+
+function quiet(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    Object.assign(console, { log, warn, error });
+  });
+}
+
+function stubAxios(requests) {
+  const originals = { post: axios.post, patch: axios.patch, delete: axios.delete };
+  axios.post = async (url, body) => {
+    const route = url.replace('https://hubspot.test', '');
+    requests.push(['POST', route, body]);
+    if (route === '/crm/v3/objects/0-420/batch/read') {
+      return { data: { results: [{ id: 'L1', properties: { hs_object_id: 'L1', hs_city: 'Dallas', hs_zip: '78701' } }] } };
+    }
+    if (route === '/crm/v4/associations/contacts/0-420/batch/read') {
+      // C1 is already an inactive tenant of L1; C2 has no association yet
+      return { data: { results: [{ from: { id: 'C1' }, to: [{ toObjectId: 'L1', associationTypes: [{ category: 'USER_DEFINED', typeId: 6 }] }] }] } };
+    }
+    if (route === '/crm/v3/objects/0-420') {
+      return { data: { id: 'L2', properties: body.properties } };
+    }
+    return { data: { results: [] } };
+  };
+  axios.patch = async (url, body) => {
+    requests.push(['PATCH', url.replace('https://hubspot.test', ''), body]);
+    return { data: { id: 'L1', properties: body.properties } };
+  };
+  axios.delete = async url => {
+    requests.push(['DELETE', url.replace('https://hubspot.test', '')]);
+    return { data: {} };
+  };
+  return () => Object.assign(axios, originals);
+}
+
+test('live writes journal created objects, previous property values and association changes, and rollback replays them newest first', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-'));
+  const client = new HubSpotClient();
+  client.baseURL = 'https://hubspot.test';
+  const requests = [];
+  const restore = stubAxios(requests);
+
+  try {
+    startUndoManifest('leases-test', { command: 'leases', directory });
+    await quiet(async () => {
+      await client.updateListing('L1', { properties: { hs_city: 'Austin', hs_zip: '78701' } });
+      await client.createListing({ properties: { buildium_unit_id: '2' } });
+      await client.batchCreateContactListingAssociations([
+        { contactId: 'C1', listingId: 'L1', associationTypeId: 2 },
+        { contactId: 'C1', listingId: 'L1', associationTypeId: 6 },
+        { contactId: 'C2', listingId: 'L1', associationTypeId: 2 }
+      ]);
+      await client.removeAssociationLabels('contacts', '0-420', [{ fromId: 'C1', toId: 'L1', types: [{ category: 'USER_DEFINED', typeId: 6 }] }]);
+    });
+    const manifestPath = finishUndoManifest();
+
+    const { entries } = readUndoManifest('leases-test', { directory });
+    assert.strictEqual(manifestPath, path.join(directory, 'leases-test.undo.jsonl'));
+    assert.deepStrictEqual(entries.map(({ at, ...entry }) => entry), [
+      { op: 'run', runId: 'leases-test', command: 'leases' },
+      // hs_zip did not change, so only hs_city has something to restore
+      { op: 'update', objectType: '0-420', id: 'L1', previous: { hs_city: 'Dallas' } },
+      { op: 'create', objectType: '0-420', id: 'L2' },
+      // The inactive label C1 already had is not the run's to remove
+      { op: 'associate', fromObjectType: 'contacts', fromId: 'C1', toObjectType: '0-420', toId: 'L1', types: [{ category: 'USER_DEFINED', typeId: 2 }] },
+      { op: 'associate', fromObjectType: 'contacts', fromId: 'C2', toObjectType: '0-420', toId: 'L1', types: null },
+      { op: 'unassociate', fromObjectType: 'contacts', fromId: 'C1', toObjectType: '0-420', toId: 'L1', types: [{ category: 'USER_DEFINED', typeId: 6 }] }
+    ]);
+
+    requests.length = 0;
+    const { stats } = await quiet(() => rollbackRun('leases-test', client, { directory }));
+    assert.deepStrictEqual(stats, { entries: 5, reverted: 5, irreversible: 0, errors: 0 });
+    assert.deepStrictEqual(requests, [
+      ['POST', '/crm/v4/associations/contacts/0-420/batch/create', {
+        inputs: [{ from: { id: 'C1' }, to: { id: 'L1' }, types: [{ associationCategory: 'USER_DEFINED', associationTypeId: 6 }] }]
+      }],
+      ['POST', '/crm/v4/associations/contacts/0-420/batch/archive', { inputs: [{ from: { id: 'C2' }, to: [{ id: 'L1' }] }] }],
+      ['POST', '/crm/v4/associations/contacts/0-420/batch/labels/archive', {
+        inputs: [{ from: { id: 'C1' }, to: { id: 'L1' }, types: [{ associationCategory: 'USER_DEFINED', associationTypeId: 2 }] }]
+      }],
+      ['DELETE', '/crm/v3/objects/0-420/L2'],
+      ['PATCH', '/crm/v3/objects/0-420/L1', { properties: { hs_city: 'Dallas' } }]
+    ]);
+    await assert.rejects(() => rollbackRun('leases-test', client, { directory }), /already rolled back/);
+  } finally {
+    finishUndoManifest();
+    restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('rollback reports merges as irreversible, keeps going past failures and retries only those on the next run', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-'));
+  const manifest = startUndoManifest('dedupe-test', { command: 'dedupe', directory });
+  manifest.recordUpdate('contacts', 'C1', { email: 'old@example.com' }, { email: 'new@example.com' });
+  manifest.recordCreate('contacts', 'C9');
+  manifest.recordMerge('contacts', 'C1', 'C2');
+  finishUndoManifest();
+
+  const calls = [];
+  let failArchive = true;
+  const hubspot = {
+    archiveObject: async (objectType, id) => {
+      calls.push(['archive', id]);
+      if (failArchive) {
+        throw Object.assign(new Error('Request failed with status code 502'), { response: { status: 502 } });
+      }
+    },
+    updateObject: async (objectType, id, data) => {
+      calls.push(['update', id, data.properties]);
+    }
+  };
+
+  try {
+    const first = await quiet(() => rollbackRun('dedupe-test', hubspot, { directory }));
+    assert.deepStrictEqual(first.stats, { entries: 3, reverted: 1, irreversible: 1, errors: 1 });
+    assert.deepStrictEqual(first.irreversible.map(entry => [entry.op, entry.id, entry.mergedId]), [['merge', 'C1', 'C2']]);
+    assert.deepStrictEqual(calls, [['archive', 'C9'], ['update', 'C1', { email: 'old@example.com' }]]);
+
+    failArchive = false;
+    const second = await quiet(() => rollbackRun('dedupe-test', hubspot, { directory }));
+    assert.deepStrictEqual(second.stats, { entries: 1, reverted: 1, irreversible: 0, errors: 0 });
+    assert.deepStrictEqual(calls.slice(2), [['archive', 'C9']]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
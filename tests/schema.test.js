@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SchemaManager } = require('../prototype/SchemaManager');
+
+const properties = {
+  listings: [
+    { name: 'buildium_unit_id', label: 'Buildium Unit ID', type: 'string', fieldType: 'text' },
+    { name: 'buildium_market_rent', label: 'Market Rent', type: 'number', fieldType: 'number' },
+    {
+      name: 'lease_status',
+      label: 'Lease Status',
+      type: 'enumeration',
+      fieldType: 'select',
+      options: [{ label: 'Active', value: 'Active' }, { label: 'Past', value: 'Past' }]
+    },
+    { name: 'primary_tenant', label: 'Primary Tenant', type: 'string', fieldType: 'text' }
+  ]
+};
+
+function createPortal(portalProperties, groups = []) {
+  const calls = [];
+  const client = {
+    getPropertyGroups: async () => groups,
+    getProperties: async () => portalProperties,
+    createPropertyGroup: async (objectTypeId, group) => calls.push(['group', objectTypeId, group.name]),
+    createProperty: async (objectTypeId, property) => calls.push(['create', objectTypeId, property.name, property.groupName]),
+    updateProperty: async (objectTypeId, name, changes) => calls.push(['patch', objectTypeId, name, changes])
+  };
+  return { client, calls };
+}
+
+const quietLog = { log: () => {}, warn: () => {}, error: () => {} };
+
+function driftedPortal() {
+  return createPortal([
+    { name: 'buildium_unit_id', type: 'string', fieldType: 'text', groupName: 'buildium' },
+    { name: 'buildium_market_rent', type: 'string', fieldType: 'text', groupName: 'listing_information' },
+    {
+      name: 'lease_status',
+      type: 'enumeration',
+      fieldType: 'select',
+      groupName: 'listing_information',
+      options: [{ label: 'Active', value: 'Active' }, { label: 'No Current Lease', value: 'No Current Lease' }]
+    }
+  ]);
+}
+
+test('schema plan classifies missing, drifted and type-changed properties', async () => {
+  const { client } = driftedPortal();
+  const plan = await new SchemaManager(client, { properties }).plan();
+  const listings = plan.objectTypes.listings;
+
+  assert.strictEqual(listings.createGroup, true);
+  assert.deepStrictEqual(listings.create.map(item => item.name), ['primary_tenant']);
+  assert.deepStrictEqual(listings.patch.map(item => item.name), ['lease_status']);
+  assert.deepStrictEqual(listings.patch[0].changes.map(change => change.field), ['groupName', 'options']);
+  assert.deepStrictEqual(listings.blocked.map(item => [item.name, item.reason]), [['buildium_market_rent', 'type-change']]);
+  assert.deepStrictEqual(listings.ok.map(item => item.name), ['buildium_unit_id']);
+  assert.strictEqual(plan.drift, 3);
+});
+
+test('schema diff reports field-level drift', async () => {
+  const { client } = driftedPortal();
+  const { rows } = await new SchemaManager(client, { properties }).diff();
+  const rent = rows.filter(row => row.name === 'buildium_market_rent');
+  assert.deepStrictEqual(rent.map(row => [row.field, row.actual, row.expected]), [
+    ['type', 'string', 'number'],
+    ['fieldType', 'text', 'number'],
+    ['groupName', 'listing_information', 'buildium']
+  ]);
+});
+
+test('schema apply patches into the buildium group and keeps extra enum options', async () => {
+  const { client, calls } = driftedPortal();
+  const result = await new SchemaManager(client, { properties }).apply({ logger: quietLog });
+
+  assert.deepStrictEqual(calls.slice(0, 2), [
+    ['group', '0-420', 'buildium'],
+    ['create', '0-420', 'primary_tenant', 'buildium']
+  ]);
+  const [, , patchedName, changes] = calls[2];
+  assert.strictEqual(patchedName, 'lease_status');
+  assert.strictEqual(changes.groupName, 'buildium');
+  assert.deepStrictEqual(changes.options.map(option => option.value), ['Active', 'Past', 'No Current Lease']);
+  assert.strictEqual(calls.length, 3, 'type change must not be applied without allowTypeChange');
+  assert.deepStrictEqual(result.skipped.map(item => item.name), ['buildium_market_rent']);
+
+  const allowed = driftedPortal();
+  await new SchemaManager(allowed.client, { properties }).apply({ allowTypeChange: true, logger: quietLog });
+  const rentPatch = allowed.calls.find(call => call[0] === 'patch' && call[2] === 'buildium_market_rent');
+  assert.deepStrictEqual(rentPatch[3], { groupName: 'buildium', type: 'number', fieldType: 'number' });
+});
+
+test('create-only apply creates missing properties but never patches', async () => {
+  const { client, calls } = driftedPortal();
+  const result = await new SchemaManager(client, { properties }).apply({ createOnly: true, logger: quietLog });
+
+  assert.deepStrictEqual(calls.map(call => call[0]), ['group', 'create']);
+  assert.deepStrictEqual(result.skipped.map(item => item.name).sort(), ['buildium_market_rent', 'lease_status']);
+});
+
+test('properties declared in an existing group stay there and need no buildium group', async () => {
+  const declared = {
+    listings: [
+      { name: 'buildium_unit_id', label: 'Buildium Unit ID', type: 'string', fieldType: 'text', groupName: 'listing_information' },
+      { name: 'primary_tenant', label: 'Primary Tenant', type: 'string', fieldType: 'text', groupName: 'listing_information' }
+    ]
+  };
+  const { client, calls } = createPortal([{ name: 'buildium_unit_id', type: 'string', fieldType: 'text', groupName: 'listing_information' }]);
+  const manager = new SchemaManager(client, { properties: declared });
+
+  const plan = await manager.plan();
+  assert.strictEqual(plan.objectTypes.listings.createGroup, false);
+  assert.deepStrictEqual(plan.objectTypes.listings.ok.map(item => item.name), ['buildium_unit_id']);
+
+  await manager.apply({ logger: quietLog });
+  assert.deepStrictEqual(calls, [['create', '0-420', 'primary_tenant', 'listing_information']]);
+});
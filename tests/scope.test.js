@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PropertyScope } = require('../prototype/PropertyScope');
+const { LeaseCentricSyncManager } = require('../prototype/LeaseCentricSyncManager');
+const TenantLifecycleManager = require('../prototype/TenantLifecycleManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+const GROUPS = [
+  { Id: 5, Name: 'Client A', Properties: [{ Id: 1 }, { Id: 2 }, { Id: 3 }] },
+  { Id: 6, Name: 'Client B', Properties: [{ Id: 4 }] }
+];
+
+test('property scope resolves groups by name or ID, then applies exclusions', async () => {
+  const buildium = {
+    getPropertyGroups: async () => GROUPS,
+    getRentalProperties: async () => [{ Id: 1 }, { Id: 2 }, { Id: 9 }]
+  };
+
+  assert.strictEqual(PropertyScope.fromArgs(['units', '--limit', '5']), null);
+  assert.throws(() => PropertyScope.fromArgs(['units', '--property-ids', '1,x']), { code: 'INVALID_PROPERTY_SCOPE' });
+
+  const scope = PropertyScope.fromArgs(['leases', '--property-groups', 'client a,6', '--property-ids', '8', '--exclude-property-ids', '2']);
+  assert.throws(() => scope.includes(1), /resolved/);
+  await scope.resolve(buildium);
+  assert.deepStrictEqual(scope.propertyIds.sort(), [1, 3, 4, 8]);
+  assert.deepStrictEqual(scope.describe().propertyGroups, [{ id: 5, name: 'Client A' }, { id: 6, name: 'Client B' }]);
+  assert.strictEqual(scope.includes('3'), true);
+  assert.strictEqual(scope.includes(2), false);
+  assert.strictEqual(scope.includesAny([2, 9]), false);
+  assert.strictEqual(scope.includesAny([2, 4]), true);
+
+  await assert.rejects(new PropertyScope({ propertyGroups: ['Client C'] }).resolve(buildium), { code: 'UNKNOWN_PROPERTY_GROUP' });
+  await assert.rejects(new PropertyScope({ propertyGroups: ['6'], excludePropertyIds: [4] }).resolve(buildium), { code: 'EMPTY_PROPERTY_SCOPE' });
+
+  const excludeOnly = new PropertyScope({ excludePropertyIds: [2] });
+  assert.strictEqual(excludeOnly.propertyIds, null);
+  assert.strictEqual(excludeOnly.includes(9), true);
+  assert.deepStrictEqual(await excludeOnly.listPropertyIds(buildium), [1, 9]);
+});
+
+test('lease selection and the lifecycle pass only see leases in scope', async () => {
+  const requests = [];
+  const leases = [
+    { Id: 11, UnitId: 101, PropertyId: 1 },
+    { Id: 12, UnitId: 102, PropertyId: 2 },
+    { Id: 13, UnitId: 103, PropertyId: 3 }
+  ];
+  const buildiumClient = {
+    getPropertyGroups: async () => GROUPS,
+    getAllLeases: async (limit, options) => {
+      requests.push(options.propertyIds);
+      return leases;
+    },
+    getLeasesUpdatedSince: async (since, options) => {
+      requests.push(options.propertyIds);
+      return leases;
+    }
+  };
+  const scope = new PropertyScope({ propertyGroups: ['Client A'], excludePropertyIds: [2] });
+
+  const manager = new LeaseCentricSyncManager({ buildiumClient, hubspotClient: {} }, { stateStore: new MemoryStateStore() });
+  manager.getLastSyncTimestamps = async () => ({});
+  await scope.resolve(buildiumClient);
+  const selected = await manager.selectLeases({
+    sinceDays: null,
+    limit: 10,
+    unitId: null,
+    scope,
+    stats: {},
+    hubspotListingCache: {},
+    logger: { event: () => {}, warn: () => {} }
+  });
+  assert.deepStrictEqual(selected.map(lease => lease.Id), [11, 13]);
+
+  const lifecycle = new TenantLifecycleManager({}, buildiumClient);
+  let processed = null;
+  lifecycle.updateTenantAssociationsForLeases = async leasesInScope => {
+    processed = leasesInScope;
+    return lifecycle.createEmptyStats();
+  };
+  const restore = quiet();
+  try {
+    await lifecycle.updateTenantAssociations(true, null, new Date('2020-01-01'), null, null, { scope });
+  } finally {
+    restore();
+  }
+  assert.deepStrictEqual(processed.map(lease => lease.Id), [11, 13]);
+  assert.deepStrictEqual(requests, [[1, 3], [1, 3]]);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  STATE_NAMESPACES,
+  MemoryStateStore,
+  FileStateStore,
+  SqliteStateStore,
+  createStateStore
+} = require('../prototype/SyncStateStore');
+const { LeaseCentricSyncManager } = require('../prototype/LeaseCentricSyncManager');
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+}
+
+function sqliteAvailable() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    try {
+      require('better-sqlite3');
+      return true;
+    } catch (driverError) {
+      return false;
+    }
+  }
+}
+
+async function exerciseStore(store) {
+  await store.setMany('ns', { a: 1, b: { nested: true } });
+  await store.set('ns', 'c', 'three');
+  assert.deepStrictEqual(await store.getAll('ns'), { a: 1, b: { nested: true }, c: 'three' });
+  assert.strictEqual(await store.get('ns', 'missing'), null);
+
+  await store.delete('ns', 'a');
+  assert.strictEqual(await store.get('ns', 'a'), null);
+
+  const owner = await store.acquireLock('run');
+  await assert.rejects(store.acquireLock('run'), error => error.code === 'SYNC_LOCKED');
+  await store.releaseLock('run', owner);
+  const nextOwner = await store.acquireLock('run');
+  await store.releaseLock('run', nextOwner);
+
+  await store.clear('ns');
+  assert.deepStrictEqual(await store.getAll('ns'), {});
+}
+
+test('memory store supports namespaced values and locks', async () => {
+  await exerciseStore(new MemoryStateStore());
+});
+
+test('file store supports namespaced values and locks', async () => {
+  const directory = makeTempDir();
+  try {
+    await exerciseStore(new FileStateStore({ directory }));
+    const leftovers = fs.readdirSync(directory).filter(name => name.endsWith('.tmp'));
+    assert.deepStrictEqual(leftovers, [], 'atomic writes should not leave temp files behind');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('file store reads the legacy lease timestamp files and merges writes', async () => {
+  const directory = makeTempDir();
+  try {
+    fs.writeFileSync(path.join(directory, 'lease_sync_timestamps.json'), JSON.stringify({ L1: '2025-01-01T00:00:00.000Z' }));
+    const first = new FileStateStore({ directory });
+    const second = new FileStateStore({ directory });
+
+    await first.setMany(STATE_NAMESPACES.LEASE_TIMESTAMPS, { L2: '2025-02-01T00:00:00.000Z' });
+    await second.setMany(STATE_NAMESPACES.LEASE_TIMESTAMPS, { L3: '2025-03-01T00:00:00.000Z' });
+
+    assert.deepStrictEqual(Object.keys(await first.getAll(STATE_NAMESPACES.LEASE_TIMESTAMPS)).sort(), ['L1', 'L2', 'L3']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('file store replaces a lock left behind by a dead process', async () => {
+  const directory = makeTempDir();
+  try {
+    fs.writeFileSync(path.join(directory, 'run.lock'), JSON.stringify({
+      owner: 'crashed',
+      host: os.hostname(),
+      pid: 2147483646,
+      acquiredAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    }));
+    const store = new FileStateStore({ directory });
+    const owner = await store.acquireLock('run');
+    assert.notStrictEqual(owner, 'crashed');
+    await store.releaseLock('run', owner);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('sqlite store supports namespaced values and locks', { skip: !sqliteAvailable() && 'no SQLite driver available' }, async () => {
+  const store = new SqliteStateStore({ filename: ':memory:' });
+  try {
+    await exerciseStore(store);
+  } finally {
+    await store.close();
+  }
+});
+
+test('createStateStore rejects unknown backends', () => {
+  assert.ok(createStateStore({ backend: 'memory' }) instanceof MemoryStateStore);
+  assert.throws(() => createStateStore({ backend: 'redis' }), /Unknown sync state backend/);
+});
+
+function makeLease(id, unitId) {
+  return {
+    Id: id,
+    UnitId: unitId,
+    LeaseStatus: 'Active',
+    LeaseFromDate: '2025-09-01',
+    LeaseToDate: '2026-08-31',
+    LastUpdatedDateTime: '2025-09-15T00:00:00.000Z',
+    Tenants: [{ Id: `T-${id}` }],
+    PropertyId: 'P1'
+  };
+}
+
+function createManager(leases, stateStore, failingTenants = new Set()) {
+  const buildium = {
+    getAllLeases: async () => leases,
+    getLeasesByUnitIds: async () => leases,
+    getTenant: async id => {
+      if (failingTenants.has(id)) {
+        throw new Error(`tenant ${id} unavailable`);
+      }
+      return { Id: id, Email: `${id}@example.com` };
+    }
+  };
+  const hubspot = {
+    getListingsByUnitIds: async unitIds => unitIds.map(id => ({ id: `listing-${id}`, properties: { buildium_unit_id: id } })),
+    createListingsBatch: async listings => ({ created: listings, updated: [], skipped: [] }),
+    searchContactByEmail: async () => ({ id: 'C1' }),
+    searchContactsByTenantIds: async () => [],
+    batchReadContactsByEmail: async emails => ({ contacts: new Map(emails.map(email => [email, { id: `C-${email}` }])), errors: [] }),
+    getContactListingAssociations: async () => [{ associationTypeId: 2 }]
+  };
+  const integration = { buildiumClient: buildium, hubspotClient: hubspot };
+  return new LeaseCentricSyncManager(integration, { stateStore, checkpointInterval: 1 });
+}
+
+test('lease sync checkpoints each finished lease and skips failed ones', async () => {
+  const stateStore = new MemoryStateStore();
+  const leases = [makeLease('L1', 'U1'), makeLease('L2', 'U2'), makeLease('L3', 'U3')];
+  const manager = createManager(leases, stateStore, new Set(['T-L2']));
+
+  await manager.syncLeases(false, false, null, 50, null);
+
+  const watermarks = await stateStore.getAll(STATE_NAMESPACES.LEASE_TIMESTAMPS);
+  assert.deepStrictEqual(Object.keys(watermarks).sort(), ['L1', 'L3']);
+  assert.ok(await stateStore.get(STATE_NAMESPACES.LAST_LEASE_SYNC, 'lastSync'));
+});
+
+test('lease sync refuses to start while another run holds the lock', async () => {
+  const stateStore = new MemoryStateStore();
+  const manager = createManager([makeLease('L1', 'U1')], stateStore);
+  const owner = await stateStore.acquireLock('lease-sync');
+
+  await assert.rejects(manager.syncLeases(false, false, null, 50, null), error => error.code === 'SYNC_LOCKED');
+  assert.deepStrictEqual(await stateStore.getAll(STATE_NAMESPACES.LEASE_TIMESTAMPS), {});
+
+  await stateStore.releaseLock('lease-sync', owner);
+  await manager.syncLeases(false, false, null, 50, null);
+  assert.ok(await stateStore.get(STATE_NAMESPACES.LEASE_TIMESTAMPS, 'L1'));
+});
+
+test('lease sync resumes an interrupted run at its first unfinished lease', async () => {
+  const stateStore = new MemoryStateStore();
+  const leases = [makeLease('L1', 'U1'), makeLease('L2', 'U2'), makeLease('L3', 'U3')];
+  const manager = createManager(leases, stateStore);
+  const hubspot = manager.hubspotClient;
+  const batches = [];
+  hubspot.createListingsBatch = async listings => {
+    const unitIds = listings.map(listing => listing.properties.buildium_unit_id);
+    batches.push(unitIds);
+    if (unitIds.includes('U2')) {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429 };
+      throw error;
+    }
+    return { created: listings, updated: [], skipped: [] };
+  };
+
+  await assert.rejects(manager.syncLeases(false, false, null, 1, null), /429/);
+  const interrupted = await stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_RUN);
+  assert.strictEqual(interrupted.status, 'running');
+  assert.deepStrictEqual(Object.keys(await stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_PROGRESS)), ['L1']);
+
+  batches.length = 0;
+  hubspot.createListingsBatch = async listings => {
+    batches.push(listings.map(listing => listing.properties.buildium_unit_id));
+    return { created: listings, updated: [], skipped: [] };
+  };
+  manager.buildiumClient.getAllLeases = async () => {
+    throw new Error('resume should not rescan every lease');
+  };
+
+  const stats = await manager.syncLeases(false, false, null, 1, null, null, { resume: true });
+
+  assert.deepStrictEqual(batches, [['U2'], ['U3']]);
+  assert.strictEqual(stats.leasesSelected, 3);
+  assert.strictEqual((await stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_RUN)).status, 'completed');
+  assert.deepStrictEqual(Object.keys(await stateStore.getAll(STATE_NAMESPACES.LEASE_TIMESTAMPS)).sort(), ['L1', 'L2', 'L3']);
+});
+
+test('lease sync resume falls back to a normal run when nothing was interrupted', async () => {
+  const stateStore = new MemoryStateStore();
+  const manager = createManager([makeLease('L1', 'U1')], stateStore);
+
+  const stats = await manager.syncLeases(false, false, null, 50, null, null, { resume: true });
+
+  assert.strictEqual(stats.leasesSelected, 1);
+  assert.strictEqual((await stateStore.getAll(STATE_NAMESPACES.LEASE_SYNC_RUN)).status, 'completed');
+});
@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { BuildiumClient } = require('../prototype/index');
+const { FieldMapper } = require('../prototype/FieldMapper');
+const { TicketSyncManager, requestingTenantId, ticketFingerprint } = require('../prototype/TicketSyncManager');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+// ResidentRequestTaskMessage
+const residentRequest = {
+  Id: 31,
+  Category: { Id: 4, Name: 'Plumbing', Href: 'https://api.buildium.com/v1/tasks/categories/4', SubCategory: null },
+  Title: 'Leaking tap',
+  Description: 'Kitchen tap drips',
+  Property: { Id: 140054, Type: 'Rental', Href: 'https://api.buildium.com/v1/rentals/140054' },
+  UnitId: 177172,
+  UnitAgreement: { Id: 9001, Type: 'Lease', Href: 'https://api.buildium.com/v1/leases/9001' },
+  RequestedByUserEntity: { Type: 'RentalTenant', Id: 501, FirstName: 'Jane', LastName: 'Doe', IsCompany: false, Href: 'https://api.buildium.com/v1/leases/tenants/501' },
+  AssignedToUserId: 3,
+  TaskStatus: 'InProgress',
+  Priority: 'High',
+  DueDate: null,
+  CreatedDateTime: '2024-06-01T09:00:00Z',
+  LastUpdatedDateTime: '2024-06-02T10:00:00Z',
+  Appliance: null,
+  IsEntryPermittedByResident: true,
+  DoesResidentHavePets: false,
+  ResidentEntryNotes: null
+};
+
+// WorkOrderMessage: status and unit sit on the task; there is no requester or last-updated time
+const workOrder = {
+  Id: 88,
+  Task: { Id: 31, Type: 'ResidentRequest', UnitId: 177172, UnitAgreement: null, Title: 'Leaking tap', DueDate: null, Priority: 'Normal', Status: 'Completed' },
+  Title: 'Replace tap',
+  DueDate: '2024-06-05',
+  Priority: 'Unknown',
+  Status: 'Completed',
+  WorkDetails: 'Swap kitchen faucet',
+  InvoiceNumber: null,
+  ChargeableTo: null,
+  EntryAllowed: 'Yes',
+  EntryNotes: null,
+  VendorId: 12,
+  VendorNotes: null,
+  EntryContacts: [],
+  BillTransactionIds: [],
+  Amount: 180,
+  LineItems: []
+};
+
+function createIntegration(existingTickets = []) {
+  const calls = { buildium: [], created: [], updated: [], associations: [], stages: [] };
+  const integration = {
+    buildiumClient: {
+      getResidentRequests: async options => {
+        calls.buildium.push(['resident-request', options.lastUpdatedFrom]);
+        return [residentRequest];
+      },
+      getWorkOrders: async options => {
+        calls.buildium.push(['work-order', options.lastUpdatedFrom]);
+        return [workOrder];
+      },
+      getTenant: async () => null
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      getPipelines: async () => [{ id: 'p1', label: 'Buildium Maintenance', stages: [{ id: 's-new', label: 'New' }, { id: 's-progress', label: 'In Progress' }] }],
+      createPipelineStage: async (objectType, pipelineId, stage) => {
+        calls.stages.push(stage.label);
+        return { id: `s-${stage.label.toLowerCase()}`, label: stage.label };
+      },
+      getObjectsByIdProperty: async () => existingTickets,
+      searchContactsByTenantIds: async () => [{ id: 'c1', properties: { buildium_tenant_id: '501' } }],
+      getListingsByUnitIds: async () => [{ id: 'l1', properties: { buildium_unit_id: '177172' } }],
+      createTicket: async data => {
+        calls.created.push(data.properties);
+        return { id: `t${calls.created.length}` };
+      },
+      updateTicket: async (id, data) => {
+        calls.updated.push([id, data.properties]);
+        return { id };
+      },
+      createDefaultAssociation: async (fromType, fromId, toType, toId) => calls.associations.push(`${fromId}->${toType}:${toId}`)
+    }
+  };
+  return { integration, calls };
+}
+
+test('requestingTenantId only accepts tenant requesters', () => {
+  assert.strictEqual(requestingTenantId({ Type: 'Tenant', Id: 5 }), '5');
+  assert.strictEqual(requestingTenantId({ Type: 'RentalTenant', Id: 6 }), '6');
+  assert.strictEqual(requestingTenantId({ Type: 'Staff', Id: 7 }), null);
+  assert.strictEqual(requestingTenantId(null), null);
+});
+
+test('tickets are created in the pipeline stage for their status and associated', async () => {
+  const stateStore = new MemoryStateStore();
+  const { integration, calls } = createIntegration();
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new TicketSyncManager(integration, { stateStore }).run();
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(calls.stages, ['Deferred', 'Completed', 'Closed']);
+  assert.deepStrictEqual(calls.buildium, [['resident-request', null], ['work-order', null]]);
+  assert.deepStrictEqual(calls.created[0], {
+    subject: 'Leaking tap',
+    content: 'Kitchen tap drips',
+    hs_pipeline: 'p1',
+    hs_pipeline_stage: 's-progress',
+    hs_ticket_priority: 'HIGH',
+    createdate: '2024-06-01T09:00:00.000Z',
+    buildium_ticket_id: 'resident-request:31',
+    buildium_ticket_source: 'Resident Request',
+    buildium_task_status: 'InProgress',
+    buildium_task_category: 'Plumbing',
+    buildium_unit_id: '177172',
+    buildium_property_id: '140054',
+    buildium_tenant_id: '501',
+    buildium_last_updated: '2024-06-02T10:00:00.000Z',
+    buildium_sync_hash: calls.created[0].buildium_sync_hash
+  });
+  assert.match(calls.created[0].buildium_sync_hash, /^[0-9a-f]{40}$/);
+  assert.strictEqual(calls.created[1].buildium_ticket_id, 'work-order:88');
+  assert.strictEqual(calls.created[1].hs_pipeline_stage, 's-completed');
+  assert.strictEqual(calls.created[1].buildium_task_status, 'Completed');
+  assert.strictEqual(calls.created[1].hs_ticket_priority, 'MEDIUM');
+  assert.strictEqual(calls.created[1].buildium_unit_id, '177172');
+  assert.strictEqual(calls.created[1].buildium_tenant_id, undefined);
+  assert.deepStrictEqual(calls.associations, ['t1->contacts:c1', 't1->0-420:l1', 't2->0-420:l1']);
+  assert.deepStrictEqual({ created: stats.created, associations: stats.associations, errors: stats.errors }, { created: 2, associations: 3, errors: 0 });
+
+  const watermarks = await stateStore.getAll(STATE_NAMESPACES.TICKET_SYNC);
+  assert.deepStrictEqual(Object.keys(watermarks).sort(), ['resident-request', 'work-order']);
+});
+
+test('incremental runs fetch from the watermark and skip unchanged tickets', async () => {
+  const stateStore = new MemoryStateStore();
+  await stateStore.set(STATE_NAMESPACES.TICKET_SYNC, 'resident-request', '2024-06-01T00:00:00.000Z');
+  // The resident request maps to what was synced last time; the work order was New back then
+  const synced = new FieldMapper().map('residentRequestTicket', {
+    task: residentRequest, ticketId: 'resident-request:31', tenantId: '501', pipelineId: 'p1', stageId: 's-in-progress'
+  });
+  const { integration, calls } = createIntegration([
+    { id: 'h1', properties: { buildium_ticket_id: 'resident-request:31', buildium_sync_hash: ticketFingerprint(synced.properties), hs_pipeline_stage: 's-in-progress' } },
+    { id: 'h2', properties: { buildium_ticket_id: 'work-order:88', buildium_sync_hash: 'stale', hs_pipeline_stage: 's-new' } }
+  ]);
+  integration.hubspotClient.getPipelines = async () => [{
+    id: 'p1',
+    label: 'Buildium Maintenance',
+    stages: ['New', 'In Progress', 'Deferred', 'Completed', 'Closed'].map(label => ({ id: `s-${label.toLowerCase().replace(' ', '-')}`, label }))
+  }];
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new TicketSyncManager(integration, { stateStore }).run({ sources: ['resident-request', 'work-order'], limit: 50 });
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(calls.buildium, [['resident-request', '2024-06-01T00:00:00.000Z'], ['work-order', null]]);
+  assert.strictEqual(stats.unchanged, 1);
+  assert.strictEqual(calls.created.length, 0);
+  assert.strictEqual(calls.updated.length, 1);
+  assert.strictEqual(calls.updated[0][0], 'h2');
+  assert.strictEqual(calls.updated[0][1].hs_pipeline_stage, 's-completed');
+  // Safe updates leave create-only fields alone
+  assert.strictEqual(calls.updated[0][1].buildium_ticket_source, undefined);
+
+  // Limited runs leave the watermark where it was
+  assert.strictEqual(await stateStore.get(STATE_NAMESPACES.TICKET_SYNC, 'resident-request'), '2024-06-01T00:00:00.000Z');
+});
+
+test('scoped task fetches filter one rental property per request', async () => {
+  const client = new BuildiumClient();
+  client.baseURL = 'https://buildium.test/v1';
+  const requests = [];
+  const originalGet = axios.get;
+  axios.get = async (url, config) => {
+    requests.push([url.replace('https://buildium.test/v1', ''), config.params]);
+    return { data: config.params.entityid === 140054 ? [workOrder] : [] };
+  };
+
+  const restore = quiet();
+  let workOrders;
+  try {
+    workOrders = await client.getWorkOrders({ propertyIds: [140054, 140055], lastUpdatedFrom: '2024-06-01' });
+  } finally {
+    restore();
+    axios.get = originalGet;
+  }
+
+  assert.deepStrictEqual(workOrders, [workOrder]);
+  assert.deepStrictEqual(requests, [
+    ['/workorders', { lastupdatedfrom: '2024-06-01', entitytype: 'Rental', entityid: 140054, limit: 1000, offset: 0 }],
+    ['/workorders', { lastupdatedfrom: '2024-06-01', entitytype: 'Rental', entityid: 140055, limit: 1000, offset: 0 }]
+  ]);
+});
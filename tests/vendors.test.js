@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VendorSyncManager, vendorDisplayName } = require('../prototype/VendorSyncManager');
+const { MemoryStateStore } = require('../prototype/SyncStateStore');
+
+const quiet = () => {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+};
+
+test('vendorDisplayName prefers the company name', () => {
+  assert.strictEqual(vendorDisplayName({ CompanyName: 'Acme Plumbing', FirstName: '', LastName: '' }), 'Acme Plumbing');
+  assert.strictEqual(vendorDisplayName({ CompanyName: '', FirstName: 'Sam', LastName: 'Ortiz' }), 'Sam Ortiz');
+  assert.strictEqual(vendorDisplayName({ Id: 4 }), null);
+});
+
+test('vendors upserts companies and associates served listings and work orders', async () => {
+  const calls = { created: [], updated: [], associations: [], lookups: [] };
+  const integration = {
+    buildiumClient: {
+      getVendorCategories: async () => [{ Id: 3, Name: 'Plumbing' }],
+      getRentalProperties: async () => [{ Id: 7 }, { Id: 8 }],
+      getPreferredVendors: async propertyId => (propertyId === 7 ? [{ Id: 101 }] : []),
+      getVendors: async () => [
+        {
+          Id: 101,
+          IsActive: true,
+          CompanyName: 'Acme Plumbing',
+          Category: { Id: 3 },
+          Website: 'acme.example',
+          VendorInsurance: { Provider: 'Mutual', PolicyNumber: 'P-1', ExpirationDate: '2025-01-31T00:00:00' }
+        },
+        { Id: 102, IsActive: true, FirstName: 'Sam', LastName: 'Ortiz', Category: null }
+      ]
+    },
+    hubspotClient: {
+      ensureCustomProperties: async () => true,
+      searchObjects: async (objectType, filters) => {
+        if (objectType === '0-420') {
+          assert.deepStrictEqual(filters[0].values, ['7']);
+          return [{ id: 'l1', properties: { buildium_property_id: '7' } }, { id: 'l2', properties: { buildium_property_id: '7' } }];
+        }
+        return [{ id: 't9', properties: { buildium_vendor_id: '102' } }];
+      },
+      findCompanyByBuildiumId: async (id, idProperty) => {
+        calls.lookups.push([id, idProperty]);
+        return id === 102 ? { id: 'co102', properties: { name: 'Sam Ortiz' } } : null;
+      },
+      createCompany: async data => {
+        calls.created.push(data.properties);
+        return { id: 'co101' };
+      },
+      updateCompany: async (id, data) => {
+        calls.updated.push([id, data.properties]);
+        return { id };
+      },
+      createDefaultAssociation: async (fromType, fromId, toType, toId) => calls.associations.push(`${fromId}->${toType}:${toId}`)
+    }
+  };
+
+  const restore = quiet();
+  let stats;
+  try {
+    stats = await new VendorSyncManager(integration, { stateStore: new MemoryStateStore() }).run();
+  } finally {
+    restore();
+  }
+
+  assert.deepStrictEqual(calls.lookups, [[101, 'buildium_vendor_id'], [102, 'buildium_vendor_id']]);
+  assert.deepStrictEqual(calls.created, [{
+    name: 'Acme Plumbing',
+    website: 'acme.example',
+    type: 'VENDOR',
+    buildium_vendor_id: '101',
+    buildium_vendor_category: 'Plumbing',
+    buildium_vendor_status: 'Active',
+    buildium_insurance_provider: 'Mutual',
+    buildium_insurance_policy_number: 'P-1',
+    buildium_insurance_expiration: '2025-01-31',
+    buildium_vendor_property_ids: '7'
+  }]);
+  assert.deepStrictEqual(calls.updated, [['co102', {
+    name: 'Sam Ortiz',
+    buildium_vendor_id: '102',
+    buildium_vendor_status: 'Active',
+    buildium_vendor_property_ids: ''
+  }]]);
+  assert.deepStrictEqual(calls.associations, ['co101->0-420:l1', 'co101->0-420:l2', 'co102->tickets:t9']);
+  assert.deepStrictEqual(stats, { vendors: 2, created: 1, updated: 1, associations: 3, errors: 0 });
+});
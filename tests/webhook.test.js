@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { WebhookReceiver, verifySignature, routeEvent } = require('../prototype/WebhookReceiver');
+const { MemoryStateStore, STATE_NAMESPACES } = require('../prototype/SyncStateStore');
+
+const secret = 'test-secret';
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'buildium-webhook-timestamp': String(timestamp),
+    'buildium-webhook-signature': crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('base64')
+  };
+}
+
+function createIntegration({ failUnits = [] } = {}) {
+  const calls = [];
+  const integration = {
+    buildiumClient: {
+      getUnit: async id => ({ Id: Number(id), PropertyId: 1 }),
+      getLeaseById: async id => ({ Id: Number(id), UnitId: 77 })
+    },
+    forceUpdate: false,
+    syncUnitToListing: async unit => {
+      calls.push(['unit', unit.Id, integration.forceUpdate]);
+      return failUnits.includes(unit.Id) ? { status: 'error', error: 'HubSpot 502' } : { status: 'updated' };
+    },
+    syncTenantToContact: async id => {
+      calls.push(['tenant', id, integration.forceUpdate]);
+      return { status: 'updated' };
+    }
+  };
+  return { integration, calls };
+}
+
+test('webhook signature must match the body and be recent', () => {
+  const body = JSON.stringify({ EventName: 'Lease.Created', LeaseId: 1 });
+  assert.strictEqual(verifySignature(body, sign(body), secret), true);
+  assert.strictEqual(verifySignature(`${body} `, sign(body), secret), false);
+  assert.strictEqual(verifySignature(body, sign(body), 'other-secret'), false);
+  assert.strictEqual(verifySignature(body, sign(body, Math.floor(Date.now() / 1000) - 3600), secret), false);
+  assert.strictEqual(verifySignature(body, {}, secret), false);
+});
+
+test('webhook events route to unit, lease and tenant syncs', () => {
+  const keys = event => routeEvent({ EventId: 'evt-1', EventDateTime: '2024-06-01T12:00:00Z', AccountId: 1, ...event }).map(entity => entity.key);
+
+  assert.deepStrictEqual(keys({ EventName: 'RentalUnit.Updated', UnitId: 77 }), ['unit:77']);
+  assert.deepStrictEqual(keys({ EventName: 'Lease.Created', LeaseId: 5 }), ['lease:5']);
+  assert.deepStrictEqual(keys({ EventName: 'Lease.MoveOut.Created', LeaseId: 5, TenantId: 9 }), ['lease:5']);
+  assert.deepStrictEqual(keys({ EventName: 'LeaseTenant.Updated', TenantId: 9 }), ['tenant:9']);
+  assert.deepStrictEqual(keys({ EventName: 'Tenant.Updated', TenantId: 9 }), ['tenant:9']);
+  assert.deepStrictEqual(keys({ EventName: 'LeaseTransaction.Created', LeaseId: 5, TransactionId: 3 }), []);
+  assert.deepStrictEqual(keys({ EventName: 'Rental.Updated', PropertyId: 1 }), []);
+  assert.deepStrictEqual(keys({ EventName: 'Vendor.Updated', VendorId: 1 }), []);
+});
+
+test('webhook queue debounces per entity and retries failed syncs', async () => {
+  const { integration, calls } = createIntegration({ failUnits: [78] });
+  const stateStore = new MemoryStateStore();
+  const receiver = new WebhookReceiver(integration, { stateStore, secret, debounceMs: 1000, maxWaitMs: 3000, retryDelayMs: 500, logger: () => {} });
+  const t0 = Date.parse('2024-06-01T12:00:00Z');
+
+  await receiver.enqueue([{ EventName: 'Lease.Created', LeaseId: 5 }], t0);
+  await receiver.enqueue([
+    { EventName: 'Lease.Updated', LeaseId: 5 },
+    { EventName: 'LeaseTenant.Created', TenantId: 9 },
+    { EventName: 'RentalUnit.Updated', UnitId: 78 }
+  ], t0 + 800);
+
+  // Still inside the quiet window for lease 5
+  assert.deepStrictEqual(await receiver.processDue(t0 + 1000), { dispatched: 0, failed: 0 });
+
+  const stats = await receiver.processDue(t0 + 1800);
+  assert.deepStrictEqual(stats, { dispatched: 2, failed: 1 });
+  assert.deepStrictEqual(calls, [['unit', 77, true], ['tenant', '9', true], ['unit', 78, true]]);
+  // Force mode only lasts for the webhook job
+  assert.strictEqual(integration.forceUpdate, false);
+
+  const queue = await stateStore.getAll(STATE_NAMESPACES.WEBHOOK_QUEUE);
+  assert.deepStrictEqual(Object.keys(queue), ['unit:78']);
+  assert.strictEqual(queue['unit:78'].attempts, 1);
+  assert.strictEqual(queue['unit:78'].dueAt, new Date(t0 + 2300).toISOString());
+});
+
+test('webhook max wait caps the debounce for a busy entity', async () => {
+  const { integration, calls } = createIntegration();
+  const stateStore = new MemoryStateStore();
+  const receiver = new WebhookReceiver(integration, { stateStore, secret, debounceMs: 1000, maxWaitMs: 2500, logger: () => {} });
+  const t0 = Date.parse('2024-06-01T12:00:00Z');
+
+  for (let offset = 0; offset <= 2400; offset += 600) {
+    await receiver.enqueue([{ EventName: 'Lease.Updated', LeaseId: 5 }], t0 + offset);
+  }
+  await receiver.processDue(t0 + 2500);
+  assert.deepStrictEqual(calls, [['unit', 77, true]]);
+});
+
+test('webhook server rejects unsigned requests and queues signed ones', async () => {
+  const { integration } = createIntegration();
+  const stateStore = new MemoryStateStore();
+  const receiver = new WebhookReceiver(integration, { stateStore, secret, pollIntervalMs: 60000, logger: () => {} });
+  const { port } = await receiver.start({ port: 0, host: '127.0.0.1' });
+
+  try {
+    const url = `http://127.0.0.1:${port}/webhooks/buildium`;
+    const body = JSON.stringify({ EventId: 'evt-1', EventName: 'RentalUnit.Updated', EventDateTime: '2024-06-01T12:00:00Z', AccountId: 1, PropertyId: 1, UnitId: 77 });
+
+    const unsigned = await fetch(url, { method: 'POST', body });
+    assert.strictEqual(unsigned.status, 401);
+
+    const signed = await fetch(url, { method: 'POST', body, headers: sign(body) });
+    assert.strictEqual(signed.status, 202);
+    assert.deepStrictEqual(await signed.json(), { accepted: 1, ignored: 0 });
+
+    const health = await (await fetch(`http://127.0.0.1:${port}/health`)).json();
+    assert.deepStrictEqual(health, { status: 'ok', pending: 1 });
+    assert.strictEqual(integration.forceUpdate, false);
+  } finally {
+    await receiver.stop();
+  }
+});